@@ -0,0 +1,85 @@
+// Pedidos agendados: o cliente escolhe um horário de entrega dentro do expediente e o pedido
+// fica com status 'agendado' até ser liberado para a cozinha, com a antecedência configurada.
+// Aqui ficam apenas a configuração e as contas, como em fidelidade.js; a liberação é feita
+// pelo app a partir do banco, então nada se perde se o servidor reiniciar.
+const horario = require('./horario-funcionamento');
+
+/**
+ * Lê a configuração do ambiente:
+ *   AGENDAMENTO_CAPACIDADE           - pedidos aceitos por horário de entrega (padrão 5; 0 desliga o agendamento)
+ *   AGENDAMENTO_INTERVALO_MINUTOS    - distância entre os horários oferecidos (padrão 30)
+ *   AGENDAMENTO_ANTECEDENCIA_MINUTOS - quanto antes da entrega o pedido vai para a cozinha (padrão 45)
+ *   AGENDAMENTO_DIAS                 - até quantos dias à frente dá para agendar (padrão 2; 0 = só hoje)
+ * Valores inválidos impedem a inicialização, para não oferecer horários errados.
+ */
+function lerConfiguracaoAgendamento(env = process.env) {
+    const capacidade = lerInteiro(env, 'AGENDAMENTO_CAPACIDADE', 5, 0);
+    if (capacidade === 0) return null;
+
+    return {
+        capacidade,
+        intervaloMinutos: lerInteiro(env, 'AGENDAMENTO_INTERVALO_MINUTOS', 30, 5),
+        antecedenciaMinutos: lerInteiro(env, 'AGENDAMENTO_ANTECEDENCIA_MINUTOS', 45, 0),
+        dias: lerInteiro(env, 'AGENDAMENTO_DIAS', 2, 0)
+    };
+}
+
+function lerInteiro(env, nome, padrao, minimo) {
+    if (env[nome] === undefined || env[nome] === '') return padrao;
+    const valor = Number(env[nome]);
+    if (!Number.isInteger(valor) || valor < minimo) {
+        throw new Error(`${nome} deve ser um número inteiro maior ou igual a ${minimo}.`);
+    }
+    return valor;
+}
+
+/**
+ * Horários de entrega oferecidos agora, com as vagas que restam em cada um.
+ * `ocupacao`: Map momento (ms) → pedidos já agendados para aquele horário.
+ * Retorna [{ agendadoPara, data, hora, vagas }].
+ */
+function listarHorariosDisponiveis(configuracao, { horarios, excecoes, ocupacao, momento = new Date() }) {
+    return horario.listarHorariosEntrega(horarios, excecoes, { ...configuracao, momento })
+        .map(entrega => ({
+            agendadoPara: entrega.momento.toISOString(),
+            data: entrega.data,
+            hora: entrega.hora,
+            vagas: Math.max(0, configuracao.capacidade - (ocupacao.get(entrega.momento.getTime()) || 0))
+        }));
+}
+
+// Os mesmos horários separados por dia, como o site mostra: "Hoje", "Amanhã", "sábado, 24/10"
+function agruparPorDia(horariosDisponiveis, momento = new Date()) {
+    const hoje = horario.partesDataHora(momento).data;
+    const dias = [];
+    for (const item of horariosDisponiveis) {
+        let dia = dias[dias.length - 1];
+        if (!dia || dia.data !== item.data) {
+            dia = { data: item.data, rotulo: rotuloDia(item.data, hoje), horarios: [] };
+            dias.push(dia);
+        }
+        dia.horarios.push({ agendadoPara: item.agendadoPara, hora: item.hora, vagas: item.vagas });
+    }
+    return dias;
+}
+
+function rotuloDia(data, hoje) {
+    if (data === hoje) return 'Hoje';
+    if (data === horario.somarDias(hoje, 1)) return 'Amanhã';
+    const [, mes, dia] = data.split('-');
+    return `${horario.DIAS_SEMANA[new Date(`${data}T00:00:00Z`).getUTCDay()]}, ${dia}/${mes}`;
+}
+
+// "sábado, 24/10 às 20:30" (ou "hoje às 20:30"), para as mensagens ao cliente
+function descreverAgendamento(agendadoPara, momento = new Date()) {
+    const entrega = horario.partesDataHora(new Date(agendadoPara));
+    const dia = rotuloDia(entrega.data, horario.partesDataHora(momento).data);
+    return `${dia === 'Hoje' || dia === 'Amanhã' ? dia.toLowerCase() : dia} às ${entrega.hora}`;
+}
+
+module.exports = {
+    lerConfiguracaoAgendamento,
+    listarHorariosDisponiveis,
+    agruparPorDia,
+    descreverAgendamento
+};
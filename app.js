@@ -0,0 +1,2658 @@
+// Aplicação Express do Doka Burger: site, API de pedidos e painel da equipe.
+// O cliente do WhatsApp e o repositório vêm de fora (index.js em produção, test/ nos testes).
+const express = require('express');
+const bodyParser = require('body-parser');
+const path = require('path');
+const cors = require('cors');
+const rateLimit = require('express-rate-limit');
+const helmet = require('helmet');
+const crypto = require('crypto');
+const CARDAPIO_INICIAL = require('./cardapio');
+const FilaMensagens = require('./fila-mensagens');
+const CanalEventos = require('./eventos');
+const autenticacao = require('./autenticacao');
+const taxasEntrega = require('./taxa-entrega');
+const cupons = require('./cupons');
+const horario = require('./horario-funcionamento');
+const AtendimentoWhatsApp = require('./atendimento-whatsapp');
+const ImpressoraCozinha = require('./impressora-cozinha');
+const pix = require('./pix');
+const relatorios = require('./relatorios');
+const fidelidade = require('./fidelidade');
+const agendamento = require('./agendamento');
+const campanhas = require('./campanhas');
+const EnvioCampanhas = require('./envio-campanhas');
+const { gerarCupomFiscal } = require('./cupom-fiscal');
+const { normalizarTelefone } = require('./telefone');
+const loggerPadrao = require('./logger');
+
+/**
+ * Monta a aplicação sem abrir a porta nem conectar o WhatsApp.
+ * @param {object} dependencias
+ * @param {object} dependencias.client - cliente do whatsapp-web.js (ou um substituto com on/sendMessage/isRegisteredUser)
+ * @param {object} dependencias.repositorio - RepositorioPostgres ou RepositorioMemoria
+ * @param {object} [dependencias.logger]
+ * @param {object} [dependencias.env] - variáveis de configuração (padrão: process.env)
+ * @param {boolean} [dependencias.limitarRequisicoes] - false desliga os rate limiters
+ * @returns {{ app, iniciar: Function, parar: Function, fila: FilaMensagens, atendimento: AtendimentoWhatsApp, envioCampanhas: EnvioCampanhas }}
+ *   iniciar() prepara o banco, a fila, a expiração do PIX e o envio das campanhas; parar() desliga os timers.
+ */
+function criarApp({ client, repositorio, logger = loggerPadrao, env = process.env, limitarRequisicoes = true }) {
+    // Configuração do Express
+    const app = express();
+
+    // Informa ao Express para confiar no proxy do Render (ou outro serviço de hospedagem)
+    app.set('trust proxy', 1);
+
+    // --- Middlewares de Segurança e Funcionalidade ---
+    app.use(
+      helmet.contentSecurityPolicy({
+        directives: {
+          defaultSrc: ["'self'"],
+          scriptSrc: ["'self'", "'unsafe-inline'"],  
+          styleSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
+          imgSrc: ["'self'", "data:", "https://engeve89.github.io", "https://images.unsplash.com"],
+          fontSrc: ["'self'", "https://cdnjs.cloudflare.com"],
+          connectSrc: ["'self'"],
+          frameSrc: ["'none'"],
+          objectSrc: ["'none'"],
+          upgradeInsecureRequests: [],
+        },
+      })
+    );
+
+    app.disable('x-powered-by');  
+    app.use(cors());
+    app.use(bodyParser.json());
+    app.use(express.static('public'));
+
+    // Configuração do Rate Limiter
+    const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutos
+    max: 100,
+    standardHeaders: true,
+    legacyHeaders: false,
+        // O painel da equipe faz muitas chamadas e já exige login
+        skip: (req) => !limitarRequisicoes || req.path.startsWith('/admin/'),
+        message: { success: false, message: "Muitas requisições. Por favor, tente novamente mais tarde." }
+    });
+
+    app.use('/api/', apiLimiter);
+
+    // Limite mais rígido para tentativas de login no painel
+    const loginLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutos
+        max: 10,
+        standardHeaders: true,
+        legacyHeaders: false,
+        skip: () => !limitarRequisicoes,
+        message: { success: false, message: "Muitas tentativas de login. Aguarde alguns minutos." }
+    });
+
+    // --- Banco de Dados ---
+    // Cria as tabelas, o cardápio inicial e o primeiro administrador
+    async function prepararBanco() {
+        await repositorio.preparar();
+        await repositorio.semearCardapio(CARDAPIO_INICIAL);
+        await repositorio.limparSessoesExpiradas();
+
+        // Cria o primeiro administrador a partir das variáveis de ambiente
+        if (await repositorio.contarUsuarios() === 0) {
+            if (env.ADMIN_USUARIO && env.ADMIN_SENHA) {
+                await repositorio.criarUsuario({
+                    usuario: env.ADMIN_USUARIO,
+                    nome: env.ADMIN_USUARIO,
+                    senhaHash: autenticacao.gerarHashSenha(env.ADMIN_SENHA),
+                    papel: 'admin'
+                });
+                logger.info(`Usuário administrador "${env.ADMIN_USUARIO}" criado.`);
+            } else {
+                logger.error('Nenhum usuário do painel cadastrado. Defina ADMIN_USUARIO e ADMIN_SENHA para criar o primeiro administrador.');
+            }
+        }
+    }
+
+    // --- Estado do Cliente WhatsApp ---
+    let whatsappStatus = 'initializing';
+
+    // Eventos ao vivo para o painel da equipe
+    const eventosAdmin = new CanalEventos(logger);
+
+    // Eventos ao vivo da página pública de acompanhamento; cada conexão filtra pelo id do pedido
+    const eventosAcompanhamento = new CanalEventos(logger);
+
+    const fila = new FilaMensagens({
+        repositorio,
+        client,
+        logger,
+        estaConectado: () => whatsappStatus === 'ready'
+    });
+
+    // Promoções pelo WhatsApp, enviadas devagar e só para quem aceitou
+    const envioCampanhas = new EnvioCampanhas({
+        repositorio,
+        client,
+        logger,
+        estaConectado: () => whatsappStatus === 'ready',
+        configuracao: campanhas.lerConfiguracaoCampanhas(env)
+    });
+
+    // PIX online (desligado se PIX_CHAVE não estiver definida: o PIX é pago na entrega)
+    const configuracaoPix = pix.lerConfiguracaoPix(env);
+    const INTERVALO_EXPIRACAO_PIX_MS = 60 * 1000;
+
+    // Programa de fidelidade (desligado com FIDELIDADE_PONTOS_POR_REAL=0)
+    const configuracaoFidelidade = fidelidade.lerConfiguracaoFidelidade(env);
+
+    // Pedidos agendados (desligados com AGENDAMENTO_CAPACIDADE=0)
+    const configuracaoAgendamento = agendamento.lerConfiguracaoAgendamento(env);
+    const INTERVALO_LIBERACAO_AGENDADOS_MS = 60 * 1000;
+
+    // Impressora térmica da cozinha (desligada se IMPRESSORA_COZINHA não estiver definida)
+    const impressoraCozinha = new ImpressoraCozinha({
+        destino: env.IMPRESSORA_COZINHA,
+        larguraMm: parseInt(env.IMPRESSORA_LARGURA_MM, 10) || 80,
+        logger
+    });
+
+    // --- Cálculo do Pedido ---
+    // Taxa usada quando nenhuma zona de entrega está cadastrada
+    const TAXA_ENTREGA_PADRAO = 5.00;
+    const LOCALIZACAO_LOJA = env.LOJA_LATITUDE && env.LOJA_LONGITUDE
+        ? { latitude: parseFloat(env.LOJA_LATITUDE), longitude: parseFloat(env.LOJA_LONGITUDE) }
+        : null;
+    const FORMAS_PAGAMENTO = ['Dinheiro', 'PIX', 'Cartão'];
+    const QUANTIDADE_MAXIMA_POR_ITEM = 50;
+
+    function arredondarValor(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    // Aceita número ou texto no formato brasileiro ("50,00", "1.000,00"); sem vírgula o ponto é o decimal
+    function converterValor(valor) {
+        if (typeof valor === 'number') return valor;
+        if (typeof valor !== 'string' || valor.trim() === '') return null;
+        const texto = valor.includes(',') ? valor.replace(/\./g, '').replace(',', '.') : valor;
+        const numero = parseFloat(texto);
+        return isNaN(numero) ? null : numero;
+    }
+
+    // Extrai do corpo da requisição os campos usados para localizar a zona de entrega
+    function lerEnderecoEntrega(dados) {
+        const texto = (valor, limite) => typeof valor === 'string' ? valor.trim().substring(0, limite) : '';
+        const numero = (valor) => typeof valor === 'number' && Number.isFinite(valor) ? valor : null;
+        return {
+            bairro: texto(dados.bairro, 100),
+            cep: taxasEntrega.normalizarCep(texto(dados.cep, 9)),
+            latitude: numero(dados.latitude),
+            longitude: numero(dados.longitude)
+        };
+    }
+
+    // Valida um endereço de entrega vindo do site. Retorna { erro } ou { endereco }.
+    function validarEndereco(dados) {
+        const texto = (valor, limite) => typeof valor === 'string' ? valor.trim().substring(0, limite) : '';
+        const numero = (valor) => typeof valor === 'number' && Number.isFinite(valor) ? valor : null;
+        const endereco = {
+            apelido: texto(dados.apelido, 40) || 'Casa',
+            rua: texto(dados.rua, 200),
+            numero: texto(dados.numero, 20),
+            complemento: texto(dados.complemento, 100),
+            bairro: texto(dados.bairro, 100),
+            cep: taxasEntrega.normalizarCep(texto(dados.cep, 9)),
+            referencia: texto(dados.referencia, 200),
+            latitude: numero(dados.latitude),
+            longitude: numero(dados.longitude)
+        };
+        if (!endereco.rua || !endereco.numero || !endereco.bairro) {
+            return { erro: "Informe a rua, o número e o bairro do endereço." };
+        }
+        if (endereco.cep && endereco.cep.length !== 8) {
+            return { erro: "CEP inválido." };
+        }
+        return { endereco };
+    }
+
+    // "Rua das Flores, 120 - Apto 31"
+    function formatarEndereco({ rua, numero, complemento }) {
+        const linha = [rua, numero].filter(Boolean).join(', ');
+        return complemento ? `${linha} - ${complemento}` : linha;
+    }
+
+    function converterEndereco(row) {
+        return {
+            id: row.id,
+            apelido: row.apelido,
+            rua: row.rua,
+            numero: row.numero || '',
+            complemento: row.complemento || '',
+            bairro: row.bairro || '',
+            cep: row.cep || '',
+            referencia: row.referencia || '',
+            latitude: row.latitude,
+            longitude: row.longitude,
+            padrao: row.padrao,
+            descricao: formatarEndereco(row)
+        };
+    }
+
+    async function listarEnderecos(telefone, db = repositorio) {
+        return (await db.listarEnderecos(telefone)).map(converterEndereco);
+    }
+
+    async function cotarEntrega(endereco, db = repositorio) {
+        const zonas = await db.listarZonasEntrega();
+        return taxasEntrega.cotarTaxaEntrega(endereco, zonas.map(taxasEntrega.converterZona), {
+            loja: LOCALIZACAO_LOJA,
+            taxaPadrao: TAXA_ENTREGA_PADRAO
+        });
+    }
+
+    // Valida os dados de uma zona de entrega vindos do painel
+    function validarZonaEntrega(dados) {
+        const { nome, tipo, valores, raioKm, taxa, pedidoMinimo, atende, ordem } = dados;
+        if (typeof nome !== 'string' || !nome.trim()) {
+            return { erro: "Informe o nome da zona." };
+        }
+        if (!taxasEntrega.TIPOS_ZONA.includes(tipo)) {
+            return { erro: `Tipo de zona inválido. Use um destes: ${taxasEntrega.TIPOS_ZONA.join(', ')}.` };
+        }
+        if (tipo !== 'raio' && (!Array.isArray(valores) || valores.length === 0 || !valores.every(v => typeof v === 'string' && v.trim()))) {
+            return { erro: tipo === 'bairro' ? "Informe os bairros da zona." : "Informe os prefixos de CEP da zona." };
+        }
+        if (tipo === 'raio' && !(typeof raioKm === 'number' && raioKm > 0)) {
+            return { erro: "Informe o raio da zona em km." };
+        }
+        if (!(typeof taxa === 'number' && taxa >= 0) || (pedidoMinimo !== undefined && !(typeof pedidoMinimo === 'number' && pedidoMinimo >= 0))) {
+            return { erro: "Taxa e pedido mínimo devem ser valores maiores ou iguais a zero." };
+        }
+
+        return {
+            zona: {
+                nome: nome.trim(),
+                tipo,
+                valores: tipo === 'raio' ? [] : valores.map(v => v.trim()),
+                raioKm: tipo === 'raio' ? raioKm : null,
+                taxa: arredondarValor(taxa),
+                pedidoMinimo: arredondarValor(pedidoMinimo || 0),
+                atende: atende !== false,
+                ordem: Number.isInteger(ordem) ? ordem : 0
+            }
+        };
+    }
+
+    // Grupos de modificadores ativos dos produtos informados, com as opções de cada grupo
+    async function carregarGruposModificadores(idsProdutos, db = repositorio) {
+        const gruposPorProduto = new Map();
+        for (const row of await db.listarModificadores(idsProdutos)) {
+            if (!gruposPorProduto.has(row.produto_id)) gruposPorProduto.set(row.produto_id, []);
+            const grupos = gruposPorProduto.get(row.produto_id);
+            let grupo = grupos.find(g => g.id === row.grupo_id);
+            if (!grupo) {
+                grupo = { id: row.grupo_id, nome: row.grupo_nome, minEscolhas: row.min_escolhas, maxEscolhas: row.max_escolhas, opcoes: [] };
+                grupos.push(grupo);
+            }
+            grupo.opcoes.push({ id: row.id, nome: row.nome, preco: parseFloat(row.preco), disponivel: row.disponivel });
+        }
+        return gruposPorProduto;
+    }
+
+    async function carregarProdutosDoCarrinho(carrinho, db = repositorio) {
+        const idsProdutos = [...new Set(carrinho.map(item => item && item.id))].filter(id => typeof id === 'string');
+        const produtos = await db.buscarProdutos(idsProdutos);
+        const gruposPorProduto = await carregarGruposModificadores(idsProdutos, db);
+        return new Map(produtos.map(produto => [produto.id, { ...produto, grupos: gruposPorProduto.get(produto.id) || [] }]));
+    }
+
+    // Confere as opções escolhidas contra os grupos do produto (disponibilidade, mínimo e máximo por grupo)
+    function escolherModificadores(produto, idsEscolhidos) {
+        if (idsEscolhidos !== undefined && (!Array.isArray(idsEscolhidos) || !idsEscolhidos.every(id => typeof id === 'string'))) {
+            return { erro: `Opções inválidas para o item "${produto.nome}".` };
+        }
+        const escolhidos = new Set(idsEscolhidos || []);
+        const modificadores = [];
+
+        for (const grupo of produto.grupos) {
+            const opcoesDoGrupo = grupo.opcoes.filter(opcao => escolhidos.has(opcao.id));
+            if (opcoesDoGrupo.length < grupo.minEscolhas || opcoesDoGrupo.length > grupo.maxEscolhas) {
+                return {
+                    erro: grupo.minEscolhas === grupo.maxEscolhas
+                        ? `Escolha ${grupo.minEscolhas} opção em "${grupo.nome}" para o item "${produto.nome}".`
+                        : `Escolha de ${grupo.minEscolhas} a ${grupo.maxEscolhas} opções em "${grupo.nome}" para o item "${produto.nome}".`
+                };
+            }
+            for (const opcao of opcoesDoGrupo) {
+                if (!opcao.disponivel) {
+                    return { erro: `A opção "${opcao.nome}" do item "${produto.nome}" está esgotada no momento.` };
+                }
+                escolhidos.delete(opcao.id);
+                modificadores.push({ id: opcao.id, grupo: grupo.nome, nome: opcao.nome, preco: opcao.preco });
+            }
+        }
+
+        if (escolhidos.size > 0) {
+            return { erro: `Opção inexistente para o item "${produto.nome}".` };
+        }
+        return { modificadores };
+    }
+
+    // Monta os itens do pedido com os preços do catálogo, ignorando qualquer preço enviado pelo navegador
+    function montarItensPedido(carrinho, produtosPorId) {
+        const itens = [];
+        for (const item of carrinho) {
+            if (!item || typeof item.id !== 'string') {
+                return { erro: "Item do carrinho inválido." };
+            }
+            if (!Number.isInteger(item.quantidade) || item.quantidade < 1 || item.quantidade > QUANTIDADE_MAXIMA_POR_ITEM) {
+                return { erro: `Quantidade inválida para o item "${item.id}".` };
+            }
+
+            const produto = produtosPorId.get(item.id);
+            if (!produto) {
+                return { erro: `Produto "${item.id}" não existe no cardápio.` };
+            }
+            if (!produto.disponivel) {
+                return { erro: `O produto "${produto.nome}" está esgotado no momento.` };
+            }
+
+            const escolha = escolherModificadores(produto, item.modificadores);
+            if (escolha.erro) {
+                return { erro: escolha.erro };
+            }
+
+            // `preco` é o valor unitário já com os modificadores
+            const precoBase = parseFloat(produto.preco);
+            itens.push({
+                id: produto.id,
+                nome: produto.nome,
+                precoBase,
+                preco: arredondarValor(precoBase + escolha.modificadores.reduce((soma, opcao) => soma + opcao.preco, 0)),
+                modificadores: escolha.modificadores,
+                quantidade: item.quantidade,
+                observacao: typeof item.observacao === 'string' ? item.observacao.trim().substring(0, 200) : ""
+            });
+        }
+
+        const subtotal = arredondarValor(itens.reduce((total, item) => total + (item.preco * item.quantidade), 0));
+        return { itens, subtotal };
+    }
+
+    // Refaz os itens de um pedido antigo com o catálogo atual. Itens que saíram do cardápio,
+    // esgotaram ou cujas opções mudaram ficam de fora; mudanças de preço entram com aviso.
+    function montarCarrinhoRepetido(carrinhoAnterior, produtosPorId) {
+        const itens = [];
+        const avisos = [];
+        for (const item of carrinhoAnterior) {
+            // Brindes resgatados com pontos não se repetem
+            if (item.recompensa) continue;
+            const produto = produtosPorId.get(item.id);
+            if (!produto) {
+                avisos.push({ tipo: 'removido', nome: item.nome, mensagem: `"${item.nome}" não faz mais parte do cardápio.` });
+                continue;
+            }
+            if (!produto.disponivel) {
+                avisos.push({ tipo: 'esgotado', nome: produto.nome, mensagem: `"${produto.nome}" está esgotado no momento.` });
+                continue;
+            }
+
+            const escolha = escolherModificadores(produto, (item.modificadores || []).map(opcao => opcao.id));
+            if (escolha.erro) {
+                avisos.push({
+                    tipo: 'opcoes',
+                    nome: produto.nome,
+                    mensagem: `As opções de "${produto.nome}" mudaram. Escolha novamente pelo cardápio.`
+                });
+                continue;
+            }
+
+            const precoBase = parseFloat(produto.preco);
+            const preco = arredondarValor(precoBase + escolha.modificadores.reduce((soma, opcao) => soma + opcao.preco, 0));
+            const precoAnterior = arredondarValor(parseFloat(item.preco));
+            if (Number.isFinite(precoAnterior) && preco !== precoAnterior) {
+                avisos.push({
+                    tipo: 'preco',
+                    nome: produto.nome,
+                    precoAnterior,
+                    precoAtual: preco,
+                    mensagem: `"${produto.nome}" ${preco > precoAnterior ? 'subiu' : 'baixou'} de R$ ${precoAnterior.toFixed(2).replace('.', ',')} para R$ ${preco.toFixed(2).replace('.', ',')}.`
+                });
+            }
+            itens.push({
+                id: produto.id,
+                nome: produto.nome,
+                preco,
+                modificadores: escolha.modificadores,
+                quantidade: Math.min(item.quantidade, QUANTIDADE_MAXIMA_POR_ITEM),
+                observacao: item.observacao || ""
+            });
+        }
+        return { itens, avisos };
+    }
+
+    // --- Horário de Funcionamento ---
+    const FORMATO_HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+    const FORMATO_DATA = /^\d{4}-\d{2}-\d{2}$/;
+
+    // Exceções a partir de ontem: um horário especial de ontem pode atravessar a meia-noite
+    async function carregarHorarios(db = repositorio) {
+        const hoje = horario.partesDataHora().data;
+        const horarios = await db.listarHorarios();
+        return {
+            horarios: horarios.map(row => ({ diaSemana: row.dia_semana, abre: row.abre, fecha: row.fecha })),
+            excecoes: await db.listarExcecoes(horario.somarDias(hoje, -1))
+        };
+    }
+
+    async function consultarStatusLoja(db = repositorio) {
+        const { horarios, excecoes } = await carregarHorarios(db);
+        return horario.calcularStatusLoja(horarios, new Map(excecoes.map(excecao => [excecao.data, excecao])));
+    }
+
+    // Horários de entrega que ainda dá para agendar, com as vagas de cada um
+    async function listarHorariosAgendamento(db = repositorio) {
+        const { horarios, excecoes } = await carregarHorarios(db);
+        const agora = new Date();
+        const ate = new Date(agora.getTime() + (configuracaoAgendamento.dias + 2) * 24 * 60 * 60 * 1000);
+        const ocupados = await db.contarPedidosAgendados(agora, ate);
+        return agendamento.listarHorariosDisponiveis(configuracaoAgendamento, {
+            horarios,
+            excecoes: new Map(excecoes.map(excecao => [excecao.data, excecao])),
+            ocupacao: new Map(ocupados.map(row => [new Date(row.agendado_para).getTime(), row.total])),
+            momento: agora
+        });
+    }
+
+    // Valida a grade semanal enviada pelo painel
+    function validarHorarios(horarios) {
+        if (!Array.isArray(horarios)) {
+            return { erro: "Informe a lista de horários." };
+        }
+        for (const item of horarios) {
+            if (!item || !Number.isInteger(item.diaSemana) || item.diaSemana < 0 || item.diaSemana > 6) {
+                return { erro: "Dia da semana inválido (0 = domingo a 6 = sábado)." };
+            }
+            if (!FORMATO_HORA.test(item.abre) || !FORMATO_HORA.test(item.fecha) || item.abre === item.fecha) {
+                return { erro: "Horários devem estar no formato HH:MM, com abertura diferente do fechamento." };
+            }
+        }
+        return { horarios: horarios.map(({ diaSemana, abre, fecha }) => ({ diaSemana, abre, fecha })) };
+    }
+
+    // --- Cupons de Desconto ---
+    // Sem telefone (prévia no carrinho) as regras por cliente ficam para o checkout.
+    // Com `bloquear`, a linha do cupom fica travada até o fim da transação, para que
+    // dois pedidos simultâneos não passem do limite de usos.
+    async function aplicarCupom(codigo, { telefone = null, subtotal, taxaEntrega = null, bloquear = false }, db = repositorio) {
+        const row = await db.buscarCupom(codigo, { bloquear });
+        if (!row) {
+            return { erro: "Cupom inválido." };
+        }
+        const cupom = cupons.converterCupom(row);
+
+        // Pedidos cancelados devolvem o uso do cupom
+        const usos = await db.contarUsosCupom(codigo, telefone);
+        const pedidosDoCliente = telefone ? await db.contarPedidosDoCliente(telefone) : null;
+
+        const erro = cupons.validarCupom(cupom, {
+            subtotal,
+            usos: {
+                totais: usos.totais,
+                doCliente: telefone ? usos.doCliente : null,
+                pedidosDoCliente
+            }
+        });
+        if (erro) {
+            return { erro };
+        }
+
+        return { cupom, ...cupons.calcularDescontoCupom(cupom, { subtotal, taxaEntrega }) };
+    }
+
+    // Valida os dados de um cupom vindos do painel
+    function validarDadosCupom(dados) {
+        const { codigo, descricao, tipo, valor, pedidoMinimo, descontoMaximo, apenasPrimeiroPedido,
+                limiteTotal, limitePorCliente, validoDe, validoAte, ativo } = dados;
+        const codigoNormalizado = cupons.normalizarCodigoCupom(codigo);
+        const positivoOuNulo = (numero) => numero === undefined || numero === null || (typeof numero === 'number' && numero > 0);
+        const limiteOuNulo = (numero) => numero === undefined || numero === null || (Number.isInteger(numero) && numero > 0);
+        const data = (texto) => texto ? new Date(texto) : null;
+
+        if (!/^[A-Z0-9_-]{3,30}$/.test(codigoNormalizado)) {
+            return { erro: "O código deve ter de 3 a 30 letras, números, '-' ou '_'." };
+        }
+        if (!cupons.TIPOS_CUPOM.includes(tipo)) {
+            return { erro: `Tipo de cupom inválido. Use um destes: ${cupons.TIPOS_CUPOM.join(', ')}.` };
+        }
+        if (tipo === 'percentual' && !(typeof valor === 'number' && valor > 0 && valor <= 100)) {
+            return { erro: "O percentual deve estar entre 0 e 100." };
+        }
+        if (tipo === 'valor_fixo' && !(typeof valor === 'number' && valor > 0)) {
+            return { erro: "Informe o valor do desconto." };
+        }
+        if (pedidoMinimo !== undefined && !(typeof pedidoMinimo === 'number' && pedidoMinimo >= 0)) {
+            return { erro: "O pedido mínimo deve ser maior ou igual a zero." };
+        }
+        if (!positivoOuNulo(descontoMaximo)) {
+            return { erro: "O desconto máximo deve ser maior que zero." };
+        }
+        if (!limiteOuNulo(limiteTotal) || !limiteOuNulo(limitePorCliente)) {
+            return { erro: "Os limites de uso devem ser números inteiros maiores que zero." };
+        }
+        const inicio = data(validoDe);
+        const fim = data(validoAte);
+        if ((inicio && isNaN(inicio)) || (fim && isNaN(fim)) || (inicio && fim && fim <= inicio)) {
+            return { erro: "Período de validade inválido." };
+        }
+
+        return {
+            cupom: {
+                codigo: codigoNormalizado,
+                descricao: typeof descricao === 'string' ? descricao.trim().substring(0, 255) : null,
+                tipo,
+                valor: tipo === 'frete_gratis' ? 0 : arredondarValor(valor),
+                pedidoMinimo: arredondarValor(pedidoMinimo || 0),
+                descontoMaximo: tipo === 'percentual' && descontoMaximo ? arredondarValor(descontoMaximo) : null,
+                apenasPrimeiroPedido: apenasPrimeiroPedido === true,
+                limiteTotal: limiteTotal || null,
+                limitePorCliente: limitePorCliente || null,
+                validoDe: inicio,
+                validoAte: fim,
+                ativo: ativo !== false
+            }
+        };
+    }
+
+    // --- Fidelidade ---
+    // Saldo e recompensas que acompanham o cliente identificado (null com o programa desligado)
+    async function resumirFidelidade(telefone, db = repositorio) {
+        if (!configuracaoFidelidade) return null;
+        const saldo = await db.consultarSaldoPontos(telefone);
+        return {
+            saldo,
+            pontosPorReal: configuracaoFidelidade.pontosPorReal,
+            recompensas: fidelidade.listarRecompensas(configuracaoFidelidade, saldo)
+        };
+    }
+
+    // Credita os pontos de um pedido entregue. Retorna { pontos, saldo } ou null se nada foi creditado.
+    async function creditarPontosPedido(pedidoId, telefone, total, tx) {
+        if (!configuracaoFidelidade || !Number.isFinite(total)) return null;
+        const pontos = fidelidade.calcularPontos(configuracaoFidelidade, total);
+        if (pontos === 0) return null;
+        const creditado = await tx.registrarPontos({
+            telefone, pedidoId, tipo: 'credito', pontos, descricao: `Pedido #${pedidoId} entregue`
+        });
+        if (!creditado) return null;
+        return { pontos, saldo: await tx.consultarSaldoPontos(telefone) };
+    }
+
+    // Desfaz tudo o que o pedido movimentou (crédito e resgate), mesmo com o programa já desligado
+    async function estornarPontosPedido(pedidoId, telefone, tx) {
+        return tx.estornarPontosPedido(pedidoId, telefone, `Pedido #${pedidoId} cancelado`);
+    }
+
+    function gerarAvisoPontos(pedidoId, { pontos, saldo }) {
+        let aviso = `⭐ Você ganhou *${pontos} ponto(s)* com o pedido #${pedidoId}! Seu saldo agora é de *${saldo} ponto(s)*.`;
+        const proxima = configuracaoFidelidade.recompensas
+            .filter(recompensa => recompensa.pontos > saldo)
+            .sort((a, b) => a.pontos - b.pontos)[0];
+        const disponiveis = configuracaoFidelidade.recompensas.filter(recompensa => recompensa.pontos <= saldo);
+        if (disponiveis.length > 0) {
+            aviso += `\n\nNo próximo pedido você já pode trocar seus pontos por: ${disponiveis.map(recompensa => recompensa.nome).join(', ')}.`;
+        } else if (proxima) {
+            aviso += `\n\nFaltam ${proxima.pontos - saldo} ponto(s) para: ${proxima.nome}.`;
+        }
+        return aviso;
+    }
+
+    // --- Ciclo de Vida do Pedido ---
+    const STATUS_PEDIDO = {
+        agendado: 'Agendado',
+        recebido: 'Recebido',
+        em_preparo: 'Em preparo',
+        saiu_para_entrega: 'Saiu para entrega',
+        entregue: 'Entregue',
+        cancelado: 'Cancelado'
+    };
+
+    const TRANSICOES_STATUS = {
+        agendado: ['recebido', 'cancelado'],
+        recebido: ['em_preparo', 'cancelado'],
+        em_preparo: ['saiu_para_entrega', 'cancelado'],
+        saiu_para_entrega: ['entregue', 'cancelado'],
+        entregue: [],
+        cancelado: []
+    };
+
+    // Mensagem de WhatsApp de cada transição e a coluna que garante o envio único.
+    // Só pedidos agendados chegam a 'recebido' por uma transição: é a liberação para a cozinha.
+    const MENSAGENS_STATUS = {
+        recebido: {
+            coluna: 'mensagem_liberacao_enviada',
+            texto: (pedidoId, pedido) => `✅ *Doka Burger* - Seu pedido agendado #${pedidoId} foi confirmado e já foi para a cozinha! 🍔⏳\n\nEntrega prevista para ${agendamento.descreverAgendamento(pedido.agendado_para)}.`
+        },
+        em_preparo: {
+            coluna: 'mensagem_confirmacao_enviada',
+            texto: (pedidoId) => `✅ *Doka Burger* - Seu pedido #${pedidoId} foi confirmado e já está indo para chapa! 🍔⏳\n\nTempo de Entrega 35 a 40 min!`
+        },
+        saiu_para_entrega: {
+            coluna: 'mensagem_entrega_enviada',
+            texto: (pedidoId) => `🚚 *Doka Burger* - Seu pedido #${pedidoId} saiu para entrega! Deve chegar em instantes!\n\n entre 10 a 15 min se já chegou desconsidere a mensagem.`
+        },
+        cancelado: {
+            coluna: 'mensagem_cancelamento_enviada',
+            texto: (pedidoId) => `❌ *Doka Burger* - Seu pedido #${pedidoId} foi cancelado. Se tiver alguma dúvida, é só responder esta mensagem.`
+        }
+    };
+
+    // `somenteDe` restringe a mudança a um ou mais status de origem (o cliente só cancela pedidos ainda não preparados),
+    // `somenteComPagamento` a uma situação do pagamento online (o PIX expirado só cancela se ainda estiver pendente)
+    // e `codigoEntrega` é o código que o cliente informa ao receber, exigido para marcar o pedido como entregue
+    async function alterarStatusPedido(pedidoId, novoStatus, alteradoPor, { somenteDe = null, somenteComPagamento = null, codigoEntrega = null } = {}) {
+        const resultado = await repositorio.transacao(async (tx) => {
+            const pedido = await tx.buscarPedido(pedidoId, { bloquear: true });
+            if (!pedido) {
+                return { httpStatus: 404, erro: `Pedido #${pedidoId} não encontrado.` };
+            }
+            if (somenteComPagamento && pedido.pagamento_status !== somenteComPagamento) {
+                return { httpStatus: 409, erro: `O pagamento do pedido #${pedidoId} não está mais ${somenteComPagamento}.` };
+            }
+            if (!TRANSICOES_STATUS[pedido.status].includes(novoStatus) || (somenteDe && ![].concat(somenteDe).includes(pedido.status))) {
+                return {
+                    httpStatus: 409,
+                    erro: `Não é possível mudar o pedido #${pedidoId} de "${STATUS_PEDIDO[pedido.status]}" para "${STATUS_PEDIDO[novoStatus]}".`
+                };
+            }
+            // Pedidos anteriores ao código sorteado não têm o que conferir
+            if (novoStatus === 'entregue' && pedido.codigo_entrega && String(codigoEntrega || '').trim() !== pedido.codigo_entrega) {
+                return {
+                    httpStatus: 422,
+                    erro: codigoEntrega
+                        ? `Código de entrega incorreto para o pedido #${pedidoId}.`
+                        : `Informe o código de entrega do pedido #${pedidoId}, que o cliente recebeu no WhatsApp.`
+                };
+            }
+
+            // Um pedido cancelado deixa de esperar o PIX; se o pagamento chegar depois, o webhook avisa a equipe
+            const { pagamento_status: pagamentoStatus } = await tx.atualizarStatusPedido(pedidoId, novoStatus);
+            await tx.registrarHistoricoStatus(pedidoId, { de: pedido.status, para: novoStatus, alteradoPor });
+
+            // A guarda e a fila são gravadas na mesma transação: a mensagem entra na fila uma única vez
+            const configMensagem = MENSAGENS_STATUS[novoStatus];
+            if (configMensagem && await tx.marcarMensagemPedido(pedidoId, configMensagem.coluna)) {
+                await fila.enfileirar({
+                    pedidoId,
+                    destinatario: `${pedido.cliente_telefone}@c.us`,
+                    tipo: novoStatus,
+                    conteudo: configMensagem.texto(pedidoId, pedido)
+                }, tx);
+            }
+
+            // Pontos de fidelidade: creditados na entrega e devolvidos no cancelamento
+            if (novoStatus === 'entregue') {
+                const credito = await creditarPontosPedido(pedidoId, pedido.cliente_telefone, pedido.dados_pedido.total, tx);
+                if (credito) {
+                    await fila.enfileirar({
+                        pedidoId,
+                        destinatario: `${pedido.cliente_telefone}@c.us`,
+                        tipo: 'fidelidade',
+                        conteudo: gerarAvisoPontos(pedidoId, credito)
+                    }, tx);
+                }
+            } else if (novoStatus === 'cancelado') {
+                const estornados = await estornarPontosPedido(pedidoId, pedido.cliente_telefone, tx);
+                if (estornados !== 0) {
+                    logger.info(`Pedido #${pedidoId}: estorno de ${estornados} ponto(s) de fidelidade.`);
+                }
+            }
+
+            return { statusAnterior: pedido.status, pagamentoStatus };
+        });
+        if (resultado.erro) return resultado;
+
+        logger.info(`Pedido #${pedidoId}: ${resultado.statusAnterior} → ${novoStatus} (por ${alteradoPor}).`);
+        eventosAdmin.emitir('pedido-atualizado', {
+            id: pedidoId,
+            status: novoStatus,
+            statusDescricao: STATUS_PEDIDO[novoStatus],
+            proximosStatus: TRANSICOES_STATUS[novoStatus],
+            pagamentoStatus: resultado.pagamentoStatus
+        });
+        notificarAcompanhamento(pedidoId);
+        fila.processar();
+
+        return { pedido: { id: pedidoId, status: novoStatus } };
+    }
+
+    // --- Pagamento por PIX ---
+    // Registra o pagamento avisado pelo provedor. Avisos repetidos do mesmo pagamento são ignorados.
+    async function confirmarPagamentoPix({ pedidoId, valor, endToEndId }) {
+        const resultado = await repositorio.transacao(async (tx) => {
+            const pedido = await tx.buscarPedido(pedidoId, { bloquear: true });
+            if (!pedido || pedido.pagamento_status === null) {
+                return { erro: `Pedido #${pedidoId} não encontrado ou sem PIX online.` };
+            }
+            if (pedido.pagamento_status === 'pago') {
+                return { duplicado: true };
+            }
+            if (valor + 0.005 < pedido.dados_pedido.total) {
+                return { erro: `PIX de R$ ${valor.toFixed(2)} menor que o total do pedido #${pedidoId} (R$ ${pedido.dados_pedido.total.toFixed(2)}).` };
+            }
+
+            await tx.confirmarPagamentoPedido(pedidoId, endToEndId);
+            if (pedido.status !== 'cancelado') {
+                await fila.enfileirar({
+                    pedidoId,
+                    destinatario: `${pedido.cliente_telefone}@c.us`,
+                    tipo: 'pagamento',
+                    conteudo: pedido.status === 'agendado'
+                        ? `✅ *Doka Burger* - Recebemos o PIX do pedido #${pedidoId}. Obrigado! Ele vai para a cozinha perto do horário agendado. 🍔`
+                        : `✅ *Doka Burger* - Recebemos o PIX do pedido #${pedidoId}. Obrigado! Seu pedido já foi para a cozinha. 🍔`
+                }, tx);
+            }
+            return { pedido };
+        });
+        if (!resultado.pedido) return resultado;
+
+        const { pedido } = resultado;
+        eventosAdmin.emitir('pedido-atualizado', { id: pedidoId, pagamentoStatus: 'pago' });
+        notificarAcompanhamento(pedidoId);
+        if (pedido.status === 'cancelado') {
+            logger.error(`⚠️ PIX recebido para o pedido #${pedidoId}, que já estava cancelado. Devolva o valor ao cliente.`);
+            return { pedido };
+        }
+
+        logger.info(`💠 PIX do pedido #${pedidoId} confirmado.`);
+        fila.processar();
+        // Pedidos agendados são impressos quando forem liberados para a cozinha
+        if (pedido.status === 'agendado') return { pedido };
+        impressoraCozinha.imprimirPedido(pedido.dados_pedido, { pedidoId, criadoEm: pedido.criado_em })
+            .catch(error => logger.error(`❌ Falha ao imprimir o pedido #${pedidoId}: ${error.message}`));
+        return { pedido };
+    }
+
+    // Cancela os pedidos cujo PIX não foi pago dentro do prazo
+    async function cancelarPixExpirados() {
+        for (const id of await repositorio.listarPedidosComPixExpirado()) {
+            const { erro } = await alterarStatusPedido(id, 'cancelado', 'PIX expirado', {
+                somenteDe: ['recebido', 'agendado'],
+                somenteComPagamento: 'pendente'
+            });
+            if (!erro) logger.info(`Pedido #${id} cancelado: o PIX não foi pago no prazo.`);
+        }
+    }
+
+    // --- Pedidos Agendados ---
+    // Manda para a cozinha os pedidos cuja entrega está a menos da antecedência configurada.
+    // A fila sai do banco, então o que venceu com o servidor parado é liberado assim que ele volta.
+    async function liberarPedidosAgendados() {
+        const antecedenciaMinutos = configuracaoAgendamento ? configuracaoAgendamento.antecedenciaMinutos : 0;
+        const ate = new Date(Date.now() + antecedenciaMinutos * 60 * 1000);
+        for (const id of await repositorio.listarPedidosAgendadosParaLiberar(ate)) {
+            const { erro } = await alterarStatusPedido(id, 'recebido', 'agendamento', { somenteDe: 'agendado' });
+            if (erro) continue;
+
+            // Com o PIX online ainda pendente, a impressão espera o pagamento, como nos outros pedidos
+            const pedido = await repositorio.buscarPedido(id);
+            if (pedido.pagamento_status !== 'pendente') {
+                impressoraCozinha.imprimirPedido(pedido.dados_pedido, { pedidoId: id, criadoEm: pedido.criado_em })
+                    .catch(error => logger.error(`❌ Falha ao imprimir o pedido #${id}: ${error.message}`));
+            }
+        }
+    }
+
+    // --- Autenticação do Painel ---
+    const COOKIE_SESSAO_ADMIN = 'doka_sessao';
+    const DURACAO_SESSAO_ADMIN_MS = 12 * 60 * 60 * 1000; // 12 horas
+    const PAPEIS_USUARIO = ['admin', 'cozinha'];
+
+    // Exige um usuário logado com um dos papéis informados (ou qualquer papel se nenhum for informado)
+    function exigirUsuario(...papeis) {
+        return async (req, res, next) => {
+            try {
+                const token = autenticacao.extrairToken(req, COOKIE_SESSAO_ADMIN);
+                if (!token) {
+                    return res.status(401).json({ success: false, message: "Não autorizado." });
+                }
+
+                const usuario = await repositorio.buscarUsuarioDaSessao(autenticacao.hashToken(token));
+                if (!usuario) {
+                    return res.status(401).json({ success: false, message: "Sessão expirada. Faça login novamente." });
+                }
+
+                req.usuario = usuario;
+                if (papeis.length > 0 && !papeis.includes(req.usuario.papel)) {
+                    return res.status(403).json({ success: false, message: "Você não tem permissão para esta ação." });
+                }
+                next();
+            } catch (error) {
+                logger.error(`❌ Erro ao validar sessão do painel: ${error.message}`);
+                res.status(500).json({ success: false, message: "Erro interno no servidor." });
+            }
+        };
+    }
+
+    // --- Verificação do Cliente por WhatsApp ---
+    const VALIDADE_CODIGO_MS = 5 * 60 * 1000; // 5 minutos
+    const JANELA_ENVIO_CODIGOS_MS = 15 * 60 * 1000; // 15 minutos
+    const MAX_CODIGOS_POR_JANELA = 3;
+    const MAX_TENTATIVAS_CODIGO = 5;
+    const DURACAO_SESSAO_CLIENTE_MS = 30 * 24 * 60 * 60 * 1000; // 30 dias
+
+    function hashCodigoVerificacao(telefone, codigo) {
+        return autenticacao.hashToken(`${telefone}:${codigo}`);
+    }
+
+    // Retorna o telefone da sessão do cliente (cabeçalho "Authorization: Bearer <token>") ou null
+    async function obterTelefoneVerificado(req) {
+        const [tipo, token] = (req.get('authorization') || '').split(' ');
+        if (tipo !== 'Bearer' || !token) return null;
+
+        return repositorio.buscarTelefoneDaSessao(autenticacao.hashToken(token));
+    }
+
+    // Exige a sessão de um cliente que confirmou o número pelo WhatsApp
+    async function exigirCliente(req, res, next) {
+        try {
+            req.telefoneCliente = await obterTelefoneVerificado(req);
+        } catch (error) {
+            logger.error(`❌ Erro ao validar sessão do cliente: ${error.message}`);
+            return res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+        if (!req.telefoneCliente) {
+            return res.status(401).json({ success: false, message: "Confirme seu WhatsApp para continuar." });
+        }
+        next();
+    }
+
+    function montarResumoPedido(row) {
+        const dados = row.dados_pedido;
+        return {
+            id: row.id,
+            status: row.status,
+            statusDescricao: STATUS_PEDIDO[row.status],
+            proximosStatus: TRANSICOES_STATUS[row.status],
+            criadoEm: row.criado_em,
+            agendadoPara: row.agendado_para || null,
+            total: dados.total,
+            pagamento: dados.pagamento,
+            pagamentoStatus: row.pagamento_status || null,
+            quantidadeItens: dados.carrinho.reduce((total, item) => total + item.quantidade, 0),
+            cliente: {
+                nome: row.nome,
+                telefone: row.cliente_telefone,
+                endereco: dados.cliente.endereco
+            }
+        };
+    }
+
+    // --- Acompanhamento do Pedido ---
+    // Previsão de entrega contada a partir de quando o pedido entrou em cada status, em minutos
+    const PREVISAO_ENTREGA_MINUTOS = {
+        recebido: [40, 50],
+        em_preparo: [35, 40],
+        saiu_para_entrega: [10, 15]
+    };
+
+    function somarMinutos(momento, minutos) {
+        return new Date(new Date(momento).getTime() + minutos * 60 * 1000);
+    }
+
+    // O que a página pública mostra: sem telefone nem endereço, só o que o cliente precisa acompanhar
+    function montarAcompanhamento(row, historico) {
+        const dados = row.dados_pedido;
+        const inicioStatus = historico.length > 0 ? historico[historico.length - 1].criado_em : row.criado_em;
+
+        let previsaoEntrega = null;
+        const intervalo = PREVISAO_ENTREGA_MINUTOS[row.status];
+        if (row.agendado_para && ['agendado', 'recebido', 'em_preparo'].includes(row.status)) {
+            previsaoEntrega = { de: row.agendado_para, ate: row.agendado_para };
+        } else if (intervalo) {
+            previsaoEntrega = { de: somarMinutos(inicioStatus, intervalo[0]), ate: somarMinutos(inicioStatus, intervalo[1]) };
+        }
+
+        return {
+            id: row.id,
+            status: row.status,
+            statusDescricao: STATUS_PEDIDO[row.status],
+            criadoEm: row.criado_em,
+            agendadoPara: row.agendado_para || null,
+            previsaoEntrega,
+            itens: dados.carrinho.map(item => ({
+                nome: item.nome,
+                quantidade: item.quantidade,
+                preco: item.preco,
+                modificadores: (item.modificadores || []).map(opcao => opcao.nome),
+                observacao: item.observacao || null
+            })),
+            subtotal: dados.subtotal,
+            taxaEntrega: dados.taxaEntrega,
+            descontos: (dados.descontos || []).map(({ descricao, valor }) => ({ descricao, valor })),
+            total: dados.total,
+            pagamento: dados.pagamento,
+            pagamentoStatus: row.pagamento_status || null,
+            codigoEntrega: row.codigo_entrega || null,
+            linhaDoTempo: historico.map(mudanca => ({
+                status: mudanca.status_novo,
+                descricao: STATUS_PEDIDO[mudanca.status_novo],
+                em: mudanca.criado_em
+            }))
+        };
+    }
+
+    async function carregarAcompanhamento(pedidoId) {
+        const row = await repositorio.buscarPedido(pedidoId);
+        return row ? montarAcompanhamento(row, await repositorio.listarHistoricoStatus(pedidoId)) : null;
+    }
+
+    // Manda a situação nova para quem está com a página do pedido aberta
+    function notificarAcompanhamento(pedidoId) {
+        if (eventosAcompanhamento.totalConexoes === 0) return;
+        carregarAcompanhamento(pedidoId)
+            .then(acompanhamento => eventosAcompanhamento.emitir('pedido', acompanhamento, pedidoId))
+            .catch(error => logger.error(`❌ Erro ao atualizar o acompanhamento do pedido #${pedidoId}: ${error.message}`));
+    }
+
+    // Caminho da página de acompanhamento. O link completo do cupom só sai com URL_SITE:
+    // montá-lo com Host/X-Forwarded-* deixaria qualquer um mandar, pelo número da loja,
+    // um link para outro site a um telefone qualquer.
+    function caminhoAcompanhamento(token) {
+        return `/pedido/${token}`;
+    }
+
+    function urlAcompanhamento(token) {
+        return env.URL_SITE ? `${env.URL_SITE.replace(/\/+$/, '')}${caminhoAcompanhamento(token)}` : null;
+    }
+
+    // --- Atendimento Automático ---
+    const atendimento = new AtendimentoWhatsApp({
+        repositorio,
+        fila,
+        logger,
+        eventos: eventosAdmin,
+        normalizarTelefone,
+        consultarStatusLoja: () => consultarStatusLoja(),
+        cancelarPedido: (pedidoId, alteradoPor) => alterarStatusPedido(pedidoId, 'cancelado', alteradoPor, { somenteDe: ['recebido', 'agendado'] }),
+        statusPedido: STATUS_PEDIDO,
+        urlSite: env.URL_SITE || null
+    });
+
+    // --- Eventos do WhatsApp ---
+    client.on('auth_failure', () => {
+        whatsappStatus = 'disconnected';
+    });
+
+    client.on('ready', () => { 
+        whatsappStatus = 'ready';
+        logger.info('✅ 🤖 Cliente WhatsApp conectado e pronto para automação!');
+        fila.processar();
+    });
+
+    client.on('message', msg => atendimento.tratarMensagem(msg));
+
+    client.on('disconnected', (reason) => { 
+        whatsappStatus = 'disconnected'; 
+        logger.error(`WhatsApp desconectado: ${reason}`); 
+    });
+
+    // --- Rotas da API ---
+
+    app.get('/health', (req, res) => {
+        res.json({
+            whatsapp: whatsappStatus,
+            database_connections: repositorio.conexoesAbertas,
+            uptime_seconds: process.uptime()
+        });
+    });
+
+    // Produtos com os grupos de modificadores; o site só mostra os disponíveis, o painel mostra todos
+    async function carregarCardapio({ incluirEsgotados = false } = {}) {
+        // O driver do Postgres devolve NUMERIC como string
+        const produtos = (await repositorio.listarProdutos())
+            .filter(produto => incluirEsgotados || produto.disponivel)
+            .map(produto => ({
+                ...produto,
+                preco: parseFloat(produto.preco),
+                preco_antigo: produto.preco_antigo !== null ? parseFloat(produto.preco_antigo) : null
+            }));
+
+        const gruposPorProduto = await carregarGruposModificadores(produtos.map(produto => produto.id));
+        produtos.forEach(produto => { produto.modificadores = gruposPorProduto.get(produto.id) || []; });
+
+        // Categorias na ordem em que aparecem no cardápio
+        const categorias = [...new Set(produtos.map(produto => produto.categoria))];
+        return { categorias, produtos };
+    }
+
+    app.get('/api/cardapio', async (req, res) => {
+        try {
+            const { categorias, produtos } = await carregarCardapio();
+            res.json({ success: true, categorias, produtos });
+        } catch (error) {
+            logger.error(`❌ Erro ao carregar o cardápio: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao carregar o cardápio." });
+        }
+    });
+
+    app.post('/api/taxa-entrega', async (req, res) => {
+        const endereco = lerEnderecoEntrega(req.body);
+        if (!endereco.bairro && !endereco.cep && endereco.latitude === null) {
+            return res.status(400).json({ success: false, message: "Informe o bairro, o CEP ou a localização da entrega." });
+        }
+
+        try {
+            const cotacao = await cotarEntrega(endereco);
+            if (cotacao.erro) {
+                return res.status(422).json({ success: false, atende: false, message: cotacao.erro });
+            }
+            res.json({ success: true, atende: true, zona: cotacao.zona, taxa: cotacao.taxa, pedidoMinimo: cotacao.pedidoMinimo });
+        } catch (error) {
+            logger.error(`❌ Erro ao cotar taxa de entrega: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao calcular a taxa de entrega." });
+        }
+    });
+
+    app.get('/api/status-loja', async (req, res) => {
+        try {
+            const status = await consultarStatusLoja();
+            res.json({ success: true, ...status });
+        } catch (error) {
+            logger.error(`❌ Erro ao consultar o horário de funcionamento: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // Horários de entrega para agendar o pedido, separados por dia (vagas 0 = esgotado)
+    app.get('/api/agendamento/horarios', async (req, res) => {
+        if (!configuracaoAgendamento) {
+            return res.json({ success: true, habilitado: false, dias: [] });
+        }
+        try {
+            const disponiveis = await listarHorariosAgendamento();
+            res.json({ success: true, habilitado: true, dias: agendamento.agruparPorDia(disponiveis) });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar os horários de agendamento: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // Prévia do desconto no carrinho; o pedido revalida o cupom com o telefone do cliente
+    app.post('/api/cupom/validar', async (req, res) => {
+        const { codigo, carrinho, cliente } = req.body;
+        const codigoCupom = cupons.normalizarCodigoCupom(codigo);
+        if (!codigoCupom) {
+            return res.status(400).json({ success: false, message: "Informe o código do cupom." });
+        }
+        if (!Array.isArray(carrinho) || carrinho.length === 0) {
+            return res.status(400).json({ success: false, message: "Adicione itens ao carrinho antes de usar um cupom." });
+        }
+
+        try {
+            const produtosPorId = await carregarProdutosDoCarrinho(carrinho);
+            const { erro, subtotal } = montarItensPedido(carrinho, produtosPorId);
+            if (erro) {
+                return res.status(400).json({ success: false, message: erro });
+            }
+
+            // Taxa e regras por cliente só entram quando já se sabe o endereço e o telefone (verificado)
+            let taxaEntrega = null;
+            const endereco = lerEnderecoEntrega(cliente || {});
+            if (endereco.bairro || endereco.cep || endereco.latitude !== null) {
+                const cotacao = await cotarEntrega(endereco);
+                if (!cotacao.erro) taxaEntrega = cotacao.taxa;
+            }
+            const telefone = await obterTelefoneVerificado(req);
+
+            const resultado = await aplicarCupom(codigoCupom, { telefone, subtotal, taxaEntrega });
+            if (resultado.erro) {
+                return res.status(422).json({ success: false, message: resultado.erro });
+            }
+
+            const { cupom } = resultado;
+            res.json({
+                success: true,
+                cupom: {
+                    codigo: cupom.codigo,
+                    descricao: cupons.descreverCupom(cupom),
+                    tipo: cupom.tipo,
+                    valor: cupom.valor,
+                    descontoMaximo: cupom.descontoMaximo,
+                    pedidoMinimo: cupom.pedidoMinimo
+                },
+                subtotal,
+                desconto: resultado.descontoItens,
+                descontoEntrega: resultado.descontoEntrega
+            });
+        } catch (error) {
+            logger.error(`❌ Erro ao validar cupom "${codigoCupom}": ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao validar o cupom." });
+        }
+    });
+
+    app.get('/api/bairros-atendidos', async (req, res) => {
+        try {
+            res.json({ success: true, bairros: await repositorio.listarBairrosAtendidos() });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar bairros atendidos: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.post('/api/verificacao/enviar', async (req, res) => {
+        const telefoneNormalizado = normalizarTelefone(req.body.telefone);
+        if (!telefoneNormalizado || telefoneNormalizado.length !== 12) {
+            return res.status(400).json({ success: false, message: "Formato de número de telefone inválido." });
+        }
+
+        if (whatsappStatus !== 'ready') {
+            return res.status(503).json({
+                success: false,
+                message: "Não foi possível enviar o código agora. Tente novamente em instantes."
+            });
+        }
+
+        try {
+            const recentes = await repositorio.contarCodigosRecentes(telefoneNormalizado, JANELA_ENVIO_CODIGOS_MS);
+            if (recentes >= MAX_CODIGOS_POR_JANELA) {
+                return res.status(429).json({
+                    success: false,
+                    message: "Muitos códigos solicitados para este número. Aguarde alguns minutos e tente novamente."
+                });
+            }
+
+            const codigo = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+            // Um novo código invalida os anteriores
+            await repositorio.registrarCodigoVerificacao({
+                telefone: telefoneNormalizado,
+                codigoHash: hashCodigoVerificacao(telefoneNormalizado, codigo),
+                validadeMs: VALIDADE_CODIGO_MS
+            });
+
+            await fila.enfileirar({
+                destinatario: `${telefoneNormalizado}@c.us`,
+                tipo: 'verificacao',
+                conteudo: `🔐 *Doka Burger* - Seu código de verificação é *${codigo}*.\n\nEle vale por 5 minutos. Não compartilhe com ninguém.`
+            });
+            fila.processar();
+
+            logger.info(`Código de verificação enviado para ${telefoneNormalizado}`);
+            res.json({ success: true, expiraEmSegundos: VALIDADE_CODIGO_MS / 1000 });
+        } catch (error) {
+            logger.error(`❌ Erro ao enviar código de verificação para ${telefoneNormalizado}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.post('/api/verificacao/confirmar', async (req, res) => {
+        const telefoneNormalizado = normalizarTelefone(req.body.telefone);
+        const codigo = typeof req.body.codigo === 'string' ? req.body.codigo.replace(/\D/g, '') : '';
+
+        if (!telefoneNormalizado || codigo.length !== 6) {
+            return res.status(400).json({ success: false, message: "Informe o telefone e o código de 6 dígitos." });
+        }
+
+        try {
+            const registro = await repositorio.buscarCodigoValido(telefoneNormalizado);
+            if (!registro) {
+                return res.status(400).json({ success: false, message: "Código expirado. Solicite um novo código." });
+            }
+
+            // A tentativa é contada antes da comparação, junto com a conferência do limite
+            const tentativas = await repositorio.registrarTentativaCodigo(registro.id, MAX_TENTATIVAS_CODIGO);
+            if (tentativas === null) {
+                return res.status(429).json({ success: false, message: "Muitas tentativas incorretas. Solicite um novo código." });
+            }
+
+            const esperado = Buffer.from(registro.codigo_hash);
+            const recebido = Buffer.from(hashCodigoVerificacao(telefoneNormalizado, codigo));
+            if (!crypto.timingSafeEqual(esperado, recebido)) {
+                const restantes = MAX_TENTATIVAS_CODIGO - tentativas;
+                return res.status(400).json({
+                    success: false,
+                    message: restantes > 0
+                        ? `Código incorreto. Você ainda tem ${restantes} tentativa(s).`
+                        : "Código incorreto. Solicite um novo código."
+                });
+            }
+
+            await repositorio.marcarCodigoUsado(registro.id);
+
+            const token = autenticacao.gerarToken();
+            const expiraEm = await repositorio.criarSessaoCliente({
+                tokenHash: autenticacao.hashToken(token),
+                telefone: telefoneNormalizado,
+                duracaoMs: DURACAO_SESSAO_CLIENTE_MS
+            });
+
+            logger.info(`Telefone ${telefoneNormalizado} verificado com sucesso.`);
+            res.json({ success: true, token, expiraEm });
+        } catch (error) {
+            logger.error(`❌ Erro ao confirmar código de ${telefoneNormalizado}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.post('/api/identificar-cliente', async (req, res) => {
+        const { telefone } = req.body;
+        const telefoneNormalizado = normalizarTelefone(telefone);
+
+        if (!telefoneNormalizado) {
+            return res.status(400).json({ 
+                success: false, 
+                message: "Formato de número de telefone inválido. Use DDD + número (10 ou 11 dígitos)" 
+            });
+        }
+
+        // Verificação adicional de comprimento
+        if (telefoneNormalizado.length !== 12) {
+            return res.status(400).json({
+                success: false,
+                message: "Número inválido após normalização. Por favor, verifique o formato."
+            });
+        }
+
+        try {
+            // Com o WhatsApp reconectando, a verificação da conta é pulada para não bloquear o pedido
+            if (whatsappStatus === 'ready') {
+                const numeroParaApi = `${telefoneNormalizado}@c.us`;
+                const isRegistered = await client.isRegisteredUser(numeroParaApi);
+                if (!isRegistered) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        message: "Este número não possui uma conta de WhatsApp ativa." 
+                    });
+                }
+            } else {
+                logger.info(`WhatsApp indisponível (${whatsappStatus}); verificação de conta ignorada para ${telefoneNormalizado}.`);
+            }
+
+            // Nome e endereço salvos só são devolvidos para quem confirmou o código do WhatsApp
+            const telefoneVerificado = await obterTelefoneVerificado(req);
+            if (telefoneVerificado !== telefoneNormalizado) {
+                return res.json({ success: true, verificado: false, cliente: { telefone: telefoneNormalizado } });
+            }
+
+            const clienteEncontrado = await repositorio.buscarCliente(telefoneNormalizado);
+
+            if (clienteEncontrado) {
+                logger.info(`Cliente encontrado no DB: ${clienteEncontrado.nome}`);
+                const enderecos = await listarEnderecos(telefoneNormalizado);
+                const pontos = await resumirFidelidade(telefoneNormalizado);
+                res.json({ success: true, verificado: true, isNew: false, cliente: { ...clienteEncontrado, enderecos, fidelidade: pontos } });
+            } else {
+                logger.info(`Cliente novo. Telefone validado: ${telefoneNormalizado}`);
+                res.json({
+                    success: true,
+                    verificado: true,
+                    isNew: true,
+                    cliente: { telefone: telefoneNormalizado, enderecos: [], fidelidade: await resumirFidelidade(telefoneNormalizado) }
+                });
+            }
+        } catch (error) {
+            logger.error(`❌ Erro no processo de identificação: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // --- Endereços Salvos do Cliente ---
+    app.get('/api/enderecos', exigirCliente, async (req, res) => {
+        try {
+            res.json({ success: true, enderecos: await listarEnderecos(req.telefoneCliente) });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar endereços de ${req.telefoneCliente}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao listar os endereços." });
+        }
+    });
+
+    app.post('/api/enderecos', exigirCliente, async (req, res) => {
+        const { erro, endereco } = validarEndereco(req.body);
+        if (erro) {
+            return res.status(400).json({ success: false, message: erro });
+        }
+
+        try {
+            if (!await repositorio.buscarCliente(req.telefoneCliente)) {
+                return res.status(404).json({ success: false, message: "Faça seu primeiro pedido para salvar endereços." });
+            }
+
+            const enderecoSalvo = await repositorio.salvarEndereco(req.telefoneCliente, endereco, { padrao: req.body.padrao === true });
+            res.status(201).json({ success: true, endereco: converterEndereco(enderecoSalvo) });
+        } catch (error) {
+            logger.error(`❌ Erro ao salvar endereço de ${req.telefoneCliente}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao salvar o endereço." });
+        }
+    });
+
+    app.put('/api/enderecos/:id', exigirCliente, async (req, res) => {
+        const enderecoId = parseInt(req.params.id, 10);
+        if (!Number.isInteger(enderecoId) || enderecoId <= 0) {
+            return res.status(400).json({ success: false, message: "Endereço inválido." });
+        }
+        const { erro, endereco } = validarEndereco(req.body);
+        if (erro) {
+            return res.status(400).json({ success: false, message: erro });
+        }
+
+        try {
+            const enderecoAtualizado = await repositorio.atualizarEndereco(req.telefoneCliente, enderecoId, endereco, {
+                padrao: req.body.padrao === true
+            });
+            if (!enderecoAtualizado) {
+                return res.status(404).json({ success: false, message: "Endereço não encontrado." });
+            }
+            res.json({ success: true, endereco: converterEndereco(enderecoAtualizado) });
+        } catch (error) {
+            logger.error(`❌ Erro ao atualizar endereço #${enderecoId}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao atualizar o endereço." });
+        }
+    });
+
+    // Apagar o endereço padrão promove o endereço usado mais recentemente
+    app.delete('/api/enderecos/:id', exigirCliente, async (req, res) => {
+        const enderecoId = parseInt(req.params.id, 10);
+        if (!Number.isInteger(enderecoId) || enderecoId <= 0) {
+            return res.status(400).json({ success: false, message: "Endereço inválido." });
+        }
+
+        try {
+            if (!await repositorio.removerEndereco(req.telefoneCliente, enderecoId)) {
+                return res.status(404).json({ success: false, message: "Endereço não encontrado." });
+            }
+            res.json({ success: true, enderecos: await listarEnderecos(req.telefoneCliente) });
+        } catch (error) {
+            logger.error(`❌ Erro ao remover endereço #${enderecoId}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao remover o endereço." });
+        }
+    });
+
+    // "Pedir novamente": devolve o carrinho de um pedido anterior com preços e disponibilidade atuais
+    app.post('/api/pedidos/:id/pedir-novamente', exigirCliente, async (req, res) => {
+        const pedidoId = parseInt(req.params.id, 10);
+        if (!Number.isInteger(pedidoId) || pedidoId <= 0) {
+            return res.status(400).json({ success: false, message: "Pedido inválido." });
+        }
+
+        try {
+            const pedido = await repositorio.buscarPedido(pedidoId, { telefone: req.telefoneCliente });
+            if (!pedido) {
+                return res.status(404).json({ success: false, message: "Pedido não encontrado." });
+            }
+
+            const carrinhoAnterior = pedido.dados_pedido.carrinho || [];
+            const produtosPorId = await carregarProdutosDoCarrinho(carrinhoAnterior);
+            const { itens, avisos } = montarCarrinhoRepetido(carrinhoAnterior, produtosPorId);
+            logger.info(`Pedido #${pedidoId} repetido por ${req.telefoneCliente}: ${itens.length} item(ns), ${avisos.length} aviso(s).`);
+            res.json({ success: true, carrinho: itens, avisos });
+        } catch (error) {
+            logger.error(`❌ Erro ao repetir o pedido #${pedidoId}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao repetir o pedido." });
+        }
+    });
+
+    app.post('/api/criar-pedido', async (req, res) => {
+        const { cliente, carrinho, pagamento, troco, cupom, recompensa: idRecompensa, agendadoPara: horarioAgendado } = req.body;
+        const codigoCupom = cupons.normalizarCodigoCupom(cupom);
+
+        if (!cliente || !Array.isArray(carrinho) || carrinho.length === 0 || !pagamento) {
+            return res.status(400).json({ success: false, message: "Dados do pedido inválidos." });
+        }
+
+        if (typeof cliente.nome !== 'string' || !cliente.nome.trim()) {
+            return res.status(400).json({ success: false, message: "Informe seu nome." });
+        }
+
+        const telefoneNormalizado = normalizarTelefone(cliente.telefone);
+        if (!telefoneNormalizado) {
+            return res.status(400).json({ success: false, message: "Dados do pedido inválidos." });
+        }
+
+        // Verificação adicional de comprimento
+        if (telefoneNormalizado.length !== 12) {
+            return res.status(400).json({
+                success: false,
+                message: "Número de telefone inválido após normalização. Por favor, verifique o formato."
+            });
+        }
+
+        if (!FORMAS_PAGAMENTO.includes(pagamento)) {
+            return res.status(400).json({ success: false, message: "Forma de pagamento inválida." });
+        }
+
+        let recompensa = null;
+        if (idRecompensa !== undefined && idRecompensa !== null && idRecompensa !== '') {
+            recompensa = configuracaoFidelidade ? fidelidade.encontrarRecompensa(configuracaoFidelidade, idRecompensa) : null;
+            if (!recompensa) {
+                return res.status(400).json({ success: false, message: "Recompensa de fidelidade inválida." });
+            }
+        }
+
+        // Horário de entrega escolhido no "Agendar para"; as vagas são conferidas na transação
+        let agendadoPara = null;
+        if (horarioAgendado !== undefined && horarioAgendado !== null && horarioAgendado !== '') {
+            if (!configuracaoAgendamento) {
+                return res.status(400).json({ success: false, message: "No momento não estamos aceitando pedidos agendados." });
+            }
+            const momentoAgendado = new Date(horarioAgendado);
+            if (typeof horarioAgendado !== 'string' || isNaN(momentoAgendado)) {
+                return res.status(400).json({ success: false, message: "Horário de entrega inválido." });
+            }
+            agendadoPara = momentoAgendado.toISOString();
+        }
+
+        const numeroClienteParaApi = `${telefoneNormalizado}@c.us`;
+        try {
+            // Com a loja fechada ainda dá para agendar para um horário do expediente
+            const statusLoja = await consultarStatusLoja();
+            if (!statusLoja.aberta && !agendadoPara) {
+                return res.status(409).json({ success: false, message: `${statusLoja.mensagem}.`, statusLoja });
+            }
+
+            // Preços vêm sempre do catálogo, nunca do navegador
+            const produtosPorId = await carregarProdutosDoCarrinho(carrinho);
+            const { erro, itens, subtotal } = montarItensPedido(carrinho, produtosPorId);
+            if (erro) {
+                return res.status(400).json({ success: false, message: erro });
+            }
+
+            // Endereço salvo (só para quem confirmou o número) ou um endereço novo digitado no checkout
+            const clienteVerificado = await obterTelefoneVerificado(req) === telefoneNormalizado;
+            let endereco;
+            if (cliente.enderecoId !== undefined && cliente.enderecoId !== null) {
+                if (!clienteVerificado) {
+                    return res.status(401).json({ success: false, message: "Confirme seu número pelo WhatsApp para usar um endereço salvo." });
+                }
+                const enderecoSalvo = await repositorio.buscarEndereco(telefoneNormalizado, parseInt(cliente.enderecoId, 10) || 0);
+                if (!enderecoSalvo) {
+                    return res.status(404).json({ success: false, message: "Endereço não encontrado." });
+                }
+                endereco = converterEndereco(enderecoSalvo);
+            } else {
+                const validacao = validarEndereco(cliente);
+                if (validacao.erro) {
+                    return res.status(400).json({ success: false, message: validacao.erro });
+                }
+                endereco = validacao.endereco;
+            }
+
+            const enderecoEntrega = lerEnderecoEntrega(endereco);
+            if (!enderecoEntrega.bairro && !enderecoEntrega.cep && enderecoEntrega.latitude === null) {
+                return res.status(400).json({ success: false, message: "Complete o endereço com o bairro antes de finalizar." });
+            }
+            const cotacao = await cotarEntrega(enderecoEntrega);
+            if (cotacao.erro) {
+                return res.status(400).json({ success: false, message: cotacao.erro });
+            }
+            if (subtotal < cotacao.pedidoMinimo) {
+                return res.status(400).json({
+                    success: false,
+                    message: `O pedido mínimo para a sua região é R$ ${cotacao.pedidoMinimo.toFixed(2).replace('.', ',')}.`
+                });
+            }
+
+            const taxaEntrega = cotacao.taxa;
+
+            if (recompensa && !clienteVerificado) {
+                return res.status(401).json({ success: false, message: "Confirme seu número pelo WhatsApp para usar seus pontos." });
+            }
+
+            // Link de acompanhamento e código de entrega só existem no cupom do cliente e na resposta
+            const tokenAcompanhamento = autenticacao.gerarToken();
+            const linkAcompanhamento = urlAcompanhamento(tokenAcompanhamento);
+            const codigoEntrega = String(crypto.randomInt(0, 10000)).padStart(4, '0');
+
+            // Cliente, pedido, resgate do cupom e cupom na fila são gravados juntos ou nada é gravado.
+            // A transação começa antes do cupom para que a linha dele fique travada até o COMMIT;
+            // as recusas acontecem antes de qualquer gravação.
+            const resultado = await repositorio.transacao(async (tx) => {
+                if (agendadoPara) {
+                    await tx.bloquearHorarioAgendado(agendadoPara);
+                    const horarioEntrega = (await listarHorariosAgendamento(tx)).find(item => item.agendadoPara === agendadoPara);
+                    if (!horarioEntrega) {
+                        return { httpStatus: 409, message: "Esse horário de entrega não está mais disponível. Escolha outro." };
+                    }
+                    if (horarioEntrega.vagas === 0) {
+                        return { httpStatus: 409, message: `Os pedidos para as ${horarioEntrega.hora} esgotaram. Escolha outro horário.` };
+                    }
+                }
+
+                const descontos = [];
+                if (codigoCupom) {
+                    const resultadoCupom = await aplicarCupom(codigoCupom, {
+                        telefone: telefoneNormalizado, subtotal, taxaEntrega, bloquear: true
+                    }, tx);
+                    if (resultadoCupom.erro) {
+                        return { httpStatus: 400, message: resultadoCupom.erro };
+                    }
+                    const valorDesconto = arredondarValor(resultadoCupom.descontoItens + resultadoCupom.descontoEntrega);
+                    if (valorDesconto > 0) {
+                        descontos.push({
+                            tipo: 'cupom',
+                            codigo: codigoCupom,
+                            descricao: cupons.descreverCupom(resultadoCupom.cupom),
+                            valor: valorDesconto
+                        });
+                    }
+                }
+
+                // O resgate trava a linha do cliente para que dois pedidos simultâneos não gastem o mesmo saldo.
+                // Recompensas de produto entram como item do pedido, com desconto do mesmo valor.
+                let subtotalPedido = subtotal;
+                let saldoPontos = null;
+                if (recompensa) {
+                    await tx.bloquearCliente(telefoneNormalizado);
+                    saldoPontos = await tx.consultarSaldoPontos(telefoneNormalizado);
+                    if (saldoPontos < recompensa.pontos) {
+                        return {
+                            httpStatus: 400,
+                            message: `Você tem ${saldoPontos} ponto(s); "${recompensa.nome}" precisa de ${recompensa.pontos}.`
+                        };
+                    }
+
+                    let valorRecompensa;
+                    if (recompensa.tipo === 'produto') {
+                        const [produto] = await tx.buscarProdutos([recompensa.produtoId]);
+                        if (!produto || !produto.disponivel) {
+                            return { httpStatus: 409, message: `"${recompensa.nome}" não está disponível no momento.` };
+                        }
+                        valorRecompensa = parseFloat(produto.preco);
+                        itens.push({
+                            id: produto.id,
+                            nome: produto.nome,
+                            precoBase: valorRecompensa,
+                            preco: valorRecompensa,
+                            modificadores: [],
+                            quantidade: 1,
+                            observacao: "Resgate de pontos",
+                            recompensa: recompensa.id
+                        });
+                        subtotalPedido = arredondarValor(subtotal + valorRecompensa);
+                    } else {
+                        const jaDescontado = descontos.reduce((soma, desconto) => soma + desconto.valor, 0);
+                        valorRecompensa = Math.min(recompensa.valor, subtotal + taxaEntrega - jaDescontado);
+                    }
+                    descontos.push({
+                        tipo: 'fidelidade',
+                        recompensa: recompensa.id,
+                        pontos: recompensa.pontos,
+                        descricao: `Resgate de pontos (${recompensa.nome})`,
+                        valor: arredondarValor(valorRecompensa)
+                    });
+                    saldoPontos -= recompensa.pontos;
+                }
+
+                const totalDescontos = descontos.reduce((soma, desconto) => soma + desconto.valor, 0);
+                const total = arredondarValor(subtotalPedido + taxaEntrega - totalDescontos);
+
+                let valorTrocoPara = null;
+                if (pagamento === 'Dinheiro' && troco !== null && troco !== undefined && troco !== '') {
+                    valorTrocoPara = converterValor(troco);
+                    if (valorTrocoPara === null || valorTrocoPara <= total) {
+                        return {
+                            httpStatus: 400,
+                            message: `O valor para troco deve ser maior que o total do pedido (R$ ${total.toFixed(2).replace('.', ',')}).`
+                        };
+                    }
+                }
+
+                // O pedido guarda o endereço exatamente como foi entregue
+                const pedido = {
+                    cliente: {
+                        nome: cliente.nome.trim(),
+                        telefone: cliente.telefone,
+                        telefoneFormatado: cliente.telefone,
+                        enderecoId: endereco.id || null,
+                        apelidoEndereco: endereco.apelido,
+                        endereco: formatarEndereco(endereco),
+                        rua: endereco.rua,
+                        numero: endereco.numero,
+                        complemento: endereco.complemento,
+                        bairro: enderecoEntrega.bairro,
+                        cep: enderecoEntrega.cep,
+                        referencia: endereco.referencia
+                    },
+                    carrinho: itens,
+                    pagamento,
+                    troco: valorTrocoPara,
+                    valorTroco: valorTrocoPara !== null ? arredondarValor(valorTrocoPara - total) : null,
+                    subtotal: subtotalPedido,
+                    taxaEntrega,
+                    zonaEntrega: cotacao.zona,
+                    cupom: descontos.some(desconto => desconto.tipo === 'cupom') ? codigoCupom : null,
+                    descontos,
+                    total,
+                    agendadoPara
+                };
+
+                // Saldo mostrado no cupom, que só é enviado ao WhatsApp do próprio cliente
+                if (configuracaoFidelidade) {
+                    pedido.fidelidade = {
+                        saldo: saldoPontos !== null ? saldoPontos : await tx.consultarSaldoPontos(telefoneNormalizado),
+                        pontosPrevistos: fidelidade.calcularPontos(configuracaoFidelidade, total)
+                    };
+                }
+
+                // Com o PIX online o pedido só vai para a cozinha depois que o pagamento cai
+                const pixOnline = pagamento === 'PIX' && configuracaoPix !== null;
+                if (pixOnline) {
+                    pedido.pix = { expiraEm: new Date(Date.now() + configuracaoPix.expiracaoMinutos * 60 * 1000) };
+                }
+
+                // O endereço fica só no pedido e em `enderecos`; as colunas de endereço de `clientes` guardam o do primeiro pedido
+                await tx.salvarCliente({
+                    telefone: telefoneNormalizado,
+                    nome: pedido.cliente.nome,
+                    endereco: pedido.cliente.endereco,
+                    referencia: pedido.cliente.referencia,
+                    bairro: pedido.cliente.bairro,
+                    cep: pedido.cliente.cep
+                });
+                logger.info(`Cliente "${pedido.cliente.nome}" salvo/atualizado no banco de dados.`);
+
+                // O aceite só é ligado aqui; desligar é pela resposta SAIR no WhatsApp
+                if (cliente.aceitaPromocoes === true) {
+                    await tx.definirAceitePromocoes(telefoneNormalizado, true);
+                }
+
+                if (clienteVerificado && !endereco.id && cliente.salvarEndereco === true) {
+                    const enderecoSalvo = await tx.salvarEndereco(telefoneNormalizado, endereco, { padrao: cliente.enderecoPadrao === true });
+                    pedido.cliente.enderecoId = enderecoSalvo.id;
+                }
+
+                const pedidoCriado = await tx.criarPedido({
+                    telefone: telefoneNormalizado,
+                    dados: pedido,
+                    pagamentoStatus: pixOnline ? 'pendente' : null,
+                    pagamentoExpiraEm: pixOnline ? pedido.pix.expiraEm : null,
+                    agendadoPara,
+                    tokenAcompanhamentoHash: autenticacao.hashToken(tokenAcompanhamento),
+                    codigoEntrega
+                });
+
+                const pedidoId = pedidoCriado.id;
+                await tx.registrarHistoricoStatus(pedidoId, { para: pedidoCriado.status, alteradoPor: 'site' });
+
+                if (pedido.cupom) {
+                    await tx.registrarResgateCupom({
+                        codigo: pedido.cupom,
+                        pedidoId,
+                        telefone: telefoneNormalizado,
+                        desconto: descontos.find(desconto => desconto.tipo === 'cupom').valor
+                    });
+                }
+
+                if (recompensa) {
+                    await tx.registrarPontos({
+                        telefone: telefoneNormalizado,
+                        pedidoId,
+                        tipo: 'resgate',
+                        pontos: -recompensa.pontos,
+                        descricao: `Resgate: ${recompensa.nome}`
+                    });
+                    logger.info(`Pedido #${pedidoId}: ${recompensa.pontos} ponto(s) resgatado(s) em "${recompensa.nome}".`);
+                }
+
+                await fila.enfileirar({
+                    pedidoId,
+                    destinatario: numeroClienteParaApi,
+                    tipo: 'cupom',
+                    conteudo: gerarCupomFiscal(pedido, { linkAcompanhamento, codigoEntrega })
+                }, tx);
+
+                let dadosPix = null;
+                if (pixOnline) {
+                    const copiaECola = pix.gerarCopiaECola(configuracaoPix, { valor: total, pedidoId });
+                    dadosPix = { copiaECola, expiraEm: pedido.pix.expiraEm };
+                    // O código vai sozinho numa mensagem para o cliente copiar com um toque
+                    await fila.enfileirar({
+                        pedidoId,
+                        destinatario: numeroClienteParaApi,
+                        tipo: 'pix',
+                        conteudo: `💠 *PIX do pedido #${pedidoId}* - R$ ${total.toFixed(2).replace('.', ',')}\n\nCopie o código abaixo e cole na opção "PIX Copia e Cola" do app do seu banco:`
+                    }, tx);
+                    await fila.enfileirar({ pedidoId, destinatario: numeroClienteParaApi, tipo: 'pix', conteudo: copiaECola }, tx);
+                }
+
+                return { pedido, pedidoCriado, dadosPix };
+            });
+            if (resultado.httpStatus) {
+                return res.status(resultado.httpStatus).json({ success: false, message: resultado.message });
+            }
+
+            const { pedido, pedidoCriado, dadosPix } = resultado;
+            const pedidoId = pedidoCriado.id;
+            logger.info(`Pedido #${pedidoId} registrado no banco de dados.`);
+
+            // Envia o cupom agora se o WhatsApp estiver conectado; senão ele sai quando reconectar
+            fila.processar();
+
+            // Falha na impressora não desfaz o pedido: a cozinha ainda vê tudo no painel e pode reimprimir.
+            // Pedidos com PIX online são impressos quando o pagamento é confirmado e os agendados, quando liberados.
+            if (!pedido.pix && !agendadoPara) {
+                impressoraCozinha.imprimirPedido(pedido, { pedidoId, criadoEm: pedidoCriado.criado_em })
+                    .catch(error => logger.error(`❌ Falha ao imprimir o pedido #${pedidoId}: ${error.message}`));
+            }
+
+            eventosAdmin.emitir('pedido-criado', montarResumoPedido({
+                ...pedidoCriado,
+                cliente_telefone: telefoneNormalizado,
+                dados_pedido: pedido,
+                nome: pedido.cliente.nome
+            }));
+
+            // O pedido já está gravado: sem a imagem o cliente ainda tem o copia e cola
+            if (dadosPix) {
+                try {
+                    dadosPix.qrCode = await pix.gerarQrCode(dadosPix.copiaECola);
+                } catch (error) {
+                    dadosPix.qrCode = null;
+                    logger.error(`❌ Erro ao gerar o QR Code do PIX do pedido #${pedidoId}: ${error.message}`);
+                }
+            }
+            res.status(200).json({
+                success: true,
+                pedidoId: pedidoId,
+                total: pedido.total,
+                pix: dadosPix,
+                agendadoPara,
+                codigoEntrega,
+                acompanhamento: linkAcompanhamento || caminhoAcompanhamento(tokenAcompanhamento)
+            });
+        } catch (error) {
+            logger.error(`❌ Falha ao processar pedido para ${numeroClienteParaApi}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Falha ao processar o pedido." });
+        }
+    });
+
+    // Aviso de pagamento do provedor PIX. O segredo vai no cabeçalho X-Webhook-Segredo ou,
+    // para provedores que só deixam configurar a URL, em ?segredo=
+    app.post('/api/pagamentos/webhook', async (req, res) => {
+        if (!configuracaoPix || !configuracaoPix.segredoWebhook) {
+            return res.status(503).json({ success: false, message: "Pagamento online por PIX não configurado." });
+        }
+
+        const segredo = String(req.get('x-webhook-segredo') || req.query.segredo || '');
+        const segredoConfere = crypto.timingSafeEqual(
+            Buffer.from(autenticacao.hashToken(segredo), 'hex'),
+            Buffer.from(autenticacao.hashToken(configuracaoPix.segredoWebhook), 'hex')
+        );
+        if (!segredoConfere) {
+            return res.status(401).json({ success: false, message: "Não autorizado." });
+        }
+
+        const notificacoes = pix.lerNotificacoes(req.body);
+        if (notificacoes.length === 0) {
+            return res.status(400).json({ success: false, message: "Nenhum pagamento reconhecido na notificação." });
+        }
+
+        try {
+            const pagamentos = [];
+            for (const notificacao of notificacoes) {
+                const { erro } = await confirmarPagamentoPix(notificacao);
+                if (erro) logger.error(`⚠️ Webhook PIX: ${erro}`);
+                pagamentos.push({ pedidoId: notificacao.pedidoId, confirmado: !erro, message: erro });
+            }
+            res.json({ success: true, pagamentos });
+        } catch (error) {
+            logger.error(`❌ Erro ao processar webhook de pagamento: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao processar o pagamento." });
+        }
+    });
+
+    app.patch('/api/pedidos/:id/status', exigirUsuario('admin', 'cozinha'), async (req, res) => {
+        const pedidoId = parseInt(req.params.id, 10);
+        const { status, codigoEntrega } = req.body;
+
+        if (!Number.isInteger(pedidoId) || pedidoId <= 0) {
+            return res.status(400).json({ success: false, message: "Número de pedido inválido." });
+        }
+        if (!Object.prototype.hasOwnProperty.call(STATUS_PEDIDO, status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status inválido. Use um destes: ${Object.keys(STATUS_PEDIDO).join(', ')}.`
+            });
+        }
+
+        try {
+            const { erro, httpStatus, pedido } = await alterarStatusPedido(pedidoId, status, req.usuario.usuario, { codigoEntrega });
+            if (erro) {
+                return res.status(httpStatus).json({ success: false, message: erro });
+            }
+            res.json({ success: true, pedido: { ...pedido, statusDescricao: STATUS_PEDIDO[pedido.status] } });
+        } catch (error) {
+            logger.error(`❌ Erro ao alterar status do pedido #${pedidoId}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao alterar o status do pedido." });
+        }
+    });
+
+    // ############# INÍCIO DA ALTERAÇÃO #############
+    app.get('/api/historico/:telefone', async (req, res) => {
+        const { telefone } = req.params;
+        const telefoneNormalizado = normalizarTelefone(telefone);
+
+        if (!telefoneNormalizado) {
+            return res.status(400).json({ success: false, message: "Formato de número de telefone inválido." });
+        }
+
+        try {
+            const telefoneVerificado = await obterTelefoneVerificado(req);
+            if (!telefoneVerificado) {
+                return res.status(401).json({ success: false, message: "Confirme seu WhatsApp para ver o histórico." });
+            }
+            if (telefoneVerificado !== telefoneNormalizado) {
+                return res.status(403).json({ success: false, message: "Você só pode ver o histórico do seu próprio número." });
+            }
+
+            const pedidos = await repositorio.listarPedidosDoCliente(telefoneNormalizado);
+
+            if (pedidos.length === 0) {
+                return res.json([]); 
+            }
+
+            const historico = pedidos.map(pedido => {
+                const dados = pedido.dados_pedido;
+                // Pedidos antigos não guardavam o total calculado no servidor
+                const valorTotal = dados.total !== undefined
+                    ? dados.total
+                    : dados.carrinho.reduce((total, item) => total + (item.preco * item.quantidade), 0) + TAXA_ENTREGA_PADRAO;
+
+                // Alteração aqui: Enviamos o dado original do banco ('criado_em').
+                // O frontend se encarregará de formatar.
+                return {
+                    id: pedido.id,
+                    dataPedido: pedido.criado_em, // ENVIANDO FORMATO ISO CORRETO
+                    valorTotal: valorTotal,
+                    status: STATUS_PEDIDO[pedido.status],
+                    itens: dados.carrinho.map(item => ({
+                        nomeProduto: item.nome,
+                        quantidade: item.quantidade,
+                        modificadores: (item.modificadores || []).map(opcao => opcao.nome),
+                        observacao: item.observacao || ""
+                    }))
+                };
+            });
+
+            logger.info(`Histórico de ${historico.length} pedido(s) retornado para o telefone ${telefoneNormalizado}`);
+            res.json(historico);
+
+        } catch (error) {
+            logger.error(`❌ Erro ao buscar histórico para ${telefoneNormalizado}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao buscar o histórico de pedidos." });
+        }
+    });
+    // ############# FIM DA ALTERAÇÃO #############
+
+    // --- Rotas do Painel Administrativo ---
+
+    app.post('/api/admin/login', loginLimiter, async (req, res) => {
+        const { usuario, senha } = req.body;
+        if (typeof usuario !== 'string' || typeof senha !== 'string' || !usuario || !senha) {
+            return res.status(400).json({ success: false, message: "Informe usuário e senha." });
+        }
+
+        try {
+            const usuarioEncontrado = await repositorio.buscarUsuarioAtivo(usuario);
+            if (!usuarioEncontrado || !autenticacao.verificarSenha(senha, usuarioEncontrado.senha_hash)) {
+                logger.info(`Tentativa de login inválida no painel para "${usuario}".`);
+                return res.status(401).json({ success: false, message: "Usuário ou senha incorretos." });
+            }
+
+            const token = autenticacao.gerarToken();
+            await repositorio.criarSessaoUsuario({
+                tokenHash: autenticacao.hashToken(token),
+                usuarioId: usuarioEncontrado.id,
+                duracaoMs: DURACAO_SESSAO_ADMIN_MS
+            });
+
+            res.cookie(COOKIE_SESSAO_ADMIN, token, {
+                httpOnly: true,
+                sameSite: 'strict',
+                secure: req.secure,
+                maxAge: DURACAO_SESSAO_ADMIN_MS
+            });
+            logger.info(`Usuário "${usuarioEncontrado.usuario}" entrou no painel.`);
+            res.json({
+                success: true,
+                token,
+                usuario: { usuario: usuarioEncontrado.usuario, nome: usuarioEncontrado.nome, papel: usuarioEncontrado.papel }
+            });
+        } catch (error) {
+            logger.error(`❌ Erro no login do painel: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.post('/api/admin/logout', exigirUsuario(), async (req, res) => {
+        try {
+            const token = autenticacao.extrairToken(req, COOKIE_SESSAO_ADMIN);
+            await repositorio.removerSessaoUsuario(autenticacao.hashToken(token));
+            res.clearCookie(COOKIE_SESSAO_ADMIN);
+            res.json({ success: true });
+        } catch (error) {
+            logger.error(`❌ Erro no logout do painel: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.get('/api/admin/sessao', exigirUsuario(), (req, res) => {
+        const { usuario, nome, papel } = req.usuario;
+        res.json({ success: true, usuario: { usuario, nome, papel } });
+    });
+
+    app.post('/api/admin/usuarios', exigirUsuario('admin'), async (req, res) => {
+        const { usuario, nome, senha, papel } = req.body;
+        if (typeof usuario !== 'string' || !/^[a-z0-9_.-]{3,50}$/i.test(usuario)) {
+            return res.status(400).json({ success: false, message: "Usuário deve ter de 3 a 50 letras, números, '.', '-' ou '_'." });
+        }
+        if (typeof senha !== 'string' || senha.length < 8) {
+            return res.status(400).json({ success: false, message: "A senha deve ter pelo menos 8 caracteres." });
+        }
+        if (!PAPEIS_USUARIO.includes(papel)) {
+            return res.status(400).json({ success: false, message: `Papel inválido. Use um destes: ${PAPEIS_USUARIO.join(', ')}.` });
+        }
+
+        try {
+            const id = await repositorio.criarUsuario({
+                usuario,
+                nome: (typeof nome === 'string' && nome.trim()) || usuario,
+                senhaHash: autenticacao.gerarHashSenha(senha),
+                papel
+            });
+            if (id === null) {
+                return res.status(409).json({ success: false, message: "Já existe um usuário com esse nome." });
+            }
+            logger.info(`Usuário "${usuario}" (${papel}) criado por ${req.usuario.usuario}.`);
+            res.status(201).json({ success: true, id });
+        } catch (error) {
+            logger.error(`❌ Erro ao criar usuário do painel: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.get('/api/admin/pedidos', exigirUsuario('admin', 'cozinha'), async (req, res) => {
+        const { status, data } = req.query;
+
+        if (status && !Object.prototype.hasOwnProperty.call(STATUS_PEDIDO, status)) {
+            return res.status(400).json({ success: false, message: "Status inválido." });
+        }
+        if (data && !/^\d{4}-\d{2}-\d{2}$/.test(data)) {
+            return res.status(400).json({ success: false, message: "Data inválida. Use o formato AAAA-MM-DD." });
+        }
+
+        try {
+            // Sem data, lista os pedidos de hoje no horário de São Paulo
+            const pedidos = await repositorio.listarPedidosDoDia(data || horario.partesDataHora().data, { status: status || null });
+            res.json({ success: true, pedidos: pedidos.map(montarResumoPedido) });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar pedidos do painel: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao listar os pedidos." });
+        }
+    });
+
+    app.get('/api/admin/pedidos/:id', exigirUsuario('admin', 'cozinha'), async (req, res) => {
+        const pedidoId = parseInt(req.params.id, 10);
+        if (!Number.isInteger(pedidoId) || pedidoId <= 0) {
+            return res.status(400).json({ success: false, message: "Número de pedido inválido." });
+        }
+
+        try {
+            const row = await repositorio.buscarPedido(pedidoId);
+            if (!row) {
+                return res.status(404).json({ success: false, message: `Pedido #${pedidoId} não encontrado.` });
+            }
+
+            const historicoStatus = await repositorio.listarHistoricoStatus(pedidoId);
+            res.json({
+                success: true,
+                pedido: {
+                    ...montarResumoPedido(row),
+                    dadosPedido: row.dados_pedido,
+                    pagoEm: row.pago_em,
+                    exigeCodigoEntrega: Boolean(row.codigo_entrega),
+                    cliente: {
+                        nome: row.nome,
+                        telefone: row.cliente_telefone,
+                        endereco: row.dados_pedido.cliente.endereco,
+                        referencia: row.dados_pedido.cliente.referencia
+                    },
+                    historicoStatus: historicoStatus.map(mudanca => ({
+                        de: mudanca.status_anterior,
+                        para: mudanca.status_novo,
+                        paraDescricao: STATUS_PEDIDO[mudanca.status_novo],
+                        alteradoPor: mudanca.alterado_por,
+                        em: mudanca.criado_em
+                    }))
+                }
+            });
+        } catch (error) {
+            logger.error(`❌ Erro ao buscar pedido #${pedidoId} no painel: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao buscar o pedido." });
+        }
+    });
+
+    app.post('/api/admin/pedidos/:id/imprimir', exigirUsuario('admin', 'cozinha'), async (req, res) => {
+        const pedidoId = parseInt(req.params.id, 10);
+        if (!Number.isInteger(pedidoId) || pedidoId <= 0) {
+            return res.status(400).json({ success: false, message: "Número de pedido inválido." });
+        }
+        if (!impressoraCozinha.habilitada) {
+            return res.status(503).json({ success: false, message: "Nenhuma impressora de cozinha configurada." });
+        }
+
+        try {
+            const row = await repositorio.buscarPedido(pedidoId);
+            if (!row) {
+                return res.status(404).json({ success: false, message: `Pedido #${pedidoId} não encontrado.` });
+            }
+
+            const { dados_pedido: pedido, criado_em: criadoEm } = row;
+            try {
+                await impressoraCozinha.imprimirPedido(pedido, { pedidoId, criadoEm, reimpressao: true });
+            } catch (error) {
+                logger.error(`❌ Falha ao reimprimir o pedido #${pedidoId}: ${error.message}`);
+                return res.status(502).json({ success: false, message: "Não foi possível enviar o ticket para a impressora." });
+            }
+            res.json({ success: true, message: `Ticket do pedido #${pedidoId} enviado para a impressora.` });
+        } catch (error) {
+            logger.error(`❌ Erro ao reimprimir o pedido #${pedidoId}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno ao reimprimir o pedido." });
+        }
+    });
+
+    app.get('/api/admin/eventos', exigirUsuario('admin', 'cozinha'), (req, res) => {
+        eventosAdmin.conectar(req, res);
+    });
+
+    // Conversas em que a equipe assumiu o atendimento (o robô fica em silêncio)
+    app.get('/api/admin/atendimentos', exigirUsuario('admin', 'cozinha'), async (req, res) => {
+        try {
+            const conversas = await repositorio.listarAtendimentosHumanos();
+            res.json({ success: true, atendimentos: conversas.map(AtendimentoWhatsApp.converterConversa) });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar atendimentos: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // Aceita o id da conversa no WhatsApp ou um telefone (para assumir a partir de um pedido)
+    app.put('/api/admin/atendimentos/:conversa', exigirUsuario('admin', 'cozinha'), async (req, res) => {
+        const { humano } = req.body;
+        if (typeof humano !== 'boolean') {
+            return res.status(400).json({ success: false, message: "Informe se o atendimento é humano (true/false)." });
+        }
+
+        let chatId = req.params.conversa;
+        let telefone = null;
+        if (!chatId.includes('@')) {
+            telefone = normalizarTelefone(chatId);
+            if (!telefone) {
+                return res.status(400).json({ success: false, message: "Telefone inválido." });
+            }
+            chatId = `${telefone}@c.us`;
+        } else if (!/^[\w.-]+@(c\.us|lid)$/.test(chatId)) {
+            return res.status(400).json({ success: false, message: "Conversa inválida." });
+        }
+
+        try {
+            const conversa = await atendimento.definirAtendimentoHumano(chatId, humano, { telefone });
+            logger.info(`Atendimento de ${chatId} ${humano ? 'assumido' : 'devolvido ao robô'} por ${req.usuario.usuario}.`);
+            res.json({ success: true, atendimento: conversa });
+        } catch (error) {
+            logger.error(`❌ Erro ao alterar atendimento de ${chatId}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // Cardápio completo, com os itens esgotados, para a equipe marcar o que acabou
+    app.get('/api/admin/produtos', exigirUsuario('admin', 'cozinha'), async (req, res) => {
+        try {
+            const { categorias, produtos } = await carregarCardapio({ incluirEsgotados: true });
+            res.json({ success: true, categorias, produtos });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar produtos: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.patch('/api/admin/produtos/:id', exigirUsuario('admin', 'cozinha'), async (req, res) => {
+        const { disponivel } = req.body;
+        if (typeof disponivel !== 'boolean') {
+            return res.status(400).json({ success: false, message: "Informe se o produto está disponível (true/false)." });
+        }
+
+        const produtoId = req.params.id;
+        try {
+            if (!await repositorio.definirDisponibilidadeProduto(produtoId, disponivel)) {
+                return res.status(404).json({ success: false, message: "Produto não encontrado." });
+            }
+            logger.info(`Produto ${produtoId} marcado como ${disponivel ? 'disponível' : 'esgotado'} por ${req.usuario.usuario}.`);
+            res.json({ success: true, produto: { id: produtoId, disponivel } });
+        } catch (error) {
+            logger.error(`❌ Erro ao alterar a disponibilidade do produto ${produtoId}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // Opção de um grupo de modificadores (ex.: acompanhamento do combo) que acabou
+    app.patch('/api/admin/modificadores/:id', exigirUsuario('admin', 'cozinha'), async (req, res) => {
+        const { disponivel } = req.body;
+        if (typeof disponivel !== 'boolean') {
+            return res.status(400).json({ success: false, message: "Informe se a opção está disponível (true/false)." });
+        }
+
+        const opcaoId = req.params.id;
+        try {
+            if (!await repositorio.definirDisponibilidadeModificador(opcaoId, disponivel)) {
+                return res.status(404).json({ success: false, message: "Opção não encontrada." });
+            }
+            logger.info(`Opção ${opcaoId} marcada como ${disponivel ? 'disponível' : 'esgotada'} por ${req.usuario.usuario}.`);
+            res.json({ success: true, modificador: { id: opcaoId, disponivel } });
+        } catch (error) {
+            logger.error(`❌ Erro ao alterar a disponibilidade da opção ${opcaoId}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.get('/api/admin/zonas-entrega', exigirUsuario('admin'), async (req, res) => {
+        try {
+            const zonas = await repositorio.listarZonasEntrega();
+            res.json({ success: true, zonas: zonas.map(taxasEntrega.converterZona) });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar zonas de entrega: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.post('/api/admin/zonas-entrega', exigirUsuario('admin'), async (req, res) => {
+        const { erro, zona } = validarZonaEntrega(req.body);
+        if (erro) {
+            return res.status(400).json({ success: false, message: erro });
+        }
+
+        try {
+            const zonaCriada = await repositorio.criarZonaEntrega(zona);
+            logger.info(`Zona de entrega "${zona.nome}" criada por ${req.usuario.usuario}.`);
+            res.status(201).json({ success: true, zona: taxasEntrega.converterZona(zonaCriada) });
+        } catch (error) {
+            logger.error(`❌ Erro ao criar zona de entrega: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.put('/api/admin/zonas-entrega/:id', exigirUsuario('admin'), async (req, res) => {
+        const zonaId = parseInt(req.params.id, 10);
+        if (!Number.isInteger(zonaId) || zonaId <= 0) {
+            return res.status(400).json({ success: false, message: "Zona de entrega inválida." });
+        }
+        const { erro, zona } = validarZonaEntrega(req.body);
+        if (erro) {
+            return res.status(400).json({ success: false, message: erro });
+        }
+
+        try {
+            const zonaAtualizada = await repositorio.atualizarZonaEntrega(zonaId, zona);
+            if (!zonaAtualizada) {
+                return res.status(404).json({ success: false, message: "Zona de entrega não encontrada." });
+            }
+            logger.info(`Zona de entrega #${zonaId} atualizada por ${req.usuario.usuario}.`);
+            res.json({ success: true, zona: taxasEntrega.converterZona(zonaAtualizada) });
+        } catch (error) {
+            logger.error(`❌ Erro ao atualizar zona de entrega #${zonaId}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.delete('/api/admin/zonas-entrega/:id', exigirUsuario('admin'), async (req, res) => {
+        const zonaId = parseInt(req.params.id, 10);
+        if (!Number.isInteger(zonaId) || zonaId <= 0) {
+            return res.status(400).json({ success: false, message: "Zona de entrega inválida." });
+        }
+        try {
+            if (!await repositorio.desativarZonaEntrega(zonaId)) {
+                return res.status(404).json({ success: false, message: "Zona de entrega não encontrada." });
+            }
+            logger.info(`Zona de entrega #${zonaId} removida por ${req.usuario.usuario}.`);
+            res.json({ success: true });
+        } catch (error) {
+            logger.error(`❌ Erro ao remover zona de entrega #${zonaId}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.get('/api/admin/horarios', exigirUsuario('admin'), async (req, res) => {
+        try {
+            const { horarios, excecoes } = await carregarHorarios();
+            res.json({ success: true, horarios, excecoes });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar horários de funcionamento: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // Substitui a grade semanal inteira
+    app.put('/api/admin/horarios', exigirUsuario('admin'), async (req, res) => {
+        const { erro, horarios } = validarHorarios(req.body.horarios);
+        if (erro) {
+            return res.status(400).json({ success: false, message: erro });
+        }
+
+        try {
+            await repositorio.substituirHorarios(horarios);
+            logger.info(`Horário de funcionamento atualizado por ${req.usuario.usuario}.`);
+            res.json({ success: true, horarios });
+        } catch (error) {
+            logger.error(`❌ Erro ao atualizar horários de funcionamento: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.put('/api/admin/horarios/excecoes/:data', exigirUsuario('admin'), async (req, res) => {
+        const { data } = req.params;
+        const { fechado, abre, fecha, motivo } = req.body;
+        if (!FORMATO_DATA.test(data) || horario.somarDias(data, 0) !== data) {
+            return res.status(400).json({ success: false, message: "Data inválida. Use o formato AAAA-MM-DD." });
+        }
+        if (fechado === false && (!FORMATO_HORA.test(abre) || !FORMATO_HORA.test(fecha) || abre === fecha)) {
+            return res.status(400).json({ success: false, message: "Informe o horário especial no formato HH:MM." });
+        }
+
+        try {
+            const excecao = await repositorio.salvarExcecao({
+                data,
+                fechado: fechado !== false,
+                abre: fechado === false ? abre : null,
+                fecha: fechado === false ? fecha : null,
+                motivo: typeof motivo === 'string' ? motivo.trim().substring(0, 255) : null
+            });
+            logger.info(`Exceção de funcionamento em ${data} salva por ${req.usuario.usuario}.`);
+            res.json({ success: true, excecao });
+        } catch (error) {
+            logger.error(`❌ Erro ao salvar exceção de funcionamento em ${data}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.delete('/api/admin/horarios/excecoes/:data', exigirUsuario('admin'), async (req, res) => {
+        const { data } = req.params;
+        if (!FORMATO_DATA.test(data)) {
+            return res.status(400).json({ success: false, message: "Data inválida. Use o formato AAAA-MM-DD." });
+        }
+        try {
+            if (!await repositorio.removerExcecao(data)) {
+                return res.status(404).json({ success: false, message: "Exceção não encontrada." });
+            }
+            logger.info(`Exceção de funcionamento em ${data} removida por ${req.usuario.usuario}.`);
+            res.json({ success: true });
+        } catch (error) {
+            logger.error(`❌ Erro ao remover exceção de funcionamento em ${data}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.get('/api/admin/cupons', exigirUsuario('admin'), async (req, res) => {
+        try {
+            const rows = await repositorio.listarCupons();
+            res.json({
+                success: true,
+                cupons: rows.map(row => ({ ...cupons.converterCupom(row), usos: row.usos }))
+            });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar cupons: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.post('/api/admin/cupons', exigirUsuario('admin'), async (req, res) => {
+        const { erro, cupom } = validarDadosCupom(req.body);
+        if (erro) {
+            return res.status(400).json({ success: false, message: erro });
+        }
+
+        try {
+            const cupomCriado = await repositorio.criarCupom(cupom);
+            if (!cupomCriado) {
+                return res.status(409).json({ success: false, message: `O cupom ${cupom.codigo} já existe.` });
+            }
+            logger.info(`Cupom ${cupom.codigo} criado por ${req.usuario.usuario}.`);
+            res.status(201).json({ success: true, cupom: cupons.converterCupom(cupomCriado) });
+        } catch (error) {
+            logger.error(`❌ Erro ao criar cupom: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // O código identifica o cupom e não muda; os demais campos são substituídos
+    app.put('/api/admin/cupons/:codigo', exigirUsuario('admin'), async (req, res) => {
+        const { erro, cupom } = validarDadosCupom({ ...req.body, codigo: req.params.codigo });
+        if (erro) {
+            return res.status(400).json({ success: false, message: erro });
+        }
+
+        try {
+            const cupomAtualizado = await repositorio.atualizarCupom(cupom);
+            if (!cupomAtualizado) {
+                return res.status(404).json({ success: false, message: "Cupom não encontrado." });
+            }
+            logger.info(`Cupom ${cupom.codigo} atualizado por ${req.usuario.usuario}.`);
+            res.json({ success: true, cupom: cupons.converterCupom(cupomAtualizado) });
+        } catch (error) {
+            logger.error(`❌ Erro ao atualizar cupom ${cupom.codigo}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // Cupons já resgatados ficam no histórico; remover apenas desativa
+    app.delete('/api/admin/cupons/:codigo', exigirUsuario('admin'), async (req, res) => {
+        const codigo = cupons.normalizarCodigoCupom(req.params.codigo);
+        try {
+            if (!await repositorio.desativarCupom(codigo)) {
+                return res.status(404).json({ success: false, message: "Cupom não encontrado." });
+            }
+            logger.info(`Cupom ${codigo} desativado por ${req.usuario.usuario}.`);
+            res.json({ success: true });
+        } catch (error) {
+            logger.error(`❌ Erro ao desativar cupom ${codigo}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // Relatórios em JSON ou CSV (?formato=csv), com período em datas de São Paulo (?inicio=&fim=)
+    app.get('/api/admin/relatorios/:relatorio', exigirUsuario('admin'), async (req, res) => {
+        const nome = req.params.relatorio;
+        const relatorio = relatorios.RELATORIOS[nome];
+        if (!relatorio) {
+            return res.status(404).json({
+                success: false,
+                message: `Relatório não encontrado. Disponíveis: ${Object.keys(relatorios.RELATORIOS).join(', ')}.`
+            });
+        }
+
+        const formato = req.query.formato || 'json';
+        if (!['json', 'csv'].includes(formato)) {
+            return res.status(400).json({ success: false, message: "Formato inválido. Use json ou csv." });
+        }
+
+        const { erro, periodo } = relatorios.lerPeriodo(req.query);
+        if (erro) {
+            return res.status(400).json({ success: false, message: erro });
+        }
+
+        try {
+            const linhas = await repositorio.gerarRelatorio(nome, periodo);
+            if (formato === 'csv') {
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                res.attachment(`relatorio-${nome}-${periodo.inicio}-a-${periodo.fim}.csv`);
+                return res.send(relatorios.gerarCsv(relatorio.colunas, linhas));
+            }
+            res.json({
+                success: true,
+                relatorio: nome,
+                periodo: { inicio: periodo.inicio, fim: periodo.fim },
+                linhas
+            });
+        } catch (error) {
+            logger.error(`❌ Erro ao gerar relatório ${nome}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // --- Campanhas de promoção ---
+    // Colunas do CSV de entrega de uma campanha
+    const COLUNAS_RELATORIO_CAMPANHA = [
+        { chave: 'telefone', titulo: 'Telefone' },
+        { chave: 'nome', titulo: 'Nome' },
+        { chave: 'status', titulo: 'Situação' },
+        { chave: 'erro', titulo: 'Erro' },
+        { chave: 'processadoEm', titulo: 'Processado em' }
+    ];
+
+    app.get('/api/admin/segmentos', exigirUsuario('admin'), async (req, res) => {
+        try {
+            const rows = await repositorio.listarSegmentos();
+            const segmentos = [];
+            for (const row of rows) {
+                const clientes = await repositorio.listarClientesDoSegmento(row.filtros);
+                segmentos.push({ ...campanhas.converterSegmento(row), clientes: clientes.length });
+            }
+            res.json({ success: true, filtros: Object.keys(campanhas.FILTROS_SEGMENTO), segmentos });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar segmentos: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.post('/api/admin/segmentos', exigirUsuario('admin'), async (req, res) => {
+        const { erro, segmento } = campanhas.validarSegmento(req.body);
+        if (erro) {
+            return res.status(400).json({ success: false, message: erro });
+        }
+
+        try {
+            const row = await repositorio.criarSegmento(segmento);
+            const clientes = await repositorio.listarClientesDoSegmento(row.filtros);
+            logger.info(`Segmento "${segmento.nome}" criado por ${req.usuario.usuario}.`);
+            res.status(201).json({ success: true, segmento: { ...campanhas.converterSegmento(row), clientes: clientes.length } });
+        } catch (error) {
+            logger.error(`❌ Erro ao criar segmento: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // As campanhas guardam uma cópia do segmento, então remover não afeta os relatórios
+    app.delete('/api/admin/segmentos/:id', exigirUsuario('admin'), async (req, res) => {
+        const id = parseInt(req.params.id, 10);
+        if (!Number.isInteger(id) || id <= 0) {
+            return res.status(400).json({ success: false, message: "Segmento inválido." });
+        }
+
+        try {
+            if (!await repositorio.removerSegmento(id)) {
+                return res.status(404).json({ success: false, message: "Segmento não encontrado." });
+            }
+            logger.info(`Segmento #${id} removido por ${req.usuario.usuario}.`);
+            res.json({ success: true });
+        } catch (error) {
+            logger.error(`❌ Erro ao remover segmento #${id}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.get('/api/admin/campanhas', exigirUsuario('admin'), async (req, res) => {
+        try {
+            const rows = await repositorio.listarCampanhas();
+            res.json({ success: true, campanhas: rows.map(campanhas.converterCampanha) });
+        } catch (error) {
+            logger.error(`❌ Erro ao listar campanhas: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // Cria a campanha com uma mensagem já preenchida para cada cliente do segmento; o envio começa em seguida
+    app.post('/api/admin/campanhas', exigirUsuario('admin'), async (req, res) => {
+        const { erro, campanha } = campanhas.validarCampanha(req.body);
+        if (erro) {
+            return res.status(400).json({ success: false, message: erro });
+        }
+
+        try {
+            const resultado = await repositorio.transacao(async (tx) => {
+                const segmento = await tx.buscarSegmento(campanha.segmentoId);
+                if (!segmento) {
+                    return { httpStatus: 404, message: "Segmento não encontrado." };
+                }
+                const clientes = await tx.listarClientesDoSegmento(segmento.filtros);
+                if (clientes.length === 0) {
+                    return { httpStatus: 409, message: "Nenhum cliente que aceitou promoções está neste segmento." };
+                }
+                const campanhaId = await tx.criarCampanha({
+                    nome: campanha.nome,
+                    segmento: segmento.nome,
+                    filtros: segmento.filtros,
+                    modelo: campanha.modelo,
+                    criadoPor: req.usuario.usuario,
+                    envios: clientes.map(cliente => ({ telefone: cliente.telefone, conteudo: campanhas.preencherModelo(campanha.modelo, cliente) }))
+                });
+                return { campanhaId };
+            });
+            if (resultado.httpStatus) {
+                return res.status(resultado.httpStatus).json({ success: false, message: resultado.message });
+            }
+
+            const criada = campanhas.converterCampanha(await repositorio.buscarCampanha(resultado.campanhaId));
+            logger.info(`Campanha #${criada.id} "${criada.nome}" criada por ${req.usuario.usuario} para ${criada.envios.total} cliente(s).`);
+            res.status(201).json({ success: true, campanha: criada });
+        } catch (error) {
+            logger.error(`❌ Erro ao criar campanha: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // Relatório de entrega da campanha, em JSON ou CSV (?formato=csv)
+    app.get('/api/admin/campanhas/:id', exigirUsuario('admin'), async (req, res) => {
+        const id = parseInt(req.params.id, 10);
+        if (!Number.isInteger(id) || id <= 0) {
+            return res.status(400).json({ success: false, message: "Campanha inválida." });
+        }
+        const formato = req.query.formato || 'json';
+        if (!['json', 'csv'].includes(formato)) {
+            return res.status(400).json({ success: false, message: "Formato inválido. Use json ou csv." });
+        }
+
+        try {
+            const row = await repositorio.buscarCampanha(id);
+            if (!row) {
+                return res.status(404).json({ success: false, message: "Campanha não encontrada." });
+            }
+            const envios = (await repositorio.listarEnviosCampanha(id)).map(envio => ({
+                telefone: envio.cliente_telefone,
+                nome: envio.nome,
+                status: envio.status,
+                erro: envio.erro,
+                processadoEm: envio.processado_em
+            }));
+
+            if (formato === 'csv') {
+                const linhas = envios.map(envio => {
+                    const processado = envio.processadoEm ? horario.formatarDataHora(new Date(envio.processadoEm)) : null;
+                    return { ...envio, processadoEm: processado ? `${processado.data} ${processado.hora}` : '' };
+                });
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                res.attachment(`campanha-${id}.csv`);
+                return res.send(relatorios.gerarCsv(COLUNAS_RELATORIO_CAMPANHA, linhas));
+            }
+            res.json({ success: true, campanha: campanhas.converterCampanha(row), envios });
+        } catch (error) {
+            logger.error(`❌ Erro ao carregar a campanha #${id}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.post('/api/admin/campanhas/:id/cancelar', exigirUsuario('admin'), async (req, res) => {
+        const id = parseInt(req.params.id, 10);
+        if (!Number.isInteger(id) || id <= 0) {
+            return res.status(400).json({ success: false, message: "Campanha inválida." });
+        }
+
+        try {
+            if (!await repositorio.cancelarCampanha(id)) {
+                return res.status(409).json({ success: false, message: `A campanha #${id} não está em andamento.` });
+            }
+            logger.info(`Campanha #${id} cancelada por ${req.usuario.usuario}.`);
+            res.json({ success: true, campanha: campanhas.converterCampanha(await repositorio.buscarCampanha(id)) });
+        } catch (error) {
+            logger.error(`❌ Erro ao cancelar a campanha #${id}: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // --- Acompanhamento público do pedido (link do cupom) ---
+    async function buscarPedidoDoLink(req, res) {
+        const pedidoId = await repositorio.buscarIdPorAcompanhamento(autenticacao.hashToken(String(req.params.token)));
+        if (!pedidoId) {
+            res.status(404).json({ success: false, message: "Pedido não encontrado. Confira o link recebido no WhatsApp." });
+        }
+        return pedidoId;
+    }
+
+    app.get('/api/acompanhamento/:token', async (req, res) => {
+        try {
+            const pedidoId = await buscarPedidoDoLink(req, res);
+            if (!pedidoId) return;
+            res.json({ success: true, pedido: await carregarAcompanhamento(pedidoId) });
+        } catch (error) {
+            logger.error(`❌ Erro ao carregar o acompanhamento do pedido: ${error.message}`);
+            res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    // A conexão começa com a situação atual, para não perder o que mudou entre a página carregar e o stream abrir
+    app.get('/api/acompanhamento/:token/eventos', async (req, res) => {
+        try {
+            const pedidoId = await buscarPedidoDoLink(req, res);
+            if (!pedidoId) return;
+            const acompanhamento = await carregarAcompanhamento(pedidoId);
+            eventosAcompanhamento.conectar(req, res, pedidoId);
+            eventosAcompanhamento.emitir('pedido', acompanhamento, pedidoId);
+        } catch (error) {
+            logger.error(`❌ Erro ao abrir o acompanhamento do pedido: ${error.message}`);
+            if (!res.headersSent) res.status(500).json({ success: false, message: "Erro interno no servidor." });
+        }
+    });
+
+    app.get('/pedido/:token', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'pedido.html'));
+    });
+
+    app.get('/admin', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+    });
+
+    // Rota para servir o site
+    app.get('/', (req, res) => {
+      res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    });
+
+    // Middleware global para tratamento de erros
+    app.use((err, req, res, next) => {
+        logger.error(`Erro não tratado: ${err.stack}`);
+        res.status(500).json({ success: false, message: "Ocorreu um erro inesperado no servidor." });
+    });
+
+    // --- Inicialização ---
+    let timerPix = null;
+    let timerAgendados = null;
+
+    function verificarPedidosAgendados() {
+        return liberarPedidosAgendados().catch(err => logger.error(`Erro ao liberar pedidos agendados: ${err.message}`));
+    }
+
+    async function iniciar() {
+        await prepararBanco().catch(err => logger.error(`Erro ao preparar o banco de dados: ${err.message}`));
+        await fila.iniciar().catch(err => logger.error(`Erro ao iniciar a fila de mensagens: ${err.message}`));
+        await envioCampanhas.iniciar().catch(err => logger.error(`Erro ao iniciar o envio de campanhas: ${err.message}`));
+        if (configuracaoPix) {
+            if (!configuracaoPix.segredoWebhook) {
+                logger.error('PIX_WEBHOOK_SEGREDO não definido: os pagamentos PIX não serão confirmados automaticamente.');
+            }
+            timerPix = setInterval(() => {
+                cancelarPixExpirados().catch(err => logger.error(`Erro ao cancelar PIX expirados: ${err.message}`));
+            }, INTERVALO_EXPIRACAO_PIX_MS);
+        }
+        // Libera já o que venceu enquanto o servidor estava parado
+        await verificarPedidosAgendados();
+        timerAgendados = setInterval(verificarPedidosAgendados, INTERVALO_LIBERACAO_AGENDADOS_MS);
+    }
+
+    function parar() {
+        fila.parar();
+        envioCampanhas.parar();
+        if (timerPix) clearInterval(timerPix);
+        if (timerAgendados) clearInterval(timerAgendados);
+        timerPix = null;
+        timerAgendados = null;
+    }
+
+    return { app, iniciar, parar, fila, atendimento, envioCampanhas };
+}
+
+module.exports = { criarApp };
@@ -0,0 +1,251 @@
+// Atendimento automático das mensagens recebidas no WhatsApp.
+// Reconhece comandos numéricos e palavras-chave, responde pela fila de mensagens
+// e fica em silêncio nas conversas que a equipe assumiu (atendimento humano).
+const { normalizarTexto } = require('./taxa-entrega');
+const horario = require('./horario-funcionamento');
+
+const VALIDADE_CONFIRMACAO_MS = 5 * 60 * 1000; // 5 minutos para confirmar um cancelamento
+
+// A ordem importa: "cancelar meu pedido" é cancelamento e "fazer um pedido" pede o cardápio
+const INTENCOES = [
+    { nome: 'sair', padrao: /^sair\b/ },
+    { nome: 'confirmar', padrao: /^(sim|confirmar|confirmo)\b/ },
+    { nome: 'humano', padrao: /^5$|\b(atendente|humano|pessoa|falar com)\b/ },
+    { nome: 'cancelar', padrao: /^4$|\bcancel/ },
+    { nome: 'cardapio', padrao: /^2$|\b(cardapio|menu|pedir|fazer (um )?pedido)\b/ },
+    { nome: 'status', padrao: /^1$|\b(status|cade|onde esta|meu pedido|pedido|chega|demora)\b/ },
+    { nome: 'horario', padrao: /^3$|\b(horarios?|abert[oa]s?|abre|abrem|fecha|fecham|funcionamento)\b/ },
+    { nome: 'opcoes', padrao: /^(0|oi|ola|bom dia|boa tarde|boa noite|ajuda|opcoes)\b/ },
+    { nome: 'agradecimento', padrao: /^(ok|okay|blz|beleza|obrigad|valeu|show|top|certo)/ }
+];
+
+function identificarIntencao(texto) {
+    const normalizado = normalizarTexto(texto);
+    const intencao = INTENCOES.find(({ padrao }) => padrao.test(normalizado));
+    if (intencao) return intencao.nome;
+    // Figurinhas e emojis soltos não recebem o menu de volta
+    return /[a-z0-9]/.test(normalizado) ? 'desconhecida' : null;
+}
+
+const MENU_OPCOES = [
+    '*1* - Status do meu último pedido',
+    '*2* - Ver o cardápio',
+    '*3* - Horário de funcionamento',
+    '*4* - Cancelar um pedido pendente',
+    '*5* - Falar com um atendente'
+].join('\n');
+
+class AtendimentoWhatsApp {
+    /**
+     * @param {object} opcoes
+     * @param {object} opcoes.repositorio - repositório de dados (Postgres ou memória)
+     * @param {object} opcoes.fila - FilaMensagens usada para as respostas
+     * @param {object} opcoes.logger
+     * @param {object} opcoes.eventos - CanalEventos do painel
+     * @param {Function} opcoes.normalizarTelefone
+     * @param {Function} opcoes.consultarStatusLoja - () => { aberta, mensagem }
+     * @param {Function} opcoes.cancelarPedido - (pedidoId, alteradoPor) => { erro } | { pedido }
+     * @param {object} opcoes.statusPedido - descrição de cada status
+     * @param {string|null} opcoes.urlSite
+     */
+    constructor({ repositorio, fila, logger, eventos, normalizarTelefone, consultarStatusLoja, cancelarPedido, statusPedido, urlSite }) {
+        this.repositorio = repositorio;
+        this.fila = fila;
+        this.logger = logger;
+        this.eventos = eventos;
+        this.normalizarTelefone = normalizarTelefone;
+        this.consultarStatusLoja = consultarStatusLoja;
+        this.cancelarPedido = cancelarPedido;
+        this.statusPedido = statusPedido;
+        this.urlSite = urlSite;
+    }
+
+    // Handler do evento 'message' do whatsapp-web.js
+    async tratarMensagem(msg) {
+        if (msg.fromMe || msg.isStatus || !/@(c\.us|lid)$/.test(msg.from) || !msg.body) return;
+
+        try {
+            const telefone = await this.identificarTelefone(msg);
+            const conversa = await this.registrarConversa(msg.from, telefone);
+            const intencao = identificarIntencao(msg.body);
+
+            // O descadastro das promoções vale mesmo com a conversa nas mãos da equipe
+            if (intencao === 'sair') {
+                await this.enviar(msg.from, await this.sairDasPromocoes({ chatId: msg.from, telefone }));
+                return;
+            }
+            if (conversa.atendimento_humano || await this.emAtendimentoHumano(telefone)) return;
+            if (!intencao) return;
+
+            const resposta = await this.responder(intencao, { chatId: msg.from, telefone, conversa });
+            if (resposta) await this.enviar(msg.from, resposta);
+        } catch (error) {
+            this.logger.error(`❌ Erro no atendimento automático de ${msg.from}: ${error.message}`);
+        }
+    }
+
+    async identificarTelefone(msg) {
+        if (msg.from.endsWith('@c.us')) return this.normalizarTelefone(msg.from.split('@')[0]);
+        const contato = await msg.getContact().catch(() => null);
+        return contato && contato.number ? this.normalizarTelefone(contato.number) : null;
+    }
+
+    async registrarConversa(chatId, telefone) {
+        return this.repositorio.registrarConversa(chatId, telefone);
+    }
+
+    // A equipe pode assumir pelo telefone do pedido, cujo id de conversa nem sempre é o mesmo do WhatsApp
+    async emAtendimentoHumano(telefone) {
+        if (!telefone) return false;
+        return this.repositorio.telefoneEmAtendimentoHumano(telefone);
+    }
+
+    async enviar(chatId, conteudo) {
+        await this.fila.enfileirar({ destinatario: chatId, tipo: 'atendimento', conteudo });
+        this.fila.processar();
+    }
+
+    async responder(intencao, contexto) {
+        switch (intencao) {
+            case 'confirmar': return this.confirmarCancelamento(contexto);
+            case 'humano': return this.transferirParaHumano(contexto);
+            case 'cancelar': return this.solicitarCancelamento(contexto);
+            case 'status': return this.informarStatus(contexto);
+            case 'horario': return this.informarHorario();
+            case 'cardapio': return this.informarCardapio();
+            case 'opcoes': return this.menu(contexto);
+            case 'agradecimento': return null;
+            default: return `Desculpe, não entendi. 🤔\n\n${MENU_OPCOES}`;
+        }
+    }
+
+    async menu({ telefone }) {
+        let saudacao = 'Olá!';
+        if (telefone) {
+            const cliente = await this.repositorio.buscarCliente(telefone);
+            if (cliente) saudacao = `Olá, ${cliente.nome.split(' ')[0]}!`;
+        }
+        return `${saudacao} 🍔 Sou o atendimento automático da *Doka Burger*.\nResponda com o número da opção:\n\n${MENU_OPCOES}`;
+    }
+
+    async ultimoPedido(telefone) {
+        if (!telefone) return null;
+        return this.repositorio.buscarUltimoPedido(telefone);
+    }
+
+    async informarStatus({ telefone }) {
+        const pedido = await this.ultimoPedido(telefone);
+        if (!pedido) {
+            return `Não encontrei pedidos para este número. ${this.textoCardapio()}`;
+        }
+
+        const quando = new Date(pedido.criado_em).toLocaleString('pt-BR', {
+            timeZone: 'America/Sao_Paulo', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+        });
+        let resposta = `📦 Seu último pedido, *#${pedido.id}* (${quando}), está: *${this.statusPedido[pedido.status]}*.`;
+        if (pedido.status === 'agendado') {
+            const { data, hora } = horario.formatarDataHora(new Date(pedido.agendado_para));
+            resposta += `\nA entrega está agendada para ${data} às ${hora}.`;
+        }
+        if (pedido.status === 'recebido') resposta += '\nJá recebemos e logo ele vai para a chapa!';
+        if (pedido.status === 'saiu_para_entrega') resposta += '\nO entregador já está a caminho. 🛵';
+        return resposta;
+    }
+
+    async informarHorario() {
+        const status = await this.consultarStatusLoja();
+        return status.aberta
+            ? `🕒 Estamos abertos! ${status.mensagem}.`
+            : `🕒 ${status.mensagem}.`;
+    }
+
+    textoCardapio() {
+        return this.urlSite
+            ? `Veja o cardápio e faça seu pedido em: ${this.urlSite}`
+            : 'Veja o cardápio e faça seu pedido pelo nosso site.';
+    }
+
+    informarCardapio() {
+        return `🍔 ${this.textoCardapio()}`;
+    }
+
+    async solicitarCancelamento({ chatId, telefone }) {
+        const pedido = await this.ultimoPedido(telefone);
+        if (!pedido || ['entregue', 'cancelado'].includes(pedido.status)) {
+            return 'Você não tem nenhum pedido em andamento para cancelar.';
+        }
+        if (!['recebido', 'agendado'].includes(pedido.status)) {
+            return `Seu pedido #${pedido.id} já está *${this.statusPedido[pedido.status].toLowerCase()}* e não pode mais ser cancelado por aqui. Responda *5* para falar com um atendente.`;
+        }
+
+        await this.repositorio.definirAcaoPendente(chatId, {
+            acao: 'cancelar',
+            pedidoId: pedido.id,
+            expiraEm: new Date(Date.now() + VALIDADE_CONFIRMACAO_MS)
+        });
+        return `Deseja cancelar o pedido *#${pedido.id}*? Responda *SIM* em até 5 minutos para confirmar.`;
+    }
+
+    async confirmarCancelamento({ chatId, telefone, conversa }) {
+        const pendente = conversa.acao_pendente === 'cancelar' && new Date(conversa.acao_expira_em) > new Date();
+        if (!pendente) {
+            return this.menu({ telefone });
+        }
+
+        await this.repositorio.limparAcaoPendente(chatId);
+
+        // O aviso de cancelamento sai pela mensagem de status do próprio pedido
+        const pedidoId = conversa.pedido_pendente;
+        const { erro, httpStatus } = await this.cancelarPedido(pedidoId, 'cliente (WhatsApp)');
+        if (!erro) return null;
+
+        // Entre o pedido e o SIM a cozinha pode ter aceitado ou cancelado o pedido: diz em que pé ele está
+        const pedido = httpStatus === 409 ? await this.repositorio.buscarPedido(pedidoId) : null;
+        if (pedido) {
+            return `Não foi possível cancelar: o pedido #${pedidoId} já está *${this.statusPedido[pedido.status].toLowerCase()}*. Responda *5* para falar com um atendente.`;
+        }
+        this.logger.error(`❌ Cancelamento do pedido #${pedidoId} pelo WhatsApp recusado: ${erro}`);
+        return `Não foi possível cancelar o pedido #${pedidoId}. Responda *5* para falar com um atendente.`;
+    }
+
+    async sairDasPromocoes({ chatId, telefone }) {
+        // O aceite é guardado pelo telefone; sem ele não dá para confirmar o descadastro
+        if (!telefone) {
+            this.logger.error(`❌ Pedido de SAIR da conversa ${chatId} sem telefone identificado: descadastro não realizado.`);
+            return 'Não consegui identificar o seu número para tirar você da lista de promoções. 😕\n' +
+                'Responda *5* para falar com um atendente, que ele faz isso para você.';
+        }
+        if (await this.repositorio.definirAceitePromocoes(telefone, false)) {
+            this.logger.info(`Cliente ${telefone} saiu da lista de promoções.`);
+        }
+        return 'Pronto! Você não vai mais receber promoções da *Doka Burger*. 👋\n' +
+            'Os avisos dos seus pedidos continuam chegando normalmente. Se mudar de ideia, é só marcar a opção no próximo pedido.';
+    }
+
+    async transferirParaHumano({ chatId, telefone }) {
+        await this.definirAtendimentoHumano(chatId, true, { telefone, pedidoPeloCliente: true });
+        this.logger.info(`Conversa ${chatId} pediu atendimento humano.`);
+        return 'Certo! Um atendente vai continuar a conversa por aqui em instantes. 🙋';
+    }
+
+    // Usado pelo bot ("falar com atendente") e pela equipe no painel
+    async definirAtendimentoHumano(chatId, ativo, { telefone = null, pedidoPeloCliente = false } = {}) {
+        const conversa = converterConversa(await this.repositorio.definirAtendimentoHumano(chatId, { telefone, ativo }));
+        this.eventos.emitir('atendimento-atualizado', { ...conversa, pedidoPeloCliente });
+        return conversa;
+    }
+}
+
+function converterConversa(row) {
+    return {
+        chatId: row.chat_id,
+        telefone: row.telefone,
+        atendimentoHumano: row.atendimento_humano,
+        humanoDesde: row.humano_desde,
+        ultimaMensagemEm: row.ultima_mensagem_em
+    };
+}
+
+module.exports = AtendimentoWhatsApp;
+module.exports.identificarIntencao = identificarIntencao;
+module.exports.converterConversa = converterConversa;
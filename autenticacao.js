@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// Senhas são guardadas como "salt:hash" usando scrypt
+const TAMANHO_CHAVE = 64;
+
+function gerarHashSenha(senha) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(senha, salt, TAMANHO_CHAVE).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verificarSenha(senha, senhaHash) {
+    const [salt, hash] = (senhaHash || '').split(':');
+    if (!salt || !hash) return false;
+    const esperado = Buffer.from(hash, 'hex');
+    const calculado = crypto.scryptSync(senha, salt, TAMANHO_CHAVE);
+    return esperado.length === calculado.length && crypto.timingSafeEqual(esperado, calculado);
+}
+
+// O token vai para o navegador; no banco fica apenas o seu hash
+function gerarToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function lerCookie(req, nome) {
+    const cabecalho = req.get('cookie');
+    if (!cabecalho) return null;
+    for (const parte of cabecalho.split(';')) {
+        const [chave, ...valor] = parte.trim().split('=');
+        if (chave !== nome) continue;
+        // Cookie malformado vale como ausente, em vez de derrubar a requisição
+        try {
+            return decodeURIComponent(valor.join('='));
+        } catch {
+            return null;
+        }
+    }
+    return null;
+}
+
+// Token enviado como cookie de sessão ou no cabeçalho "Authorization: Bearer <token>"
+function extrairToken(req, nomeCookie) {
+    const [tipo, token] = (req.get('authorization') || '').split(' ');
+    if (tipo === 'Bearer' && token) return token;
+    return lerCookie(req, nomeCookie);
+}
+
+module.exports = { gerarHashSenha, verificarSenha, gerarToken, hashToken, lerCookie, extrairToken };
@@ -0,0 +1,241 @@
+// Campanhas de promoção pelo WhatsApp para clientes que aceitaram recebê-las no checkout.
+// A equipe define segmentos (combinações dos filtros abaixo) e um modelo de mensagem; cada
+// campanha vira uma mensagem por cliente em `campanhas_envios`, enviada aos poucos por
+// envio-campanhas.js. Como em relatorios.js, cada filtro tem a consulta do Postgres e a
+// mesma conta em JavaScript para o repositório em memória.
+const DIA_MS = 24 * 60 * 60 * 1000;
+const MAXIMO_DIAS = 3650;
+const TAMANHO_MAXIMO_NOME = 100;
+const TAMANHO_MAXIMO_MODELO = 1000;
+
+// Quem respondeu SAIR não recebe mais nada; o rodapé vai em toda mensagem de campanha
+const RODAPE_SAIR = '_Para não receber mais promoções, responda SAIR._';
+
+// Pedidos cancelados não contam, como nos relatórios
+const PEDIDOS_DO_CLIENTE = `FROM pedidos p WHERE p.cliente_telefone = c.telefone AND p.status <> 'cancelado'`;
+const ITENS_DO_CLIENTE = `FROM pedidos p
+    CROSS JOIN jsonb_array_elements(p.dados_pedido->'carrinho') item
+    JOIN produtos pr ON pr.id = item->>'id'
+    WHERE p.cliente_telefone = c.telefone AND p.status <> 'cancelado'`;
+
+/**
+ * Filtros aceitos num segmento. Todos são opcionais e se somam (E).
+ * `sql(parametro)` recebe o marcador ($1, $2...) do valor; `aceitar(historico, valor, agora)`
+ * recebe { pedidos, categorias } do cliente, já sem os cancelados.
+ */
+const FILTROS_SEGMENTO = {
+    pedidoNosUltimosDias: {
+        tipo: 'dias',
+        descrever: dias => `pediu nos últimos ${dias} dia(s)`,
+        sql: parametro => `EXISTS (SELECT 1 ${PEDIDOS_DO_CLIENTE} AND p.criado_em >= NOW() - make_interval(days => ${parametro}::int))`,
+        aceitar: ({ pedidos }, dias, agora) => pedidos.some(pedido => pedido.criado_em >= agora - dias * DIA_MS)
+    },
+    semPedidoHaDias: {
+        tipo: 'dias',
+        descrever: dias => `não pede há ${dias} dia(s)`,
+        sql: parametro => `NOT EXISTS (SELECT 1 ${PEDIDOS_DO_CLIENTE} AND p.criado_em >= NOW() - make_interval(days => ${parametro}::int))`,
+        aceitar: ({ pedidos }, dias, agora) => !pedidos.some(pedido => pedido.criado_em >= agora - dias * DIA_MS)
+    },
+    minimoPedidos: {
+        tipo: 'quantidade',
+        descrever: quantidade => `fez pelo menos ${quantidade} pedido(s)`,
+        sql: parametro => `(SELECT COUNT(*) ${PEDIDOS_DO_CLIENTE}) >= ${parametro}::int`,
+        aceitar: ({ pedidos }, quantidade) => pedidos.length >= quantidade
+    },
+    pediuCategoria: {
+        tipo: 'categoria',
+        descrever: categoria => `já pediu ${categoria}`,
+        sql: parametro => `EXISTS (SELECT 1 ${ITENS_DO_CLIENTE} AND pr.categoria = ${parametro})`,
+        aceitar: ({ categorias }, categoria) => categorias.has(categoria)
+    },
+    nuncaPediuCategoria: {
+        tipo: 'categoria',
+        descrever: categoria => `nunca pediu ${categoria}`,
+        sql: parametro => `NOT EXISTS (SELECT 1 ${ITENS_DO_CLIENTE} AND pr.categoria = ${parametro})`,
+        aceitar: ({ categorias }, categoria) => !categorias.has(categoria)
+    }
+};
+
+// Variáveis do modelo, trocadas pelos dados de cada cliente
+const VARIAVEIS_MODELO = {
+    nome: cliente => cliente.nome.trim().split(/\s+/)[0],
+    nome_completo: cliente => cliente.nome.trim()
+};
+
+/**
+ * Lê a configuração do ambiente:
+ *   CAMPANHAS_INTERVALO_SEGUNDOS - espera mínima entre duas mensagens de campanha (padrão 20; soma-se até 50% ao acaso)
+ *   CAMPANHAS_LIMITE_POR_HORA    - máximo de mensagens de campanha por hora (padrão 100)
+ * Valores inválidos impedem a inicialização, para não disparar mais rápido do que o combinado.
+ */
+function lerConfiguracaoCampanhas(env = process.env) {
+    return {
+        intervaloSegundos: lerInteiro(env, 'CAMPANHAS_INTERVALO_SEGUNDOS', 20),
+        limitePorHora: lerInteiro(env, 'CAMPANHAS_LIMITE_POR_HORA', 100)
+    };
+}
+
+function lerInteiro(env, nome, padrao) {
+    if (env[nome] === undefined || env[nome] === '') return padrao;
+    const valor = Number(env[nome]);
+    if (!Number.isInteger(valor) || valor < 1) {
+        throw new Error(`${nome} deve ser um número inteiro maior que zero.`);
+    }
+    return valor;
+}
+
+function lerNome(nome, rotulo) {
+    const texto = typeof nome === 'string' ? nome.trim() : '';
+    if (!texto || texto.length > TAMANHO_MAXIMO_NOME) {
+        return { erro: `Informe o nome ${rotulo} (até ${TAMANHO_MAXIMO_NOME} caracteres).` };
+    }
+    return { texto };
+}
+
+/**
+ * Valida o corpo de criação de um segmento: { nome, filtros }.
+ * Retorna { erro } ou { segmento: { nome, filtros } } com os valores já normalizados.
+ */
+function validarSegmento({ nome, filtros = {} } = {}) {
+    const { erro, texto } = lerNome(nome, 'do segmento');
+    if (erro) return { erro };
+    if (!filtros || typeof filtros !== 'object' || Array.isArray(filtros)) {
+        return { erro: "Os filtros do segmento devem ser um objeto." };
+    }
+
+    const normalizados = {};
+    for (const [chave, valor] of Object.entries(filtros)) {
+        const filtro = FILTROS_SEGMENTO[chave];
+        if (!filtro) {
+            return { erro: `Filtro desconhecido: ${chave}. Use: ${Object.keys(FILTROS_SEGMENTO).join(', ')}.` };
+        }
+        if (filtro.tipo === 'categoria') {
+            if (typeof valor !== 'string' || !valor.trim() || valor.trim().length > TAMANHO_MAXIMO_NOME) {
+                return { erro: `O filtro ${chave} precisa do nome de uma categoria do cardápio.` };
+            }
+            normalizados[chave] = valor.trim();
+        } else {
+            if (!Number.isInteger(valor) || valor < 1 || valor > MAXIMO_DIAS) {
+                return { erro: `O filtro ${chave} deve ser um número inteiro entre 1 e ${MAXIMO_DIAS}.` };
+            }
+            normalizados[chave] = valor;
+        }
+    }
+    return { segmento: { nome: texto, filtros: normalizados } };
+}
+
+// "Pediu nos últimos 30 dia(s) e nunca pediu Combos"
+function descreverSegmento(filtros) {
+    const partes = Object.entries(filtros).map(([chave, valor]) => FILTROS_SEGMENTO[chave].descrever(valor));
+    if (partes.length === 0) return 'Todos os clientes que aceitaram promoções';
+    const texto = partes.join(' e ');
+    return texto.charAt(0).toUpperCase() + texto.slice(1);
+}
+
+/**
+ * Valida o corpo de criação de uma campanha: { nome, segmentoId, modelo }.
+ * O modelo aceita {nome} (primeiro nome) e {nome_completo}.
+ */
+function validarCampanha({ nome, segmentoId, modelo } = {}) {
+    const { erro, texto } = lerNome(nome, 'da campanha');
+    if (erro) return { erro };
+    if (!Number.isInteger(segmentoId)) {
+        return { erro: "Informe o segmento da campanha." };
+    }
+    const textoModelo = typeof modelo === 'string' ? modelo.trim() : '';
+    if (!textoModelo || textoModelo.length > TAMANHO_MAXIMO_MODELO) {
+        return { erro: `Escreva a mensagem da campanha (até ${TAMANHO_MAXIMO_MODELO} caracteres).` };
+    }
+    const desconhecida = (textoModelo.match(/\{[^{}]*\}/g) || []).find(variavel => !VARIAVEIS_MODELO[variavel.slice(1, -1)]);
+    if (desconhecida) {
+        return { erro: `Variável desconhecida na mensagem: ${desconhecida}. Use ${Object.keys(VARIAVEIS_MODELO).map(v => `{${v}}`).join(' ou ')}.` };
+    }
+    return { campanha: { nome: texto, segmentoId, modelo: textoModelo } };
+}
+
+// Mensagem final de um cliente: o modelo preenchido e o rodapé de descadastro
+function preencherModelo(modelo, cliente) {
+    const texto = modelo.replace(/\{(\w+)\}/g, (variavel, nome) => VARIAVEIS_MODELO[nome](cliente));
+    return `${texto}\n\n${RODAPE_SAIR}`;
+}
+
+// Consulta do Postgres com os clientes do segmento: [{ telefone, nome }]
+function montarConsultaSegmento(filtros) {
+    const condicoes = ['c.aceita_promocoes'];
+    const parametros = [];
+    for (const [chave, valor] of Object.entries(filtros)) {
+        parametros.push(valor);
+        condicoes.push(FILTROS_SEGMENTO[chave].sql(`$${parametros.length}`));
+    }
+    return {
+        sql: `SELECT c.telefone, c.nome FROM clientes c WHERE ${condicoes.join(' AND ')} ORDER BY c.telefone`,
+        parametros
+    };
+}
+
+// A mesma seleção em JavaScript; `dados` traz as linhas de clientes, pedidos e produtos
+function filtrarClientesSegmento({ clientes, pedidos, produtos }, filtros, agora = Date.now()) {
+    const categoriaPorProduto = new Map(produtos.map(produto => [produto.id, produto.categoria]));
+    const historicoDe = (telefone) => {
+        const doCliente = pedidos.filter(pedido => pedido.cliente_telefone === telefone && pedido.status !== 'cancelado');
+        const categorias = new Set(doCliente.flatMap(pedido =>
+            (pedido.dados_pedido.carrinho || []).map(item => categoriaPorProduto.get(item.id)).filter(Boolean)
+        ));
+        return { pedidos: doCliente, categorias };
+    };
+
+    return clientes
+        .filter(cliente => cliente.aceita_promocoes)
+        .filter(cliente => {
+            const historico = historicoDe(cliente.telefone);
+            return Object.entries(filtros).every(([chave, valor]) => FILTROS_SEGMENTO[chave].aceitar(historico, valor, agora));
+        })
+        .map(cliente => ({ telefone: cliente.telefone, nome: cliente.nome }))
+        .sort((a, b) => a.telefone.localeCompare(b.telefone));
+}
+
+function converterSegmento(row) {
+    return {
+        id: row.id,
+        nome: row.nome,
+        filtros: row.filtros,
+        descricao: descreverSegmento(row.filtros),
+        criadoEm: row.criado_em
+    };
+}
+
+// Linha de `campanhas` com as contagens dos envios por situação
+function converterCampanha(row) {
+    return {
+        id: row.id,
+        nome: row.nome,
+        segmento: row.segmento,
+        descricaoSegmento: descreverSegmento(row.filtros),
+        modelo: row.modelo,
+        status: row.status,
+        criadoPor: row.criado_por,
+        criadoEm: row.criado_em,
+        concluidaEm: row.concluida_em,
+        envios: {
+            total: row.total,
+            pendentes: row.pendentes,
+            enviados: row.enviados,
+            falhas: row.falhas,
+            cancelados: row.cancelados
+        }
+    };
+}
+
+module.exports = {
+    FILTROS_SEGMENTO,
+    RODAPE_SAIR,
+    lerConfiguracaoCampanhas,
+    validarSegmento,
+    descreverSegmento,
+    validarCampanha,
+    preencherModelo,
+    montarConsultaSegmento,
+    filtrarClientesSegmento,
+    converterSegmento,
+    converterCampanha
+};
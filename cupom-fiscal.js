@@ -0,0 +1,66 @@
+// Cupom do pedido enviado ao cliente pelo WhatsApp logo após a compra.
+const horario = require('./horario-funcionamento');
+
+// `linkAcompanhamento` e `codigoEntrega` não ficam gravados no pedido: só o cliente os recebe
+function gerarCupomFiscal(pedido, { linkAcompanhamento = null, codigoEntrega = null } = {}) {
+    const { cliente, carrinho, pagamento, troco, subtotal, taxaEntrega, total } = pedido;
+    const { data: dataFormatada, hora: horaFormatada } = horario.formatarDataHora();
+    
+    let cupom = `==================================================\n`;
+    cupom += `      Doka Burger - Pedido em ${dataFormatada} às ${horaFormatada}\n`;
+    cupom += `==================================================\n`
+    cupom += `👤 *DADOS DO CLIENTE*\nNome: ${cliente.nome}\nTelefone: ${cliente.telefoneFormatado}\n\n`;
+    cupom += `*ITENS:*\n`;
+    carrinho.forEach(item => {
+        const nomeFormatado = item.nome.padEnd(25, ' ');
+        const precoFormatado = `R$ ${(item.preco * item.quantidade).toFixed(2).replace('.', ',')}`;
+        cupom += `• ${item.quantidade}x ${nomeFormatado} ${precoFormatado}\n`;
+        (item.modificadores || []).forEach(opcao => {
+            cupom += opcao.preco > 0
+                ? `    + ${opcao.nome} (R$ ${opcao.preco.toFixed(2).replace('.', ',')})\n`
+                : `    › ${opcao.nome}\n`;
+        });
+        if (item.observacao) { cupom += `  Obs: ${item.observacao}\n`; }
+    });
+    cupom += `--------------------------------------------------\n`;
+    cupom += `Subtotal:           R$ ${subtotal.toFixed(2).replace('.', ',')}\n`;
+    cupom += `Taxa de Entrega:    R$ ${taxaEntrega.toFixed(2).replace('.', ',')}\n`;
+    (pedido.descontos || []).forEach(desconto => {
+        cupom += `${desconto.descricao}: -R$ ${desconto.valor.toFixed(2).replace('.', ',')}\n`;
+    });
+    cupom += `*TOTAL:* *R$ ${total.toFixed(2).replace('.', ',')}*\n`;
+    cupom += `--------------------------------------------------\n`;
+    if (pedido.agendadoPara) {
+        const { data, hora } = horario.formatarDataHora(new Date(pedido.agendadoPara));
+        cupom += `🗓️ *ENTREGA AGENDADA:* ${data} às ${hora}\n`;
+    }
+    cupom += `*ENDEREÇO:*\n${cliente.endereco}\n`;
+    if (cliente.bairro) { cupom += `Bairro: ${cliente.bairro}${cliente.cep ? ` - CEP ${cliente.cep}` : ''}\n`; }
+    if (cliente.referencia) { cupom += `Ref: ${cliente.referencia}\n`; }
+    cupom += `--------------------------------------------------\n`;
+    cupom += `*FORMA DE PAGAMENTO:*\n${pagamento}\n`;
+    if (pagamento === 'Dinheiro' && troco) {
+        cupom += `Troco para: R$ ${troco.toFixed(2).replace('.', ',')} (Levar R$ ${pedido.valorTroco.toFixed(2).replace('.',',')})\n`;
+    }
+    if (pedido.pix) {
+        const { hora } = horario.formatarDataHora(new Date(pedido.pix.expiraEm));
+        cupom += `Aguardando pagamento: use o código PIX da próxima mensagem até às ${hora}.\n`;
+    }
+    if (pedido.fidelidade) {
+        cupom += `--------------------------------------------------\n`;
+        cupom += `⭐ *FIDELIDADE:* saldo de ${pedido.fidelidade.saldo} ponto(s)\n`;
+        if (pedido.fidelidade.pontosPrevistos > 0) {
+            cupom += `Este pedido vale +${pedido.fidelidade.pontosPrevistos} ponto(s) após a entrega.\n`;
+        }
+    }
+    if (linkAcompanhamento || codigoEntrega) {
+        cupom += `--------------------------------------------------\n`;
+        if (linkAcompanhamento) { cupom += `📍 *ACOMPANHE SEU PEDIDO:*\n${linkAcompanhamento}\n`; }
+        if (codigoEntrega) { cupom += `🔑 Código de entrega: *${codigoEntrega}* (informe ao entregador)\n`; }
+    }
+    cupom += `==================================================\n`;
+    cupom += `                OBRIGADO PELA PREFERENCIA!`;
+    return cupom;
+}
+
+module.exports = { gerarCupomFiscal };
@@ -0,0 +1,98 @@
+// Regras dos cupons de desconto.
+// As contagens de uso vêm do banco; aqui ficam apenas a validação e o cálculo
+// do desconto, para que a prévia no carrinho e o pedido usem a mesma regra.
+const TIPOS_CUPOM = ['percentual', 'valor_fixo', 'frete_gratis'];
+
+function normalizarCodigoCupom(codigo) {
+    return typeof codigo === 'string' ? codigo.trim().toUpperCase() : '';
+}
+
+function formatarValor(valor) {
+    return `R$ ${valor.toFixed(2).replace('.', ',')}`;
+}
+
+/**
+ * Verifica se o cupom pode ser usado.
+ * `usos` traz as contagens do banco: { totais, doCliente, pedidosDoCliente }.
+ * Contagens do cliente podem ser null quando o telefone ainda não é conhecido
+ * (prévia no carrinho); nesse caso as regras por cliente ficam para o checkout.
+ * Retorna a mensagem de erro ou null.
+ */
+function validarCupom(cupom, { subtotal, agora = new Date(), usos }) {
+    if (!cupom || !cupom.ativo) {
+        return "Cupom inválido.";
+    }
+    if (cupom.validoDe && agora < cupom.validoDe) {
+        return "Este cupom ainda não está valendo.";
+    }
+    if (cupom.validoAte && agora > cupom.validoAte) {
+        return "Este cupom expirou.";
+    }
+    if (subtotal < cupom.pedidoMinimo) {
+        return `Este cupom exige um pedido mínimo de ${formatarValor(cupom.pedidoMinimo)}.`;
+    }
+    if (cupom.limiteTotal !== null && usos.totais >= cupom.limiteTotal) {
+        return "Este cupom já atingiu o limite de usos.";
+    }
+    if (cupom.limitePorCliente !== null && usos.doCliente !== null && usos.doCliente >= cupom.limitePorCliente) {
+        return "Você já usou este cupom o número máximo de vezes.";
+    }
+    if (cupom.apenasPrimeiroPedido && usos.pedidosDoCliente !== null && usos.pedidosDoCliente > 0) {
+        return "Este cupom é válido apenas para o primeiro pedido.";
+    }
+    return null;
+}
+
+// Desconto sobre os itens e sobre a entrega (taxaEntrega pode ser null antes da cotação)
+function calcularDescontoCupom(cupom, { subtotal, taxaEntrega }) {
+    let descontoItens = 0;
+    let descontoEntrega = 0;
+
+    if (cupom.tipo === 'percentual') {
+        descontoItens = subtotal * cupom.valor / 100;
+        if (cupom.descontoMaximo !== null) descontoItens = Math.min(descontoItens, cupom.descontoMaximo);
+    } else if (cupom.tipo === 'valor_fixo') {
+        descontoItens = Math.min(cupom.valor, subtotal);
+    } else if (cupom.tipo === 'frete_gratis') {
+        descontoEntrega = taxaEntrega || 0;
+    }
+
+    return {
+        descontoItens: Math.round(descontoItens * 100) / 100,
+        descontoEntrega: Math.round(descontoEntrega * 100) / 100
+    };
+}
+
+// Texto da linha de desconto no cupom fiscal e no carrinho
+function descreverCupom(cupom) {
+    if (cupom.tipo === 'frete_gratis') return `Entrega grátis (${cupom.codigo})`;
+    return `Cupom ${cupom.codigo}`;
+}
+
+// Converte uma linha da tabela `cupons` (NUMERIC vem como string)
+function converterCupom(row) {
+    const numero = (valor) => valor !== null && valor !== undefined ? parseFloat(valor) : null;
+    return {
+        codigo: row.codigo,
+        descricao: row.descricao,
+        tipo: row.tipo,
+        valor: numero(row.valor),
+        pedidoMinimo: numero(row.pedido_minimo),
+        descontoMaximo: numero(row.desconto_maximo),
+        apenasPrimeiroPedido: row.apenas_primeiro_pedido,
+        limiteTotal: row.limite_total,
+        limitePorCliente: row.limite_por_cliente,
+        validoDe: row.valido_de,
+        validoAte: row.valido_ate,
+        ativo: row.ativo
+    };
+}
+
+module.exports = {
+    TIPOS_CUPOM,
+    normalizarCodigoCupom,
+    validarCupom,
+    calcularDescontoCupom,
+    descreverCupom,
+    converterCupom
+};
@@ -0,0 +1,95 @@
+// Envio das campanhas de promoção, uma mensagem por vez.
+// Ao contrário da fila de mensagens, aqui a pressa atrapalha: o WhatsApp bane números que
+// disparam muitas mensagens seguidas para quem não puxou conversa. Por isso cada envio espera
+// o intervalo configurado (mais uma variação aleatória) e há um teto por hora. O aceite é
+// conferido de novo na hora do envio, para respeitar quem respondeu SAIR no meio da campanha.
+const HORA_MS = 60 * 60 * 1000;
+const VARIACAO_INTERVALO = 0.5; // até 50% a mais de espera, para não soar como robô
+
+class EnvioCampanhas {
+    /**
+     * @param {object} opcoes
+     * @param {object} opcoes.repositorio
+     * @param {object} opcoes.client - cliente do whatsapp-web.js
+     * @param {object} opcoes.logger
+     * @param {Function} opcoes.estaConectado
+     * @param {object} opcoes.configuracao - { intervaloSegundos, limitePorHora } (campanhas.lerConfiguracaoCampanhas)
+     */
+    constructor({ repositorio, client, logger, estaConectado, configuracao }) {
+        this.repositorio = repositorio;
+        this.client = client;
+        this.logger = logger;
+        this.estaConectado = estaConectado;
+        this.configuracao = configuracao;
+        this.processando = false;
+        this.timer = null;
+        this.parado = true;
+    }
+
+    async iniciar() {
+        // Envios que ficaram "enviando" quando o processo caiu voltam para a vez
+        const recuperados = await this.repositorio.recuperarEnviosCampanhaEnviando();
+        if (recuperados > 0) {
+            this.logger.info(`Campanhas: ${recuperados} envio(s) recuperado(s) após reinício.`);
+        }
+        this.parado = false;
+        this.agendar();
+    }
+
+    parar() {
+        this.parado = true;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    agendar() {
+        if (this.parado) return;
+        const esperaMs = this.configuracao.intervaloSegundos * 1000 * (1 + Math.random() * VARIACAO_INTERVALO);
+        this.timer = setTimeout(async () => {
+            await this.processar();
+            this.agendar();
+        }, esperaMs);
+    }
+
+    // Envia no máximo uma mensagem. Retorna o envio processado ({ id, campanhaId, status }) ou null.
+    async processar() {
+        if (this.processando || !this.estaConectado()) return null;
+        this.processando = true;
+
+        try {
+            const enviadosNaHora = await this.repositorio.contarEnviosCampanhaDesde(new Date(Date.now() - HORA_MS));
+            if (enviadosNaHora >= this.configuracao.limitePorHora) return null;
+
+            const envio = await this.repositorio.reservarEnvioCampanha();
+            if (!envio) return null;
+            return await this.enviar(envio);
+        } catch (error) {
+            this.logger.error(`Erro ao enviar campanha: ${error.message}`);
+            return null;
+        } finally {
+            this.processando = false;
+        }
+    }
+
+    async enviar(envio) {
+        const resultado = { id: envio.id, campanhaId: envio.campanha_id };
+        if (!envio.aceita_promocoes) {
+            await this.repositorio.finalizarEnvioCampanha(envio.id, { status: 'cancelado', erro: 'O cliente saiu da lista de promoções.' });
+            return { ...resultado, status: 'cancelado' };
+        }
+
+        // Sem novas tentativas: a falha fica no relatório da campanha
+        try {
+            await this.client.sendMessage(`${envio.cliente_telefone}@c.us`, envio.conteudo);
+        } catch (error) {
+            await this.repositorio.finalizarEnvioCampanha(envio.id, { status: 'falhou', erro: String(error) });
+            this.logger.error(`Campanha #${envio.campanha_id}: falha ao enviar para ${envio.cliente_telefone}: ${error}`);
+            return { ...resultado, status: 'falhou' };
+        }
+        await this.repositorio.finalizarEnvioCampanha(envio.id, { status: 'enviado' });
+        this.logger.info(`✅ Campanha #${envio.campanha_id} enviada para ${envio.cliente_telefone}`);
+        return { ...resultado, status: 'enviado' };
+    }
+}
+
+module.exports = EnvioCampanhas;
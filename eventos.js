@@ -0,0 +1,50 @@
+// Canal de Server-Sent Events. Cada conexão pode ter uma chave de filtro
+// opcional: eventos emitidos com uma chave só chegam às conexões sem filtro
+// ou com a mesma chave.
+const INTERVALO_HEARTBEAT_MS = 25 * 1000;
+
+class CanalEventos {
+    constructor(logger) {
+        this.logger = logger;
+        this.conexoes = new Set();
+    }
+
+    conectar(req, res, filtro = null) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        const conexao = { res, filtro };
+        this.conexoes.add(conexao);
+
+        // Comentários periódicos mantêm a conexão viva atrás de proxies
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), INTERVALO_HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.conexoes.delete(conexao);
+        });
+    }
+
+    emitir(evento, dados, chave = null) {
+        const mensagem = `event: ${evento}\ndata: ${JSON.stringify(dados)}\n\n`;
+        for (const conexao of this.conexoes) {
+            if (conexao.filtro !== null && conexao.filtro !== chave) continue;
+            try {
+                conexao.res.write(mensagem);
+            } catch (error) {
+                this.logger.error(`Erro ao enviar evento "${evento}": ${error.message}`);
+            }
+        }
+    }
+
+    get totalConexoes() {
+        return this.conexoes.size;
+    }
+}
+
+module.exports = CanalEventos;
@@ -0,0 +1,85 @@
+// Programa de fidelidade: pedidos entregues rendem pontos por real gasto e os pontos
+// viram recompensas no checkout. O saldo é a soma do extrato (tabela pontos_fidelidade);
+// aqui ficam apenas a configuração e as contas, como em cupons.js.
+const TIPOS_RECOMPENSA = ['desconto', 'produto'];
+
+const RECOMPENSAS_PADRAO = [
+    { id: 'desconto-10', nome: 'R$ 10,00 de desconto', pontos: 100, tipo: 'desconto', valor: 10 }
+];
+
+/**
+ * Lê a configuração do ambiente:
+ *   FIDELIDADE_PONTOS_POR_REAL - pontos ganhos por real (padrão 1; 0 desliga o programa)
+ *   FIDELIDADE_RECOMPENSAS     - lista JSON de recompensas, por exemplo
+ *     [{"id":"refri","nome":"Refrigerante grátis","pontos":60,"tipo":"produto","produtoId":"b1"},
+ *      {"id":"desconto-10","nome":"R$ 10,00 de desconto","pontos":100,"tipo":"desconto","valor":10}]
+ * Uma lista inválida impede a inicialização, para não aceitar resgates com regras erradas.
+ */
+function lerConfiguracaoFidelidade(env = process.env) {
+    const pontosPorReal = env.FIDELIDADE_PONTOS_POR_REAL === undefined ? 1 : parseFloat(env.FIDELIDADE_PONTOS_POR_REAL);
+    if (!Number.isFinite(pontosPorReal) || pontosPorReal <= 0) return null;
+
+    let recompensas = RECOMPENSAS_PADRAO;
+    if (env.FIDELIDADE_RECOMPENSAS) {
+        try {
+            recompensas = JSON.parse(env.FIDELIDADE_RECOMPENSAS);
+        } catch (error) {
+            throw new Error(`FIDELIDADE_RECOMPENSAS não é um JSON válido: ${error.message}`);
+        }
+        if (!Array.isArray(recompensas)) {
+            throw new Error("FIDELIDADE_RECOMPENSAS deve ser uma lista de recompensas.");
+        }
+        recompensas.forEach(validarRecompensa);
+    }
+
+    return { pontosPorReal, recompensas };
+}
+
+function validarRecompensa(recompensa) {
+    const descricao = JSON.stringify(recompensa);
+    if (!recompensa || typeof recompensa.id !== 'string' || typeof recompensa.nome !== 'string') {
+        throw new Error(`Recompensa sem id ou nome: ${descricao}`);
+    }
+    if (!Number.isInteger(recompensa.pontos) || recompensa.pontos <= 0) {
+        throw new Error(`Recompensa "${recompensa.id}" precisa de um número de pontos inteiro e positivo.`);
+    }
+    if (!TIPOS_RECOMPENSA.includes(recompensa.tipo)) {
+        throw new Error(`Recompensa "${recompensa.id}" com tipo inválido. Use um destes: ${TIPOS_RECOMPENSA.join(', ')}.`);
+    }
+    if (recompensa.tipo === 'desconto' && !(typeof recompensa.valor === 'number' && recompensa.valor > 0)) {
+        throw new Error(`Recompensa "${recompensa.id}" precisa de um valor de desconto positivo.`);
+    }
+    if (recompensa.tipo === 'produto' && typeof recompensa.produtoId !== 'string') {
+        throw new Error(`Recompensa "${recompensa.id}" precisa do produtoId do cardápio.`);
+    }
+}
+
+function encontrarRecompensa(configuracao, id) {
+    return configuracao.recompensas.find(recompensa => recompensa.id === id) || null;
+}
+
+// Pontos inteiros; frações de real não acumulam
+function calcularPontos(configuracao, valor) {
+    return Math.max(0, Math.floor(valor * configuracao.pontosPorReal + 1e-9));
+}
+
+// Recompensas como o site mostra, marcando as que o saldo já permite resgatar
+function listarRecompensas(configuracao, saldo) {
+    return configuracao.recompensas.map(recompensa => ({
+        id: recompensa.id,
+        nome: recompensa.nome,
+        pontos: recompensa.pontos,
+        tipo: recompensa.tipo,
+        valor: recompensa.tipo === 'desconto' ? recompensa.valor : null,
+        produtoId: recompensa.tipo === 'produto' ? recompensa.produtoId : null,
+        disponivel: saldo >= recompensa.pontos
+    }));
+}
+
+module.exports = {
+    TIPOS_RECOMPENSA,
+    lerConfiguracaoFidelidade,
+    encontrarRecompensa,
+    calcularPontos,
+    listarRecompensas
+};
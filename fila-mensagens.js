@@ -0,0 +1,85 @@
+// Fila persistente de mensagens de WhatsApp (outbox).
+// Toda mensagem é gravada em `mensagens_fila` (pelo repositório) antes de ser enviada; um
+// worker drena a fila quando o cliente está conectado, com novas tentativas e
+// backoff exponencial. Mensagens que esgotam as tentativas ficam com status
+// 'falhou' (dead-letter) para análise manual.
+const TAMANHO_LOTE = 10;
+const MAX_TENTATIVAS = 8;
+const ESPERA_BASE_MS = 15 * 1000; // 15 segundos
+const ESPERA_MAXIMA_MS = 30 * 60 * 1000; // 30 minutos
+const INTERVALO_VERIFICACAO_MS = 15 * 1000;
+
+class FilaMensagens {
+    constructor({ repositorio, client, logger, estaConectado }) {
+        this.repositorio = repositorio;
+        this.client = client;
+        this.logger = logger;
+        this.estaConectado = estaConectado;
+        this.processando = false;
+        this.timer = null;
+    }
+
+    // Aceita o repositório de uma transação para que a mensagem seja gravada junto com o pedido
+    async enfileirar({ pedidoId = null, destinatario, tipo, conteudo }, repositorio = this.repositorio) {
+        return repositorio.enfileirarMensagem({ pedidoId, destinatario, tipo, conteudo });
+    }
+
+    calcularEspera(tentativas) {
+        return Math.min(ESPERA_BASE_MS * Math.pow(2, tentativas - 1), ESPERA_MAXIMA_MS);
+    }
+
+    async iniciar() {
+        // Mensagens que ficaram "enviando" quando o processo caiu voltam para a fila
+        const recuperadas = await this.repositorio.recuperarMensagensEnviando();
+        if (recuperadas > 0) {
+            this.logger.info(`Fila de mensagens: ${recuperadas} mensagem(ns) recuperada(s) após reinício.`);
+        }
+
+        this.timer = setInterval(() => this.processar(), INTERVALO_VERIFICACAO_MS);
+    }
+
+    parar() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async processar() {
+        if (this.processando || !this.estaConectado()) return;
+        this.processando = true;
+
+        try {
+            let lote;
+            do {
+                lote = await this.repositorio.reservarMensagens(TAMANHO_LOTE);
+
+                for (const mensagem of lote) {
+                    await this.enviar(mensagem);
+                }
+            } while (lote.length === TAMANHO_LOTE && this.estaConectado());
+        } catch (error) {
+            this.logger.error(`Erro ao processar a fila de mensagens: ${error.message}`);
+        } finally {
+            this.processando = false;
+        }
+    }
+
+    async enviar(mensagem) {
+        try {
+            await this.client.sendMessage(mensagem.destinatario, mensagem.conteudo);
+            await this.repositorio.marcarMensagemEnviada(mensagem.id);
+            this.logger.info(`✅ Mensagem "${mensagem.tipo}" enviada para ${mensagem.destinatario}`);
+        } catch (error) {
+            const tentativas = mensagem.tentativas + 1;
+            if (tentativas >= MAX_TENTATIVAS) {
+                await this.repositorio.marcarMensagemFalhou(mensagem.id, { tentativas, erro: String(error) });
+                this.logger.error(`Mensagem #${mensagem.id} ("${mensagem.tipo}") descartada após ${tentativas} tentativas: ${error}`);
+            } else {
+                const esperaSegundos = this.calcularEspera(tentativas) / 1000;
+                await this.repositorio.reagendarMensagem(mensagem.id, { tentativas, erro: String(error), esperaSegundos });
+                this.logger.error(`Falha ao enviar mensagem #${mensagem.id} ("${mensagem.tipo}"), nova tentativa em ${esperaSegundos}s: ${error}`);
+            }
+        }
+    }
+}
+
+module.exports = FilaMensagens;
@@ -0,0 +1,182 @@
+// Horário de funcionamento da loja.
+// Todas as contas são feitas no fuso de São Paulo via Intl, independente do fuso do servidor.
+const FUSO_HORARIO = 'America/Sao_Paulo';
+const DIAS_SEMANA = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+const DIAS_BUSCA_ABERTURA = 14;
+
+const formatadorPartes = new Intl.DateTimeFormat('en-US', {
+    timeZone: FUSO_HORARIO,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23'
+});
+
+// Data e hora de São Paulo: { data: 'AAAA-MM-DD', hora: 'HH:MM', segundos, diaSemana, minutos }
+function partesDataHora(momento = new Date()) {
+    const partes = {};
+    formatadorPartes.formatToParts(momento).forEach(({ type, value }) => { partes[type] = value; });
+    const data = `${partes.year}-${partes.month}-${partes.day}`;
+    return {
+        data,
+        hora: `${partes.hour}:${partes.minute}`,
+        segundos: partes.second,
+        diaSemana: new Date(`${data}T00:00:00Z`).getUTCDay(),
+        minutos: parseInt(partes.hour, 10) * 60 + parseInt(partes.minute, 10)
+    };
+}
+
+// "19/10/2026" e "18:30" no horário de São Paulo, para textos enviados ao cliente
+function formatarDataHora(momento = new Date()) {
+    const { data, hora } = partesDataHora(momento);
+    const [ano, mes, dia] = data.split('-');
+    return { data: `${dia}/${mes}/${ano}`, hora };
+}
+
+// "2026-10-19 18:30:05" no horário de São Paulo, para os logs
+function carimboDataHora(momento = new Date()) {
+    const { data, hora, segundos } = partesDataHora(momento);
+    return `${data} ${hora}:${segundos}`;
+}
+
+function somarDias(data, dias) {
+    const [ano, mes, dia] = data.split('-').map(Number);
+    return new Date(Date.UTC(ano, mes - 1, dia + dias)).toISOString().slice(0, 10);
+}
+
+// Momento de uma data e hora de São Paulo; minutos a partir de 1440 caem no dia seguinte
+function momentoLocal(data, minutos) {
+    const [ano, mes, dia] = data.split('-').map(Number);
+    const comoUtc = Date.UTC(ano, mes - 1, dia) + minutos * 60 * 1000;
+    // A diferença entre o relógio de São Paulo e o UTC nesse instante é o fuso a descontar
+    const local = partesDataHora(new Date(comoUtc));
+    const localComoUtc = new Date(`${local.data}T00:00:00Z`).getTime() + local.minutos * 60 * 1000;
+    return new Date(comoUtc - (localComoUtc - comoUtc));
+}
+
+// "18:00" ou "18:00:00" (coluna TIME) → minutos desde a meia-noite
+function paraMinutos(hora) {
+    const [h, m] = String(hora).split(':').map(Number);
+    return h * 60 + m;
+}
+
+function formatarHora(minutos) {
+    const h = Math.floor(minutos / 60) % 24;
+    const m = minutos % 60;
+    return m === 0 ? `${h}h` : `${h}h${String(m).padStart(2, '0')}`;
+}
+
+function horaTexto(minutos) {
+    return `${String(Math.floor(minutos / 60) % 24).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Intervalos de um dia, já considerando as exceções (feriados).
+ * `horarios`: [{ diaSemana, abre, fecha }]; `excecoes`: Map data → { fechado, abre, fecha }.
+ * Um intervalo com `fecha` menor ou igual a `abre` atravessa a meia-noite.
+ */
+function intervalosDoDia(data, horarios, excecoes) {
+    const excecao = excecoes.get(data);
+    if (excecao) {
+        return excecao.fechado ? [] : [{ abre: paraMinutos(excecao.abre), fecha: paraMinutos(excecao.fecha) }];
+    }
+    const diaSemana = new Date(`${data}T00:00:00Z`).getUTCDay();
+    return horarios
+        .filter(horario => horario.diaSemana === diaSemana)
+        .map(horario => ({ abre: paraMinutos(horario.abre), fecha: paraMinutos(horario.fecha) }))
+        .sort((a, b) => a.abre - b.abre);
+}
+
+function atravessaMeiaNoite(intervalo) {
+    return intervalo.fecha <= intervalo.abre;
+}
+
+/**
+ * Situação da loja no momento informado.
+ * Sem nenhum horário cadastrado a loja é considerada sempre aberta.
+ * Retorna { aberta, fechaAs, proximaAbertura: { data, hora } | null, mensagem }.
+ */
+function calcularStatusLoja(horarios, excecoes, momento = new Date()) {
+    if (horarios.length === 0 && excecoes.size === 0) {
+        return { aberta: true, fechaAs: null, proximaAbertura: null, mensagem: "Aberto" };
+    }
+
+    const agora = partesDataHora(momento);
+    const ontem = somarDias(agora.data, -1);
+
+    const virouDeOntem = intervalosDoDia(ontem, horarios, excecoes)
+        .find(intervalo => atravessaMeiaNoite(intervalo) && agora.minutos < intervalo.fecha);
+    const abertoHoje = intervalosDoDia(agora.data, horarios, excecoes)
+        .find(intervalo => agora.minutos >= intervalo.abre && (atravessaMeiaNoite(intervalo) || agora.minutos < intervalo.fecha));
+    const intervaloAtual = virouDeOntem || abertoHoje;
+
+    if (intervaloAtual) {
+        return {
+            aberta: true,
+            fechaAs: horaTexto(intervaloAtual.fecha),
+            proximaAbertura: null,
+            mensagem: `Aberto até às ${formatarHora(intervaloAtual.fecha)}`
+        };
+    }
+
+    for (let dias = 0; dias <= DIAS_BUSCA_ABERTURA; dias++) {
+        const data = somarDias(agora.data, dias);
+        const abertura = intervalosDoDia(data, horarios, excecoes)
+            .find(intervalo => dias > 0 || intervalo.abre > agora.minutos);
+        if (!abertura) continue;
+
+        let quando = '';
+        if (dias === 1) quando = 'amanhã ';
+        if (dias > 1) quando = `${DIAS_SEMANA[new Date(`${data}T00:00:00Z`).getUTCDay()]} `;
+        return {
+            aberta: false,
+            fechaAs: null,
+            proximaAbertura: { data, hora: horaTexto(abertura.abre) },
+            mensagem: `Fechado — abrimos ${quando}às ${formatarHora(abertura.abre)}`
+        };
+    }
+
+    return { aberta: false, fechaAs: null, proximaAbertura: null, mensagem: "Fechado no momento" };
+}
+
+/**
+ * Horários de entrega para pedidos agendados: a cada `intervaloMinutos` dentro do expediente,
+ * de hoje até `dias` dias à frente. O pedido vai para a cozinha `antecedenciaMinutos` antes,
+ * então essa liberação precisa cair com a loja aberta e ainda no futuro.
+ * Sem nenhum horário cadastrado não há o que agendar.
+ * Retorna [{ momento, data: 'AAAA-MM-DD', hora: 'HH:MM' }] em ordem.
+ */
+function listarHorariosEntrega(horarios, excecoes, { intervaloMinutos, antecedenciaMinutos, dias, momento = new Date() }) {
+    if (horarios.length === 0 && excecoes.size === 0) return [];
+
+    const hoje = partesDataHora(momento).data;
+    const limite = somarDias(hoje, dias);
+    const encontrados = new Map();
+    // Começa ontem: um expediente de ontem pode atravessar a meia-noite
+    for (let data = somarDias(hoje, -1); data <= limite; data = somarDias(data, 1)) {
+        for (const intervalo of intervalosDoDia(data, horarios, excecoes)) {
+            const fecha = atravessaMeiaNoite(intervalo) ? intervalo.fecha + 24 * 60 : intervalo.fecha;
+            const primeiro = Math.ceil((intervalo.abre + antecedenciaMinutos) / intervaloMinutos) * intervaloMinutos;
+            for (let minutos = primeiro; minutos <= fecha; minutos += intervaloMinutos) {
+                const entrega = momentoLocal(data, minutos);
+                const local = partesDataHora(entrega);
+                if (entrega.getTime() - antecedenciaMinutos * 60 * 1000 <= momento.getTime() || local.data > limite) continue;
+                encontrados.set(entrega.getTime(), { momento: entrega, data: local.data, hora: local.hora });
+            }
+        }
+    }
+    return [...encontrados.values()].sort((a, b) => a.momento - b.momento);
+}
+
+module.exports = {
+    FUSO_HORARIO,
+    DIAS_SEMANA,
+    DIAS_BUSCA_ABERTURA,
+    partesDataHora,
+    formatarDataHora,
+    carimboDataHora,
+    somarDias,
+    paraMinutos,
+    momentoLocal,
+    calcularStatusLoja,
+    listarHorariosEntrega
+};
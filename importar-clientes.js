@@ -0,0 +1,31 @@
+// Importa para o Postgres o clientes.json do antigo ClientesManager.
+// Uso: DATABASE_URL=... npm run importar-clientes -- [caminho do clientes.json]
+// Clientes que já existem no banco não são alterados; pode ser executado mais de uma vez.
+const { RepositorioPostgres, lerClientesLegados } = require('./repositorio');
+const logger = require('./logger');
+
+async function importar(caminho) {
+    if (!process.env.DATABASE_URL) {
+        throw new Error('Defina DATABASE_URL com o banco Postgres de destino.');
+    }
+
+    const { clientes, invalidos } = lerClientesLegados(caminho);
+    invalidos.forEach(registro => logger.error(`Cliente ignorado (telefone ou nome inválido): ${JSON.stringify(registro)}`));
+
+    const repositorio = new RepositorioPostgres({ databaseUrl: process.env.DATABASE_URL, logger });
+    try {
+        await repositorio.preparar();
+        let importados = 0;
+        for (const cliente of clientes) {
+            if (await repositorio.importarCliente(cliente)) importados++;
+        }
+        logger.info(`${importados} cliente(s) importado(s), ${clientes.length - importados} já existiam e ${invalidos.length} inválido(s).`);
+    } finally {
+        await repositorio.fechar();
+    }
+}
+
+importar(process.argv[2] || './data/clientes.json').catch(error => {
+    logger.error(`Falha na importação de clientes: ${error.message}`);
+    process.exitCode = 1;
+});
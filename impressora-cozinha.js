@@ -0,0 +1,205 @@
+// Ticket de cozinha em ESC/POS para impressoras térmicas de 58 ou 80 mm.
+// O destino vem de IMPRESSORA_COZINHA:
+//   tcp://192.168.0.50:9100  → impressora de rede (porta RAW)
+//   arquivo:./tickets        → grava os bytes em arquivos .bin (testes sem hardware)
+// Sem a variável, a impressão fica desligada.
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const horario = require('./horario-funcionamento');
+
+const COLUNAS_POR_LARGURA = { 58: 32, 80: 48 };
+const TEMPO_LIMITE_IMPRESSAO_MS = 10 * 1000;
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const COMANDOS = {
+    iniciar: [ESC, 0x40],
+    tabelaPortugues: [ESC, 0x74, 3], // página de código 860
+    alinharEsquerda: [ESC, 0x61, 0],
+    centralizar: [ESC, 0x61, 1],
+    negritoLigado: [ESC, 0x45, 1],
+    negritoDesligado: [ESC, 0x45, 0],
+    tamanhoNormal: [GS, 0x21, 0x00],
+    alturaDupla: [GS, 0x21, 0x01],
+    tamanhoDuplo: [GS, 0x21, 0x11],
+    tamanhoTriplo: [GS, 0x21, 0x22],
+    avancarECortar: [ESC, 0x64, 4, GS, 0x56, 0x42, 0]
+};
+
+// Caracteres acentuados na página de código 860 (português)
+const CP860 = {
+    'Ç': 0x80, 'ü': 0x81, 'é': 0x82, 'â': 0x83, 'ã': 0x84, 'à': 0x85, 'Á': 0x86, 'ç': 0x87,
+    'ê': 0x88, 'Ê': 0x89, 'è': 0x8a, 'Í': 0x8b, 'Ô': 0x8c, 'ì': 0x8d, 'Ã': 0x8e, 'Â': 0x8f,
+    'É': 0x90, 'À': 0x91, 'È': 0x92, 'ô': 0x93, 'õ': 0x94, 'ò': 0x95, 'Ú': 0x96, 'ù': 0x97,
+    'Ì': 0x98, 'Õ': 0x99, 'Ü': 0x9a, 'Ù': 0x9d, 'Ó': 0x9f, 'á': 0xa0, 'í': 0xa1, 'ó': 0xa2,
+    'ú': 0xa3, 'ñ': 0xa4, 'Ñ': 0xa5, 'ª': 0xa6, 'º': 0xa7, 'Ò': 0xa9
+};
+
+function codificarTexto(texto) {
+    const bytes = [];
+    for (const caractere of String(texto)) {
+        if (CP860[caractere] !== undefined) {
+            bytes.push(CP860[caractere]);
+            continue;
+        }
+        // Sem equivalente: tenta a letra sem acento; emojis e afins viram '?'
+        const simples = caractere.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        const codigo = simples.charCodeAt(0);
+        bytes.push(simples.length === 1 && codigo >= 0x20 && codigo < 0x7f ? codigo : 0x3f);
+    }
+    return bytes;
+}
+
+// Quebra o texto em linhas de até `colunas` caracteres, sem cortar palavras quando possível
+function quebrarLinhas(texto, colunas, recuo = '') {
+    const linhas = [];
+    let atual = '';
+    for (const palavra of String(texto).split(/\s+/).filter(Boolean)) {
+        const candidata = atual ? `${atual} ${palavra}` : `${recuo}${palavra}`;
+        if (candidata.length <= colunas) {
+            atual = candidata;
+            continue;
+        }
+        if (atual) linhas.push(atual);
+        atual = `${recuo}${palavra}`;
+        while (atual.length > colunas) {
+            linhas.push(atual.slice(0, colunas));
+            atual = `${recuo}${atual.slice(colunas)}`;
+        }
+    }
+    if (atual) linhas.push(atual);
+    return linhas;
+}
+
+function formatarValor(valor) {
+    return `R$ ${valor.toFixed(2).replace('.', ',')}`;
+}
+
+/**
+ * Monta o ticket de cozinha de um pedido.
+ * `pedido` é o mesmo objeto gravado em `dados_pedido`.
+ * Retorna um Buffer pronto para ser enviado à impressora.
+ */
+function gerarTicketCozinha(pedido, { pedidoId, criadoEm = new Date(), larguraMm = 80, reimpressao = false }) {
+    const colunas = COLUNAS_POR_LARGURA[larguraMm] || COLUNAS_POR_LARGURA[80];
+    const bytes = [];
+    const comando = (...nomes) => nomes.forEach(nome => bytes.push(...COMANDOS[nome]));
+    const linha = (texto = '') => bytes.push(...codificarTexto(texto), 0x0a);
+    const paragrafo = (texto, recuo = '', largura = colunas) => quebrarLinhas(texto, largura, recuo).forEach(l => linha(l));
+    const separador = () => linha('-'.repeat(colunas));
+    const { data, hora } = horario.formatarDataHora(new Date(criadoEm));
+
+    comando('iniciar', 'tabelaPortugues', 'centralizar', 'negritoLigado');
+    linha('DOKA BURGER');
+    comando('tamanhoTriplo');
+    linha(`#${pedidoId}`);
+    comando('tamanhoNormal', 'negritoDesligado');
+    linha(`${data} ${hora}`);
+    if (reimpressao) linha('*** REIMPRESSÃO ***');
+    if (pedido.agendadoPara) {
+        const entrega = horario.formatarDataHora(new Date(pedido.agendadoPara));
+        comando('negritoLigado');
+        linha(`AGENDADO: ENTREGAR ${entrega.data.slice(0, 5)} ${entrega.hora}`);
+        comando('negritoDesligado');
+    }
+    comando('alinharEsquerda');
+    separador();
+
+    // Itens em fonte dupla (metade das colunas), modificadores e observações em fonte normal
+    pedido.carrinho.forEach(item => {
+        comando('negritoLigado', 'tamanhoDuplo');
+        paragrafo(`${item.quantidade}x ${item.nome}`, '', Math.floor(colunas / 2));
+        comando('tamanhoNormal', 'negritoDesligado');
+        (item.modificadores || []).forEach(opcao => {
+            paragrafo(`${opcao.preco > 0 ? '+' : '>'} ${opcao.nome}`, '    ');
+        });
+        if (item.observacao) {
+            comando('negritoLigado');
+            paragrafo(`OBS: ${item.observacao}`, '    ');
+            comando('negritoDesligado');
+        }
+        linha();
+    });
+    separador();
+
+    const { cliente } = pedido;
+    comando('negritoLigado');
+    linha('ENTREGA');
+    comando('negritoDesligado');
+    paragrafo(`${cliente.nome} - ${cliente.telefoneFormatado || cliente.telefone}`);
+    paragrafo(cliente.endereco);
+    if (cliente.bairro) paragrafo(`Bairro: ${cliente.bairro}${cliente.cep ? ` - CEP ${cliente.cep}` : ''}`);
+    if (cliente.referencia) paragrafo(`Ref: ${cliente.referencia}`);
+    separador();
+
+    comando('negritoLigado');
+    linha(`PAGAMENTO: ${pedido.pagamento}`);
+    linha(`TOTAL: ${formatarValor(pedido.total)}`);
+    comando('negritoDesligado');
+    if (pedido.troco) linha(`Troco para ${formatarValor(pedido.troco)} (levar ${formatarValor(pedido.valorTroco)})`);
+
+    comando('avancarECortar');
+    return Buffer.from(bytes);
+}
+
+class ImpressoraCozinha {
+    /**
+     * @param {object} opcoes
+     * @param {string|undefined} opcoes.destino - valor de IMPRESSORA_COZINHA
+     * @param {number} opcoes.larguraMm - 58 ou 80
+     * @param {object} opcoes.logger
+     */
+    constructor({ destino, larguraMm = 80, logger }) {
+        this.destino = destino ? ImpressoraCozinha.lerDestino(destino) : null;
+        this.larguraMm = COLUNAS_POR_LARGURA[larguraMm] ? larguraMm : 80;
+        this.logger = logger;
+        if (destino && !this.destino) {
+            logger.error(`IMPRESSORA_COZINHA inválida: "${destino}". Use tcp://host:porta ou arquivo:pasta.`);
+        }
+    }
+
+    static lerDestino(destino) {
+        const tcp = /^tcp:\/\/([^:/]+)(?::(\d+))?\/?$/.exec(destino);
+        if (tcp) return { tipo: 'tcp', host: tcp[1], porta: tcp[2] ? parseInt(tcp[2], 10) : 9100 };
+        if (destino.startsWith('arquivo:') && destino.length > 'arquivo:'.length) {
+            return { tipo: 'arquivo', pasta: destino.slice('arquivo:'.length) };
+        }
+        return null;
+    }
+
+    get habilitada() {
+        return this.destino !== null;
+    }
+
+    async imprimirPedido(pedido, { pedidoId, criadoEm, reimpressao = false }) {
+        if (!this.habilitada) return false;
+        const ticket = gerarTicketCozinha(pedido, { pedidoId, criadoEm, larguraMm: this.larguraMm, reimpressao });
+        await this.enviar(ticket, pedidoId);
+        this.logger.info(`🖨️ Ticket do pedido #${pedidoId} ${reimpressao ? 'reimpresso' : 'impresso'}.`);
+        return true;
+    }
+
+    async enviar(ticket, pedidoId) {
+        if (this.destino.tipo === 'arquivo') {
+            await fs.promises.mkdir(this.destino.pasta, { recursive: true });
+            const arquivo = path.join(this.destino.pasta, `pedido-${pedidoId}-${Date.now()}.bin`);
+            await fs.promises.writeFile(arquivo, ticket);
+            return;
+        }
+
+        const { host, porta } = this.destino;
+        await new Promise((resolve, reject) => {
+            const conexao = net.createConnection({ host, port: porta });
+            conexao.setTimeout(TEMPO_LIMITE_IMPRESSAO_MS, () => {
+                conexao.destroy(new Error(`impressora ${host}:${porta} não respondeu`));
+            });
+            conexao.once('error', reject);
+            conexao.once('close', (comErro) => { if (!comErro) resolve(); });
+            conexao.once('connect', () => conexao.end(ticket));
+        });
+    }
+}
+
+module.exports = ImpressoraCozinha;
+module.exports.gerarTicketCozinha = gerarTicketCozinha;
@@ -0,0 +1,13 @@
+// Configuração de logs com horário de Brasília
+const horario = require('./horario-funcionamento');
+
+const logger = {
+    info: (msg) => {
+        console.log(`[INFO] ${horario.carimboDataHora()} - ${msg}`);
+    },
+    error: (msg) => {
+        console.error(`[ERROR] ${horario.carimboDataHora()} - ${msg}`);
+    }
+};
+
+module.exports = logger;
@@ -0,0 +1,140 @@
+// Migrações versionadas do banco Postgres.
+// Cada mudança de estrutura é um par de arquivos em ./migracoes, numerados em ordem:
+//   013_fidelidade.up.sql   - aplica a mudança
+//   013_fidelidade.down.sql - desfaz a mudança
+// As versões aplicadas ficam em `schema_migrations`; cada migração roda na própria transação,
+// junto com o registro da versão, então uma falha não deixa a estrutura pela metade.
+// As primeiras migrações usam IF NOT EXISTS para adotar bancos criados antes deste controle.
+const fs = require('fs');
+const path = require('path');
+
+const PASTA_MIGRACOES = path.join(__dirname, 'migracoes');
+const NOME_ARQUIVO = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Trava consultiva que impede duas instâncias de migrarem o mesmo banco ao mesmo tempo
+const CHAVE_TRAVA = 20260401;
+
+/**
+ * Lê as migrações da pasta, em ordem de versão: [{ versao, nome, up, down }].
+ * `down` é null quando a migração não tem o arquivo de reversão.
+ */
+function listarMigracoes(pasta = PASTA_MIGRACOES) {
+    const porVersao = new Map();
+    for (const arquivo of fs.readdirSync(pasta).sort()) {
+        if (!arquivo.endsWith('.sql')) continue;
+        const partes = NOME_ARQUIVO.exec(arquivo);
+        if (!partes) {
+            throw new Error(`Nome de migração inválido: ${arquivo}. Use NNN_descricao.up.sql e NNN_descricao.down.sql.`);
+        }
+        const [, numero, nome, direcao] = partes;
+        const versao = parseInt(numero, 10);
+        const migracao = porVersao.get(versao) || { versao, nome, up: null, down: null };
+        if (migracao.nome !== nome) {
+            throw new Error(`Versão ${versao} usada por duas migrações: ${migracao.nome} e ${nome}.`);
+        }
+        migracao[direcao] = fs.readFileSync(path.join(pasta, arquivo), 'utf-8');
+        porVersao.set(versao, migracao);
+    }
+
+    const migracoes = [...porVersao.values()].sort((a, b) => a.versao - b.versao);
+    const semUp = migracoes.find(migracao => migracao.up === null);
+    if (semUp) {
+        throw new Error(`A migração ${rotulo(semUp)} não tem o arquivo .up.sql.`);
+    }
+    return migracoes;
+}
+
+// "013_fidelidade", como no nome dos arquivos
+function rotulo({ versao, nome }) {
+    return `${String(versao).padStart(3, '0')}_${nome}`;
+}
+
+async function criarTabelaMigracoes(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            versao INTEGER PRIMARY KEY,
+            nome VARCHAR(255) NOT NULL,
+            aplicada_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+async function versoesAplicadas(db) {
+    const { rows } = await db.query('SELECT versao FROM schema_migrations ORDER BY versao');
+    return new Set(rows.map(row => row.versao));
+}
+
+/**
+ * Aplica as migrações pendentes. `repositorio` é um RepositorioPostgres.
+ * Retorna as migrações aplicadas nesta execução.
+ */
+async function migrar(repositorio, { logger, pasta = PASTA_MIGRACOES } = {}) {
+    const migracoes = listarMigracoes(pasta);
+    await repositorio.transacao(({ db }) => criarTabelaMigracoes(db));
+
+    const aplicadas = [];
+    for (const migracao of migracoes) {
+        const aplicou = await repositorio.transacao(async ({ db }) => {
+            await db.query('SELECT pg_advisory_xact_lock($1)', [CHAVE_TRAVA]);
+            // Outra instância pode ter aplicado enquanto esta esperava a trava
+            if ((await versoesAplicadas(db)).has(migracao.versao)) return false;
+
+            await db.query(migracao.up);
+            await db.query('INSERT INTO schema_migrations (versao, nome) VALUES ($1, $2)', [migracao.versao, migracao.nome]);
+            return true;
+        });
+        if (aplicou) {
+            aplicadas.push(migracao);
+            if (logger) logger.info(`Migração ${rotulo(migracao)} aplicada.`);
+        }
+    }
+    return aplicadas;
+}
+
+/**
+ * Desfaz as `quantidade` últimas migrações aplicadas, da mais nova para a mais antiga.
+ * Retorna as migrações revertidas.
+ */
+async function reverter(repositorio, { quantidade = 1, logger, pasta = PASTA_MIGRACOES } = {}) {
+    const porVersao = new Map(listarMigracoes(pasta).map(migracao => [migracao.versao, migracao]));
+    await repositorio.transacao(({ db }) => criarTabelaMigracoes(db));
+
+    const revertidas = [];
+    for (let i = 0; i < quantidade; i++) {
+        const migracao = await repositorio.transacao(async ({ db }) => {
+            await db.query('SELECT pg_advisory_xact_lock($1)', [CHAVE_TRAVA]);
+            const { rows } = await db.query('SELECT versao, nome FROM schema_migrations ORDER BY versao DESC LIMIT 1');
+            if (rows.length === 0) return null;
+
+            const ultima = porVersao.get(rows[0].versao);
+            if (!ultima || ultima.down === null) {
+                throw new Error(`A migração ${rotulo(rows[0])} não tem o arquivo .down.sql para ser desfeita.`);
+            }
+            await db.query(ultima.down);
+            await db.query('DELETE FROM schema_migrations WHERE versao = $1', [ultima.versao]);
+            return ultima;
+        });
+        if (!migracao) break;
+        revertidas.push(migracao);
+        if (logger) logger.info(`Migração ${rotulo(migracao)} desfeita.`);
+    }
+    return revertidas;
+}
+
+// Situação de cada migração conhecida: [{ versao, nome, aplicadaEm }] (aplicadaEm null se pendente)
+async function consultarSituacao(repositorio, { pasta = PASTA_MIGRACOES } = {}) {
+    const migracoes = listarMigracoes(pasta);
+    await repositorio.transacao(({ db }) => criarTabelaMigracoes(db));
+    const { rows } = await repositorio.db.query('SELECT versao, aplicada_em FROM schema_migrations');
+    const aplicadasEm = new Map(rows.map(row => [row.versao, row.aplicada_em]));
+    return migracoes.map(({ versao, nome }) => ({ versao, nome, aplicadaEm: aplicadasEm.get(versao) || null }));
+}
+
+module.exports = {
+    PASTA_MIGRACOES,
+    listarMigracoes,
+    rotulo,
+    migrar,
+    reverter,
+    consultarSituacao
+};
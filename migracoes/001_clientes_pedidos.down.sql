@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS pedidos;
+DROP TABLE IF EXISTS clientes;
@@ -0,0 +1,18 @@
+-- Tabela de clientes
+CREATE TABLE IF NOT EXISTS clientes (
+    telefone VARCHAR(20) PRIMARY KEY,
+    nome VARCHAR(255) NOT NULL,
+    endereco TEXT NOT NULL,
+    referencia TEXT,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabela de pedidos
+CREATE TABLE IF NOT EXISTS pedidos (
+    id SERIAL PRIMARY KEY,
+    cliente_telefone VARCHAR(20) NOT NULL REFERENCES clientes(telefone),
+    dados_pedido JSONB NOT NULL,
+    mensagem_confirmacao_enviada BOOLEAN NOT NULL DEFAULT false,
+    mensagem_entrega_enviada BOOLEAN NOT NULL DEFAULT false,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
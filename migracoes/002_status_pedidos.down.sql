@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS pedidos_status_historico;
+ALTER TABLE pedidos
+    DROP COLUMN IF EXISTS atualizado_em,
+    DROP COLUMN IF EXISTS mensagem_cancelamento_enviada,
+    DROP COLUMN IF EXISTS status;
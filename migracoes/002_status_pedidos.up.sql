@@ -0,0 +1,19 @@
+-- Status do pedido controlado pela cozinha.
+-- Pedidos anteriores a esta coluna são considerados entregues.
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS status VARCHAR(30);
+UPDATE pedidos SET status = 'entregue' WHERE status IS NULL;
+ALTER TABLE pedidos
+    ALTER COLUMN status SET DEFAULT 'recebido',
+    ALTER COLUMN status SET NOT NULL,
+    ADD COLUMN IF NOT EXISTS mensagem_cancelamento_enviada BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS atualizado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- Histórico de mudanças de status dos pedidos
+CREATE TABLE IF NOT EXISTS pedidos_status_historico (
+    id SERIAL PRIMARY KEY,
+    pedido_id INTEGER NOT NULL REFERENCES pedidos(id),
+    status_anterior VARCHAR(30),
+    status_novo VARCHAR(30) NOT NULL,
+    alterado_por VARCHAR(100),
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS mensagens_fila;
@@ -0,0 +1,16 @@
+-- Fila persistente de mensagens de WhatsApp
+CREATE TABLE IF NOT EXISTS mensagens_fila (
+    id SERIAL PRIMARY KEY,
+    pedido_id INTEGER REFERENCES pedidos(id),
+    destinatario VARCHAR(40) NOT NULL,
+    tipo VARCHAR(30) NOT NULL,
+    conteudo TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pendente',
+    tentativas INTEGER NOT NULL DEFAULT 0,
+    proxima_tentativa_em TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ultimo_erro TEXT,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    enviada_em TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_mensagens_fila_pendentes
+ON mensagens_fila (proxima_tentativa_em) WHERE status = 'pendente';
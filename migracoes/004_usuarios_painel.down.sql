@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS sessoes_usuarios;
+DROP TABLE IF EXISTS usuarios;
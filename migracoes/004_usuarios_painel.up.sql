@@ -0,0 +1,16 @@
+-- Usuários do painel administrativo e suas sessões
+CREATE TABLE IF NOT EXISTS usuarios (
+    id SERIAL PRIMARY KEY,
+    usuario VARCHAR(50) UNIQUE NOT NULL,
+    nome VARCHAR(255) NOT NULL,
+    senha_hash TEXT NOT NULL,
+    papel VARCHAR(20) NOT NULL,
+    ativo BOOLEAN NOT NULL DEFAULT true,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS sessoes_usuarios (
+    token_hash VARCHAR(64) PRIMARY KEY,
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id),
+    expira_em TIMESTAMP WITH TIME ZONE NOT NULL,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
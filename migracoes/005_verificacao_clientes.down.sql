@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS sessoes_clientes;
+DROP TABLE IF EXISTS codigos_verificacao;
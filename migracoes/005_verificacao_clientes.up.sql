@@ -0,0 +1,18 @@
+-- Códigos de verificação enviados por WhatsApp e sessões dos clientes
+CREATE TABLE IF NOT EXISTS codigos_verificacao (
+    id SERIAL PRIMARY KEY,
+    telefone VARCHAR(20) NOT NULL,
+    codigo_hash VARCHAR(64) NOT NULL,
+    tentativas INTEGER NOT NULL DEFAULT 0,
+    usado BOOLEAN NOT NULL DEFAULT false,
+    expira_em TIMESTAMP WITH TIME ZONE NOT NULL,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_codigos_verificacao_telefone
+ON codigos_verificacao (telefone, criado_em);
+CREATE TABLE IF NOT EXISTS sessoes_clientes (
+    token_hash VARCHAR(64) PRIMARY KEY,
+    telefone VARCHAR(20) NOT NULL,
+    expira_em TIMESTAMP WITH TIME ZONE NOT NULL,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS zonas_entrega;
+ALTER TABLE clientes
+    DROP COLUMN IF EXISTS cep,
+    DROP COLUMN IF EXISTS bairro;
@@ -0,0 +1,19 @@
+-- Bairro e CEP do cliente, usados para calcular a taxa de entrega
+ALTER TABLE clientes
+    ADD COLUMN IF NOT EXISTS bairro VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS cep VARCHAR(9);
+
+-- Zonas de entrega (por bairro, prefixo de CEP ou raio a partir da loja)
+CREATE TABLE IF NOT EXISTS zonas_entrega (
+    id SERIAL PRIMARY KEY,
+    nome VARCHAR(100) NOT NULL,
+    tipo VARCHAR(10) NOT NULL,
+    valores TEXT[] NOT NULL DEFAULT '{}',
+    raio_km NUMERIC(6, 2),
+    taxa NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    pedido_minimo NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    atende BOOLEAN NOT NULL DEFAULT true,
+    ordem INTEGER NOT NULL DEFAULT 0,
+    ativo BOOLEAN NOT NULL DEFAULT true,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS excecoes_funcionamento;
+DROP TABLE IF EXISTS horarios_funcionamento;
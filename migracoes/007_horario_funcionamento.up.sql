@@ -0,0 +1,15 @@
+-- Horário de funcionamento semanal e exceções por data (feriados, horário especial).
+-- Um intervalo que fecha antes de abrir atravessa a meia-noite.
+CREATE TABLE IF NOT EXISTS horarios_funcionamento (
+    id SERIAL PRIMARY KEY,
+    dia_semana SMALLINT NOT NULL CHECK (dia_semana BETWEEN 0 AND 6),
+    abre TIME NOT NULL,
+    fecha TIME NOT NULL
+);
+CREATE TABLE IF NOT EXISTS excecoes_funcionamento (
+    data DATE PRIMARY KEY,
+    fechado BOOLEAN NOT NULL DEFAULT true,
+    abre TIME,
+    fecha TIME,
+    motivo VARCHAR(255)
+);
@@ -0,0 +1,12 @@
+-- Conversas do atendimento automático no WhatsApp.
+-- Com atendimento_humano ligado o robô não responde naquela conversa.
+CREATE TABLE IF NOT EXISTS conversas_whatsapp (
+    chat_id VARCHAR(60) PRIMARY KEY,
+    telefone VARCHAR(20),
+    atendimento_humano BOOLEAN NOT NULL DEFAULT false,
+    humano_desde TIMESTAMP WITH TIME ZONE,
+    acao_pendente VARCHAR(30),
+    pedido_pendente INTEGER,
+    acao_expira_em TIMESTAMP WITH TIME ZONE,
+    ultima_mensagem_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS cupons_resgates;
+DROP TABLE IF EXISTS cupons;
@@ -0,0 +1,25 @@
+-- Cupons de desconto e seus usos (um resgate por pedido)
+CREATE TABLE IF NOT EXISTS cupons (
+    codigo VARCHAR(30) PRIMARY KEY,
+    descricao VARCHAR(255),
+    tipo VARCHAR(20) NOT NULL,
+    valor NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    pedido_minimo NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    desconto_maximo NUMERIC(10, 2),
+    apenas_primeiro_pedido BOOLEAN NOT NULL DEFAULT false,
+    limite_total INTEGER,
+    limite_por_cliente INTEGER,
+    valido_de TIMESTAMP WITH TIME ZONE,
+    valido_ate TIMESTAMP WITH TIME ZONE,
+    ativo BOOLEAN NOT NULL DEFAULT true,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS cupons_resgates (
+    id SERIAL PRIMARY KEY,
+    cupom_codigo VARCHAR(30) NOT NULL REFERENCES cupons(codigo),
+    pedido_id INTEGER NOT NULL UNIQUE REFERENCES pedidos(id),
+    cliente_telefone VARCHAR(20) NOT NULL,
+    desconto NUMERIC(10, 2) NOT NULL,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_cupons_resgates_cupom ON cupons_resgates (cupom_codigo, cliente_telefone);
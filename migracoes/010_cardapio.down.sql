@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS modificadores;
+DROP TABLE IF EXISTS grupos_modificadores;
+DROP TABLE IF EXISTS produtos;
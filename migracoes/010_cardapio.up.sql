@@ -0,0 +1,34 @@
+-- Tabela de produtos (cardápio)
+CREATE TABLE IF NOT EXISTS produtos (
+    id VARCHAR(50) PRIMARY KEY,
+    nome VARCHAR(255) NOT NULL,
+    descricao TEXT,
+    preco NUMERIC(10, 2) NOT NULL,
+    preco_antigo NUMERIC(10, 2),
+    imagem TEXT,
+    categoria VARCHAR(100) NOT NULL,
+    badge VARCHAR(50),
+    disponivel BOOLEAN NOT NULL DEFAULT true,
+    ordem INTEGER NOT NULL DEFAULT 0,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    atualizado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Modificadores dos produtos (adicionais, remoções, tamanhos), agrupados por produto
+CREATE TABLE IF NOT EXISTS grupos_modificadores (
+    id VARCHAR(100) PRIMARY KEY,
+    produto_id VARCHAR(50) NOT NULL REFERENCES produtos(id),
+    nome VARCHAR(100) NOT NULL,
+    min_escolhas INTEGER NOT NULL DEFAULT 0,
+    max_escolhas INTEGER NOT NULL DEFAULT 1,
+    ordem INTEGER NOT NULL DEFAULT 0,
+    ativo BOOLEAN NOT NULL DEFAULT true
+);
+CREATE TABLE IF NOT EXISTS modificadores (
+    id VARCHAR(150) PRIMARY KEY,
+    grupo_id VARCHAR(100) NOT NULL REFERENCES grupos_modificadores(id),
+    nome VARCHAR(100) NOT NULL,
+    preco NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    disponivel BOOLEAN NOT NULL DEFAULT true,
+    ordem INTEGER NOT NULL DEFAULT 0
+);
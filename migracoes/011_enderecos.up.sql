@@ -0,0 +1,25 @@
+-- Endereços salvos do cliente (Casa, Trabalho...). O pedido guarda uma cópia do endereço usado,
+-- então editar ou apagar um endereço não altera pedidos antigos.
+CREATE TABLE IF NOT EXISTS enderecos (
+    id SERIAL PRIMARY KEY,
+    cliente_telefone VARCHAR(20) NOT NULL REFERENCES clientes(telefone),
+    apelido VARCHAR(40) NOT NULL,
+    rua VARCHAR(200) NOT NULL,
+    numero VARCHAR(20),
+    complemento VARCHAR(100),
+    bairro VARCHAR(100),
+    cep VARCHAR(9),
+    referencia VARCHAR(200),
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    padrao BOOLEAN NOT NULL DEFAULT false,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    atualizado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enderecos_padrao ON enderecos (cliente_telefone) WHERE padrao;
+
+-- O endereço único de clientes anteriores vira o endereço padrão "Casa" (sem número separado)
+INSERT INTO enderecos (cliente_telefone, apelido, rua, bairro, cep, referencia, padrao)
+SELECT c.telefone, 'Casa', c.endereco, NULLIF(c.bairro, ''), NULLIF(c.cep, ''), NULLIF(c.referencia, ''), true
+FROM clientes c
+WHERE c.endereco <> '' AND NOT EXISTS (SELECT 1 FROM enderecos e WHERE e.cliente_telefone = c.telefone);
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_pedidos_pagamento_pendente;
+ALTER TABLE pedidos
+    DROP COLUMN IF EXISTS pagamento_end_to_end_id,
+    DROP COLUMN IF EXISTS pago_em,
+    DROP COLUMN IF EXISTS pagamento_expira_em,
+    DROP COLUMN IF EXISTS pagamento_status;
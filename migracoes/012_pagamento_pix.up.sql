@@ -0,0 +1,9 @@
+-- Pagamento online por PIX: 'pendente' até o webhook confirmar, 'expirado' se o prazo passar.
+-- Fica NULL para pagamentos feitos na entrega.
+ALTER TABLE pedidos
+    ADD COLUMN IF NOT EXISTS pagamento_status VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS pagamento_expira_em TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS pago_em TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS pagamento_end_to_end_id VARCHAR(64);
+CREATE INDEX IF NOT EXISTS idx_pedidos_pagamento_pendente
+ON pedidos (pagamento_expira_em) WHERE pagamento_status = 'pendente';
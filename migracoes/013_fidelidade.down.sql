@@ -0,0 +1 @@
+DROP TABLE IF EXISTS pontos_fidelidade;
@@ -0,0 +1,14 @@
+-- Extrato de pontos de fidelidade: 'credito' na entrega (positivo), 'resgate' no checkout (negativo)
+-- e 'estorno' no cancelamento, que zera o efeito do pedido. O saldo é a soma das linhas.
+CREATE TABLE IF NOT EXISTS pontos_fidelidade (
+    id SERIAL PRIMARY KEY,
+    cliente_telefone VARCHAR(20) NOT NULL REFERENCES clientes(telefone),
+    pedido_id INTEGER REFERENCES pedidos(id),
+    tipo VARCHAR(20) NOT NULL,
+    pontos INTEGER NOT NULL,
+    descricao VARCHAR(255),
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_pontos_fidelidade_cliente ON pontos_fidelidade (cliente_telefone);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pontos_fidelidade_pedido ON pontos_fidelidade (pedido_id, tipo)
+WHERE pedido_id IS NOT NULL;
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_pedidos_agendados;
+UPDATE pedidos SET status = 'recebido' WHERE status = 'agendado';
+ALTER TABLE pedidos
+    DROP COLUMN IF EXISTS mensagem_liberacao_enviada,
+    DROP COLUMN IF EXISTS agendado_para;
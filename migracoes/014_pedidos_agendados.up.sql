@@ -0,0 +1,6 @@
+-- Pedidos agendados: horário de entrega escolhido pelo cliente (NULL para "o quanto antes").
+-- O pedido fica com status 'agendado' até ser liberado para a cozinha, com a antecedência configurada.
+ALTER TABLE pedidos
+    ADD COLUMN agendado_para TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN mensagem_liberacao_enviada BOOLEAN NOT NULL DEFAULT false;
+CREATE INDEX idx_pedidos_agendados ON pedidos (agendado_para) WHERE status = 'agendado';
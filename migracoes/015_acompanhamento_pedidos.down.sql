@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_pedidos_token_acompanhamento;
+ALTER TABLE pedidos
+    DROP COLUMN IF EXISTS codigo_entrega,
+    DROP COLUMN IF EXISTS token_acompanhamento_hash;
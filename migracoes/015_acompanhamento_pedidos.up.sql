@@ -0,0 +1,6 @@
+-- Página pública de acompanhamento: o link do pedido leva um token aleatório, guardado aqui só como hash.
+-- O código de entrega é sorteado por pedido e conferido quando a entrega é marcada (NULL nos pedidos antigos).
+ALTER TABLE pedidos
+    ADD COLUMN token_acompanhamento_hash VARCHAR(64),
+    ADD COLUMN codigo_entrega VARCHAR(4);
+CREATE UNIQUE INDEX idx_pedidos_token_acompanhamento ON pedidos (token_acompanhamento_hash);
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS campanhas_envios;
+DROP TABLE IF EXISTS campanhas;
+DROP TABLE IF EXISTS segmentos_clientes;
+ALTER TABLE clientes
+    DROP COLUMN IF EXISTS promocoes_atualizado_em,
+    DROP COLUMN IF EXISTS aceita_promocoes;
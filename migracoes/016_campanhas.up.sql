@@ -0,0 +1,39 @@
+-- Promoções pelo WhatsApp. Só recebe quem marcou o aceite no checkout; responder "SAIR" desliga.
+ALTER TABLE clientes
+    ADD COLUMN aceita_promocoes BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN promocoes_atualizado_em TIMESTAMP WITH TIME ZONE;
+
+-- Segmentos de clientes definidos pela equipe; `filtros` segue campanhas.FILTROS_SEGMENTO
+CREATE TABLE segmentos_clientes (
+    id SERIAL PRIMARY KEY,
+    nome VARCHAR(100) NOT NULL,
+    filtros JSONB NOT NULL,
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A campanha guarda uma cópia do segmento: o relatório continua valendo se ele for removido depois
+CREATE TABLE campanhas (
+    id SERIAL PRIMARY KEY,
+    nome VARCHAR(100) NOT NULL,
+    segmento VARCHAR(100) NOT NULL,
+    filtros JSONB NOT NULL,
+    modelo TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'enviando',
+    criado_por VARCHAR(50),
+    criado_em TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    concluida_em TIMESTAMP WITH TIME ZONE
+);
+
+-- Uma mensagem por cliente: pendente -> enviando -> enviado | falhou | cancelado
+CREATE TABLE campanhas_envios (
+    id SERIAL PRIMARY KEY,
+    campanha_id INTEGER NOT NULL REFERENCES campanhas(id),
+    cliente_telefone VARCHAR(20) NOT NULL REFERENCES clientes(telefone),
+    conteudo TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pendente',
+    erro TEXT,
+    processado_em TIMESTAMP WITH TIME ZONE,
+    UNIQUE (campanha_id, cliente_telefone)
+);
+CREATE INDEX idx_campanhas_envios_pendentes ON campanhas_envios (id) WHERE status = 'pendente';
+CREATE INDEX idx_campanhas_envios_processados ON campanhas_envios (processado_em) WHERE status IN ('enviado', 'falhou');
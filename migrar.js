@@ -0,0 +1,45 @@
+// Migrações do banco Postgres pela linha de comando.
+// Uso: DATABASE_URL=... npm run migrate                - aplica as migrações pendentes
+//      DATABASE_URL=... npm run migrate -- status      - lista as migrações e quando foram aplicadas
+//      DATABASE_URL=... npm run migrate -- down [n]    - desfaz as n últimas migrações (padrão 1)
+// O servidor também aplica as pendentes ao iniciar.
+const { RepositorioPostgres } = require('./repositorio');
+const migracoes = require('./migracoes');
+const horario = require('./horario-funcionamento');
+const logger = require('./logger');
+
+async function executar([comando = 'up', argumento]) {
+    if (!process.env.DATABASE_URL) {
+        throw new Error('Defina DATABASE_URL com o banco Postgres a migrar.');
+    }
+    if (!['up', 'down', 'status'].includes(comando)) {
+        throw new Error(`Comando desconhecido: "${comando}". Use up, down [n] ou status.`);
+    }
+    const quantidade = argumento === undefined ? 1 : parseInt(argumento, 10);
+    if (comando === 'down' && !(Number.isInteger(quantidade) && quantidade > 0)) {
+        throw new Error('Informe quantas migrações desfazer (número inteiro maior que zero).');
+    }
+
+    const repositorio = new RepositorioPostgres({ databaseUrl: process.env.DATABASE_URL, logger });
+    try {
+        if (comando === 'up') {
+            const aplicadas = await migracoes.migrar(repositorio, { logger });
+            logger.info(`${aplicadas.length} migração(ões) aplicada(s).`);
+        } else if (comando === 'down') {
+            const revertidas = await migracoes.reverter(repositorio, { quantidade, logger });
+            logger.info(`${revertidas.length} migração(ões) desfeita(s).`);
+        } else {
+            for (const migracao of await migracoes.consultarSituacao(repositorio)) {
+                const situacao = migracao.aplicadaEm ? `aplicada em ${horario.carimboDataHora(migracao.aplicadaEm)}` : 'pendente';
+                console.log(`${migracoes.rotulo(migracao)}: ${situacao}`);
+            }
+        }
+    } finally {
+        await repositorio.fechar();
+    }
+}
+
+executar(process.argv.slice(2)).catch(error => {
+    logger.error(`Falha na migração do banco: ${error.message}`);
+    process.exitCode = 1;
+});
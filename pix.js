@@ -0,0 +1,109 @@
+// Pagamento por PIX: BR Code "copia e cola" (padrão EMV do Banco Central) com o valor exato
+// do pedido e o número do pedido como txid, mais a leitura das notificações de pagamento.
+// Não depende de um PSP específico: qualquer provedor que avise o webhook com o txid serve.
+const QRCode = require('qrcode');
+
+const TAMANHO_MAXIMO_NOME = 25;
+const TAMANHO_MAXIMO_CIDADE = 15;
+
+// Lê a configuração do ambiente; sem PIX_CHAVE o PIX continua sendo pago na entrega
+function lerConfiguracaoPix(env = process.env) {
+    if (!env.PIX_CHAVE) return null;
+    return {
+        chave: env.PIX_CHAVE.trim(),
+        nomeRecebedor: env.PIX_NOME_RECEBEDOR || 'DOKA BURGER',
+        cidade: env.PIX_CIDADE || 'SAO PAULO',
+        expiracaoMinutos: parseInt(env.PIX_EXPIRACAO_MINUTOS, 10) || 30,
+        segredoWebhook: env.PIX_WEBHOOK_SEGREDO || null
+    };
+}
+
+// O BR Code só aceita ASCII sem acentos em nome e cidade
+function limparTexto(texto, tamanhoMaximo) {
+    return String(texto)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9 ]/g, '')
+        .trim()
+        .toUpperCase()
+        .slice(0, tamanhoMaximo);
+}
+
+function campo(id, valor) {
+    return `${id}${String(valor.length).padStart(2, '0')}${valor}`;
+}
+
+// CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF), exigido no campo 63
+function crc16(payload) {
+    let crc = 0xffff;
+    for (const byte of Buffer.from(payload, 'utf-8')) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+            crc &= 0xffff;
+        }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+function txidDoPedido(pedidoId) {
+    return String(pedidoId);
+}
+
+function pedidoDoTxid(txid) {
+    const pedidoId = /^\d+$/.test(String(txid)) ? parseInt(txid, 10) : NaN;
+    return Number.isSafeInteger(pedidoId) && pedidoId > 0 ? pedidoId : null;
+}
+
+/**
+ * Monta o payload "copia e cola" de um pedido.
+ * `configuracao` vem de lerConfiguracaoPix; `valor` é o total do pedido em reais.
+ */
+function gerarCopiaECola(configuracao, { valor, pedidoId }) {
+    const contaRecebedor = campo('00', 'br.gov.bcb.pix') + campo('01', configuracao.chave);
+    const payload = [
+        campo('00', '01'),
+        campo('01', '12'), // QR de uso único
+        campo('26', contaRecebedor),
+        campo('52', '0000'),
+        campo('53', '986'), // real
+        campo('54', valor.toFixed(2)),
+        campo('58', 'BR'),
+        campo('59', limparTexto(configuracao.nomeRecebedor, TAMANHO_MAXIMO_NOME)),
+        campo('60', limparTexto(configuracao.cidade, TAMANHO_MAXIMO_CIDADE)),
+        campo('62', campo('05', txidDoPedido(pedidoId))),
+        '6304'
+    ].join('');
+    return payload + crc16(payload);
+}
+
+// Imagem PNG do QR Code como data URL, pronta para um <img>
+function gerarQrCode(copiaECola) {
+    return QRCode.toDataURL(copiaECola, { errorCorrectionLevel: 'M', margin: 2, width: 280 });
+}
+
+/**
+ * Normaliza o corpo do webhook para [{ pedidoId, valor, endToEndId }].
+ * Aceita o formato do Banco Central ({ pix: [{ txid, valor, endToEndId }] }) e um
+ * formato simples ({ txid, valor, endToEndId }) para provedores que não seguem o padrão.
+ */
+function lerNotificacoes(corpo) {
+    if (!corpo || typeof corpo !== 'object') return [];
+    const lista = Array.isArray(corpo.pix) ? corpo.pix : [corpo];
+    return lista
+        .filter(item => item && typeof item === 'object')
+        .map(item => ({
+            pedidoId: pedidoDoTxid(item.txid),
+            valor: parseFloat(item.valor),
+            endToEndId: typeof item.endToEndId === 'string' ? item.endToEndId.slice(0, 64) : null
+        }))
+        .filter(item => item.pedidoId !== null && Number.isFinite(item.valor));
+}
+
+module.exports = {
+    lerConfiguracaoPix,
+    gerarCopiaECola,
+    gerarQrCode,
+    lerNotificacoes,
+    crc16
+};
@@ -0,0 +1,531 @@
+// Relatórios de vendas e operação para o painel.
+// Todos os períodos são datas de São Paulo (inclusivas). Só entram no faturamento as vendas confirmadas:
+// pedidos cancelados ficam de fora, e os que ainda dependem de algo (PIX não pago, agendamento ainda não
+// liberado para a cozinha) aparecem à parte, nas colunas "a confirmar" do resumo e do faturamento.
+const horario = require('./horario-funcionamento');
+
+const FORMATO_DATA = /^\d{4}-\d{2}-\d{2}$/;
+const MAXIMO_DIAS_PERIODO = 731; // dois anos
+const LIMITE_PADRAO_RANKING = 20;
+const AGRUPAMENTOS = { dia: 'day', semana: 'week', mes: 'month' };
+
+// Pedido que conta como venda; o que ainda não foi pago ou liberado fica "a confirmar".
+// pagamento_status é nulo nos pedidos pagos na entrega.
+const A_CONFIRMAR = `(status <> 'cancelado' AND (status = 'agendado' OR pagamento_status IS NOT DISTINCT FROM 'pendente'))`;
+const VENDA_CONFIRMADA = `(status <> 'cancelado' AND NOT ${A_CONFIRMAR})`;
+
+// Pedidos do período com o total já resolvido. Pedidos antigos não gravavam `total`
+// no JSON, então ele é recalculado pelos itens.
+const PEDIDOS_DO_PERIODO = `
+    pedidos_periodo AS (
+        SELECT p.id, p.status, p.pagamento_status, p.cliente_telefone, p.dados_pedido,
+               p.criado_em AT TIME ZONE '${horario.FUSO_HORARIO}' AS criado_local,
+               COALESCE(
+                   (p.dados_pedido->>'total')::numeric,
+                   (SELECT SUM((item->>'preco')::numeric * (item->>'quantidade')::int)
+                    FROM jsonb_array_elements(p.dados_pedido->'carrinho') item)
+               ) AS total
+        FROM pedidos p
+        WHERE (p.criado_em AT TIME ZONE '${horario.FUSO_HORARIO}')::date BETWEEN $1::date AND $2::date
+    ),
+    pedidos_validos AS (
+        SELECT * FROM pedidos_periodo WHERE ${VENDA_CONFIRMADA}
+    )`;
+
+const DESCONTOS_DO_PEDIDO = `COALESCE((
+    SELECT SUM((desconto->>'valor')::numeric)
+    FROM jsonb_array_elements(COALESCE(dados_pedido->'descontos', '[]'::jsonb)) desconto
+), 0)`;
+
+function valor(numero) {
+    return numero === null || numero === undefined ? 0 : Math.round(parseFloat(numero) * 100) / 100;
+}
+
+// --- Mesmas contas em JavaScript, para o repositório em memória ---
+// `dados` traz todas as linhas de `pedidos` e `produtos` como o banco as guardaria.
+function totalDoPedido(dadosPedido) {
+    if (dadosPedido.total !== undefined && dadosPedido.total !== null) return parseFloat(dadosPedido.total);
+    return (dadosPedido.carrinho || []).reduce((soma, item) => soma + parseFloat(item.preco) * item.quantidade, 0);
+}
+
+function aConfirmar(pedido) {
+    return pedido.status !== 'cancelado' && (pedido.status === 'agendado' || pedido.pagamento_status === 'pendente');
+}
+
+function vendaConfirmada(pedido) {
+    return pedido.status !== 'cancelado' && !aConfirmar(pedido);
+}
+
+function pedidosDoPeriodo({ pedidos }, { inicio, fim }) {
+    const doPeriodo = pedidos
+        .map(pedido => {
+            const { data, hora } = horario.partesDataHora(new Date(pedido.criado_em));
+            return {
+                id: pedido.id,
+                status: pedido.status,
+                pagamento_status: pedido.pagamento_status,
+                clienteTelefone: pedido.cliente_telefone,
+                dados: pedido.dados_pedido,
+                data,
+                hora: parseInt(hora, 10),
+                total: totalDoPedido(pedido.dados_pedido)
+            };
+        })
+        .filter(pedido => pedido.data >= inicio && pedido.data <= fim);
+    return {
+        doPeriodo,
+        validos: doPeriodo.filter(vendaConfirmada),
+        pendentes: doPeriodo.filter(aConfirmar)
+    };
+}
+
+function descontosDoPedido(pedido) {
+    return (pedido.dados.descontos || []).reduce((soma, desconto) => soma + parseFloat(desconto.valor), 0);
+}
+
+function somar(lista, campo) {
+    return lista.reduce((soma, item) => soma + (typeof campo === 'function' ? campo(item) : item[campo]), 0);
+}
+
+// Uma linha por item vendido, com nome e categoria atuais do cardápio
+function itensVendidos(validos, { produtos }) {
+    const produtosPorId = new Map(produtos.map(produto => [produto.id, produto]));
+    return validos.flatMap(pedido => (pedido.dados.carrinho || []).map(item => {
+        const produto = produtosPorId.get(item.id);
+        return {
+            chave: item.id || item.nome,
+            nome: produto ? produto.nome : item.nome,
+            categoria: produto ? produto.categoria : 'Sem categoria',
+            quantidade: item.quantidade,
+            vendido: parseFloat(item.preco) * item.quantidade
+        };
+    }));
+}
+
+function agruparPor(lista, chave) {
+    const grupos = new Map();
+    for (const item of lista) {
+        const valorChave = chave(item);
+        if (!grupos.has(valorChave)) grupos.set(valorChave, []);
+        grupos.get(valorChave).push(item);
+    }
+    return grupos;
+}
+
+// Início do período (dia, semana começando na segunda ou mês) que contém a data
+function inicioDoPeriodo(data, agrupamento) {
+    if (agrupamento === 'mes') return `${data.slice(0, 8)}01`;
+    if (agrupamento === 'semana') {
+        const diaSemana = new Date(`${data}T00:00:00Z`).getUTCDay();
+        return horario.somarDias(data, -((diaSemana + 6) % 7));
+    }
+    return data;
+}
+
+function proximoPeriodo(inicio, agrupamento) {
+    if (agrupamento === 'mes') {
+        const [ano, mes] = inicio.split('-').map(Number);
+        return new Date(Date.UTC(ano, mes, 1)).toISOString().slice(0, 10);
+    }
+    return horario.somarDias(inicio, agrupamento === 'semana' ? 7 : 1);
+}
+
+/**
+ * Lê `inicio`, `fim` e `agrupamento` da query string.
+ * Sem datas, o período é o mês corrente até hoje. Retorna { erro } ou { periodo }.
+ */
+function lerPeriodo(query, momento = new Date()) {
+    const hoje = horario.partesDataHora(momento).data;
+    const inicio = query.inicio || `${hoje.slice(0, 8)}01`;
+    const fim = query.fim || hoje;
+
+    for (const data of [inicio, fim]) {
+        if (!FORMATO_DATA.test(data) || horario.somarDias(data, 0) !== data) {
+            return { erro: `Data inválida: "${data}". Use o formato AAAA-MM-DD.` };
+        }
+    }
+    if (inicio > fim) {
+        return { erro: "A data inicial deve ser anterior ou igual à final." };
+    }
+    if (horario.somarDias(inicio, MAXIMO_DIAS_PERIODO) <= fim) {
+        return { erro: `O período máximo de um relatório é de ${MAXIMO_DIAS_PERIODO} dias.` };
+    }
+
+    const agrupamento = query.agrupamento || 'dia';
+    if (!AGRUPAMENTOS[agrupamento]) {
+        return { erro: `Agrupamento inválido. Use um destes: ${Object.keys(AGRUPAMENTOS).join(', ')}.` };
+    }
+
+    const limite = query.limite === undefined ? LIMITE_PADRAO_RANKING : parseInt(query.limite, 10);
+    if (!Number.isInteger(limite) || limite <= 0 || limite > 500) {
+        return { erro: "O limite deve ser um número entre 1 e 500." };
+    }
+
+    return { periodo: { inicio, fim, agrupamento, limite } };
+}
+
+// Cada relatório declara as colunas (na ordem do CSV), a consulta que gera as linhas no Postgres
+// e `calcular`, que gera as mesmas linhas a partir dos dados em memória
+const RELATORIOS = {
+    resumo: {
+        colunas: [
+            { chave: 'pedidos', titulo: 'Pedidos' },
+            { chave: 'cancelados', titulo: 'Cancelados' },
+            { chave: 'faturamento', titulo: 'Faturamento (R$)' },
+            { chave: 'pendentes', titulo: 'A confirmar' },
+            { chave: 'valorPendente', titulo: 'A confirmar (R$)' },
+            { chave: 'ticketMedio', titulo: 'Ticket médio (R$)' },
+            { chave: 'taxasEntrega', titulo: 'Taxas de entrega (R$)' },
+            { chave: 'descontos', titulo: 'Descontos (R$)' },
+            { chave: 'clientes', titulo: 'Clientes' }
+        ],
+        async consultar(db, { inicio, fim }) {
+            const result = await db.query(
+                `WITH ${PEDIDOS_DO_PERIODO}
+                 SELECT
+                     (SELECT COUNT(*) FROM pedidos_validos) AS pedidos,
+                     (SELECT COUNT(*) FROM pedidos_periodo WHERE status = 'cancelado') AS cancelados,
+                     (SELECT SUM(total) FROM pedidos_validos) AS faturamento,
+                     (SELECT COUNT(*) FROM pedidos_periodo WHERE ${A_CONFIRMAR}) AS pendentes,
+                     (SELECT SUM(total) FROM pedidos_periodo WHERE ${A_CONFIRMAR}) AS valor_pendente,
+                     (SELECT SUM(COALESCE((dados_pedido->>'taxaEntrega')::numeric, 0)) FROM pedidos_validos) AS taxas_entrega,
+                     (SELECT SUM(${DESCONTOS_DO_PEDIDO}) FROM pedidos_validos) AS descontos,
+                     (SELECT COUNT(DISTINCT cliente_telefone) FROM pedidos_validos) AS clientes`,
+                [inicio, fim]
+            );
+            const row = result.rows[0];
+            const pedidos = parseInt(row.pedidos, 10);
+            return [{
+                pedidos,
+                cancelados: parseInt(row.cancelados, 10),
+                faturamento: valor(row.faturamento),
+                pendentes: parseInt(row.pendentes, 10),
+                valorPendente: valor(row.valor_pendente),
+                ticketMedio: pedidos > 0 ? valor(row.faturamento / pedidos) : 0,
+                taxasEntrega: valor(row.taxas_entrega),
+                descontos: valor(row.descontos),
+                clientes: parseInt(row.clientes, 10)
+            }];
+        },
+        calcular(dados, periodo) {
+            const { doPeriodo, validos, pendentes } = pedidosDoPeriodo(dados, periodo);
+            const faturamento = somar(validos, 'total');
+            return [{
+                pedidos: validos.length,
+                cancelados: doPeriodo.filter(pedido => pedido.status === 'cancelado').length,
+                faturamento: valor(faturamento),
+                pendentes: pendentes.length,
+                valorPendente: valor(somar(pendentes, 'total')),
+                ticketMedio: validos.length > 0 ? valor(faturamento / validos.length) : 0,
+                taxasEntrega: valor(somar(validos, pedido => parseFloat(pedido.dados.taxaEntrega || 0))),
+                descontos: valor(somar(validos, descontosDoPedido)),
+                clientes: new Set(validos.map(pedido => pedido.clienteTelefone)).size
+            }];
+        }
+    },
+
+    faturamento: {
+        colunas: [
+            { chave: 'periodo', titulo: 'Período' },
+            { chave: 'pedidos', titulo: 'Pedidos' },
+            { chave: 'cancelados', titulo: 'Cancelados' },
+            { chave: 'faturamento', titulo: 'Faturamento (R$)' },
+            { chave: 'pendentes', titulo: 'A confirmar' },
+            { chave: 'valorPendente', titulo: 'A confirmar (R$)' },
+            { chave: 'ticketMedio', titulo: 'Ticket médio (R$)' },
+            { chave: 'descontos', titulo: 'Descontos (R$)' }
+        ],
+        // Períodos sem pedidos aparecem zerados para a conferência mês a mês
+        async consultar(db, { inicio, fim, agrupamento }) {
+            const unidade = AGRUPAMENTOS[agrupamento];
+            const formato = agrupamento === 'mes' ? 'YYYY-MM' : 'YYYY-MM-DD';
+            const result = await db.query(
+                `WITH ${PEDIDOS_DO_PERIODO},
+                 periodos AS (
+                     SELECT generate_series(date_trunc($3, $1::date::timestamp), $2::date::timestamp, ('1 ' || $3)::interval) AS inicio
+                 )
+                 SELECT to_char(pe.inicio, '${formato}') AS periodo,
+                        COUNT(pp.id) FILTER (WHERE ${VENDA_CONFIRMADA}) AS pedidos,
+                        COUNT(pp.id) FILTER (WHERE pp.status = 'cancelado') AS cancelados,
+                        SUM(pp.total) FILTER (WHERE ${VENDA_CONFIRMADA}) AS faturamento,
+                        COUNT(pp.id) FILTER (WHERE ${A_CONFIRMAR}) AS pendentes,
+                        SUM(pp.total) FILTER (WHERE ${A_CONFIRMAR}) AS valor_pendente,
+                        SUM(${DESCONTOS_DO_PEDIDO}) FILTER (WHERE ${VENDA_CONFIRMADA}) AS descontos
+                 FROM periodos pe
+                 LEFT JOIN pedidos_periodo pp ON date_trunc($3, pp.criado_local) = pe.inicio
+                 GROUP BY pe.inicio
+                 ORDER BY pe.inicio`,
+                [inicio, fim, unidade]
+            );
+            return result.rows.map(row => {
+                const pedidos = parseInt(row.pedidos, 10);
+                return {
+                    periodo: row.periodo,
+                    pedidos,
+                    cancelados: parseInt(row.cancelados, 10),
+                    faturamento: valor(row.faturamento),
+                    pendentes: parseInt(row.pendentes, 10),
+                    valorPendente: valor(row.valor_pendente),
+                    ticketMedio: pedidos > 0 ? valor(row.faturamento / pedidos) : 0,
+                    descontos: valor(row.descontos)
+                };
+            });
+        },
+        calcular(dados, periodo) {
+            const { agrupamento, fim } = periodo;
+            const porPeriodo = agruparPor(pedidosDoPeriodo(dados, periodo).doPeriodo, pedido => inicioDoPeriodo(pedido.data, agrupamento));
+            const linhas = [];
+            for (let inicio = inicioDoPeriodo(periodo.inicio, agrupamento); inicio <= fim; inicio = proximoPeriodo(inicio, agrupamento)) {
+                const pedidos = porPeriodo.get(inicio) || [];
+                const validos = pedidos.filter(vendaConfirmada);
+                const pendentes = pedidos.filter(aConfirmar);
+                const faturamento = somar(validos, 'total');
+                linhas.push({
+                    periodo: agrupamento === 'mes' ? inicio.slice(0, 7) : inicio,
+                    pedidos: validos.length,
+                    cancelados: pedidos.filter(pedido => pedido.status === 'cancelado').length,
+                    faturamento: valor(faturamento),
+                    pendentes: pendentes.length,
+                    valorPendente: valor(somar(pendentes, 'total')),
+                    ticketMedio: validos.length > 0 ? valor(faturamento / validos.length) : 0,
+                    descontos: valor(somar(validos, descontosDoPedido))
+                });
+            }
+            return linhas;
+        }
+    },
+
+    produtos: {
+        colunas: [
+            { chave: 'produtoId', titulo: 'Código' },
+            { chave: 'nome', titulo: 'Produto' },
+            { chave: 'categoria', titulo: 'Categoria' },
+            { chave: 'quantidade', titulo: 'Quantidade' },
+            { chave: 'vendido', titulo: 'Vendido (R$)' }
+        ],
+        async consultar(db, { inicio, fim, limite }) {
+            const result = await db.query(
+                `WITH ${PEDIDOS_DO_PERIODO}
+                 SELECT COALESCE(item->>'id', item->>'nome') AS produto_id,
+                        MAX(COALESCE(pr.nome, item->>'nome')) AS nome,
+                        COALESCE(MAX(pr.categoria), 'Sem categoria') AS categoria,
+                        SUM((item->>'quantidade')::int) AS quantidade,
+                        SUM((item->>'preco')::numeric * (item->>'quantidade')::int) AS vendido
+                 FROM pedidos_validos pv
+                 CROSS JOIN jsonb_array_elements(pv.dados_pedido->'carrinho') item
+                 LEFT JOIN produtos pr ON pr.id = item->>'id'
+                 GROUP BY 1
+                 ORDER BY quantidade DESC, vendido DESC
+                 LIMIT $3`,
+                [inicio, fim, limite]
+            );
+            return result.rows.map(row => ({
+                produtoId: row.produto_id,
+                nome: row.nome,
+                categoria: row.categoria,
+                quantidade: parseInt(row.quantidade, 10),
+                vendido: valor(row.vendido)
+            }));
+        },
+        calcular(dados, periodo) {
+            const itens = itensVendidos(pedidosDoPeriodo(dados, periodo).validos, dados);
+            return [...agruparPor(itens, item => item.chave)]
+                .map(([produtoId, vendas]) => ({
+                    produtoId,
+                    nome: vendas[0].nome,
+                    categoria: vendas[0].categoria,
+                    quantidade: somar(vendas, 'quantidade'),
+                    vendido: valor(somar(vendas, 'vendido'))
+                }))
+                .sort((a, b) => b.quantidade - a.quantidade || b.vendido - a.vendido)
+                .slice(0, periodo.limite);
+        }
+    },
+
+    categorias: {
+        colunas: [
+            { chave: 'categoria', titulo: 'Categoria' },
+            { chave: 'quantidade', titulo: 'Quantidade' },
+            { chave: 'vendido', titulo: 'Vendido (R$)' }
+        ],
+        async consultar(db, { inicio, fim }) {
+            const result = await db.query(
+                `WITH ${PEDIDOS_DO_PERIODO}
+                 SELECT COALESCE(pr.categoria, 'Sem categoria') AS categoria,
+                        SUM((item->>'quantidade')::int) AS quantidade,
+                        SUM((item->>'preco')::numeric * (item->>'quantidade')::int) AS vendido
+                 FROM pedidos_validos pv
+                 CROSS JOIN jsonb_array_elements(pv.dados_pedido->'carrinho') item
+                 LEFT JOIN produtos pr ON pr.id = item->>'id'
+                 GROUP BY 1
+                 ORDER BY vendido DESC`,
+                [inicio, fim]
+            );
+            return result.rows.map(row => ({
+                categoria: row.categoria,
+                quantidade: parseInt(row.quantidade, 10),
+                vendido: valor(row.vendido)
+            }));
+        },
+        calcular(dados, periodo) {
+            const itens = itensVendidos(pedidosDoPeriodo(dados, periodo).validos, dados);
+            return [...agruparPor(itens, item => item.categoria)]
+                .map(([categoria, vendas]) => ({
+                    categoria,
+                    quantidade: somar(vendas, 'quantidade'),
+                    vendido: valor(somar(vendas, 'vendido'))
+                }))
+                .sort((a, b) => b.vendido - a.vendido);
+        }
+    },
+
+    pagamentos: {
+        colunas: [
+            { chave: 'pagamento', titulo: 'Forma de pagamento' },
+            { chave: 'pedidos', titulo: 'Pedidos' },
+            { chave: 'percentual', titulo: '% dos pedidos' },
+            { chave: 'faturamento', titulo: 'Faturamento (R$)' }
+        ],
+        async consultar(db, { inicio, fim }) {
+            const result = await db.query(
+                `WITH ${PEDIDOS_DO_PERIODO}
+                 SELECT COALESCE(dados_pedido->>'pagamento', 'Não informado') AS pagamento,
+                        COUNT(*) AS pedidos,
+                        100.0 * COUNT(*) / SUM(COUNT(*)) OVER () AS percentual,
+                        SUM(total) AS faturamento
+                 FROM pedidos_validos
+                 GROUP BY 1
+                 ORDER BY pedidos DESC`,
+                [inicio, fim]
+            );
+            return result.rows.map(row => ({
+                pagamento: row.pagamento,
+                pedidos: parseInt(row.pedidos, 10),
+                percentual: valor(row.percentual),
+                faturamento: valor(row.faturamento)
+            }));
+        },
+        calcular(dados, periodo) {
+            const { validos } = pedidosDoPeriodo(dados, periodo);
+            return [...agruparPor(validos, pedido => pedido.dados.pagamento || 'Não informado')]
+                .map(([pagamento, pedidos]) => ({
+                    pagamento,
+                    pedidos: pedidos.length,
+                    percentual: valor(100 * pedidos.length / validos.length),
+                    faturamento: valor(somar(pedidos, 'total'))
+                }))
+                .sort((a, b) => b.pedidos - a.pedidos);
+        }
+    },
+
+    horarios: {
+        colunas: [
+            { chave: 'hora', titulo: 'Hora' },
+            { chave: 'pedidos', titulo: 'Pedidos' },
+            { chave: 'faturamento', titulo: 'Faturamento (R$)' }
+        ],
+        async consultar(db, { inicio, fim }) {
+            const result = await db.query(
+                `WITH ${PEDIDOS_DO_PERIODO}
+                 SELECT h.hora, COUNT(pv.id) AS pedidos, SUM(pv.total) AS faturamento
+                 FROM generate_series(0, 23) AS h(hora)
+                 LEFT JOIN pedidos_validos pv ON EXTRACT(HOUR FROM pv.criado_local) = h.hora
+                 GROUP BY h.hora
+                 ORDER BY h.hora`,
+                [inicio, fim]
+            );
+            return result.rows.map(row => ({
+                hora: `${String(row.hora).padStart(2, '0')}h`,
+                pedidos: parseInt(row.pedidos, 10),
+                faturamento: valor(row.faturamento)
+            }));
+        },
+        calcular(dados, periodo) {
+            const porHora = agruparPor(pedidosDoPeriodo(dados, periodo).validos, pedido => pedido.hora);
+            return Array.from({ length: 24 }, (_, hora) => {
+                const pedidos = porHora.get(hora) || [];
+                return {
+                    hora: `${String(hora).padStart(2, '0')}h`,
+                    pedidos: pedidos.length,
+                    faturamento: valor(somar(pedidos, 'total'))
+                };
+            });
+        }
+    },
+
+    // Cliente novo é quem fez a primeira compra confirmada dentro do período
+    clientes: {
+        colunas: [
+            { chave: 'tipo', titulo: 'Clientes' },
+            { chave: 'clientes', titulo: 'Quantidade' },
+            { chave: 'pedidos', titulo: 'Pedidos' },
+            { chave: 'faturamento', titulo: 'Faturamento (R$)' }
+        ],
+        async consultar(db, { inicio, fim }) {
+            const result = await db.query(
+                `WITH ${PEDIDOS_DO_PERIODO},
+                 primeiros_pedidos AS (
+                     SELECT cliente_telefone, MIN(criado_em AT TIME ZONE '${horario.FUSO_HORARIO}')::date AS primeiro
+                     FROM pedidos WHERE ${VENDA_CONFIRMADA}
+                     GROUP BY cliente_telefone
+                 )
+                 SELECT CASE WHEN pp.primeiro >= $1::date THEN 'novos' ELSE 'recorrentes' END AS tipo,
+                        COUNT(DISTINCT pv.cliente_telefone) AS clientes,
+                        COUNT(*) AS pedidos,
+                        SUM(pv.total) AS faturamento
+                 FROM pedidos_validos pv
+                 JOIN primeiros_pedidos pp ON pp.cliente_telefone = pv.cliente_telefone
+                 GROUP BY 1`,
+                [inicio, fim]
+            );
+            return ['novos', 'recorrentes'].map(tipo => {
+                const row = result.rows.find(linha => linha.tipo === tipo);
+                return {
+                    tipo,
+                    clientes: row ? parseInt(row.clientes, 10) : 0,
+                    pedidos: row ? parseInt(row.pedidos, 10) : 0,
+                    faturamento: row ? valor(row.faturamento) : 0
+                };
+            });
+        },
+        calcular(dados, periodo) {
+            const primeiros = new Map();
+            for (const pedido of dados.pedidos) {
+                if (!vendaConfirmada(pedido)) continue;
+                const { data } = horario.partesDataHora(new Date(pedido.criado_em));
+                const atual = primeiros.get(pedido.cliente_telefone);
+                if (!atual || data < atual) primeiros.set(pedido.cliente_telefone, data);
+            }
+            const porTipo = agruparPor(
+                pedidosDoPeriodo(dados, periodo).validos,
+                pedido => primeiros.get(pedido.clienteTelefone) >= periodo.inicio ? 'novos' : 'recorrentes'
+            );
+            return ['novos', 'recorrentes'].map(tipo => {
+                const pedidos = porTipo.get(tipo) || [];
+                return {
+                    tipo,
+                    clientes: new Set(pedidos.map(pedido => pedido.clienteTelefone)).size,
+                    pedidos: pedidos.length,
+                    faturamento: valor(somar(pedidos, 'total'))
+                };
+            });
+        }
+    }
+};
+
+// CSV no padrão do Excel em português: separador ";", vírgula decimal e BOM para manter os acentos
+function gerarCsv(colunas, linhas) {
+    const celula = (conteudo) => {
+        const texto = typeof conteudo === 'number' ? String(conteudo).replace('.', ',') : String(conteudo ?? '');
+        return /[";\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    };
+    const cabecalho = colunas.map(coluna => celula(coluna.titulo)).join(';');
+    const corpo = linhas.map(linha => colunas.map(coluna => celula(linha[coluna.chave])).join(';'));
+    return `\uFEFF${[cabecalho, ...corpo].join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    RELATORIOS,
+    lerPeriodo,
+    gerarCsv
+};
@@ -0,0 +1,1262 @@
+// Repositório em memória, usado sem DATABASE_URL (desenvolvimento local e testes).
+// Guarda as mesmas tabelas do Postgres como listas de linhas e, com uma pasta de dados,
+// grava tudo em `<pasta>/banco.json` a cada alteração (a partir do antigo ClientesManager).
+// Não há concorrência real: transações e gravações avulsas passam por uma fila única, e a
+// transação desfeita volta à cópia de quando começou sem apagar o que foi gravado fora dela.
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+const horario = require('./horario-funcionamento');
+const relatorios = require('./relatorios');
+const campanhas = require('./campanhas');
+const { COLUNAS_MENSAGEM_PEDIDO } = require('./repositorio-postgres');
+
+const TABELAS = [
+    'clientes', 'pedidos', 'pedidos_status_historico', 'mensagens_fila', 'usuarios', 'sessoes_usuarios',
+    'codigos_verificacao', 'sessoes_clientes', 'zonas_entrega', 'horarios_funcionamento', 'excecoes_funcionamento',
+    'conversas_whatsapp', 'cupons', 'cupons_resgates', 'produtos', 'grupos_modificadores', 'modificadores',
+    'enderecos', 'pontos_fidelidade', 'segmentos_clientes', 'campanhas', 'campanhas_envios'
+];
+
+// Colunas de data que voltam do JSON como texto
+const COLUNA_DATA = /(_em|_desde|^valido_de|^valido_ate|^agendado_para)$/;
+const DATA_ISO = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Operação que está com a vez na fila; o que ela chamar segue direto, sem esperar a si mesma
+const operacaoAtual = new AsyncLocalStorage();
+
+function bancoVazio() {
+    const dados = { sequencias: {} };
+    TABELAS.forEach(tabela => { dados[tabela] = []; });
+    return dados;
+}
+
+function copiar(valor) {
+    return valor === undefined ? undefined : structuredClone(valor);
+}
+
+function depois(ms) {
+    return new Date(Date.now() + ms);
+}
+
+// Comparador por vários campos: [campo, 'desc'] inverte a ordem daquele campo
+function ordenarPor(...campos) {
+    return (a, b) => {
+        for (const campo of campos) {
+            const [nome, direcao] = Array.isArray(campo) ? campo : [campo, 'asc'];
+            const x = a[nome] instanceof Date ? a[nome].getTime() : a[nome];
+            const y = b[nome] instanceof Date ? b[nome].getTime() : b[nome];
+            if (x === y) continue;
+            const resultado = typeof x === 'string' && typeof y === 'string' ? x.localeCompare(y, 'pt-BR') : (x < y ? -1 : 1);
+            return direcao === 'desc' ? -resultado : resultado;
+        }
+        return 0;
+    };
+}
+
+class RepositorioMemoria {
+    /**
+     * @param {object} opcoes
+     * @param {string|null} [opcoes.pastaDados] - pasta do banco.json; null mantém tudo só em memória
+     * @param {object} opcoes.logger
+     */
+    constructor({ pastaDados = null, logger }) {
+        this.pastaDados = pastaDados;
+        this.caminho = pastaDados ? path.join(pastaDados, 'banco.json') : null;
+        this.logger = logger;
+        this.dados = bancoVazio();
+        this.filaTransacoes = Promise.resolve();
+        this.transacaoAberta = false;
+        this.tipo = 'memoria';
+    }
+
+    get conexoesAbertas() {
+        return 0;
+    }
+
+    // --- Persistência ---
+    carregar() {
+        if (!this.caminho) return;
+
+        // Cria o diretório de dados se não existir
+        if (!fs.existsSync(this.pastaDados)) {
+            fs.mkdirSync(this.pastaDados, { recursive: true });
+            this.logger.info(`Diretório ${this.pastaDados} criado com sucesso.`);
+        }
+
+        if (fs.existsSync(this.caminho)) {
+            try {
+                const lido = JSON.parse(fs.readFileSync(this.caminho, 'utf-8'), (chave, valor) =>
+                    typeof valor === 'string' && COLUNA_DATA.test(chave) && DATA_ISO.test(valor) ? new Date(valor) : valor
+                );
+                this.dados = { ...bancoVazio(), ...lido };
+                this.logger.info(`Banco local carregado de ${this.caminho} (${this.dados.pedidos.length} pedido(s)).`);
+            } catch (err) {
+                this.logger.error(`Erro ao ler ${this.caminho}: ${err.message}. Iniciando com o banco vazio.`);
+                this.dados = bancoVazio();
+            }
+        } else {
+            this.salvar(); // Cria o arquivo vazio
+            this.logger.info(`Novo banco local criado em ${this.caminho}.`);
+        }
+    }
+
+    salvar() {
+        if (!this.caminho) return true;
+        try {
+            fs.writeFileSync(this.caminho, JSON.stringify(this.dados, null, 2));
+            return true;
+        } catch (err) {
+            this.logger.error(`Erro ao salvar ${this.caminho}: ${err.message}`);
+            return false;
+        }
+    }
+
+    // Dentro de uma transação o arquivo só é gravado no final
+    gravar() {
+        if (!this.transacaoAberta) this.salvar();
+    }
+
+    proximoId(tabela) {
+        this.dados.sequencias[tabela] = (this.dados.sequencias[tabela] || 0) + 1;
+        return this.dados.sequencias[tabela];
+    }
+
+    inserir(tabela, linha) {
+        this.dados[tabela].push(linha);
+        this.gravar();
+        return linha;
+    }
+
+    exigirCliente(telefone) {
+        if (!this.dados.clientes.some(cliente => cliente.telefone === telefone)) {
+            throw new Error(`Cliente ${telefone} não cadastrado.`);
+        }
+    }
+
+    // Mesma semântica do Postgres: erro desfaz tudo e transações aninhadas reaproveitam a de fora.
+    // O repositório da transação compartilha os dados; só o arquivo espera o fim para ser gravado.
+    async transacao(fn) {
+        if (this.transacaoAberta) return fn(this);
+
+        return this.emOrdem(async () => {
+            const copia = structuredClone(this.dados);
+            const tx = Object.create(this, { transacaoAberta: { value: true } });
+            try {
+                const resultado = await fn(tx);
+                this.salvar();
+                return resultado;
+            } catch (error) {
+                this.dados = copia;
+                throw error;
+            }
+        });
+    }
+
+    // Roda `fn` quando chegar a vez dela na fila; todo método que grava passa por aqui. Uma operação
+    // avulsa (a fila de mensagens marcando um envio, por exemplo) não pode acontecer no meio de uma
+    // transação: se ela fosse desfeita, a volta à cópia apagaria a gravação junto. Dentro de uma
+    // operação (pelo `tx` ou pelo repositório principal) a chamada segue direto, como uma consulta
+    // na mesma conexão.
+    async emOrdem(fn) {
+        const atual = operacaoAtual.getStore();
+        if (this.transacaoAberta || (atual && atual.ativa)) return fn();
+
+        const anterior = this.filaTransacoes;
+        let liberar;
+        this.filaTransacoes = new Promise(resolve => { liberar = resolve; });
+        await anterior;
+
+        const operacao = { ativa: true };
+        try {
+            return await operacaoAtual.run(operacao, fn);
+        } finally {
+            operacao.ativa = false;
+            liberar();
+        }
+    }
+
+    async fechar() {
+        await this.filaTransacoes;
+        this.salvar();
+    }
+
+    // --- Estrutura do banco ---
+    async preparar() {
+        this.carregar();
+    }
+
+    async limparSessoesExpiradas() {
+        return this.emOrdem(() => {
+            const agora = Date.now();
+            const umDiaAtras = agora - 24 * 60 * 60 * 1000;
+            this.dados.sessoes_usuarios = this.dados.sessoes_usuarios.filter(sessao => sessao.expira_em >= agora);
+            this.dados.codigos_verificacao = this.dados.codigos_verificacao.filter(codigo => codigo.criado_em >= umDiaAtras);
+            this.dados.sessoes_clientes = this.dados.sessoes_clientes.filter(sessao => sessao.expira_em >= agora);
+            this.gravar();
+        });
+    }
+
+    // --- Cardápio ---
+    async semearCardapio(cardapio) {
+        return this.emOrdem(() => {
+            const agora = new Date();
+            const existe = (tabela, id) => this.dados[tabela].some(linha => linha.id === id);
+            for (const [indice, produto] of cardapio.entries()) {
+                if (!existe('produtos', produto.id)) {
+                    this.dados.produtos.push({
+                        id: produto.id,
+                        nome: produto.nome,
+                        descricao: produto.descricao,
+                        preco: produto.preco,
+                        preco_antigo: produto.preco_antigo || null,
+                        imagem: produto.imagem,
+                        categoria: produto.categoria,
+                        badge: produto.badge || null,
+                        disponivel: true,
+                        ordem: indice,
+                        criado_em: agora,
+                        atualizado_em: agora
+                    });
+                }
+                for (const [indiceGrupo, grupo] of produto.modificadores.entries()) {
+                    const grupoId = `${produto.id}-${grupo.chave}`;
+                    if (!existe('grupos_modificadores', grupoId)) {
+                        this.dados.grupos_modificadores.push({
+                            id: grupoId,
+                            produto_id: produto.id,
+                            nome: grupo.nome,
+                            min_escolhas: grupo.minEscolhas,
+                            max_escolhas: grupo.maxEscolhas,
+                            ordem: indiceGrupo,
+                            ativo: true
+                        });
+                    }
+                    for (const [indiceOpcao, opcao] of grupo.opcoes.entries()) {
+                        const opcaoId = `${grupoId}-${opcao.chave}`;
+                        if (!existe('modificadores', opcaoId)) {
+                            this.dados.modificadores.push({
+                                id: opcaoId, grupo_id: grupoId, nome: opcao.nome, preco: opcao.preco, disponivel: true, ordem: indiceOpcao
+                            });
+                        }
+                    }
+                }
+            }
+            this.gravar();
+        });
+    }
+
+    async listarProdutos() {
+        return copiar(this.dados.produtos
+            .slice()
+            .sort(ordenarPor('ordem', 'nome'))
+            .map(({ id, nome, descricao, preco, preco_antigo, imagem, categoria, badge, disponivel }) =>
+                ({ id, nome, descricao, preco, preco_antigo, imagem, categoria, badge, disponivel })));
+    }
+
+    async buscarProdutos(ids) {
+        return this.dados.produtos
+            .filter(produto => ids.includes(produto.id))
+            .map(({ id, nome, preco, disponivel }) => ({ id, nome, preco, disponivel }));
+    }
+
+    async definirDisponibilidadeProduto(id, disponivel) {
+        return this.emOrdem(() => {
+            const produto = this.dados.produtos.find(existente => existente.id === id);
+            if (!produto) return false;
+            produto.disponivel = disponivel;
+            produto.atualizado_em = new Date();
+            this.gravar();
+            return true;
+        });
+    }
+
+    async listarModificadores(idsProdutos) {
+        const linhas = [];
+        for (const grupo of this.dados.grupos_modificadores) {
+            if (!grupo.ativo || !idsProdutos.includes(grupo.produto_id)) continue;
+            for (const opcao of this.dados.modificadores.filter(modificador => modificador.grupo_id === grupo.id)) {
+                linhas.push({
+                    grupo_id: grupo.id,
+                    produto_id: grupo.produto_id,
+                    grupo_nome: grupo.nome,
+                    min_escolhas: grupo.min_escolhas,
+                    max_escolhas: grupo.max_escolhas,
+                    grupo_ordem: grupo.ordem,
+                    id: opcao.id,
+                    nome: opcao.nome,
+                    preco: opcao.preco,
+                    disponivel: opcao.disponivel,
+                    ordem: opcao.ordem
+                });
+            }
+        }
+        return linhas
+            .sort(ordenarPor('produto_id', 'grupo_ordem', 'grupo_id', 'ordem', 'id'))
+            .map(({ grupo_ordem, ordem, ...linha }) => linha);
+    }
+
+    async definirDisponibilidadeModificador(id, disponivel) {
+        return this.emOrdem(() => {
+            const opcao = this.dados.modificadores.find(existente => existente.id === id);
+            if (!opcao) return false;
+            opcao.disponivel = disponivel;
+            this.gravar();
+            return true;
+        });
+    }
+
+    // --- Zonas de entrega ---
+    async listarZonasEntrega() {
+        return copiar(this.dados.zonas_entrega.filter(zona => zona.ativo).sort(ordenarPor('ordem', 'id')));
+    }
+
+    async listarBairrosAtendidos() {
+        const bairros = this.dados.zonas_entrega
+            .filter(zona => zona.ativo && zona.atende && zona.tipo === 'bairro')
+            .flatMap(zona => zona.valores);
+        return [...new Set(bairros)].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+    }
+
+    async criarZonaEntrega(zona) {
+        return this.emOrdem(() => {
+            const linha = this.inserir('zonas_entrega', {
+                id: this.proximoId('zonas_entrega'),
+                nome: zona.nome,
+                tipo: zona.tipo,
+                valores: zona.valores,
+                raio_km: zona.raioKm,
+                taxa: zona.taxa,
+                pedido_minimo: zona.pedidoMinimo,
+                atende: zona.atende,
+                ordem: zona.ordem,
+                ativo: true,
+                criado_em: new Date()
+            });
+            return copiar(linha);
+        });
+    }
+
+    async atualizarZonaEntrega(id, zona) {
+        return this.emOrdem(() => {
+            const linha = this.dados.zonas_entrega.find(existente => existente.id === id && existente.ativo);
+            if (!linha) return null;
+            Object.assign(linha, {
+                nome: zona.nome,
+                tipo: zona.tipo,
+                valores: zona.valores,
+                raio_km: zona.raioKm,
+                taxa: zona.taxa,
+                pedido_minimo: zona.pedidoMinimo,
+                atende: zona.atende,
+                ordem: zona.ordem
+            });
+            this.gravar();
+            return copiar(linha);
+        });
+    }
+
+    async desativarZonaEntrega(id) {
+        return this.emOrdem(() => {
+            const linha = this.dados.zonas_entrega.find(existente => existente.id === id && existente.ativo);
+            if (!linha) return false;
+            linha.ativo = false;
+            this.gravar();
+            return true;
+        });
+    }
+
+    // --- Horário de funcionamento ---
+    async listarHorarios() {
+        return this.dados.horarios_funcionamento
+            .slice()
+            .sort(ordenarPor('dia_semana', 'abre'))
+            .map(({ dia_semana, abre, fecha }) => ({ dia_semana, abre, fecha }));
+    }
+
+    async listarExcecoes(data) {
+        return copiar(this.dados.excecoes_funcionamento.filter(excecao => excecao.data >= data).sort(ordenarPor('data')));
+    }
+
+    async substituirHorarios(horarios) {
+        return this.emOrdem(() => {
+            this.dados.horarios_funcionamento = horarios.map(item => ({
+                id: this.proximoId('horarios_funcionamento'),
+                dia_semana: item.diaSemana,
+                abre: item.abre,
+                fecha: item.fecha
+            }));
+            this.gravar();
+        });
+    }
+
+    async salvarExcecao(excecao) {
+        return this.emOrdem(() => {
+            const linha = { data: excecao.data, fechado: excecao.fechado, abre: excecao.abre, fecha: excecao.fecha, motivo: excecao.motivo };
+            this.dados.excecoes_funcionamento = this.dados.excecoes_funcionamento.filter(existente => existente.data !== excecao.data);
+            this.inserir('excecoes_funcionamento', linha);
+            return copiar(linha);
+        });
+    }
+
+    async removerExcecao(data) {
+        return this.emOrdem(() => {
+            const antes = this.dados.excecoes_funcionamento.length;
+            this.dados.excecoes_funcionamento = this.dados.excecoes_funcionamento.filter(excecao => excecao.data !== data);
+            this.gravar();
+            return this.dados.excecoes_funcionamento.length < antes;
+        });
+    }
+
+    // --- Cupons ---
+    async buscarCupom(codigo) {
+        return copiar(this.dados.cupons.find(cupom => cupom.codigo === codigo)) || null;
+    }
+
+    resgatesValidos(codigo) {
+        return this.dados.cupons_resgates.filter(resgate => {
+            const pedido = this.dados.pedidos.find(existente => existente.id === resgate.pedido_id);
+            return resgate.cupom_codigo === codigo && pedido && pedido.status !== 'cancelado';
+        });
+    }
+
+    async contarUsosCupom(codigo, telefone) {
+        const resgates = this.resgatesValidos(codigo);
+        return {
+            totais: resgates.length,
+            doCliente: resgates.filter(resgate => resgate.cliente_telefone === telefone).length
+        };
+    }
+
+    async registrarResgateCupom({ codigo, pedidoId, telefone, desconto }) {
+        return this.emOrdem(() => {
+            if (this.dados.cupons_resgates.some(resgate => resgate.pedido_id === pedidoId)) {
+                throw new Error(`O pedido #${pedidoId} já tem um cupom.`);
+            }
+            this.inserir('cupons_resgates', {
+                id: this.proximoId('cupons_resgates'),
+                cupom_codigo: codigo,
+                pedido_id: pedidoId,
+                cliente_telefone: telefone,
+                desconto,
+                criado_em: new Date()
+            });
+        });
+    }
+
+    async listarCupons() {
+        return copiar(this.dados.cupons
+            .map(cupom => ({ ...cupom, usos: this.resgatesValidos(cupom.codigo).length }))
+            .sort(ordenarPor(['ativo', 'desc'], ['criado_em', 'desc'])));
+    }
+
+    linhaCupom(cupom) {
+        return {
+            codigo: cupom.codigo,
+            descricao: cupom.descricao,
+            tipo: cupom.tipo,
+            valor: cupom.valor,
+            pedido_minimo: cupom.pedidoMinimo,
+            desconto_maximo: cupom.descontoMaximo,
+            apenas_primeiro_pedido: cupom.apenasPrimeiroPedido,
+            limite_total: cupom.limiteTotal,
+            limite_por_cliente: cupom.limitePorCliente,
+            valido_de: cupom.validoDe,
+            valido_ate: cupom.validoAte,
+            ativo: cupom.ativo
+        };
+    }
+
+    async criarCupom(cupom) {
+        return this.emOrdem(() => {
+            if (this.dados.cupons.some(existente => existente.codigo === cupom.codigo)) return null;
+            return copiar(this.inserir('cupons', { ...this.linhaCupom(cupom), criado_em: new Date() }));
+        });
+    }
+
+    async atualizarCupom(cupom) {
+        return this.emOrdem(() => {
+            const linha = this.dados.cupons.find(existente => existente.codigo === cupom.codigo);
+            if (!linha) return null;
+            Object.assign(linha, this.linhaCupom(cupom));
+            this.gravar();
+            return copiar(linha);
+        });
+    }
+
+    async desativarCupom(codigo) {
+        return this.emOrdem(() => {
+            const linha = this.dados.cupons.find(cupom => cupom.codigo === codigo && cupom.ativo);
+            if (!linha) return false;
+            linha.ativo = false;
+            this.gravar();
+            return true;
+        });
+    }
+
+    // --- Clientes ---
+    async buscarCliente(telefone) {
+        return copiar(this.dados.clientes.find(cliente => cliente.telefone === telefone)) || null;
+    }
+
+    async salvarCliente({ telefone, nome, endereco, referencia, bairro, cep }) {
+        return this.emOrdem(() => {
+            const existente = this.dados.clientes.find(cliente => cliente.telefone === telefone);
+            if (existente) {
+                existente.nome = nome;
+                this.gravar();
+                return;
+            }
+            this.inserir('clientes', {
+                telefone,
+                nome,
+                endereco,
+                referencia: referencia || null,
+                bairro: bairro || null,
+                cep: cep || null,
+                aceita_promocoes: false,
+                promocoes_atualizado_em: null,
+                criado_em: new Date()
+            });
+        });
+    }
+
+    async definirAceitePromocoes(telefone, aceita) {
+        return this.emOrdem(() => {
+            const cliente = this.dados.clientes.find(existente => existente.telefone === telefone);
+            if (!cliente || Boolean(cliente.aceita_promocoes) === aceita) return false;
+            cliente.aceita_promocoes = aceita;
+            cliente.promocoes_atualizado_em = new Date();
+            this.gravar();
+            return true;
+        });
+    }
+
+    // As transações em memória já rodam uma de cada vez
+    async bloquearCliente() {}
+
+    async importarCliente({ telefone, nome, endereco, referencia, criadoEm }) {
+        return this.emOrdem(async () => {
+            if (this.dados.clientes.some(cliente => cliente.telefone === telefone)) return false;
+            const criadoEmData = criadoEm ? new Date(criadoEm) : new Date();
+            this.inserir('clientes', {
+                telefone, nome, endereco, referencia: referencia || null, bairro: null, cep: null,
+                aceita_promocoes: false, promocoes_atualizado_em: null, criado_em: criadoEmData
+            });
+            if (endereco) {
+                await this.salvarEndereco(telefone, { apelido: 'Casa', rua: endereco, referencia }, { padrao: true });
+            }
+            return true;
+        });
+    }
+
+    // --- Endereços salvos ---
+    async listarEnderecos(telefone) {
+        return copiar(this.dados.enderecos
+            .filter(endereco => endereco.cliente_telefone === telefone)
+            .sort(ordenarPor(['padrao', 'desc'], ['atualizado_em', 'desc'], ['id', 'desc'])));
+    }
+
+    async buscarEndereco(telefone, id) {
+        return copiar(this.dados.enderecos.find(endereco => endereco.id === id && endereco.cliente_telefone === telefone)) || null;
+    }
+
+    desmarcarPadrao(telefone, excetoId = null) {
+        this.dados.enderecos
+            .filter(endereco => endereco.cliente_telefone === telefone && endereco.id !== excetoId)
+            .forEach(endereco => { endereco.padrao = false; });
+    }
+
+    async salvarEndereco(telefone, endereco, { padrao = false } = {}) {
+        return this.emOrdem(() => {
+            this.exigirCliente(telefone);
+            if (padrao) this.desmarcarPadrao(telefone);
+            const temPadrao = this.dados.enderecos.some(existente => existente.cliente_telefone === telefone && existente.padrao);
+            const agora = new Date();
+            return copiar(this.inserir('enderecos', {
+                id: this.proximoId('enderecos'),
+                cliente_telefone: telefone,
+                apelido: endereco.apelido,
+                rua: endereco.rua,
+                numero: endereco.numero || null,
+                complemento: endereco.complemento || null,
+                bairro: endereco.bairro || null,
+                cep: endereco.cep || null,
+                referencia: endereco.referencia || null,
+                latitude: endereco.latitude ?? null,
+                longitude: endereco.longitude ?? null,
+                padrao: padrao || !temPadrao,
+                criado_em: agora,
+                atualizado_em: agora
+            }));
+        });
+    }
+
+    async atualizarEndereco(telefone, id, endereco, { padrao = false } = {}) {
+        return this.emOrdem(() => {
+            const linha = this.dados.enderecos.find(existente => existente.id === id && existente.cliente_telefone === telefone);
+            if (!linha) return null;
+            if (padrao) this.desmarcarPadrao(telefone, id);
+            Object.assign(linha, {
+                apelido: endereco.apelido,
+                rua: endereco.rua,
+                numero: endereco.numero,
+                complemento: endereco.complemento || null,
+                bairro: endereco.bairro,
+                cep: endereco.cep || null,
+                referencia: endereco.referencia || null,
+                latitude: endereco.latitude,
+                longitude: endereco.longitude,
+                padrao: linha.padrao || padrao,
+                atualizado_em: new Date()
+            });
+            this.gravar();
+            return copiar(linha);
+        });
+    }
+
+    async removerEndereco(telefone, id) {
+        return this.emOrdem(() => {
+            const linha = this.dados.enderecos.find(existente => existente.id === id && existente.cliente_telefone === telefone);
+            if (!linha) return false;
+            this.dados.enderecos = this.dados.enderecos.filter(existente => existente !== linha);
+            if (linha.padrao) {
+                const [maisRecente] = this.dados.enderecos
+                    .filter(existente => existente.cliente_telefone === telefone)
+                    .sort(ordenarPor(['atualizado_em', 'desc'], ['id', 'desc']));
+                if (maisRecente) maisRecente.padrao = true;
+            }
+            this.gravar();
+            return true;
+        });
+    }
+
+    // --- Fidelidade ---
+    async consultarSaldoPontos(telefone) {
+        return this.dados.pontos_fidelidade
+            .filter(lancamento => lancamento.cliente_telefone === telefone)
+            .reduce((saldo, lancamento) => saldo + lancamento.pontos, 0);
+    }
+
+    async registrarPontos({ telefone, pedidoId = null, tipo, pontos, descricao }) {
+        return this.emOrdem(() => {
+            this.exigirCliente(telefone);
+            if (pedidoId !== null && this.dados.pontos_fidelidade.some(lancamento => lancamento.pedido_id === pedidoId && lancamento.tipo === tipo)) {
+                return false;
+            }
+            this.inserir('pontos_fidelidade', {
+                id: this.proximoId('pontos_fidelidade'),
+                cliente_telefone: telefone,
+                pedido_id: pedidoId,
+                tipo,
+                pontos,
+                descricao,
+                criado_em: new Date()
+            });
+            return true;
+        });
+    }
+
+    async estornarPontosPedido(pedidoId, telefone, descricao) {
+        return this.emOrdem(async () => {
+            const movimentado = this.dados.pontos_fidelidade
+                .filter(lancamento => lancamento.pedido_id === pedidoId)
+                .reduce((soma, lancamento) => soma + lancamento.pontos, 0);
+            if (movimentado === 0) return 0;
+            const registrado = await this.registrarPontos({ telefone, pedidoId, tipo: 'estorno', pontos: -movimentado, descricao });
+            return registrado ? -movimentado : 0;
+        });
+    }
+
+    // --- Pedidos ---
+    async criarPedido({
+        telefone, dados, pagamentoStatus = null, pagamentoExpiraEm = null, agendadoPara = null,
+        tokenAcompanhamentoHash = null, codigoEntrega = null
+    }) {
+        return this.emOrdem(() => {
+            this.exigirCliente(telefone);
+            const agora = new Date();
+            const linha = this.inserir('pedidos', {
+                id: this.proximoId('pedidos'),
+                cliente_telefone: telefone,
+                dados_pedido: copiar(dados),
+                status: agendadoPara ? 'agendado' : 'recebido',
+                mensagem_confirmacao_enviada: false,
+                mensagem_entrega_enviada: false,
+                mensagem_cancelamento_enviada: false,
+                mensagem_liberacao_enviada: false,
+                criado_em: agora,
+                atualizado_em: agora,
+                pagamento_status: pagamentoStatus,
+                pagamento_expira_em: pagamentoExpiraEm,
+                pago_em: null,
+                pagamento_end_to_end_id: null,
+                agendado_para: agendadoPara ? new Date(agendadoPara) : null,
+                token_acompanhamento_hash: tokenAcompanhamentoHash,
+                codigo_entrega: codigoEntrega
+            });
+            return copiar({
+                id: linha.id,
+                status: linha.status,
+                criado_em: linha.criado_em,
+                pagamento_status: linha.pagamento_status,
+                agendado_para: linha.agendado_para
+            });
+        });
+    }
+
+    pedidoComCliente(pedido) {
+        const cliente = this.dados.clientes.find(existente => existente.telefone === pedido.cliente_telefone);
+        return copiar({
+            id: pedido.id,
+            cliente_telefone: pedido.cliente_telefone,
+            status: pedido.status,
+            dados_pedido: pedido.dados_pedido,
+            criado_em: pedido.criado_em,
+            pagamento_status: pedido.pagamento_status,
+            pago_em: pedido.pago_em,
+            agendado_para: pedido.agendado_para || null,
+            codigo_entrega: pedido.codigo_entrega || null,
+            nome: cliente ? cliente.nome : null
+        });
+    }
+
+    async buscarPedido(id, { telefone = null } = {}) {
+        const pedido = this.dados.pedidos.find(existente => existente.id === id && (!telefone || existente.cliente_telefone === telefone));
+        return pedido ? this.pedidoComCliente(pedido) : null;
+    }
+
+    async buscarIdPorAcompanhamento(tokenHash) {
+        const pedido = this.dados.pedidos.find(existente => existente.token_acompanhamento_hash === tokenHash);
+        return pedido ? pedido.id : null;
+    }
+
+    async atualizarStatusPedido(id, status) {
+        return this.emOrdem(() => {
+            const pedido = this.dados.pedidos.find(existente => existente.id === id);
+            if (!pedido) return null;
+            pedido.status = status;
+            pedido.atualizado_em = new Date();
+            if (status === 'cancelado' && pedido.pagamento_status === 'pendente') pedido.pagamento_status = 'cancelado';
+            this.gravar();
+            return { pagamento_status: pedido.pagamento_status };
+        });
+    }
+
+    async marcarMensagemPedido(id, coluna) {
+        return this.emOrdem(() => {
+            if (!COLUNAS_MENSAGEM_PEDIDO.includes(coluna)) {
+                throw new Error(`Coluna de mensagem desconhecida: ${coluna}`);
+            }
+            const pedido = this.dados.pedidos.find(existente => existente.id === id);
+            if (!pedido || pedido[coluna]) return false;
+            pedido[coluna] = true;
+            this.gravar();
+            return true;
+        });
+    }
+
+    async confirmarPagamentoPedido(id, endToEndId) {
+        return this.emOrdem(() => {
+            const pedido = this.dados.pedidos.find(existente => existente.id === id);
+            if (!pedido) return;
+            const agora = new Date();
+            Object.assign(pedido, { pagamento_status: 'pago', pago_em: agora, pagamento_end_to_end_id: endToEndId, atualizado_em: agora });
+            this.gravar();
+        });
+    }
+
+    async registrarHistoricoStatus(pedidoId, { de = null, para, alteradoPor }) {
+        return this.emOrdem(() => {
+            this.inserir('pedidos_status_historico', {
+                id: this.proximoId('pedidos_status_historico'),
+                pedido_id: pedidoId,
+                status_anterior: de,
+                status_novo: para,
+                alterado_por: alteradoPor,
+                criado_em: new Date()
+            });
+        });
+    }
+
+    async listarHistoricoStatus(pedidoId) {
+        return copiar(this.dados.pedidos_status_historico
+            .filter(mudanca => mudanca.pedido_id === pedidoId)
+            .sort(ordenarPor('criado_em', 'id'))
+            .map(({ status_anterior, status_novo, alterado_por, criado_em }) => ({ status_anterior, status_novo, alterado_por, criado_em })));
+    }
+
+    pedidosDoCliente(telefone) {
+        return this.dados.pedidos
+            .filter(pedido => pedido.cliente_telefone === telefone)
+            .sort(ordenarPor(['criado_em', 'desc'], ['id', 'desc']));
+    }
+
+    async listarPedidosDoCliente(telefone) {
+        return copiar(this.pedidosDoCliente(telefone).map(({ id, dados_pedido, status, criado_em }) => ({ id, dados_pedido, status, criado_em })));
+    }
+
+    async buscarUltimoPedido(telefone) {
+        const [pedido] = this.pedidosDoCliente(telefone);
+        return pedido ? copiar({ id: pedido.id, status: pedido.status, criado_em: pedido.criado_em, agendado_para: pedido.agendado_para || null }) : null;
+    }
+
+    async contarPedidosDoCliente(telefone) {
+        return this.pedidosDoCliente(telefone).filter(pedido => pedido.status !== 'cancelado').length;
+    }
+
+    async listarPedidosDoDia(data, { status = null } = {}) {
+        return this.dados.pedidos
+            .filter(pedido => (horario.partesDataHora(pedido.criado_em).data === data
+                || (pedido.agendado_para && horario.partesDataHora(pedido.agendado_para).data === data))
+                && (!status || pedido.status === status))
+            .sort(ordenarPor(['criado_em', 'desc'], ['id', 'desc']))
+            .map(pedido => this.pedidoComCliente(pedido));
+    }
+
+    async listarPedidosComPixExpirado() {
+        const agora = Date.now();
+        return this.dados.pedidos
+            .filter(pedido => pedido.pagamento_status === 'pendente' && ['recebido', 'agendado'].includes(pedido.status)
+                && pedido.pagamento_expira_em <= agora)
+            .map(pedido => pedido.id)
+            .sort((a, b) => a - b);
+    }
+
+    async gerarRelatorio(nome, periodo) {
+        return relatorios.RELATORIOS[nome].calcular({ pedidos: this.dados.pedidos, produtos: this.dados.produtos }, periodo);
+    }
+
+    // --- Pedidos agendados ---
+    async contarPedidosAgendados(de, ate) {
+        const totais = new Map();
+        this.dados.pedidos
+            .filter(pedido => pedido.agendado_para && pedido.agendado_para >= de && pedido.agendado_para <= ate && pedido.status !== 'cancelado')
+            .forEach(pedido => {
+                const chave = pedido.agendado_para.getTime();
+                totais.set(chave, (totais.get(chave) || 0) + 1);
+            });
+        return [...totais].map(([chave, total]) => ({ agendado_para: new Date(chave), total }));
+    }
+
+    // As transações em memória já rodam uma de cada vez
+    async bloquearHorarioAgendado() {}
+
+    async listarPedidosAgendadosParaLiberar(ate) {
+        return this.dados.pedidos
+            .filter(pedido => pedido.status === 'agendado' && pedido.agendado_para <= ate)
+            .sort(ordenarPor('agendado_para', 'id'))
+            .map(pedido => pedido.id);
+    }
+
+    // --- Fila de mensagens ---
+    async enfileirarMensagem({ pedidoId = null, destinatario, tipo, conteudo }) {
+        return this.emOrdem(() => {
+            const agora = new Date();
+            return this.inserir('mensagens_fila', {
+                id: this.proximoId('mensagens_fila'),
+                pedido_id: pedidoId,
+                destinatario,
+                tipo,
+                conteudo,
+                status: 'pendente',
+                tentativas: 0,
+                proxima_tentativa_em: agora,
+                ultimo_erro: null,
+                criado_em: agora,
+                enviada_em: null
+            }).id;
+        });
+    }
+
+    async recuperarMensagensEnviando() {
+        return this.emOrdem(() => {
+            const enviando = this.dados.mensagens_fila.filter(mensagem => mensagem.status === 'enviando');
+            enviando.forEach(mensagem => { mensagem.status = 'pendente'; });
+            this.gravar();
+            return enviando.length;
+        });
+    }
+
+    async reservarMensagens(limite) {
+        return this.emOrdem(() => {
+            const agora = Date.now();
+            const lote = this.dados.mensagens_fila
+                .filter(mensagem => mensagem.status === 'pendente' && mensagem.proxima_tentativa_em <= agora)
+                .sort(ordenarPor('id'))
+                .slice(0, limite);
+            lote.forEach(mensagem => { mensagem.status = 'enviando'; });
+            this.gravar();
+            return copiar(lote);
+        });
+    }
+
+    atualizarMensagem(id, campos) {
+        const mensagem = this.dados.mensagens_fila.find(existente => existente.id === id);
+        if (!mensagem) return;
+        Object.assign(mensagem, campos);
+        this.gravar();
+    }
+
+    async marcarMensagemEnviada(id) {
+        return this.emOrdem(() => {
+            const mensagem = this.dados.mensagens_fila.find(existente => existente.id === id);
+            if (!mensagem) return;
+            this.atualizarMensagem(id, { status: 'enviada', enviada_em: new Date(), tentativas: mensagem.tentativas + 1, ultimo_erro: null });
+        });
+    }
+
+    async marcarMensagemFalhou(id, { tentativas, erro }) {
+        return this.emOrdem(() => {
+            this.atualizarMensagem(id, { status: 'falhou', tentativas, ultimo_erro: erro });
+        });
+    }
+
+    async reagendarMensagem(id, { tentativas, erro, esperaSegundos }) {
+        return this.emOrdem(() => {
+            this.atualizarMensagem(id, { status: 'pendente', tentativas, ultimo_erro: erro, proxima_tentativa_em: depois(esperaSegundos * 1000) });
+        });
+    }
+
+    // --- Campanhas de promoção ---
+    async listarSegmentos() {
+        return copiar([...this.dados.segmentos_clientes].sort(ordenarPor('nome', 'id')));
+    }
+
+    async buscarSegmento(id) {
+        return copiar(this.dados.segmentos_clientes.find(segmento => segmento.id === id)) || null;
+    }
+
+    async criarSegmento({ nome, filtros }) {
+        return this.emOrdem(() => {
+            return copiar(this.inserir('segmentos_clientes', {
+                id: this.proximoId('segmentos_clientes'), nome, filtros: copiar(filtros), criado_em: new Date()
+            }));
+        });
+    }
+
+    async removerSegmento(id) {
+        return this.emOrdem(() => {
+            const antes = this.dados.segmentos_clientes.length;
+            this.dados.segmentos_clientes = this.dados.segmentos_clientes.filter(segmento => segmento.id !== id);
+            this.gravar();
+            return this.dados.segmentos_clientes.length < antes;
+        });
+    }
+
+    async listarClientesDoSegmento(filtros) {
+        return campanhas.filtrarClientesSegmento(this.dados, filtros);
+    }
+
+    async criarCampanha({ nome, segmento, filtros, modelo, criadoPor, envios }) {
+        return this.emOrdem(() => {
+            const campanhaId = this.proximoId('campanhas');
+            this.inserir('campanhas', {
+                id: campanhaId,
+                nome,
+                segmento,
+                filtros: copiar(filtros),
+                modelo,
+                status: 'enviando',
+                criado_por: criadoPor,
+                criado_em: new Date(),
+                concluida_em: null
+            });
+            envios.forEach(({ telefone, conteudo }) => {
+                this.exigirCliente(telefone);
+                this.inserir('campanhas_envios', {
+                    id: this.proximoId('campanhas_envios'),
+                    campanha_id: campanhaId,
+                    cliente_telefone: telefone,
+                    conteudo,
+                    status: 'pendente',
+                    erro: null,
+                    processado_em: null
+                });
+            });
+            return campanhaId;
+        });
+    }
+
+    async listarCampanhas({ id = null } = {}) {
+        return this.dados.campanhas
+            .filter(campanha => id === null || campanha.id === id)
+            .sort(ordenarPor(['id', 'desc']))
+            .map(campanha => {
+                const envios = this.dados.campanhas_envios.filter(envio => envio.campanha_id === campanha.id);
+                const contar = (...status) => envios.filter(envio => status.includes(envio.status)).length;
+                return {
+                    ...copiar(campanha),
+                    total: envios.length,
+                    pendentes: contar('pendente', 'enviando'),
+                    enviados: contar('enviado'),
+                    falhas: contar('falhou'),
+                    cancelados: contar('cancelado')
+                };
+            });
+    }
+
+    async buscarCampanha(id) {
+        return (await this.listarCampanhas({ id }))[0] || null;
+    }
+
+    async listarEnviosCampanha(campanhaId) {
+        return this.dados.campanhas_envios
+            .filter(envio => envio.campanha_id === campanhaId)
+            .sort(ordenarPor('id'))
+            .map(envio => ({
+                id: envio.id,
+                cliente_telefone: envio.cliente_telefone,
+                nome: this.dados.clientes.find(cliente => cliente.telefone === envio.cliente_telefone).nome,
+                status: envio.status,
+                erro: envio.erro,
+                processado_em: envio.processado_em
+            }));
+    }
+
+    async cancelarCampanha(id) {
+        return this.emOrdem(() => {
+            const campanha = this.dados.campanhas.find(existente => existente.id === id && existente.status === 'enviando');
+            if (!campanha) return false;
+            const agora = new Date();
+            Object.assign(campanha, { status: 'cancelada', concluida_em: agora });
+            this.dados.campanhas_envios
+                .filter(envio => envio.campanha_id === id && envio.status === 'pendente')
+                .forEach(envio => Object.assign(envio, { status: 'cancelado', erro: 'Campanha cancelada.', processado_em: agora }));
+            this.gravar();
+            return true;
+        });
+    }
+
+    async recuperarEnviosCampanhaEnviando() {
+        return this.emOrdem(() => {
+            const enviando = this.dados.campanhas_envios.filter(envio => envio.status === 'enviando');
+            enviando.forEach(envio => { envio.status = 'pendente'; });
+            this.gravar();
+            return enviando.length;
+        });
+    }
+
+    async contarEnviosCampanhaDesde(momento) {
+        return this.dados.campanhas_envios
+            .filter(envio => ['enviado', 'falhou'].includes(envio.status) && envio.processado_em >= momento)
+            .length;
+    }
+
+    async reservarEnvioCampanha() {
+        return this.emOrdem(() => {
+            const envio = this.dados.campanhas_envios
+                .filter(existente => existente.status === 'pendente')
+                .sort(ordenarPor('id'))[0];
+            if (!envio) return null;
+            envio.status = 'enviando';
+            this.gravar();
+            const cliente = this.dados.clientes.find(existente => existente.telefone === envio.cliente_telefone);
+            return {
+                id: envio.id,
+                campanha_id: envio.campanha_id,
+                cliente_telefone: envio.cliente_telefone,
+                conteudo: envio.conteudo,
+                aceita_promocoes: Boolean(cliente.aceita_promocoes)
+            };
+        });
+    }
+
+    async finalizarEnvioCampanha(id, { status, erro = null }) {
+        return this.emOrdem(() => {
+            const envio = this.dados.campanhas_envios.find(existente => existente.id === id);
+            if (!envio) return;
+            Object.assign(envio, { status, erro, processado_em: new Date() });
+
+            const restantes = this.dados.campanhas_envios
+                .some(outro => outro.campanha_id === envio.campanha_id && ['pendente', 'enviando'].includes(outro.status));
+            const campanha = this.dados.campanhas.find(existente => existente.id === envio.campanha_id);
+            if (!restantes && campanha.status === 'enviando') {
+                Object.assign(campanha, { status: 'concluida', concluida_em: new Date() });
+            }
+            this.gravar();
+        });
+    }
+
+    // --- Usuários do painel ---
+    async contarUsuarios() {
+        return this.dados.usuarios.length;
+    }
+
+    async criarUsuario({ usuario, nome, senhaHash, papel }) {
+        return this.emOrdem(() => {
+            if (this.dados.usuarios.some(existente => existente.usuario === usuario)) return null;
+            return this.inserir('usuarios', {
+                id: this.proximoId('usuarios'),
+                usuario,
+                nome,
+                senha_hash: senhaHash,
+                papel,
+                ativo: true,
+                criado_em: new Date()
+            }).id;
+        });
+    }
+
+    async buscarUsuarioAtivo(usuario) {
+        const linha = this.dados.usuarios.find(existente => existente.usuario === usuario && existente.ativo);
+        return linha ? { id: linha.id, usuario: linha.usuario, nome: linha.nome, papel: linha.papel, senha_hash: linha.senha_hash } : null;
+    }
+
+    async criarSessaoUsuario({ tokenHash, usuarioId, duracaoMs }) {
+        return this.emOrdem(() => {
+            this.inserir('sessoes_usuarios', { token_hash: tokenHash, usuario_id: usuarioId, expira_em: depois(duracaoMs), criado_em: new Date() });
+        });
+    }
+
+    async buscarUsuarioDaSessao(tokenHash) {
+        const sessao = this.dados.sessoes_usuarios.find(existente => existente.token_hash === tokenHash && existente.expira_em > Date.now());
+        const usuario = sessao && this.dados.usuarios.find(existente => existente.id === sessao.usuario_id && existente.ativo);
+        return usuario ? { id: usuario.id, usuario: usuario.usuario, nome: usuario.nome, papel: usuario.papel } : null;
+    }
+
+    async removerSessaoUsuario(tokenHash) {
+        return this.emOrdem(() => {
+            this.dados.sessoes_usuarios = this.dados.sessoes_usuarios.filter(sessao => sessao.token_hash !== tokenHash);
+            this.gravar();
+        });
+    }
+
+    // --- Verificação do cliente por WhatsApp ---
+    async contarCodigosRecentes(telefone, janelaMs) {
+        const desde = Date.now() - janelaMs;
+        return this.dados.codigos_verificacao.filter(codigo => codigo.telefone === telefone && codigo.criado_em > desde).length;
+    }
+
+    async registrarCodigoVerificacao({ telefone, codigoHash, validadeMs }) {
+        return this.emOrdem(() => {
+            this.dados.codigos_verificacao
+                .filter(codigo => codigo.telefone === telefone)
+                .forEach(codigo => { codigo.usado = true; });
+            this.inserir('codigos_verificacao', {
+                id: this.proximoId('codigos_verificacao'),
+                telefone,
+                codigo_hash: codigoHash,
+                tentativas: 0,
+                usado: false,
+                expira_em: depois(validadeMs),
+                criado_em: new Date()
+            });
+        });
+    }
+
+    async buscarCodigoValido(telefone) {
+        const [codigo] = this.dados.codigos_verificacao
+            .filter(existente => existente.telefone === telefone && !existente.usado && existente.expira_em > Date.now())
+            .sort(ordenarPor(['criado_em', 'desc'], ['id', 'desc']));
+        return codigo ? { id: codigo.id, codigo_hash: codigo.codigo_hash, tentativas: codigo.tentativas } : null;
+    }
+
+    async registrarTentativaCodigo(id, maximo) {
+        return this.emOrdem(() => {
+            const codigo = this.dados.codigos_verificacao.find(existente => existente.id === id);
+            if (!codigo || codigo.tentativas >= maximo) return null;
+            codigo.tentativas += 1;
+            this.gravar();
+            return codigo.tentativas;
+        });
+    }
+
+    async marcarCodigoUsado(id) {
+        return this.emOrdem(() => {
+            const codigo = this.dados.codigos_verificacao.find(existente => existente.id === id);
+            if (codigo) codigo.usado = true;
+            this.gravar();
+        });
+    }
+
+    async criarSessaoCliente({ tokenHash, telefone, duracaoMs }) {
+        return this.emOrdem(() => {
+            return copiar(this.inserir('sessoes_clientes', {
+                token_hash: tokenHash, telefone, expira_em: depois(duracaoMs), criado_em: new Date()
+            }).expira_em);
+        });
+    }
+
+    async buscarTelefoneDaSessao(tokenHash) {
+        const sessao = this.dados.sessoes_clientes.find(existente => existente.token_hash === tokenHash && existente.expira_em > Date.now());
+        return sessao ? sessao.telefone : null;
+    }
+
+    // --- Conversas do WhatsApp ---
+    conversa(chatId) {
+        let linha = this.dados.conversas_whatsapp.find(existente => existente.chat_id === chatId);
+        if (!linha) {
+            linha = this.inserir('conversas_whatsapp', {
+                chat_id: chatId,
+                telefone: null,
+                atendimento_humano: false,
+                humano_desde: null,
+                acao_pendente: null,
+                pedido_pendente: null,
+                acao_expira_em: null,
+                ultima_mensagem_em: new Date()
+            });
+        }
+        return linha;
+    }
+
+    async registrarConversa(chatId, telefone) {
+        return this.emOrdem(() => {
+            const linha = this.conversa(chatId);
+            linha.telefone = telefone || linha.telefone;
+            linha.ultima_mensagem_em = new Date();
+            this.gravar();
+            return copiar(linha);
+        });
+    }
+
+    async telefoneEmAtendimentoHumano(telefone) {
+        return this.dados.conversas_whatsapp.some(conversa => conversa.telefone === telefone && conversa.atendimento_humano);
+    }
+
+    async definirAcaoPendente(chatId, { acao, pedidoId, expiraEm }) {
+        return this.emOrdem(() => {
+            const linha = this.dados.conversas_whatsapp.find(existente => existente.chat_id === chatId);
+            if (!linha) return;
+            Object.assign(linha, { acao_pendente: acao, pedido_pendente: pedidoId, acao_expira_em: expiraEm });
+            this.gravar();
+        });
+    }
+
+    async limparAcaoPendente(chatId) {
+        await this.definirAcaoPendente(chatId, { acao: null, pedidoId: null, expiraEm: null });
+    }
+
+    async definirAtendimentoHumano(chatId, { telefone = null, ativo }) {
+        return this.emOrdem(() => {
+            const linha = this.conversa(chatId);
+            Object.assign(linha, {
+                atendimento_humano: ativo,
+                telefone: telefone || linha.telefone,
+                humano_desde: ativo ? (linha.humano_desde || new Date()) : null,
+                acao_pendente: null,
+                pedido_pendente: null,
+                acao_expira_em: null
+            });
+            if (!ativo && linha.telefone) {
+                this.dados.conversas_whatsapp
+                    .filter(conversa => conversa.telefone === linha.telefone)
+                    .forEach(conversa => { conversa.atendimento_humano = false; conversa.humano_desde = null; });
+            }
+            this.gravar();
+            const { chat_id, telefone: telefoneConversa, atendimento_humano, humano_desde, ultima_mensagem_em } = linha;
+            return copiar({ chat_id, telefone: telefoneConversa, atendimento_humano, humano_desde, ultima_mensagem_em });
+        });
+    }
+
+    async listarAtendimentosHumanos() {
+        return copiar(this.dados.conversas_whatsapp
+            .filter(conversa => conversa.atendimento_humano)
+            .sort(ordenarPor('humano_desde'))
+            .map(({ chat_id, telefone, atendimento_humano, humano_desde, ultima_mensagem_em }) =>
+                ({ chat_id, telefone, atendimento_humano, humano_desde, ultima_mensagem_em })));
+    }
+}
+
+module.exports = RepositorioMemoria;
@@ -0,0 +1,1033 @@
+// Repositório sobre o PostgreSQL, usado em produção (DATABASE_URL definida).
+// Os métodos devolvem as linhas como o driver entrega (colunas em snake_case, NUMERIC como
+// string, datas como Date); quem chama converte para o formato da API.
+const { Pool } = require('pg');
+const relatorios = require('./relatorios');
+const campanhas = require('./campanhas');
+const migracoes = require('./migracoes');
+
+// Colunas que garantem o envio único das mensagens de status do pedido
+const COLUNAS_MENSAGEM_PEDIDO = [
+    'mensagem_confirmacao_enviada', 'mensagem_entrega_enviada', 'mensagem_cancelamento_enviada', 'mensagem_liberacao_enviada'
+];
+
+// Primeira chave das travas consultivas por horário de entrega (a segunda é o horário em minutos)
+const TRAVA_HORARIO_AGENDADO = 20261019;
+
+class RepositorioPostgres {
+    /**
+     * @param {object} opcoes
+     * @param {import('pg').Pool} [opcoes.pool] - pool já criado (senão é criado a partir de databaseUrl)
+     * @param {string} [opcoes.databaseUrl]
+     * @param {object} opcoes.logger
+     */
+    constructor({ pool, databaseUrl, logger, db }) {
+        this.pool = pool || new Pool({
+            connectionString: databaseUrl,
+            ssl: {
+                rejectUnauthorized: false
+            },
+            connectionTimeoutMillis: 5000
+        });
+        this.logger = logger;
+        // Dentro de uma transação `db` é o client dela; fora, o próprio pool
+        this.db = db || this.pool;
+        this.tipo = 'postgres';
+    }
+
+    get conexoesAbertas() {
+        return this.pool.totalCount;
+    }
+
+    // Executa `fn` com um repositório preso a uma transação. Um erro desfaz tudo; transações
+    // aninhadas reaproveitam a de fora.
+    async transacao(fn) {
+        if (this.db !== this.pool) return fn(this);
+
+        const clientDB = await this.pool.connect();
+        try {
+            await clientDB.query('BEGIN');
+            const resultado = await fn(new RepositorioPostgres({ pool: this.pool, logger: this.logger, db: clientDB }));
+            await clientDB.query('COMMIT');
+            return resultado;
+        } catch (error) {
+            await clientDB.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            clientDB.release();
+        }
+    }
+
+    async fechar() {
+        await this.pool.end();
+    }
+
+    // --- Estrutura do banco ---
+    // Aplica as migrações pendentes de ./migracoes (veja migracoes.js)
+    async preparar() {
+        const aplicadas = await migracoes.migrar(this, { logger: this.logger });
+        this.logger.info(aplicadas.length > 0
+            ? `Banco de dados atualizado: ${aplicadas.length} migração(ões) aplicada(s).`
+            : 'Banco de dados já está na versão mais recente.');
+    }
+
+    // Sessões vencidas e códigos de verificação com mais de um dia
+    async limparSessoesExpiradas() {
+        await this.db.query('DELETE FROM sessoes_usuarios WHERE expira_em < CURRENT_TIMESTAMP');
+        await this.db.query(`DELETE FROM codigos_verificacao WHERE criado_em < CURRENT_TIMESTAMP - INTERVAL '1 day'`);
+        await this.db.query('DELETE FROM sessoes_clientes WHERE expira_em < CURRENT_TIMESTAMP');
+    }
+
+    // --- Cardápio ---
+    // Popula o cardápio inicial sem sobrescrever alterações feitas no banco
+    async semearCardapio(cardapio) {
+        await this.transacao(async ({ db }) => {
+            for (const [indice, produto] of cardapio.entries()) {
+                await db.query(
+                    `INSERT INTO produtos (id, nome, descricao, preco, preco_antigo, imagem, categoria, badge, ordem)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                     ON CONFLICT (id) DO NOTHING`,
+                    [produto.id, produto.nome, produto.descricao, produto.preco, produto.preco_antigo || null,
+                     produto.imagem, produto.categoria, produto.badge || null, indice]
+                );
+                for (const [indiceGrupo, grupo] of produto.modificadores.entries()) {
+                    const grupoId = `${produto.id}-${grupo.chave}`;
+                    await db.query(
+                        `INSERT INTO grupos_modificadores (id, produto_id, nome, min_escolhas, max_escolhas, ordem)
+                         VALUES ($1, $2, $3, $4, $5, $6)
+                         ON CONFLICT (id) DO NOTHING`,
+                        [grupoId, produto.id, grupo.nome, grupo.minEscolhas, grupo.maxEscolhas, indiceGrupo]
+                    );
+                    for (const [indiceOpcao, opcao] of grupo.opcoes.entries()) {
+                        await db.query(
+                            `INSERT INTO modificadores (id, grupo_id, nome, preco, ordem)
+                             VALUES ($1, $2, $3, $4, $5)
+                             ON CONFLICT (id) DO NOTHING`,
+                            [`${grupoId}-${opcao.chave}`, grupoId, opcao.nome, opcao.preco, indiceOpcao]
+                        );
+                    }
+                }
+            }
+        });
+    }
+
+    async listarProdutos() {
+        const result = await this.db.query(
+            `SELECT id, nome, descricao, preco, preco_antigo, imagem, categoria, badge, disponivel
+             FROM produtos
+             ORDER BY ordem, nome`
+        );
+        return result.rows;
+    }
+
+    async buscarProdutos(ids) {
+        const result = await this.db.query('SELECT id, nome, preco, disponivel FROM produtos WHERE id = ANY($1)', [ids]);
+        return result.rows;
+    }
+
+    async definirDisponibilidadeProduto(id, disponivel) {
+        const result = await this.db.query(
+            'UPDATE produtos SET disponivel = $2, atualizado_em = NOW() WHERE id = $1 RETURNING id',
+            [id, disponivel]
+        );
+        return result.rows.length > 0;
+    }
+
+    // Uma linha por opção, já na ordem do cardápio, só dos grupos ativos
+    async listarModificadores(idsProdutos) {
+        const result = await this.db.query(
+            `SELECT g.id AS grupo_id, g.produto_id, g.nome AS grupo_nome, g.min_escolhas, g.max_escolhas,
+                    m.id, m.nome, m.preco, m.disponivel
+             FROM grupos_modificadores g
+             JOIN modificadores m ON m.grupo_id = g.id
+             WHERE g.ativo AND g.produto_id = ANY($1)
+             ORDER BY g.produto_id, g.ordem, g.id, m.ordem, m.id`,
+            [idsProdutos]
+        );
+        return result.rows;
+    }
+
+    async definirDisponibilidadeModificador(id, disponivel) {
+        const result = await this.db.query('UPDATE modificadores SET disponivel = $2 WHERE id = $1 RETURNING id', [id, disponivel]);
+        return result.rows.length > 0;
+    }
+
+    // --- Zonas de entrega ---
+    async listarZonasEntrega() {
+        const result = await this.db.query('SELECT * FROM zonas_entrega WHERE ativo ORDER BY ordem, id');
+        return result.rows;
+    }
+
+    async listarBairrosAtendidos() {
+        const result = await this.db.query(
+            `SELECT DISTINCT unnest(valores) AS bairro FROM zonas_entrega
+             WHERE ativo AND atende AND tipo = 'bairro' ORDER BY bairro`
+        );
+        return result.rows.map(row => row.bairro);
+    }
+
+    async criarZonaEntrega(zona) {
+        const result = await this.db.query(
+            `INSERT INTO zonas_entrega (nome, tipo, valores, raio_km, taxa, pedido_minimo, atende, ordem)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+            [zona.nome, zona.tipo, zona.valores, zona.raioKm, zona.taxa, zona.pedidoMinimo, zona.atende, zona.ordem]
+        );
+        return result.rows[0];
+    }
+
+    async atualizarZonaEntrega(id, zona) {
+        const result = await this.db.query(
+            `UPDATE zonas_entrega SET nome = $2, tipo = $3, valores = $4, raio_km = $5, taxa = $6,
+             pedido_minimo = $7, atende = $8, ordem = $9
+             WHERE id = $1 AND ativo RETURNING *`,
+            [id, zona.nome, zona.tipo, zona.valores, zona.raioKm, zona.taxa, zona.pedidoMinimo, zona.atende, zona.ordem]
+        );
+        return result.rows[0] || null;
+    }
+
+    async desativarZonaEntrega(id) {
+        const result = await this.db.query('UPDATE zonas_entrega SET ativo = false WHERE id = $1 AND ativo RETURNING id', [id]);
+        return result.rows.length > 0;
+    }
+
+    // --- Horário de funcionamento ---
+    async listarHorarios() {
+        const result = await this.db.query(
+            `SELECT dia_semana, to_char(abre, 'HH24:MI') AS abre, to_char(fecha, 'HH24:MI') AS fecha
+             FROM horarios_funcionamento ORDER BY dia_semana, abre`
+        );
+        return result.rows;
+    }
+
+    // Exceções a partir de `data` (AAAA-MM-DD)
+    async listarExcecoes(data) {
+        const result = await this.db.query(
+            `SELECT to_char(data, 'YYYY-MM-DD') AS data, fechado, to_char(abre, 'HH24:MI') AS abre,
+                    to_char(fecha, 'HH24:MI') AS fecha, motivo
+             FROM excecoes_funcionamento WHERE data >= $1::date ORDER BY data`,
+            [data]
+        );
+        return result.rows;
+    }
+
+    // Substitui a grade semanal inteira
+    async substituirHorarios(horarios) {
+        await this.transacao(async ({ db }) => {
+            await db.query('DELETE FROM horarios_funcionamento');
+            for (const item of horarios) {
+                await db.query(
+                    'INSERT INTO horarios_funcionamento (dia_semana, abre, fecha) VALUES ($1, $2, $3)',
+                    [item.diaSemana, item.abre, item.fecha]
+                );
+            }
+        });
+    }
+
+    async salvarExcecao({ data, fechado, abre, fecha, motivo }) {
+        const result = await this.db.query(
+            `INSERT INTO excecoes_funcionamento (data, fechado, abre, fecha, motivo) VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (data) DO UPDATE SET fechado = $2, abre = $3, fecha = $4, motivo = $5
+             RETURNING to_char(data, 'YYYY-MM-DD') AS data, fechado, to_char(abre, 'HH24:MI') AS abre,
+                       to_char(fecha, 'HH24:MI') AS fecha, motivo`,
+            [data, fechado, abre, fecha, motivo]
+        );
+        return result.rows[0];
+    }
+
+    async removerExcecao(data) {
+        const result = await this.db.query('DELETE FROM excecoes_funcionamento WHERE data = $1 RETURNING data', [data]);
+        return result.rows.length > 0;
+    }
+
+    // --- Cupons ---
+    // Com `bloquear`, a linha do cupom fica travada até o fim da transação
+    async buscarCupom(codigo, { bloquear = false } = {}) {
+        const result = await this.db.query(`SELECT * FROM cupons WHERE codigo = $1${bloquear ? ' FOR UPDATE' : ''}`, [codigo]);
+        return result.rows[0] || null;
+    }
+
+    // Pedidos cancelados devolvem o uso do cupom
+    async contarUsosCupom(codigo, telefone) {
+        const result = await this.db.query(
+            `SELECT COUNT(*)::int AS totais,
+                    COUNT(*) FILTER (WHERE r.cliente_telefone = $2)::int AS do_cliente
+             FROM cupons_resgates r JOIN pedidos p ON p.id = r.pedido_id
+             WHERE r.cupom_codigo = $1 AND p.status <> 'cancelado'`,
+            [codigo, telefone]
+        );
+        return { totais: result.rows[0].totais, doCliente: result.rows[0].do_cliente };
+    }
+
+    async registrarResgateCupom({ codigo, pedidoId, telefone, desconto }) {
+        await this.db.query(
+            `INSERT INTO cupons_resgates (cupom_codigo, pedido_id, cliente_telefone, desconto)
+             VALUES ($1, $2, $3, $4)`,
+            [codigo, pedidoId, telefone, desconto]
+        );
+    }
+
+    async listarCupons() {
+        const result = await this.db.query(
+            `SELECT c.*, COUNT(p.id)::int AS usos
+             FROM cupons c
+             LEFT JOIN cupons_resgates r ON r.cupom_codigo = c.codigo
+             LEFT JOIN pedidos p ON p.id = r.pedido_id AND p.status <> 'cancelado'
+             GROUP BY c.codigo
+             ORDER BY c.ativo DESC, c.criado_em DESC`
+        );
+        return result.rows;
+    }
+
+    // Retorna null se o código já existir
+    async criarCupom(cupom) {
+        const result = await this.db.query(
+            `INSERT INTO cupons (codigo, descricao, tipo, valor, pedido_minimo, desconto_maximo, apenas_primeiro_pedido,
+                                 limite_total, limite_por_cliente, valido_de, valido_ate, ativo)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+             ON CONFLICT (codigo) DO NOTHING RETURNING *`,
+            [cupom.codigo, cupom.descricao, cupom.tipo, cupom.valor, cupom.pedidoMinimo, cupom.descontoMaximo,
+             cupom.apenasPrimeiroPedido, cupom.limiteTotal, cupom.limitePorCliente, cupom.validoDe, cupom.validoAte, cupom.ativo]
+        );
+        return result.rows[0] || null;
+    }
+
+    async atualizarCupom(cupom) {
+        const result = await this.db.query(
+            `UPDATE cupons SET descricao = $2, tipo = $3, valor = $4, pedido_minimo = $5, desconto_maximo = $6,
+             apenas_primeiro_pedido = $7, limite_total = $8, limite_por_cliente = $9, valido_de = $10,
+             valido_ate = $11, ativo = $12
+             WHERE codigo = $1 RETURNING *`,
+            [cupom.codigo, cupom.descricao, cupom.tipo, cupom.valor, cupom.pedidoMinimo, cupom.descontoMaximo,
+             cupom.apenasPrimeiroPedido, cupom.limiteTotal, cupom.limitePorCliente, cupom.validoDe, cupom.validoAte, cupom.ativo]
+        );
+        return result.rows[0] || null;
+    }
+
+    async desativarCupom(codigo) {
+        const result = await this.db.query('UPDATE cupons SET ativo = false WHERE codigo = $1 AND ativo RETURNING codigo', [codigo]);
+        return result.rows.length > 0;
+    }
+
+    // --- Clientes ---
+    async buscarCliente(telefone) {
+        const result = await this.db.query('SELECT * FROM clientes WHERE telefone = $1', [telefone]);
+        return result.rows[0] || null;
+    }
+
+    // Cadastra o cliente ou atualiza só o nome: as colunas de endereço guardam o do primeiro pedido
+    async salvarCliente({ telefone, nome, endereco, referencia, bairro, cep }) {
+        await this.db.query(
+            `INSERT INTO clientes (telefone, nome, endereco, referencia, bairro, cep) VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (telefone) DO UPDATE SET nome = $2`,
+            [telefone, nome, endereco, referencia || null, bairro || null, cep || null]
+        );
+    }
+
+    // Aceite das promoções (checkout) ou descadastro (resposta SAIR). Retorna false se nada mudou.
+    async definirAceitePromocoes(telefone, aceita) {
+        const result = await this.db.query(
+            `UPDATE clientes SET aceita_promocoes = $2, promocoes_atualizado_em = CURRENT_TIMESTAMP
+             WHERE telefone = $1 AND aceita_promocoes <> $2 RETURNING telefone`,
+            [telefone, aceita]
+        );
+        return result.rows.length > 0;
+    }
+
+    // Trava a linha do cliente até o fim da transação (resgate de pontos)
+    async bloquearCliente(telefone) {
+        await this.db.query('SELECT telefone FROM clientes WHERE telefone = $1 FOR UPDATE', [telefone]);
+    }
+
+    // Importação de clientes de outra base: quem já existe fica como está.
+    // O endereço vira o endereço padrão "Casa". Retorna false se o cliente já existia.
+    async importarCliente({ telefone, nome, endereco, referencia, criadoEm }) {
+        return this.transacao(async ({ db }) => {
+            const result = await db.query(
+                `INSERT INTO clientes (telefone, nome, endereco, referencia, criado_em)
+                 VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP))
+                 ON CONFLICT (telefone) DO NOTHING RETURNING telefone`,
+                [telefone, nome, endereco, referencia || null, criadoEm || null]
+            );
+            if (result.rows.length === 0) return false;
+            if (endereco) {
+                await db.query(
+                    `INSERT INTO enderecos (cliente_telefone, apelido, rua, referencia, padrao)
+                     VALUES ($1, 'Casa', $2, $3, true)`,
+                    [telefone, endereco, referencia || null]
+                );
+            }
+            return true;
+        });
+    }
+
+    // --- Endereços salvos ---
+    async listarEnderecos(telefone) {
+        const result = await this.db.query(
+            'SELECT * FROM enderecos WHERE cliente_telefone = $1 ORDER BY padrao DESC, atualizado_em DESC, id DESC',
+            [telefone]
+        );
+        return result.rows;
+    }
+
+    async buscarEndereco(telefone, id) {
+        const result = await this.db.query('SELECT * FROM enderecos WHERE id = $1 AND cliente_telefone = $2', [id, telefone]);
+        return result.rows[0] || null;
+    }
+
+    // O primeiro endereço do cliente vira o padrão; marcar outro como padrão desmarca o anterior
+    async salvarEndereco(telefone, endereco, { padrao = false } = {}) {
+        return this.transacao(async ({ db }) => {
+            if (padrao) {
+                await db.query('UPDATE enderecos SET padrao = false WHERE cliente_telefone = $1 AND padrao', [telefone]);
+            }
+            const resultPadrao = await db.query('SELECT 1 FROM enderecos WHERE cliente_telefone = $1 AND padrao', [telefone]);
+            const result = await db.query(
+                `INSERT INTO enderecos (cliente_telefone, apelido, rua, numero, complemento, bairro, cep, referencia, latitude, longitude, padrao)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                 RETURNING *`,
+                [telefone, endereco.apelido, endereco.rua, endereco.numero, endereco.complemento || null, endereco.bairro,
+                 endereco.cep || null, endereco.referencia || null, endereco.latitude, endereco.longitude,
+                 padrao || resultPadrao.rows.length === 0]
+            );
+            return result.rows[0];
+        });
+    }
+
+    // Retorna null se o endereço não for do cliente
+    async atualizarEndereco(telefone, id, endereco, { padrao = false } = {}) {
+        return this.transacao(async ({ db }) => {
+            const resultAtual = await db.query(
+                'SELECT id FROM enderecos WHERE id = $1 AND cliente_telefone = $2 FOR UPDATE',
+                [id, telefone]
+            );
+            if (resultAtual.rows.length === 0) return null;
+            if (padrao) {
+                await db.query(
+                    'UPDATE enderecos SET padrao = false WHERE cliente_telefone = $1 AND padrao AND id <> $2',
+                    [telefone, id]
+                );
+            }
+            const result = await db.query(
+                `UPDATE enderecos SET apelido = $3, rua = $4, numero = $5, complemento = $6, bairro = $7, cep = $8,
+                     referencia = $9, latitude = $10, longitude = $11, padrao = padrao OR $12, atualizado_em = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND cliente_telefone = $2 RETURNING *`,
+                [id, telefone, endereco.apelido, endereco.rua, endereco.numero, endereco.complemento || null,
+                 endereco.bairro, endereco.cep || null, endereco.referencia || null, endereco.latitude, endereco.longitude,
+                 padrao]
+            );
+            return result.rows[0];
+        });
+    }
+
+    // Apagar o endereço padrão promove o endereço usado mais recentemente. Retorna false se não encontrar.
+    async removerEndereco(telefone, id) {
+        return this.transacao(async ({ db }) => {
+            const result = await db.query(
+                'DELETE FROM enderecos WHERE id = $1 AND cliente_telefone = $2 RETURNING padrao',
+                [id, telefone]
+            );
+            if (result.rows.length === 0) return false;
+            if (result.rows[0].padrao) {
+                await db.query(
+                    `UPDATE enderecos SET padrao = true WHERE id = (
+                         SELECT id FROM enderecos WHERE cliente_telefone = $1 ORDER BY atualizado_em DESC, id DESC LIMIT 1
+                     )`,
+                    [telefone]
+                );
+            }
+            return true;
+        });
+    }
+
+    // --- Fidelidade ---
+    async consultarSaldoPontos(telefone) {
+        const result = await this.db.query(
+            'SELECT COALESCE(SUM(pontos), 0)::int AS saldo FROM pontos_fidelidade WHERE cliente_telefone = $1',
+            [telefone]
+        );
+        return result.rows[0].saldo;
+    }
+
+    // Um lançamento de cada tipo por pedido. Retorna false se o pedido já tinha esse lançamento.
+    async registrarPontos({ telefone, pedidoId = null, tipo, pontos, descricao }) {
+        const result = await this.db.query(
+            `INSERT INTO pontos_fidelidade (cliente_telefone, pedido_id, tipo, pontos, descricao)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (pedido_id, tipo) WHERE pedido_id IS NOT NULL DO NOTHING RETURNING id`,
+            [telefone, pedidoId, tipo, pontos, descricao]
+        );
+        return result.rows.length > 0;
+    }
+
+    // Lança o inverso de tudo o que o pedido movimentou. Retorna os pontos estornados (0 se nada).
+    async estornarPontosPedido(pedidoId, telefone, descricao) {
+        const result = await this.db.query(
+            `INSERT INTO pontos_fidelidade (cliente_telefone, pedido_id, tipo, pontos, descricao)
+             SELECT $1, $2, 'estorno', -SUM(pontos), $3
+             FROM pontos_fidelidade WHERE pedido_id = $2
+             HAVING SUM(pontos) <> 0
+             ON CONFLICT (pedido_id, tipo) WHERE pedido_id IS NOT NULL DO NOTHING RETURNING pontos`,
+            [telefone, pedidoId, descricao]
+        );
+        return result.rows.length > 0 ? result.rows[0].pontos : 0;
+    }
+
+    // --- Pedidos ---
+    // Pedidos com `agendadoPara` nascem com status 'agendado'
+    async criarPedido({
+        telefone, dados, pagamentoStatus = null, pagamentoExpiraEm = null, agendadoPara = null,
+        tokenAcompanhamentoHash = null, codigoEntrega = null
+    }) {
+        const result = await this.db.query(
+            `INSERT INTO pedidos (cliente_telefone, dados_pedido, pagamento_status, pagamento_expira_em, agendado_para, status,
+                                  token_acompanhamento_hash, codigo_entrega)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id, status, criado_em, pagamento_status, agendado_para`,
+            [telefone, JSON.stringify(dados), pagamentoStatus, pagamentoExpiraEm, agendadoPara, agendadoPara ? 'agendado' : 'recebido',
+             tokenAcompanhamentoHash, codigoEntrega]
+        );
+        return result.rows[0];
+    }
+
+    // Pedido com o nome do cliente. `bloquear` trava a linha até o fim da transação;
+    // `telefone` restringe aos pedidos desse cliente.
+    async buscarPedido(id, { bloquear = false, telefone = null } = {}) {
+        const result = await this.db.query(
+            `SELECT p.id, p.cliente_telefone, p.status, p.dados_pedido, p.criado_em, p.pagamento_status, p.pago_em,
+                    p.agendado_para, p.codigo_entrega, c.nome
+             FROM pedidos p JOIN clientes c ON c.telefone = p.cliente_telefone
+             WHERE p.id = $1 AND ($2::varchar IS NULL OR p.cliente_telefone = $2)${bloquear ? ' FOR UPDATE OF p' : ''}`,
+            [id, telefone]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Id do pedido do link de acompanhamento, ou null
+    async buscarIdPorAcompanhamento(tokenHash) {
+        const result = await this.db.query('SELECT id FROM pedidos WHERE token_acompanhamento_hash = $1', [tokenHash]);
+        return result.rows.length > 0 ? result.rows[0].id : null;
+    }
+
+    // Um pedido cancelado deixa de esperar o PIX. Retorna a situação do pagamento depois da mudança.
+    async atualizarStatusPedido(id, status) {
+        const result = await this.db.query(
+            `UPDATE pedidos SET status = $2, atualizado_em = CURRENT_TIMESTAMP,
+                 pagamento_status = CASE WHEN $3 AND pagamento_status = 'pendente' THEN 'cancelado' ELSE pagamento_status END
+             WHERE id = $1 RETURNING pagamento_status`,
+            [id, status, status === 'cancelado']
+        );
+        return result.rows[0] || null;
+    }
+
+    // Liga a guarda da mensagem de status. Retorna false se ela já estava ligada (mensagem já enfileirada).
+    async marcarMensagemPedido(id, coluna) {
+        if (!COLUNAS_MENSAGEM_PEDIDO.includes(coluna)) {
+            throw new Error(`Coluna de mensagem desconhecida: ${coluna}`);
+        }
+        const result = await this.db.query(
+            `UPDATE pedidos SET ${coluna} = true WHERE id = $1 AND ${coluna} = false RETURNING id`,
+            [id]
+        );
+        return result.rows.length > 0;
+    }
+
+    async confirmarPagamentoPedido(id, endToEndId) {
+        await this.db.query(
+            `UPDATE pedidos SET pagamento_status = 'pago', pago_em = CURRENT_TIMESTAMP,
+                 pagamento_end_to_end_id = $2, atualizado_em = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [id, endToEndId]
+        );
+    }
+
+    async registrarHistoricoStatus(pedidoId, { de = null, para, alteradoPor }) {
+        await this.db.query(
+            `INSERT INTO pedidos_status_historico (pedido_id, status_anterior, status_novo, alterado_por)
+             VALUES ($1, $2, $3, $4)`,
+            [pedidoId, de, para, alteradoPor]
+        );
+    }
+
+    async listarHistoricoStatus(pedidoId) {
+        const result = await this.db.query(
+            `SELECT status_anterior, status_novo, alterado_por, criado_em
+             FROM pedidos_status_historico WHERE pedido_id = $1 ORDER BY criado_em, id`,
+            [pedidoId]
+        );
+        return result.rows;
+    }
+
+    // Mais recentes primeiro
+    async listarPedidosDoCliente(telefone) {
+        const result = await this.db.query(
+            `SELECT id, dados_pedido, status, criado_em FROM pedidos
+             WHERE cliente_telefone = $1
+             ORDER BY criado_em DESC`,
+            [telefone]
+        );
+        return result.rows;
+    }
+
+    async buscarUltimoPedido(telefone) {
+        const result = await this.db.query(
+            `SELECT id, status, criado_em, agendado_para FROM pedidos WHERE cliente_telefone = $1
+             ORDER BY criado_em DESC LIMIT 1`,
+            [telefone]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Pedidos não cancelados, para as regras de primeiro pedido dos cupons
+    async contarPedidosDoCliente(telefone) {
+        const result = await this.db.query(
+            `SELECT COUNT(*)::int AS total FROM pedidos WHERE cliente_telefone = $1 AND status <> 'cancelado'`,
+            [telefone]
+        );
+        return result.rows[0].total;
+    }
+
+    // Pedidos feitos ou agendados para a data informada (AAAA-MM-DD, horário de São Paulo), mais recentes primeiro
+    async listarPedidosDoDia(data, { status = null } = {}) {
+        const result = await this.db.query(
+            `SELECT p.id, p.status, p.criado_em, p.dados_pedido, p.cliente_telefone, p.pagamento_status, p.agendado_para, c.nome
+             FROM pedidos p JOIN clientes c ON c.telefone = p.cliente_telefone
+             WHERE ((p.criado_em AT TIME ZONE 'America/Sao_Paulo')::date = $1::date
+                    OR (p.agendado_para AT TIME ZONE 'America/Sao_Paulo')::date = $1::date)
+               AND ($2::varchar IS NULL OR p.status = $2)
+             ORDER BY p.criado_em DESC`,
+            [data, status]
+        );
+        return result.rows;
+    }
+
+    // Pedidos ainda na fila da cozinha (ou agendados) cujo PIX venceu sem pagamento
+    async listarPedidosComPixExpirado() {
+        const result = await this.db.query(
+            `SELECT id FROM pedidos
+             WHERE pagamento_status = 'pendente' AND status IN ('recebido', 'agendado') AND pagamento_expira_em <= CURRENT_TIMESTAMP
+             ORDER BY id`
+        );
+        return result.rows.map(row => row.id);
+    }
+
+    async gerarRelatorio(nome, periodo) {
+        return relatorios.RELATORIOS[nome].consultar(this.db, periodo);
+    }
+
+    // --- Pedidos agendados ---
+    // Pedidos não cancelados por horário de entrega, no período: [{ agendado_para, total }]
+    async contarPedidosAgendados(de, ate) {
+        const result = await this.db.query(
+            `SELECT agendado_para, COUNT(*)::int AS total FROM pedidos
+             WHERE agendado_para BETWEEN $1 AND $2 AND status <> 'cancelado'
+             GROUP BY agendado_para`,
+            [de, ate]
+        );
+        return result.rows;
+    }
+
+    // Trava o horário de entrega até o fim da transação, para que dois pedidos não ocupem a última vaga
+    async bloquearHorarioAgendado(agendadoPara) {
+        await this.db.query('SELECT pg_advisory_xact_lock($1, $2)', [
+            TRAVA_HORARIO_AGENDADO, Math.floor(new Date(agendadoPara).getTime() / 60000)
+        ]);
+    }
+
+    // Pedidos ainda agendados com entrega até `ate`: hora de irem para a cozinha
+    async listarPedidosAgendadosParaLiberar(ate) {
+        const result = await this.db.query(
+            `SELECT id FROM pedidos WHERE status = 'agendado' AND agendado_para <= $1 ORDER BY agendado_para, id`,
+            [ate]
+        );
+        return result.rows.map(row => row.id);
+    }
+
+    // --- Fila de mensagens ---
+    async enfileirarMensagem({ pedidoId = null, destinatario, tipo, conteudo }) {
+        const result = await this.db.query(
+            `INSERT INTO mensagens_fila (pedido_id, destinatario, tipo, conteudo)
+             VALUES ($1, $2, $3, $4) RETURNING id`,
+            [pedidoId, destinatario, tipo, conteudo]
+        );
+        return result.rows[0].id;
+    }
+
+    // Mensagens que ficaram "enviando" quando o processo caiu voltam para a fila. Retorna quantas.
+    async recuperarMensagensEnviando() {
+        const result = await this.db.query(`UPDATE mensagens_fila SET status = 'pendente' WHERE status = 'enviando' RETURNING id`);
+        return result.rows.length;
+    }
+
+    // Marca como "enviando" e devolve, em ordem, até `limite` mensagens prontas para envio
+    async reservarMensagens(limite) {
+        const result = await this.db.query(
+            `UPDATE mensagens_fila SET status = 'enviando'
+             WHERE id IN (
+                 SELECT id FROM mensagens_fila
+                 WHERE status = 'pendente' AND proxima_tentativa_em <= CURRENT_TIMESTAMP
+                 ORDER BY id
+                 LIMIT $1
+                 FOR UPDATE SKIP LOCKED
+             )
+             RETURNING *`,
+            [limite]
+        );
+        return result.rows.sort((a, b) => a.id - b.id);
+    }
+
+    async marcarMensagemEnviada(id) {
+        await this.db.query(
+            `UPDATE mensagens_fila SET status = 'enviada', enviada_em = CURRENT_TIMESTAMP,
+             tentativas = tentativas + 1, ultimo_erro = NULL WHERE id = $1`,
+            [id]
+        );
+    }
+
+    async marcarMensagemFalhou(id, { tentativas, erro }) {
+        await this.db.query(
+            `UPDATE mensagens_fila SET status = 'falhou', tentativas = $2, ultimo_erro = $3 WHERE id = $1`,
+            [id, tentativas, erro]
+        );
+    }
+
+    async reagendarMensagem(id, { tentativas, erro, esperaSegundos }) {
+        await this.db.query(
+            `UPDATE mensagens_fila SET status = 'pendente', tentativas = $2, ultimo_erro = $3,
+             proxima_tentativa_em = CURRENT_TIMESTAMP + ($4 * INTERVAL '1 second') WHERE id = $1`,
+            [id, tentativas, erro, esperaSegundos]
+        );
+    }
+
+    // --- Campanhas de promoção ---
+    async listarSegmentos() {
+        const result = await this.db.query('SELECT * FROM segmentos_clientes ORDER BY nome, id');
+        return result.rows;
+    }
+
+    async buscarSegmento(id) {
+        const result = await this.db.query('SELECT * FROM segmentos_clientes WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    async criarSegmento({ nome, filtros }) {
+        const result = await this.db.query(
+            'INSERT INTO segmentos_clientes (nome, filtros) VALUES ($1, $2) RETURNING *',
+            [nome, JSON.stringify(filtros)]
+        );
+        return result.rows[0];
+    }
+
+    async removerSegmento(id) {
+        const result = await this.db.query('DELETE FROM segmentos_clientes WHERE id = $1 RETURNING id', [id]);
+        return result.rows.length > 0;
+    }
+
+    // Clientes que aceitaram promoções e passam em todos os filtros: [{ telefone, nome }]
+    async listarClientesDoSegmento(filtros) {
+        const { sql, parametros } = campanhas.montarConsultaSegmento(filtros);
+        const result = await this.db.query(sql, parametros);
+        return result.rows;
+    }
+
+    // `envios`: [{ telefone, conteudo }], uma mensagem já preenchida por cliente
+    async criarCampanha({ nome, segmento, filtros, modelo, criadoPor, envios }) {
+        const result = await this.db.query(
+            `INSERT INTO campanhas (nome, segmento, filtros, modelo, criado_por)
+             VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+            [nome, segmento, JSON.stringify(filtros), modelo, criadoPor]
+        );
+        const campanhaId = result.rows[0].id;
+        await this.db.query(
+            `INSERT INTO campanhas_envios (campanha_id, cliente_telefone, conteudo)
+             SELECT $1, telefone, conteudo FROM unnest($2::text[], $3::text[]) AS envio(telefone, conteudo)`,
+            [campanhaId, envios.map(envio => envio.telefone), envios.map(envio => envio.conteudo)]
+        );
+        return campanhaId;
+    }
+
+    async listarCampanhas({ id = null } = {}) {
+        const result = await this.db.query(
+            `SELECT ca.*,
+                    COUNT(e.id)::int AS total,
+                    COUNT(e.id) FILTER (WHERE e.status IN ('pendente', 'enviando'))::int AS pendentes,
+                    COUNT(e.id) FILTER (WHERE e.status = 'enviado')::int AS enviados,
+                    COUNT(e.id) FILTER (WHERE e.status = 'falhou')::int AS falhas,
+                    COUNT(e.id) FILTER (WHERE e.status = 'cancelado')::int AS cancelados
+             FROM campanhas ca
+             LEFT JOIN campanhas_envios e ON e.campanha_id = ca.id
+             WHERE $1::int IS NULL OR ca.id = $1
+             GROUP BY ca.id
+             ORDER BY ca.id DESC`,
+            [id]
+        );
+        return result.rows;
+    }
+
+    async buscarCampanha(id) {
+        return (await this.listarCampanhas({ id }))[0] || null;
+    }
+
+    async listarEnviosCampanha(campanhaId) {
+        const result = await this.db.query(
+            `SELECT e.id, e.cliente_telefone, c.nome, e.status, e.erro, e.processado_em
+             FROM campanhas_envios e JOIN clientes c ON c.telefone = e.cliente_telefone
+             WHERE e.campanha_id = $1
+             ORDER BY e.id`,
+            [campanhaId]
+        );
+        return result.rows;
+    }
+
+    // Interrompe uma campanha em andamento; o envio que já saiu não volta. Retorna false se ela já tinha terminado.
+    async cancelarCampanha(id) {
+        return this.transacao(async ({ db }) => {
+            const result = await db.query(
+                `UPDATE campanhas SET status = 'cancelada', concluida_em = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND status = 'enviando' RETURNING id`,
+                [id]
+            );
+            if (result.rows.length === 0) return false;
+            await db.query(
+                `UPDATE campanhas_envios SET status = 'cancelado', erro = 'Campanha cancelada.', processado_em = CURRENT_TIMESTAMP
+                 WHERE campanha_id = $1 AND status = 'pendente'`,
+                [id]
+            );
+            return true;
+        });
+    }
+
+    async recuperarEnviosCampanhaEnviando() {
+        const result = await this.db.query(`UPDATE campanhas_envios SET status = 'pendente' WHERE status = 'enviando' RETURNING id`);
+        return result.rows.length;
+    }
+
+    // Mensagens de campanha que saíram (ou tentaram sair) desde `momento`, para o limite por hora
+    async contarEnviosCampanhaDesde(momento) {
+        const result = await this.db.query(
+            `SELECT COUNT(*)::int AS total FROM campanhas_envios
+             WHERE status IN ('enviado', 'falhou') AND processado_em >= $1`,
+            [momento]
+        );
+        return result.rows[0].total;
+    }
+
+    // Marca como "enviando" o próximo envio pendente e devolve junto o aceite atual do cliente
+    async reservarEnvioCampanha() {
+        const result = await this.db.query(
+            `UPDATE campanhas_envios e SET status = 'enviando'
+             FROM clientes c
+             WHERE c.telefone = e.cliente_telefone
+               AND e.id = (
+                   SELECT id FROM campanhas_envios
+                   WHERE status = 'pendente'
+                   ORDER BY id
+                   LIMIT 1
+                   FOR UPDATE SKIP LOCKED
+               )
+             RETURNING e.id, e.campanha_id, e.cliente_telefone, e.conteudo, c.aceita_promocoes`
+        );
+        return result.rows[0] || null;
+    }
+
+    // Registra o resultado do envio e encerra a campanha quando não resta nenhum pendente
+    async finalizarEnvioCampanha(id, { status, erro = null }) {
+        await this.transacao(async ({ db }) => {
+            const result = await db.query(
+                `UPDATE campanhas_envios SET status = $2, erro = $3, processado_em = CURRENT_TIMESTAMP
+                 WHERE id = $1 RETURNING campanha_id`,
+                [id, status, erro]
+            );
+            if (result.rows.length === 0) return;
+            await db.query(
+                `UPDATE campanhas SET status = 'concluida', concluida_em = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND status = 'enviando'
+                   AND NOT EXISTS (
+                       SELECT 1 FROM campanhas_envios WHERE campanha_id = $1 AND status IN ('pendente', 'enviando')
+                   )`,
+                [result.rows[0].campanha_id]
+            );
+        });
+    }
+
+    // --- Usuários do painel ---
+    async contarUsuarios() {
+        const result = await this.db.query('SELECT COUNT(*)::int AS total FROM usuarios');
+        return result.rows[0].total;
+    }
+
+    // Retorna o id do usuário criado ou null se o nome de usuário já existir
+    async criarUsuario({ usuario, nome, senhaHash, papel }) {
+        const result = await this.db.query(
+            `INSERT INTO usuarios (usuario, nome, senha_hash, papel) VALUES ($1, $2, $3, $4)
+             ON CONFLICT (usuario) DO NOTHING RETURNING id`,
+            [usuario, nome, senhaHash, papel]
+        );
+        return result.rows.length > 0 ? result.rows[0].id : null;
+    }
+
+    async buscarUsuarioAtivo(usuario) {
+        const result = await this.db.query(
+            'SELECT id, usuario, nome, papel, senha_hash FROM usuarios WHERE usuario = $1 AND ativo',
+            [usuario]
+        );
+        return result.rows[0] || null;
+    }
+
+    async criarSessaoUsuario({ tokenHash, usuarioId, duracaoMs }) {
+        await this.db.query(
+            `INSERT INTO sessoes_usuarios (token_hash, usuario_id, expira_em)
+             VALUES ($1, $2, CURRENT_TIMESTAMP + ($3 * INTERVAL '1 millisecond'))`,
+            [tokenHash, usuarioId, duracaoMs]
+        );
+    }
+
+    async buscarUsuarioDaSessao(tokenHash) {
+        const result = await this.db.query(
+            `SELECT u.id, u.usuario, u.nome, u.papel
+             FROM sessoes_usuarios s JOIN usuarios u ON u.id = s.usuario_id
+             WHERE s.token_hash = $1 AND s.expira_em > CURRENT_TIMESTAMP AND u.ativo`,
+            [tokenHash]
+        );
+        return result.rows[0] || null;
+    }
+
+    async removerSessaoUsuario(tokenHash) {
+        await this.db.query('DELETE FROM sessoes_usuarios WHERE token_hash = $1', [tokenHash]);
+    }
+
+    // --- Verificação do cliente por WhatsApp ---
+    async contarCodigosRecentes(telefone, janelaMs) {
+        const result = await this.db.query(
+            `SELECT COUNT(*)::int AS total FROM codigos_verificacao
+             WHERE telefone = $1 AND criado_em > CURRENT_TIMESTAMP - ($2 * INTERVAL '1 millisecond')`,
+            [telefone, janelaMs]
+        );
+        return result.rows[0].total;
+    }
+
+    // Um novo código invalida os anteriores
+    async registrarCodigoVerificacao({ telefone, codigoHash, validadeMs }) {
+        await this.transacao(async ({ db }) => {
+            await db.query('UPDATE codigos_verificacao SET usado = true WHERE telefone = $1 AND NOT usado', [telefone]);
+            await db.query(
+                `INSERT INTO codigos_verificacao (telefone, codigo_hash, expira_em)
+                 VALUES ($1, $2, CURRENT_TIMESTAMP + ($3 * INTERVAL '1 millisecond'))`,
+                [telefone, codigoHash, validadeMs]
+            );
+        });
+    }
+
+    // Código mais recente ainda não usado e dentro da validade
+    async buscarCodigoValido(telefone) {
+        const result = await this.db.query(
+            `SELECT id, codigo_hash, tentativas FROM codigos_verificacao
+             WHERE telefone = $1 AND NOT usado AND expira_em > CURRENT_TIMESTAMP
+             ORDER BY criado_em DESC LIMIT 1`,
+            [telefone]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Conta a tentativa e confere o limite no mesmo UPDATE, para que palpites em paralelo
+    // não vejam todos a mesma contagem. Retorna o total de tentativas, ou null se o limite já foi atingido.
+    async registrarTentativaCodigo(id, maximo) {
+        const result = await this.db.query(
+            `UPDATE codigos_verificacao SET tentativas = tentativas + 1
+             WHERE id = $1 AND tentativas < $2 RETURNING tentativas`,
+            [id, maximo]
+        );
+        return result.rows.length > 0 ? result.rows[0].tentativas : null;
+    }
+
+    async marcarCodigoUsado(id) {
+        await this.db.query('UPDATE codigos_verificacao SET usado = true WHERE id = $1', [id]);
+    }
+
+    // Retorna a data de expiração da sessão
+    async criarSessaoCliente({ tokenHash, telefone, duracaoMs }) {
+        const result = await this.db.query(
+            `INSERT INTO sessoes_clientes (token_hash, telefone, expira_em)
+             VALUES ($1, $2, CURRENT_TIMESTAMP + ($3 * INTERVAL '1 millisecond')) RETURNING expira_em`,
+            [tokenHash, telefone, duracaoMs]
+        );
+        return result.rows[0].expira_em;
+    }
+
+    async buscarTelefoneDaSessao(tokenHash) {
+        const result = await this.db.query(
+            'SELECT telefone FROM sessoes_clientes WHERE token_hash = $1 AND expira_em > CURRENT_TIMESTAMP',
+            [tokenHash]
+        );
+        return result.rows.length > 0 ? result.rows[0].telefone : null;
+    }
+
+    // --- Conversas do WhatsApp ---
+    async registrarConversa(chatId, telefone) {
+        const result = await this.db.query(
+            `INSERT INTO conversas_whatsapp (chat_id, telefone, ultima_mensagem_em) VALUES ($1, $2, CURRENT_TIMESTAMP)
+             ON CONFLICT (chat_id) DO UPDATE SET telefone = COALESCE($2, conversas_whatsapp.telefone),
+                 ultima_mensagem_em = CURRENT_TIMESTAMP
+             RETURNING *`,
+            [chatId, telefone]
+        );
+        return result.rows[0];
+    }
+
+    async telefoneEmAtendimentoHumano(telefone) {
+        const result = await this.db.query(
+            'SELECT 1 FROM conversas_whatsapp WHERE telefone = $1 AND atendimento_humano LIMIT 1',
+            [telefone]
+        );
+        return result.rows.length > 0;
+    }
+
+    async definirAcaoPendente(chatId, { acao, pedidoId, expiraEm }) {
+        await this.db.query(
+            `UPDATE conversas_whatsapp SET acao_pendente = $2, pedido_pendente = $3, acao_expira_em = $4
+             WHERE chat_id = $1`,
+            [chatId, acao, pedidoId, expiraEm]
+        );
+    }
+
+    async limparAcaoPendente(chatId) {
+        await this.db.query(
+            'UPDATE conversas_whatsapp SET acao_pendente = NULL, pedido_pendente = NULL, acao_expira_em = NULL WHERE chat_id = $1',
+            [chatId]
+        );
+    }
+
+    // Liga ou desliga o atendimento humano da conversa. Ao devolver ao robô, todas as conversas
+    // do mesmo telefone são liberadas.
+    async definirAtendimentoHumano(chatId, { telefone = null, ativo }) {
+        return this.transacao(async ({ db }) => {
+            const result = await db.query(
+                `INSERT INTO conversas_whatsapp (chat_id, telefone, atendimento_humano, humano_desde)
+                 VALUES ($1, $2, $3, CASE WHEN $3 THEN CURRENT_TIMESTAMP END)
+                 ON CONFLICT (chat_id) DO UPDATE SET atendimento_humano = $3,
+                     telefone = COALESCE($2, conversas_whatsapp.telefone),
+                     humano_desde = CASE WHEN $3 THEN COALESCE(conversas_whatsapp.humano_desde, CURRENT_TIMESTAMP) END,
+                     acao_pendente = NULL, pedido_pendente = NULL, acao_expira_em = NULL
+                 RETURNING chat_id, telefone, atendimento_humano, humano_desde, ultima_mensagem_em`,
+                [chatId, telefone, ativo]
+            );
+            const conversa = result.rows[0];
+            if (!ativo && conversa.telefone) {
+                await db.query(
+                    'UPDATE conversas_whatsapp SET atendimento_humano = false, humano_desde = NULL WHERE telefone = $1',
+                    [conversa.telefone]
+                );
+            }
+            return conversa;
+        });
+    }
+
+    async listarAtendimentosHumanos() {
+        const result = await this.db.query(
+            `SELECT chat_id, telefone, atendimento_humano, humano_desde, ultima_mensagem_em
+             FROM conversas_whatsapp WHERE atendimento_humano ORDER BY humano_desde`
+        );
+        return result.rows;
+    }
+}
+
+module.exports = RepositorioPostgres;
+module.exports.COLUNAS_MENSAGEM_PEDIDO = COLUNAS_MENSAGEM_PEDIDO;
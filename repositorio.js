@@ -0,0 +1,63 @@
+// Acesso a dados da aplicação (clientes, pedidos e o restante das tabelas).
+// Toda rota passa por aqui; os dois backends têm os mesmos métodos:
+//   - RepositorioPostgres, quando DATABASE_URL está definida (produção);
+//   - RepositorioMemoria, sem DATABASE_URL (desenvolvimento local e testes), gravado em ./data.
+const fs = require('fs');
+const RepositorioPostgres = require('./repositorio-postgres');
+const RepositorioMemoria = require('./repositorio-memoria');
+const { normalizarTelefone } = require('./telefone');
+
+/**
+ * @param {object} opcoes
+ * @param {string} [opcoes.databaseUrl] - sem ela, usa o repositório em memória
+ * @param {string|null} [opcoes.pastaDados] - onde o repositório em memória grava o banco.json (null: não grava)
+ * @param {object} opcoes.logger
+ */
+function criarRepositorio({ databaseUrl, pastaDados = './data', logger }) {
+    if (databaseUrl) {
+        return new RepositorioPostgres({ databaseUrl, logger });
+    }
+    logger.info(pastaDados
+        ? `DATABASE_URL não definida: usando o banco local em ${pastaDados}.`
+        : 'DATABASE_URL não definida: usando o banco em memória.');
+    return new RepositorioMemoria({ pastaDados, logger });
+}
+
+/**
+ * Lê o clientes.json do antigo ClientesManager
+ * ([{ telefone, nome, endereco, referencia, cadastradoEm }]).
+ * Retorna { clientes, invalidos } com os telefones já normalizados.
+ */
+function lerClientesLegados(caminho) {
+    const registros = JSON.parse(fs.readFileSync(caminho, 'utf-8'));
+    if (!Array.isArray(registros)) {
+        throw new Error(`${caminho} não contém uma lista de clientes.`);
+    }
+
+    const clientes = [];
+    const invalidos = [];
+    for (const registro of registros) {
+        const telefone = registro && normalizarTelefone(String(registro.telefone || ''));
+        const nome = registro && typeof registro.nome === 'string' ? registro.nome.trim() : '';
+        if (!telefone || telefone.length !== 12 || !nome) {
+            invalidos.push(registro);
+            continue;
+        }
+        const criadoEm = registro.cadastradoEm ? new Date(registro.cadastradoEm) : null;
+        clientes.push({
+            telefone,
+            nome: nome.substring(0, 255),
+            endereco: typeof registro.endereco === 'string' ? registro.endereco.trim() : '',
+            referencia: typeof registro.referencia === 'string' && registro.referencia.trim() ? registro.referencia.trim() : null,
+            criadoEm: criadoEm && !isNaN(criadoEm) ? criadoEm : null
+        });
+    }
+    return { clientes, invalidos };
+}
+
+module.exports = {
+    criarRepositorio,
+    lerClientesLegados,
+    RepositorioPostgres,
+    RepositorioMemoria
+};
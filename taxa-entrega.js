@@ -0,0 +1,91 @@
+// Cálculo da taxa de entrega por zonas.
+// Cada zona casa o endereço por bairro, por prefixo de CEP ou por raio (km) a
+// partir da loja, e define sua taxa, o pedido mínimo e se a região é atendida.
+// As zonas são avaliadas pela ordem configurada; a primeira que casar vence.
+const TIPOS_ZONA = ['bairro', 'cep', 'raio'];
+const RAIO_TERRA_KM = 6371;
+
+function normalizarTexto(texto) {
+    return String(texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function normalizarCep(cep) {
+    return String(cep || '').replace(/\D/g, '');
+}
+
+// Distância em linha reta (fórmula de haversine)
+function calcularDistanciaKm(origem, destino) {
+    const paraRadianos = (graus) => graus * Math.PI / 180;
+    const dLat = paraRadianos(destino.latitude - origem.latitude);
+    const dLon = paraRadianos(destino.longitude - origem.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(paraRadianos(origem.latitude)) * Math.cos(paraRadianos(destino.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * RAIO_TERRA_KM * Math.asin(Math.sqrt(a));
+}
+
+function temCoordenadas(ponto) {
+    return ponto && Number.isFinite(ponto.latitude) && Number.isFinite(ponto.longitude);
+}
+
+function zonaCasaComEndereco(zona, endereco, loja) {
+    if (zona.tipo === 'bairro') {
+        const bairro = normalizarTexto(endereco.bairro);
+        return bairro !== '' && zona.valores.some(valor => normalizarTexto(valor) === bairro);
+    }
+    if (zona.tipo === 'cep') {
+        const cep = normalizarCep(endereco.cep);
+        return cep.length === 8 && zona.valores.some(prefixo => prefixo && cep.startsWith(normalizarCep(prefixo)));
+    }
+    if (zona.tipo === 'raio') {
+        if (!temCoordenadas(loja) || !temCoordenadas(endereco) || !zona.raioKm) return false;
+        return calcularDistanciaKm(loja, endereco) <= zona.raioKm;
+    }
+    return false;
+}
+
+/**
+ * Cota a entrega para um endereço.
+ * Retorna { zona, taxa, pedidoMinimo } ou { erro } quando a região não é atendida.
+ * Sem nenhuma zona cadastrada, usa a taxa padrão para qualquer endereço.
+ */
+function cotarTaxaEntrega(endereco, zonas, { loja = null, taxaPadrao } = {}) {
+    if (zonas.length === 0) {
+        return { zona: null, taxa: taxaPadrao, pedidoMinimo: 0 };
+    }
+
+    const zona = zonas.find(z => zonaCasaComEndereco(z, endereco, loja));
+    if (!zona || !zona.atende) {
+        return { erro: "Infelizmente ainda não entregamos nesse endereço." };
+    }
+
+    return { zona: zona.nome, taxa: zona.taxa, pedidoMinimo: zona.pedidoMinimo };
+}
+
+// Converte uma linha da tabela `zonas_entrega` (NUMERIC vem como string)
+function converterZona(row) {
+    return {
+        id: row.id,
+        nome: row.nome,
+        tipo: row.tipo,
+        valores: row.valores || [],
+        raioKm: row.raio_km !== null ? parseFloat(row.raio_km) : null,
+        taxa: parseFloat(row.taxa),
+        pedidoMinimo: parseFloat(row.pedido_minimo),
+        atende: row.atende,
+        ordem: row.ordem
+    };
+}
+
+module.exports = {
+    TIPOS_ZONA,
+    normalizarTexto,
+    normalizarCep,
+    calcularDistanciaKm,
+    cotarTaxaEntrega,
+    converterZona
+};
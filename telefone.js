@@ -0,0 +1,30 @@
+// Normalização de telefones brasileiros para o formato usado no banco e no WhatsApp:
+// 55 + DDD + número de 8 dígitos (o nono dígito do celular é removido).
+function normalizarTelefone(telefone) {
+  if (typeof telefone !== 'string') return null;
+  
+  // Remove tudo que não for dígito
+  let limpo = telefone.replace(/\D/g, '');
+  
+  // Remove todos os prefixos '0' e '55' iniciais
+  limpo = limpo.replace(/^(0+|55+)/, '');
+  
+  // Verifica comprimento após limpeza
+  if (limpo.length === 10 || limpo.length === 11) {
+    // Números com 10 dígitos: DDD (2) + número (8)
+    // Números com 11 dígitos: DDD (2) + número (9)
+    const ddd = limpo.substring(0, 2);
+    const numero = limpo.substring(2);
+    
+    // Remove o nono dígito se necessário
+    const numeroFinal = (numero.length === 9 && numero.startsWith('9'))
+      ? numero.substring(1)  // Remove o primeiro '9'
+      : numero;
+    
+    return `55${ddd}${numeroFinal}`;
+  }
+  
+  return null;
+}
+
+module.exports = { normalizarTelefone };
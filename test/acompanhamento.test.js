@@ -0,0 +1,148 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { montarApp, dadosPedido } = require('./apoio');
+
+let api;
+let tokenCozinha;
+before(async () => {
+    api = await montarApp({ env: { URL_SITE: 'https://dokaburger.com.br/' } });
+    tokenCozinha = await api.login('chapeiro');
+});
+after(() => api.fechar());
+
+// Cria um pedido e devolve a resposta com o token de acompanhamento já separado do link
+async function criarPedido(ajustes) {
+    const { status, json, texto } = await api.post('/api/criar-pedido', dadosPedido(ajustes));
+    assert.strictEqual(status, 200, texto);
+    return { ...json, token: json.acompanhamento.split('/pedido/')[1] };
+}
+
+function mudarStatus(pedidoId, status, codigoEntrega) {
+    return api.patch(`/api/pedidos/${pedidoId}/status`, { status, codigoEntrega }, { token: tokenCozinha });
+}
+
+// Lê eventos SSE até achar um que satisfaça `condicao`
+async function esperarEvento(leitor, condicao, limiteMs = 2000) {
+    const decodificador = new TextDecoder();
+    const limite = setTimeout(() => leitor.cancel(), limiteMs);
+    let buffer = '';
+    try {
+        for (;;) {
+            const { value, done } = await leitor.read();
+            if (done) throw new Error('O stream terminou sem o evento esperado.');
+            buffer += decodificador.decode(value, { stream: true });
+            let fim;
+            while ((fim = buffer.indexOf('\n\n')) !== -1) {
+                const bloco = buffer.slice(0, fim);
+                buffer = buffer.slice(fim + 2);
+                const dados = /^data: (.*)$/m.exec(bloco);
+                if (/^event: pedido$/m.test(bloco) && dados && condicao(JSON.parse(dados[1]))) {
+                    return JSON.parse(dados[1]);
+                }
+            }
+        }
+    } finally {
+        clearTimeout(limite);
+    }
+}
+
+test('POST /api/criar-pedido envia no cupom o link de acompanhamento e o código de entrega', async () => {
+    const pedido = await criarPedido();
+    assert.match(pedido.acompanhamento, /^https:\/\/dokaburger\.com\.br\/pedido\/[0-9a-f]{64}$/);
+    assert.match(pedido.codigoEntrega, /^\d{4}$/);
+
+    const mensagem = await api.esperarMensagem(new RegExp(pedido.token));
+    assert.ok(mensagem.conteudo.includes(`📍 *ACOMPANHE SEU PEDIDO:*\n${pedido.acompanhamento}`));
+    assert.ok(mensagem.conteudo.includes(`🔑 Código de entrega: *${pedido.codigoEntrega}*`));
+
+    // Só o hash do token fica no banco
+    const row = await api.repositorio.buscarPedido(pedido.pedidoId);
+    assert.strictEqual(row.codigo_entrega, pedido.codigoEntrega);
+    assert.ok(!JSON.stringify(row).includes(pedido.token));
+});
+
+test('GET /api/acompanhamento/:token mostra itens, total, linha do tempo e previsão, sem dados pessoais', async () => {
+    const pedido = await criarPedido();
+    await mudarStatus(pedido.pedidoId, 'em_preparo');
+
+    const { status, json } = await api.get(`/api/acompanhamento/${pedido.token}`);
+    assert.strictEqual(status, 200);
+    const acompanhamento = json.pedido;
+    assert.strictEqual(acompanhamento.id, pedido.pedidoId);
+    assert.strictEqual(acompanhamento.statusDescricao, 'Em preparo');
+    assert.strictEqual(acompanhamento.total, 84.98);
+    assert.deepStrictEqual(acompanhamento.itens.map(item => [item.quantidade, item.nome]), [[2, 'Doka Cheddar Bacon 180g']]);
+    assert.deepStrictEqual(acompanhamento.linhaDoTempo.map(etapa => etapa.status), ['recebido', 'em_preparo']);
+    assert.strictEqual(acompanhamento.codigoEntrega, pedido.codigoEntrega);
+
+    const ultimaMudanca = new Date(acompanhamento.linhaDoTempo[1].em).getTime();
+    assert.strictEqual(new Date(acompanhamento.previsaoEntrega.de).getTime(), ultimaMudanca + 35 * 60 * 1000);
+    assert.strictEqual(new Date(acompanhamento.previsaoEntrega.ate).getTime(), ultimaMudanca + 40 * 60 * 1000);
+    assert.ok(!JSON.stringify(acompanhamento).includes('98765'), 'o telefone do cliente não aparece');
+    assert.ok(!JSON.stringify(acompanhamento).includes('Rua das Flores'), 'o endereço do cliente não aparece');
+});
+
+test('GET /api/acompanhamento/:token responde 404 para links desconhecidos e /pedido/:token serve a página', async () => {
+    const desconhecido = await api.get(`/api/acompanhamento/${'0'.repeat(64)}`);
+    assert.strictEqual(desconhecido.status, 404);
+
+    const pagina = await api.get(`/pedido/${'0'.repeat(64)}`);
+    assert.strictEqual(pagina.status, 200);
+    assert.match(pagina.texto, /\/api\/acompanhamento\//);
+});
+
+test('a página recebe pelo stream a situação atual e cada mudança de status', async () => {
+    const pedido = await criarPedido();
+    const controle = new AbortController();
+    const resposta = await fetch(`${api.base}/api/acompanhamento/${pedido.token}/eventos`, { signal: controle.signal });
+    assert.strictEqual(resposta.headers.get('content-type'), 'text/event-stream');
+    const leitor = resposta.body.getReader();
+    try {
+        const inicial = await esperarEvento(leitor, dados => dados.id === pedido.pedidoId);
+        assert.strictEqual(inicial.status, 'recebido');
+
+        await mudarStatus(pedido.pedidoId, 'em_preparo');
+        const atualizado = await esperarEvento(leitor, dados => dados.status === 'em_preparo');
+        assert.strictEqual(atualizado.linhaDoTempo.length, 2);
+    } finally {
+        controle.abort();
+    }
+});
+
+test('marcar como entregue exige o código de entrega do pedido', async () => {
+    const pedido = await criarPedido();
+    await mudarStatus(pedido.pedidoId, 'em_preparo');
+    await mudarStatus(pedido.pedidoId, 'saiu_para_entrega');
+
+    const semCodigo = await mudarStatus(pedido.pedidoId, 'entregue');
+    assert.strictEqual(semCodigo.status, 422);
+    assert.match(semCodigo.json.message, /Informe o código de entrega/);
+
+    const errado = pedido.codigoEntrega === '0000' ? '0001' : '0000';
+    const incorreto = await mudarStatus(pedido.pedidoId, 'entregue', errado);
+    assert.strictEqual(incorreto.status, 422);
+    assert.match(incorreto.json.message, /Código de entrega incorreto/);
+    assert.strictEqual((await api.repositorio.buscarPedido(pedido.pedidoId)).status, 'saiu_para_entrega');
+
+    const certo = await mudarStatus(pedido.pedidoId, 'entregue', pedido.codigoEntrega);
+    assert.strictEqual(certo.status, 200);
+    assert.strictEqual(certo.json.pedido.status, 'entregue');
+});
+
+test('sem URL_SITE o cupom vai sem link, mesmo que a requisição diga outro endereço', async () => {
+    const semUrl = await montarApp();
+    try {
+        const { status, json, texto } = await semUrl.post('/api/criar-pedido', dadosPedido(), {
+            cabecalhos: { 'X-Forwarded-Host': 'evil.example', 'X-Forwarded-Proto': 'https' }
+        });
+        assert.strictEqual(status, 200, texto);
+        assert.match(json.acompanhamento, /^\/pedido\/[0-9a-f]{64}$/);
+
+        const cupom = await semUrl.esperarMensagem(/Código de entrega/);
+        assert.ok(!cupom.conteudo.includes('evil.example'));
+        assert.ok(!cupom.conteudo.includes('ACOMPANHE SEU PEDIDO'));
+        assert.ok(cupom.conteudo.includes(`🔑 Código de entrega: *${json.codigoEntrega}*`));
+    } finally {
+        await semUrl.fechar();
+    }
+});
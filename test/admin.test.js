@@ -0,0 +1,328 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const horario = require('../horario-funcionamento');
+const relatorios = require('../relatorios');
+const { montarApp, dadosPedido } = require('./apoio');
+
+const pastaImpressora = fs.mkdtempSync(path.join(os.tmpdir(), 'doka-impressora-'));
+
+let api;
+let tokenAdmin;
+let tokenCozinha;
+let pedidoId;
+before(async () => {
+    api = await montarApp({ env: { IMPRESSORA_COZINHA: `arquivo:${pastaImpressora}` } });
+    tokenAdmin = await api.login('dono');
+    tokenCozinha = await api.login('chapeiro');
+    ({ json: { pedidoId } } = await api.post('/api/criar-pedido', dadosPedido()));
+});
+after(async () => {
+    await api.fechar();
+    fs.rmSync(pastaImpressora, { recursive: true, force: true });
+});
+
+test('POST /api/admin/login abre a sessão por token ou cookie', async () => {
+    const { status, json, cabecalhos } = await api.post('/api/admin/login', { usuario: 'dono', senha: 'senha-do-dono' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(json.usuario, { usuario: 'dono', nome: 'Dono', papel: 'admin' });
+    const cookie = cabecalhos.get('set-cookie').split(';')[0];
+    assert.match(cookie, /^doka_sessao=/);
+
+    const porCookie = await api.get('/api/admin/sessao', { cabecalhos: { Cookie: cookie } });
+    assert.strictEqual(porCookie.status, 200);
+    assert.strictEqual(porCookie.json.usuario.usuario, 'dono');
+});
+
+test('POST /api/admin/login recusa credenciais erradas ou ausentes', async () => {
+    assert.strictEqual((await api.post('/api/admin/login', { usuario: 'dono', senha: 'errada' })).status, 401);
+    assert.strictEqual((await api.post('/api/admin/login', { usuario: 'ninguem', senha: 'qualquer' })).status, 401);
+    assert.strictEqual((await api.post('/api/admin/login', { usuario: 'dono' })).status, 400);
+});
+
+test('POST /api/admin/logout encerra a sessão', async () => {
+    const token = await api.login('dono');
+    assert.strictEqual((await api.post('/api/admin/logout', undefined, { token })).status, 200);
+    const { status } = await api.get('/api/admin/sessao', { token });
+    assert.strictEqual(status, 401);
+    assert.strictEqual((await api.get('/api/admin/sessao')).status, 401);
+});
+
+test('cookie de sessão malformado é tratado como ausente', async () => {
+    const cabecalhos = { Cookie: 'doka_sessao=%E0%A4%A' };
+    assert.strictEqual((await api.get('/api/admin/pedidos', { cabecalhos })).status, 401);
+    assert.strictEqual((await api.post('/api/admin/logout', undefined, { cabecalhos })).status, 401);
+    // O servidor continua de pé
+    assert.strictEqual((await api.get('/api/admin/sessao', { token: tokenAdmin })).status, 200);
+});
+
+test('POST /api/admin/usuarios cria usuários e só aceita administradores', async () => {
+    const criado = await api.post('/api/admin/usuarios', { usuario: 'caixa', senha: 'senha-do-caixa', papel: 'cozinha' }, { token: tokenAdmin });
+    assert.strictEqual(criado.status, 201);
+
+    const repetido = await api.post('/api/admin/usuarios', { usuario: 'caixa', senha: 'senha-do-caixa', papel: 'cozinha' }, { token: tokenAdmin });
+    assert.strictEqual(repetido.status, 409);
+
+    const senhaCurta = await api.post('/api/admin/usuarios', { usuario: 'novo', senha: '123', papel: 'cozinha' }, { token: tokenAdmin });
+    assert.strictEqual(senhaCurta.status, 400);
+
+    const papelInvalido = await api.post('/api/admin/usuarios', { usuario: 'novo', senha: 'senha-longa', papel: 'gerente' }, { token: tokenAdmin });
+    assert.strictEqual(papelInvalido.status, 400);
+
+    const pelaCozinha = await api.post('/api/admin/usuarios', { usuario: 'novo', senha: 'senha-longa', papel: 'admin' }, { token: tokenCozinha });
+    assert.strictEqual(pelaCozinha.status, 403);
+});
+
+test('GET /api/admin/pedidos lista os pedidos do dia com filtro de status', async () => {
+    const { status, json } = await api.get('/api/admin/pedidos', { token: tokenCozinha });
+    assert.strictEqual(status, 200);
+    const resumo = json.pedidos.find(p => p.id === pedidoId);
+    assert.strictEqual(resumo.status, 'recebido');
+    assert.strictEqual(resumo.total, 84.98);
+    assert.strictEqual(resumo.quantidadeItens, 2);
+    assert.deepStrictEqual(resumo.proximosStatus, ['em_preparo', 'cancelado']);
+
+    const entregues = await api.get('/api/admin/pedidos?status=entregue', { token: tokenCozinha });
+    assert.ok(!entregues.json.pedidos.some(p => p.id === pedidoId));
+
+    const ontem = horario.somarDias(horario.partesDataHora().data, -1);
+    const outroDia = await api.get(`/api/admin/pedidos?data=${ontem}`, { token: tokenCozinha });
+    assert.deepStrictEqual(outroDia.json.pedidos, []);
+
+    assert.strictEqual((await api.get('/api/admin/pedidos?status=voando', { token: tokenCozinha })).status, 400);
+    assert.strictEqual((await api.get('/api/admin/pedidos?data=19/10/2026', { token: tokenCozinha })).status, 400);
+    assert.strictEqual((await api.get('/api/admin/pedidos')).status, 401);
+});
+
+test('GET /api/admin/pedidos/:id traz os dados e o histórico de status', async () => {
+    const { status, json } = await api.get(`/api/admin/pedidos/${pedidoId}`, { token: tokenCozinha });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.pedido.cliente.endereco, 'Rua das Flores, 120');
+    assert.strictEqual(json.pedido.historicoStatus[0].para, 'recebido');
+    assert.strictEqual(json.pedido.historicoStatus[0].alteradoPor, 'site');
+
+    assert.strictEqual((await api.get('/api/admin/pedidos/9999', { token: tokenCozinha })).status, 404);
+    assert.strictEqual((await api.get('/api/admin/pedidos/abc', { token: tokenCozinha })).status, 400);
+});
+
+test('POST /api/admin/pedidos/:id/imprimir reimprime o ticket da cozinha', async () => {
+    const { status } = await api.post(`/api/admin/pedidos/${pedidoId}/imprimir`, undefined, { token: tokenCozinha });
+    assert.strictEqual(status, 200);
+    // Impressão do pedido novo e a reimpressão
+    assert.ok(fs.readdirSync(pastaImpressora).length >= 2);
+
+    assert.strictEqual((await api.post('/api/admin/pedidos/9999/imprimir', undefined, { token: tokenCozinha })).status, 404);
+});
+
+test('POST /api/admin/pedidos/:id/imprimir sem impressora configurada', async () => {
+    const semImpressora = await montarApp();
+    try {
+        const token = await semImpressora.login('dono');
+        const { status } = await semImpressora.post('/api/admin/pedidos/1/imprimir', undefined, { token });
+        assert.strictEqual(status, 503);
+    } finally {
+        await semImpressora.fechar();
+    }
+});
+
+test('PUT /api/admin/atendimentos/:conversa assume e devolve a conversa ao robô', async () => {
+    const assumido = await api.put('/api/admin/atendimentos/11987654321', { humano: true }, { token: tokenCozinha });
+    assert.strictEqual(assumido.status, 200);
+    assert.strictEqual(assumido.json.atendimento.chatId, '551187654321@c.us');
+    assert.strictEqual(assumido.json.atendimento.atendimentoHumano, true);
+
+    const lista = await api.get('/api/admin/atendimentos', { token: tokenCozinha });
+    assert.ok(lista.json.atendimentos.some(a => a.chatId === '551187654321@c.us'));
+
+    const devolvido = await api.put('/api/admin/atendimentos/551187654321@c.us', { humano: false }, { token: tokenCozinha });
+    assert.strictEqual(devolvido.json.atendimento.atendimentoHumano, false);
+
+    assert.strictEqual((await api.put('/api/admin/atendimentos/123', { humano: true }, { token: tokenCozinha })).status, 400);
+    assert.strictEqual((await api.put('/api/admin/atendimentos/x@g.us', { humano: true }, { token: tokenCozinha })).status, 400);
+    assert.strictEqual((await api.put('/api/admin/atendimentos/11987654321', { humano: 'sim' }, { token: tokenCozinha })).status, 400);
+});
+
+test('PATCH /api/admin/produtos/:id tira do cardápio o item esgotado', async () => {
+    const esgotado = await api.patch('/api/admin/produtos/p2', { disponivel: false }, { token: tokenCozinha });
+    assert.strictEqual(esgotado.status, 200);
+
+    const { json: cardapio } = await api.get('/api/cardapio');
+    assert.ok(!cardapio.produtos.some(produto => produto.id === 'p2'));
+    const { json: painel } = await api.get('/api/admin/produtos', { token: tokenCozinha });
+    assert.strictEqual(painel.produtos.find(produto => produto.id === 'p2').disponivel, false);
+
+    const pedido = await api.post('/api/criar-pedido', dadosPedido({ carrinho: [{ id: 'p2', quantidade: 1 }] }));
+    assert.strictEqual(pedido.status, 400);
+    assert.strictEqual(pedido.json.message, 'O produto "Doka Duty" está esgotado no momento.');
+
+    await api.patch('/api/admin/produtos/p2', { disponivel: true }, { token: tokenAdmin });
+    assert.ok((await api.get('/api/cardapio')).json.produtos.some(produto => produto.id === 'p2'));
+});
+
+test('PATCH /api/admin/produtos/:id valida os dados e exige login', async () => {
+    assert.strictEqual((await api.patch('/api/admin/produtos/p2', { disponivel: 'nao' }, { token: tokenCozinha })).status, 400);
+    assert.strictEqual((await api.patch('/api/admin/produtos/nada', { disponivel: false }, { token: tokenCozinha })).status, 404);
+    assert.strictEqual((await api.patch('/api/admin/produtos/p2', { disponivel: false })).status, 401);
+    assert.strictEqual((await api.get('/api/admin/produtos')).status, 401);
+});
+
+test('PATCH /api/admin/modificadores/:id esgota uma opção do combo', async () => {
+    const combo = { id: 'c1', quantidade: 1, modificadores: ['c1-tamanho-normal', 'c1-acompanhamento-fritas'] };
+    const esgotada = await api.patch('/api/admin/modificadores/c1-acompanhamento-fritas', { disponivel: false }, { token: tokenCozinha });
+    assert.strictEqual(esgotada.status, 200);
+
+    const { json: cardapio } = await api.get('/api/cardapio');
+    const opcoes = cardapio.produtos.find(produto => produto.id === 'c1').modificadores.flatMap(grupo => grupo.opcoes);
+    assert.strictEqual(opcoes.find(opcao => opcao.id === 'c1-acompanhamento-fritas').disponivel, false);
+
+    const pedido = await api.post('/api/criar-pedido', dadosPedido({ carrinho: [combo] }));
+    assert.strictEqual(pedido.status, 400);
+    assert.strictEqual(pedido.json.message, 'A opção "Batata frita" do item "Combo Dokinha 01" está esgotada no momento.');
+
+    await api.patch('/api/admin/modificadores/c1-acompanhamento-fritas', { disponivel: true }, { token: tokenAdmin });
+    assert.strictEqual((await api.post('/api/criar-pedido', dadosPedido({ carrinho: [combo] }))).status, 200);
+
+    assert.strictEqual((await api.patch('/api/admin/modificadores/c1-acompanhamento-fritas', {}, { token: tokenCozinha })).status, 400);
+    assert.strictEqual((await api.patch('/api/admin/modificadores/nada', { disponivel: false }, { token: tokenCozinha })).status, 404);
+    assert.strictEqual((await api.patch('/api/admin/modificadores/c1-acompanhamento-fritas', { disponivel: false })).status, 401);
+});
+
+test('zonas de entrega: cria, atualiza e remove', async () => {
+    const zona = { nome: 'Centro', tipo: 'bairro', valores: ['Centro', 'Sé'], taxa: 3.5, pedidoMinimo: 20 };
+    const criada = await api.post('/api/admin/zonas-entrega', zona, { token: tokenAdmin });
+    assert.strictEqual(criada.status, 201);
+    const id = criada.json.zona.id;
+
+    const cotacao = await api.post('/api/taxa-entrega', { bairro: 'Sé' });
+    assert.strictEqual(cotacao.json.taxa, 3.5);
+
+    const atualizada = await api.put(`/api/admin/zonas-entrega/${id}`, { ...zona, taxa: 6 }, { token: tokenAdmin });
+    assert.strictEqual(atualizada.json.zona.taxa, 6);
+
+    const lista = await api.get('/api/admin/zonas-entrega', { token: tokenAdmin });
+    assert.ok(lista.json.zonas.some(z => z.id === id));
+
+    assert.strictEqual((await api.delete(`/api/admin/zonas-entrega/${id}`, { token: tokenAdmin })).status, 200);
+    assert.strictEqual((await api.delete(`/api/admin/zonas-entrega/${id}`, { token: tokenAdmin })).status, 404);
+});
+
+test('zonas de entrega: valida os dados e exige administrador', async () => {
+    const semNome = await api.post('/api/admin/zonas-entrega', { tipo: 'bairro', valores: ['Centro'], taxa: 1 }, { token: tokenAdmin });
+    assert.strictEqual(semNome.status, 400);
+    const semRaio = await api.post('/api/admin/zonas-entrega', { nome: 'Perto', tipo: 'raio', taxa: 1 }, { token: tokenAdmin });
+    assert.strictEqual(semRaio.status, 400);
+    const inexistente = await api.put('/api/admin/zonas-entrega/9999', { nome: 'X', tipo: 'bairro', valores: ['X'], taxa: 1 }, { token: tokenAdmin });
+    assert.strictEqual(inexistente.status, 404);
+    assert.strictEqual((await api.get('/api/admin/zonas-entrega', { token: tokenCozinha })).status, 403);
+});
+
+test('horários: grade semanal e exceções', async () => {
+    const horarios = [{ diaSemana: 1, abre: '18:00', fecha: '23:30' }, { diaSemana: 5, abre: '18:00', fecha: '02:00' }];
+    const grade = await api.put('/api/admin/horarios', { horarios }, { token: tokenAdmin });
+    assert.strictEqual(grade.status, 200);
+
+    const amanha = horario.somarDias(horario.partesDataHora().data, 1);
+    const excecao = await api.put(`/api/admin/horarios/excecoes/${amanha}`, { fechado: true, motivo: 'Feriado' }, { token: tokenAdmin });
+    assert.strictEqual(excecao.status, 200);
+
+    const lista = await api.get('/api/admin/horarios', { token: tokenAdmin });
+    assert.deepStrictEqual(lista.json.horarios, horarios);
+    assert.ok(lista.json.excecoes.some(e => e.data === amanha && e.fechado));
+
+    assert.strictEqual((await api.delete(`/api/admin/horarios/excecoes/${amanha}`, { token: tokenAdmin })).status, 200);
+    assert.strictEqual((await api.delete(`/api/admin/horarios/excecoes/${amanha}`, { token: tokenAdmin })).status, 404);
+
+    await api.put('/api/admin/horarios', { horarios: [] }, { token: tokenAdmin });
+});
+
+test('horários: recusa dias, horas e datas inválidos', async () => {
+    const dia = await api.put('/api/admin/horarios', { horarios: [{ diaSemana: 7, abre: '18:00', fecha: '23:00' }] }, { token: tokenAdmin });
+    assert.strictEqual(dia.status, 400);
+    const hora = await api.put('/api/admin/horarios', { horarios: [{ diaSemana: 1, abre: '18h', fecha: '23:00' }] }, { token: tokenAdmin });
+    assert.strictEqual(hora.status, 400);
+    const data = await api.put('/api/admin/horarios/excecoes/2026-02-30', { fechado: true }, { token: tokenAdmin });
+    assert.strictEqual(data.status, 400);
+    const especial = await api.put('/api/admin/horarios/excecoes/2026-12-24', { fechado: false, abre: '18:00' }, { token: tokenAdmin });
+    assert.strictEqual(especial.status, 400);
+});
+
+test('cupons: cria, lista, atualiza e desativa', async () => {
+    const criado = await api.post('/api/admin/cupons', { codigo: 'frete', tipo: 'frete_gratis' }, { token: tokenAdmin });
+    assert.strictEqual(criado.status, 201);
+    assert.strictEqual(criado.json.cupom.codigo, 'FRETE');
+
+    assert.strictEqual((await api.post('/api/admin/cupons', { codigo: 'FRETE', tipo: 'frete_gratis' }, { token: tokenAdmin })).status, 409);
+
+    const atualizado = await api.put('/api/admin/cupons/FRETE', { tipo: 'frete_gratis', pedidoMinimo: 50 }, { token: tokenAdmin });
+    assert.strictEqual(atualizado.json.cupom.pedidoMinimo, 50);
+
+    const lista = await api.get('/api/admin/cupons', { token: tokenAdmin });
+    assert.strictEqual(lista.json.cupons.find(c => c.codigo === 'FRETE').usos, 0);
+
+    assert.strictEqual((await api.delete('/api/admin/cupons/frete', { token: tokenAdmin })).status, 200);
+    const desativado = await api.post('/api/cupom/validar', { codigo: 'FRETE', carrinho: dadosPedido().carrinho });
+    assert.strictEqual(desativado.status, 422);
+});
+
+test('cupons: valida os dados e recusa cupons inexistentes', async () => {
+    const percentual = await api.post('/api/admin/cupons', { codigo: 'MUITO', tipo: 'percentual', valor: 150 }, { token: tokenAdmin });
+    assert.strictEqual(percentual.status, 400);
+    const codigo = await api.post('/api/admin/cupons', { codigo: 'x', tipo: 'frete_gratis' }, { token: tokenAdmin });
+    assert.strictEqual(codigo.status, 400);
+    const periodo = await api.post('/api/admin/cupons', { codigo: 'DATAS', tipo: 'frete_gratis', validoDe: '2026-02-01', validoAte: '2026-01-01' }, { token: tokenAdmin });
+    assert.strictEqual(periodo.status, 400);
+    assert.strictEqual((await api.put('/api/admin/cupons/NENHUM', { tipo: 'frete_gratis' }, { token: tokenAdmin })).status, 404);
+    assert.strictEqual((await api.delete('/api/admin/cupons/NENHUM', { token: tokenAdmin })).status, 404);
+});
+
+test('relatórios em JSON e CSV', async () => {
+    const hoje = horario.partesDataHora().data;
+    const json = await api.get(`/api/admin/relatorios/faturamento?inicio=${hoje}&fim=${hoje}`, { token: tokenAdmin });
+    assert.strictEqual(json.status, 200);
+    assert.deepStrictEqual(json.json.periodo, { inicio: hoje, fim: hoje });
+    assert.ok(json.json.linhas.length >= 1);
+
+    const csv = await api.get(`/api/admin/relatorios/produtos?inicio=${hoje}&fim=${hoje}&formato=csv`, { token: tokenAdmin });
+    assert.strictEqual(csv.status, 200);
+    assert.match(csv.cabecalhos.get('content-type'), /text\/csv/);
+    assert.match(csv.cabecalhos.get('content-disposition'), new RegExp(`relatorio-produtos-${hoje}-a-${hoje}\\.csv`));
+    assert.match(csv.texto, /Doka Cheddar Bacon 180g/);
+});
+
+test('relatórios deixam PIX pendente e agendamento não liberado fora do faturamento', () => {
+    const criadoEm = new Date();
+    const hoje = horario.partesDataHora(criadoEm).data;
+    const pedido = (id, status, pagamentoStatus, total) => ({
+        id, status, pagamento_status: pagamentoStatus, cliente_telefone: `55119000000${id}`, criado_em: criadoEm,
+        dados_pedido: { total, pagamento: pagamentoStatus ? 'PIX' : 'Dinheiro', carrinho: [{ id: 'p1', preco: total, quantidade: 1 }] }
+    });
+    const dados = {
+        pedidos: [
+            pedido(1, 'entregue', null, 50),
+            pedido(2, 'recebido', 'pago', 30),
+            pedido(3, 'recebido', 'pendente', 40),
+            pedido(4, 'agendado', null, 25),
+            pedido(5, 'cancelado', 'cancelado', 60)
+        ],
+        produtos: []
+    };
+    const periodo = { inicio: hoje, fim: hoje, agrupamento: 'dia', limite: 20 };
+
+    const [resumo] = relatorios.RELATORIOS.resumo.calcular(dados, periodo);
+    assert.deepStrictEqual(
+        [resumo.pedidos, resumo.cancelados, resumo.faturamento, resumo.pendentes, resumo.valorPendente, resumo.clientes],
+        [2, 1, 80, 2, 65, 2]
+    );
+    const [dia] = relatorios.RELATORIOS.faturamento.calcular(dados, periodo);
+    assert.deepStrictEqual([dia.pedidos, dia.faturamento, dia.pendentes, dia.valorPendente], [2, 80, 2, 65]);
+    assert.deepStrictEqual(relatorios.RELATORIOS.pagamentos.calcular(dados, periodo).map(linha => [linha.pagamento, linha.pedidos]), [['Dinheiro', 1], ['PIX', 1]]);
+});
+
+test('relatórios recusam nome, formato e período inválidos', async () => {
+    assert.strictEqual((await api.get('/api/admin/relatorios/lucro', { token: tokenAdmin })).status, 404);
+    assert.strictEqual((await api.get('/api/admin/relatorios/faturamento?formato=xls', { token: tokenAdmin })).status, 400);
+    assert.strictEqual((await api.get('/api/admin/relatorios/faturamento?inicio=ontem', { token: tokenAdmin })).status, 400);
+    assert.strictEqual((await api.get('/api/admin/relatorios/faturamento', { token: tokenCozinha })).status, 403);
+});
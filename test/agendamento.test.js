@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const horario = require('../horario-funcionamento');
+const agendamento = require('../agendamento');
+const { montarApp, dadosPedido } = require('./apoio');
+
+// Segunda-feira, 19/10/2026, 12:00 em São Paulo
+const SEGUNDA_MEIO_DIA = new Date('2026-10-19T15:00:00Z');
+const CONFIGURACAO = { capacidade: 2, intervaloMinutos: 30, antecedenciaMinutos: 45, dias: 1 };
+const ENV = { AGENDAMENTO_CAPACIDADE: '1', AGENDAMENTO_DIAS: '1', FIDELIDADE_PONTOS_POR_REAL: '0' };
+
+let api;
+let tokenAdmin;
+
+// Aberto todos os dias, mas fechado hoje: só dá para pedir agendando para amanhã
+before(async () => {
+    api = await montarApp({ env: ENV });
+    tokenAdmin = await api.login();
+    const horarios = [0, 1, 2, 3, 4, 5, 6].map(diaSemana => ({ diaSemana, abre: '00:00', fecha: '23:59' }));
+    await api.put('/api/admin/horarios', { horarios }, { token: tokenAdmin });
+    await api.put(`/api/admin/horarios/excecoes/${horario.partesDataHora().data}`, { fechado: true }, { token: tokenAdmin });
+});
+after(() => api.fechar());
+
+async function primeiroHorario() {
+    const { json } = await api.get('/api/agendamento/horarios');
+    return json.dias[0].horarios.find(item => item.vagas > 0);
+}
+
+function horasDe(entregas) {
+    return entregas.map(entrega => `${entrega.data} ${entrega.hora}`);
+}
+
+test('listarHorariosEntrega oferece horários dentro do expediente, com a antecedência da cozinha', () => {
+    const horarios = [{ diaSemana: 1, abre: '18:00', fecha: '20:00' }, { diaSemana: 2, abre: '23:00', fecha: '01:00' }];
+    const entregas = horario.listarHorariosEntrega(horarios, new Map(), { ...CONFIGURACAO, dias: 2, momento: SEGUNDA_MEIO_DIA });
+    assert.deepStrictEqual(horasDe(entregas), [
+        '2026-10-19 19:00', '2026-10-19 19:30', '2026-10-19 20:00',
+        // O expediente de terça atravessa a meia-noite
+        '2026-10-21 00:00', '2026-10-21 00:30', '2026-10-21 01:00'
+    ]);
+    // Com um dia só, o que passa da meia-noite de terça fica fora
+    const ateAmanha = horario.listarHorariosEntrega(horarios, new Map(), { ...CONFIGURACAO, momento: SEGUNDA_MEIO_DIA });
+    assert.strictEqual(ateAmanha.length, 3);
+    // 19:00 em São Paulo são 22:00 UTC
+    assert.strictEqual(entregas[0].momento.toISOString(), '2026-10-19T22:00:00.000Z');
+});
+
+test('listarHorariosEntrega pula horários cuja liberação já passou, dias fechados e lojas sem horário', () => {
+    const horarios = [{ diaSemana: 1, abre: '18:00', fecha: '20:00' }, { diaSemana: 2, abre: '18:00', fecha: '19:00' }];
+    const as18e20 = new Date('2026-10-19T21:20:00Z');
+    const entregas = horario.listarHorariosEntrega(horarios, new Map(), { ...CONFIGURACAO, momento: as18e20 });
+    assert.deepStrictEqual(horasDe(entregas), ['2026-10-19 19:30', '2026-10-19 20:00', '2026-10-20 19:00']);
+
+    const feriado = new Map([['2026-10-20', { fechado: true }]]);
+    assert.deepStrictEqual(
+        horasDe(horario.listarHorariosEntrega(horarios, feriado, { ...CONFIGURACAO, momento: as18e20 })),
+        ['2026-10-19 19:30', '2026-10-19 20:00']
+    );
+    assert.deepStrictEqual(horario.listarHorariosEntrega([], new Map(), { ...CONFIGURACAO, momento: as18e20 }), []);
+});
+
+test('listarHorariosDisponiveis desconta os pedidos já agendados e agruparPorDia separa os dias', () => {
+    const horarios = [{ diaSemana: 1, abre: '18:00', fecha: '19:30' }, { diaSemana: 3, abre: '18:00', fecha: '19:00' }];
+    const ocupacao = new Map([[new Date('2026-10-19T22:00:00Z').getTime(), 2], [new Date('2026-10-19T22:30:00Z').getTime(), 1]]);
+    const disponiveis = agendamento.listarHorariosDisponiveis(
+        { ...CONFIGURACAO, dias: 2 },
+        { horarios, excecoes: new Map(), ocupacao, momento: SEGUNDA_MEIO_DIA }
+    );
+    assert.deepStrictEqual(disponiveis.map(item => [item.hora, item.vagas]), [['19:00', 0], ['19:30', 1], ['19:00', 2]]);
+
+    const dias = agendamento.agruparPorDia(disponiveis, SEGUNDA_MEIO_DIA);
+    assert.deepStrictEqual(dias.map(dia => [dia.rotulo, dia.horarios.length]), [['Hoje', 2], ['quarta, 21/10', 1]]);
+    assert.strictEqual(dias[0].horarios[0].agendadoPara, '2026-10-19T22:00:00.000Z');
+    assert.strictEqual(agendamento.descreverAgendamento('2026-10-20T22:00:00.000Z', SEGUNDA_MEIO_DIA), 'amanhã às 19:00');
+});
+
+test('lerConfiguracaoAgendamento usa os padrões, desliga com capacidade 0 e recusa valores inválidos', () => {
+    assert.deepStrictEqual(agendamento.lerConfiguracaoAgendamento({}), {
+        capacidade: 5, intervaloMinutos: 30, antecedenciaMinutos: 45, dias: 2
+    });
+    assert.strictEqual(agendamento.lerConfiguracaoAgendamento({ AGENDAMENTO_CAPACIDADE: '0' }), null);
+    assert.throws(() => agendamento.lerConfiguracaoAgendamento({ AGENDAMENTO_INTERVALO_MINUTOS: 'meia hora' }), /AGENDAMENTO_INTERVALO_MINUTOS/);
+    assert.throws(() => agendamento.lerConfiguracaoAgendamento({ AGENDAMENTO_DIAS: '-1' }), /AGENDAMENTO_DIAS/);
+});
+
+test('GET /api/agendamento/horarios lista os horários de amanhã com a loja fechada hoje', async () => {
+    const { status, json } = await api.get('/api/agendamento/horarios');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.habilitado, true);
+    assert.strictEqual(json.dias.length, 1);
+    assert.strictEqual(json.dias[0].rotulo, 'Amanhã');
+    assert.strictEqual(json.dias[0].horarios[0].hora, '01:00');
+    assert.strictEqual(json.dias[0].horarios[0].vagas, 1);
+});
+
+test('POST /api/criar-pedido agenda o pedido com a loja fechada e ocupa a vaga do horário', async () => {
+    const fechada = await api.post('/api/criar-pedido', dadosPedido());
+    assert.strictEqual(fechada.status, 409);
+
+    const escolhido = await primeiroHorario();
+    const { status, json } = await api.post('/api/criar-pedido', dadosPedido({ agendadoPara: escolhido.agendadoPara }));
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.agendadoPara, escolhido.agendadoPara);
+
+    const pedido = await api.repositorio.buscarPedido(json.pedidoId);
+    assert.strictEqual(pedido.status, 'agendado');
+    assert.strictEqual(pedido.agendado_para.toISOString(), escolhido.agendadoPara);
+    await api.esperarMensagem(/ENTREGA AGENDADA:\* \d{2}\/\d{2}\/\d{4} às 01:00/);
+
+    const lotado = await api.post('/api/criar-pedido', dadosPedido({ agendadoPara: escolhido.agendadoPara }));
+    assert.strictEqual(lotado.status, 409);
+    assert.match(lotado.json.message, /esgotaram/);
+    const { json: depois } = await api.get('/api/agendamento/horarios');
+    assert.strictEqual(depois.dias[0].horarios.find(item => item.agendadoPara === escolhido.agendadoPara).vagas, 0);
+});
+
+test('POST /api/criar-pedido recusa horários fora da lista e datas inválidas', async () => {
+    const passado = await api.post('/api/criar-pedido', dadosPedido({ agendadoPara: '2026-01-01T15:00:00.000Z' }));
+    assert.strictEqual(passado.status, 409);
+    const invalido = await api.post('/api/criar-pedido', dadosPedido({ agendadoPara: 'sábado à noite' }));
+    assert.strictEqual(invalido.status, 400);
+});
+
+test('pedidos agendados vencidos vão para a cozinha quando o servidor volta', async () => {
+    const escolhido = await primeiroHorario();
+    const { json } = await api.post('/api/criar-pedido', dadosPedido({ agendadoPara: escolhido.agendadoPara }));
+    await api.fechar();
+
+    // Servidor parado enquanto chegava a hora da entrega
+    const linha = api.repositorio.dados.pedidos.find(pedido => pedido.id === json.pedidoId);
+    linha.agendado_para = new Date(Date.now() + 30 * 60 * 1000);
+
+    api = await montarApp({ env: ENV, repositorio: api.repositorio });
+    const pedido = await api.repositorio.buscarPedido(json.pedidoId);
+    assert.strictEqual(pedido.status, 'recebido');
+    const historico = await api.repositorio.listarHistoricoStatus(json.pedidoId);
+    assert.deepStrictEqual(historico.map(mudanca => [mudanca.status_novo, mudanca.alterado_por]), [
+        ['agendado', 'site'], ['recebido', 'agendamento']
+    ]);
+    await api.esperarMensagem(new RegExp(`pedido agendado #${json.pedidoId} foi confirmado e já foi para a cozinha`));
+});
@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { montarApp, dadosPedido } = require('./apoio');
+
+let api;
+before(async () => { api = await montarApp(); });
+after(() => api.fechar());
+
+test('GET /health informa o estado do WhatsApp', async () => {
+    const { status, json } = await api.get('/health');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.whatsapp, 'ready');
+});
+
+test('GET /api/cardapio devolve produtos com preço numérico e modificadores', async () => {
+    const { status, json } = await api.get('/api/cardapio');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.success, true);
+    assert.ok(json.categorias.includes('Burgers 180g'));
+
+    const produto = json.produtos.find(p => p.id === 'p1');
+    assert.strictEqual(produto.preco, 39.99);
+    assert.deepStrictEqual(produto.modificadores.map(grupo => grupo.nome), ['Adicionais', 'Retirar ingredientes']);
+});
+
+test('POST /api/taxa-entrega usa a taxa padrão sem zonas cadastradas', async () => {
+    const { status, json } = await api.post('/api/taxa-entrega', { bairro: 'Centro' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.atende, true);
+    assert.strictEqual(json.taxa, 5);
+});
+
+test('POST /api/taxa-entrega exige bairro, CEP ou localização', async () => {
+    const { status, json } = await api.post('/api/taxa-entrega', {});
+    assert.strictEqual(status, 400);
+    assert.strictEqual(json.success, false);
+});
+
+test('POST /api/taxa-entrega recusa bairros fora das zonas', async () => {
+    await api.repositorio.criarZonaEntrega({
+        nome: 'Centro', tipo: 'bairro', valores: ['Centro'], raioKm: null, taxa: 4, pedidoMinimo: 0, atende: true, ordem: 0
+    });
+    try {
+        const atendido = await api.post('/api/taxa-entrega', { bairro: 'centro' });
+        assert.strictEqual(atendido.json.taxa, 4);
+
+        const { status, json } = await api.post('/api/taxa-entrega', { bairro: 'Jardins' });
+        assert.strictEqual(status, 422);
+        assert.strictEqual(json.atende, false);
+    } finally {
+        for (const zona of await api.repositorio.listarZonasEntrega()) {
+            await api.repositorio.desativarZonaEntrega(zona.id);
+        }
+    }
+});
+
+test('GET /api/status-loja considera a loja aberta sem horário configurado', async () => {
+    const { status, json } = await api.get('/api/status-loja');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.aberta, true);
+});
+
+test('GET /api/bairros-atendidos lista os bairros das zonas ativas', async () => {
+    const { status, json } = await api.get('/api/bairros-atendidos');
+    assert.strictEqual(status, 200);
+    assert.ok(Array.isArray(json.bairros));
+});
+
+test('POST /api/cupom/validar calcula o desconto do carrinho', async () => {
+    await api.repositorio.criarCupom({
+        codigo: 'DEZOFF', descricao: null, tipo: 'percentual', valor: 10, pedidoMinimo: 0, descontoMaximo: null,
+        apenasPrimeiroPedido: false, limiteTotal: null, limitePorCliente: null, validoDe: null, validoAte: null, ativo: true
+    });
+
+    const { status, json } = await api.post('/api/cupom/validar', { codigo: 'dezoff', carrinho: dadosPedido().carrinho });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.cupom.codigo, 'DEZOFF');
+    assert.strictEqual(json.subtotal, 79.98);
+    assert.strictEqual(json.desconto, 8);
+});
+
+test('POST /api/cupom/validar recusa código ausente, carrinho vazio e cupom inexistente', async () => {
+    const semCodigo = await api.post('/api/cupom/validar', { carrinho: dadosPedido().carrinho });
+    assert.strictEqual(semCodigo.status, 400);
+
+    const semCarrinho = await api.post('/api/cupom/validar', { codigo: 'DEZOFF', carrinho: [] });
+    assert.strictEqual(semCarrinho.status, 400);
+
+    const inexistente = await api.post('/api/cupom/validar', { codigo: 'NAOEXISTE', carrinho: dadosPedido().carrinho });
+    assert.strictEqual(inexistente.status, 422);
+    assert.strictEqual(inexistente.json.message, 'Cupom inválido.');
+});
+
+test('POST /api/cupom/validar recusa produtos fora do cardápio', async () => {
+    const { status } = await api.post('/api/cupom/validar', { codigo: 'DEZOFF', carrinho: [{ id: 'nao-existe', quantidade: 1 }] });
+    assert.strictEqual(status, 400);
+});
+
+test('GET / e GET /admin servem as páginas do site', async () => {
+    const site = await api.get('/');
+    assert.strictEqual(site.status, 200);
+    assert.match(site.cabecalhos.get('content-type'), /text\/html/);
+
+    const painel = await api.get('/admin');
+    assert.strictEqual(painel.status, 200);
+});
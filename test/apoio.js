@@ -0,0 +1,145 @@
+// Apoio aos testes: WhatsApp falso, aplicação com o repositório em memória e requisições HTTP.
+const EventEmitter = require('events');
+const { criarApp } = require('../app');
+const { RepositorioMemoria } = require('../repositorio');
+const autenticacao = require('../autenticacao');
+
+const loggerSilencioso = { info: () => {}, error: () => {} };
+
+// Substituto do Client do whatsapp-web.js: não abre o Chromium e guarda tudo o que seria enviado
+class WhatsAppFalso extends EventEmitter {
+    constructor() {
+        super();
+        this.enviadas = [];
+        this.semWhatsApp = new Set();
+    }
+
+    async initialize() {
+        this.emit('ready');
+    }
+
+    async sendMessage(para, conteudo) {
+        this.enviadas.push({ para, conteudo });
+        return { id: { _serialized: `falsa-${this.enviadas.length}` } };
+    }
+
+    async isRegisteredUser(numero) {
+        return !this.semWhatsApp.has(numero);
+    }
+
+    // Simula uma mensagem recebida de um cliente
+    receber(de, texto) {
+        this.emit('message', { from: de, body: texto, fromMe: false, isStatus: false });
+    }
+
+    mensagensPara(telefone) {
+        return this.enviadas.filter(mensagem => mensagem.para === `${telefone}@c.us`);
+    }
+}
+
+/**
+ * Sobe a aplicação numa porta livre, com o WhatsApp falso já conectado, um admin
+ * (dono/senha-do-dono) e um usuário da cozinha (chapeiro/senha-da-cozinha).
+ * `env` substitui as variáveis de ambiente (PIX, fidelidade, impressora...) e `repositorio`
+ * permite subir de novo sobre o banco de outra instância, como num reinício do servidor.
+ */
+async function montarApp({ env = {}, conectado = true, repositorio = new RepositorioMemoria({ pastaDados: null, logger: loggerSilencioso }) } = {}) {
+    const client = new WhatsAppFalso();
+    const aplicacao = criarApp({ client, repositorio, logger: loggerSilencioso, env, limitarRequisicoes: false });
+    await aplicacao.iniciar();
+    if (conectado) await client.initialize();
+
+    await repositorio.criarUsuario({ usuario: 'dono', nome: 'Dono', senhaHash: autenticacao.gerarHashSenha('senha-do-dono'), papel: 'admin' });
+    await repositorio.criarUsuario({ usuario: 'chapeiro', nome: 'Chapeiro', senhaHash: autenticacao.gerarHashSenha('senha-da-cozinha'), papel: 'cozinha' });
+
+    const servidor = await new Promise(resolve => {
+        const s = aplicacao.app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const base = `http://127.0.0.1:${servidor.address().port}`;
+
+    async function requisitar(metodo, caminho, { corpo, token, cabecalhos = {} } = {}) {
+        const resposta = await fetch(`${base}${caminho}`, {
+            method: metodo,
+            headers: {
+                ...(corpo !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...cabecalhos
+            },
+            body: corpo !== undefined ? JSON.stringify(corpo) : undefined
+        });
+        const texto = await resposta.text();
+        let json = null;
+        try { json = JSON.parse(texto); } catch (error) { /* CSV, HTML */ }
+        return { status: resposta.status, json, texto, cabecalhos: resposta.headers };
+    }
+
+    return {
+        client,
+        repositorio,
+        fila: aplicacao.fila,
+        envioCampanhas: aplicacao.envioCampanhas,
+        base,
+        requisitar,
+        get: (caminho, opcoes) => requisitar('GET', caminho, opcoes),
+        post: (caminho, corpo, opcoes) => requisitar('POST', caminho, { ...opcoes, corpo }),
+        put: (caminho, corpo, opcoes) => requisitar('PUT', caminho, { ...opcoes, corpo }),
+        patch: (caminho, corpo, opcoes) => requisitar('PATCH', caminho, { ...opcoes, corpo }),
+        delete: (caminho, opcoes) => requisitar('DELETE', caminho, opcoes),
+
+        async login(usuario = 'dono', senha = usuario === 'dono' ? 'senha-do-dono' : 'senha-da-cozinha') {
+            const { json } = await requisitar('POST', '/api/admin/login', { corpo: { usuario, senha } });
+            return json.token;
+        },
+
+        // Sessão de cliente como se o código do WhatsApp já tivesse sido confirmado
+        async sessaoCliente(telefone) {
+            const token = autenticacao.gerarToken();
+            await repositorio.criarSessaoCliente({
+                tokenHash: autenticacao.hashToken(token),
+                telefone,
+                duracaoMs: 60 * 60 * 1000
+            });
+            return token;
+        },
+
+        // A fila envia em segundo plano; espera a mensagem que combina com `padrao` chegar ao WhatsApp falso
+        async esperarMensagem(padrao, limiteMs = 2000) {
+            const inicio = Date.now();
+            for (;;) {
+                const mensagem = client.enviadas.find(m => padrao.test(m.conteudo));
+                if (mensagem) return mensagem;
+                if (Date.now() - inicio > limiteMs) {
+                    throw new Error(`Nenhuma mensagem enviada combina com ${padrao}.`);
+                }
+                await aplicacao.fila.processar();
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        },
+
+        async fechar() {
+            aplicacao.parar();
+            servidor.closeAllConnections();
+            await new Promise(resolve => servidor.close(resolve));
+        }
+    };
+}
+
+// Pedido válido com entrega pela taxa padrão (nenhuma zona cadastrada)
+function dadosPedido(ajustes = {}) {
+    const { cliente, ...resto } = ajustes;
+    return {
+        cliente: {
+            nome: 'Maria Souza',
+            telefone: '(11) 98765-4321',
+            rua: 'Rua das Flores',
+            numero: '120',
+            bairro: 'Centro',
+            ...cliente
+        },
+        carrinho: [{ id: 'p1', quantidade: 2 }],
+        pagamento: 'Cartão',
+        ...resto
+    };
+}
+
+module.exports = { WhatsAppFalso, montarApp, dadosPedido, loggerSilencioso };
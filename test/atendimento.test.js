@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { montarApp, dadosPedido } = require('./apoio');
+
+const CHAT = '551187654321@c.us';
+
+let api;
+before(async () => { api = await montarApp(); });
+after(() => api.fechar());
+
+// Entrega a mensagem ao atendimento e espera a resposta que combina com `padrao`
+async function conversar(texto, padrao) {
+    api.client.receber(CHAT, texto);
+    const resposta = await api.esperarMensagem(padrao);
+    assert.strictEqual(resposta.para, CHAT);
+    return resposta;
+}
+
+test('responde ao cumprimento com o menu de opções', async () => {
+    await conversar('Oi', /Sou o atendimento automático da \*Doka Burger\*/);
+});
+
+test('informa o status do último pedido', async () => {
+    const { json } = await api.post('/api/criar-pedido', dadosPedido());
+    await conversar('1', new RegExp(`Seu último pedido, \\*#${json.pedidoId}\\*.*está: \\*Recebido\\*`));
+});
+
+test('cancela o pedido depois da confirmação do cliente', async () => {
+    const { json } = await api.post('/api/criar-pedido', dadosPedido());
+    await conversar('quero cancelar', new RegExp(`Deseja cancelar o pedido \\*#${json.pedidoId}\\*\\?`));
+    await conversar('SIM', new RegExp(`Seu pedido #${json.pedidoId} foi cancelado`));
+
+    const pedido = await api.repositorio.buscarPedido(json.pedidoId);
+    assert.strictEqual(pedido.status, 'cancelado');
+});
+
+test('diz a situação real quando o pedido muda antes da confirmação do cancelamento', async () => {
+    const tokenCozinha = await api.login('chapeiro');
+    const { json } = await api.post('/api/criar-pedido', dadosPedido());
+    await conversar('quero cancelar', new RegExp(`Deseja cancelar o pedido \\*#${json.pedidoId}\\*\\?`));
+    await api.patch(`/api/pedidos/${json.pedidoId}/status`, { status: 'cancelado' }, { token: tokenCozinha });
+
+    await conversar('SIM', new RegExp(`o pedido #${json.pedidoId} já está \\*cancelado\\*`));
+    assert.ok(!api.client.enviadas.some(m => /já entrou em preparo/.test(m.conteudo)));
+});
+
+test('fica em silêncio depois de transferir para um atendente', async () => {
+    await conversar('5', /Um atendente vai continuar a conversa/);
+    const enviadas = api.client.enviadas.length;
+
+    api.client.receber(CHAT, 'cadê meu pedido?');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await api.fila.processar();
+    assert.strictEqual(api.client.enviadas.length, enviadas);
+});
+
+test('ignora mensagens de grupos e enviadas pela própria loja', async () => {
+    const enviadas = api.client.enviadas.length;
+    api.client.emit('message', { from: '120363000000@g.us', body: 'oi', fromMe: false });
+    api.client.emit('message', { from: '551133334444@c.us', body: 'oi', fromMe: true });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await api.fila.processar();
+    assert.strictEqual(api.client.enviadas.length, enviadas);
+});
@@ -0,0 +1,215 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const campanhas = require('../campanhas');
+const EnvioCampanhas = require('../envio-campanhas');
+const { montarApp, dadosPedido } = require('./apoio');
+
+const ANA = '551191111111';
+const BRUNO = '551192222222';
+const CARLA = '551193333333';
+const COMBO = { id: 'c1', quantidade: 1, modificadores: ['c1-tamanho-normal', 'c1-acompanhamento-fritas'] };
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+let api;
+let tokenAdmin;
+
+// Ana e Bruno aceitaram promoções, mas só Bruno já pediu combo; Carla não aceitou
+before(async () => {
+    api = await montarApp();
+    tokenAdmin = await api.login();
+    await criarPedido(ANA, 'Ana Lima', { aceitaPromocoes: true });
+    await criarPedido(BRUNO, 'Bruno Alves', { aceitaPromocoes: true }, [COMBO]);
+    await criarPedido(CARLA, 'Carla Dias', {});
+});
+after(() => api.fechar());
+
+async function criarPedido(telefone, nome, cliente, carrinho) {
+    const { status, texto } = await api.post('/api/criar-pedido', dadosPedido({
+        cliente: { telefone: telefone.slice(2), nome, ...cliente },
+        ...(carrinho ? { carrinho } : {})
+    }));
+    assert.strictEqual(status, 200, texto);
+}
+
+async function criarSegmento(corpo) {
+    const { status, json } = await api.post('/api/admin/segmentos', corpo, { token: tokenAdmin });
+    assert.strictEqual(status, 201, json && json.message);
+    return json.segmento;
+}
+
+async function criarCampanha(segmentoId, modelo = 'Oi, {nome}! Hoje o combo sai com 20% de desconto. 🍔') {
+    return api.post('/api/admin/campanhas', { nome: 'Promo da semana', segmentoId, modelo }, { token: tokenAdmin });
+}
+
+// Envia até esvaziar a campanha, sem esperar o intervalo entre as mensagens
+async function enviarTudo() {
+    const processados = [];
+    for (let envio = await api.envioCampanhas.processar(); envio; envio = await api.envioCampanhas.processar()) {
+        processados.push(envio);
+    }
+    return processados;
+}
+
+test('validarSegmento e validarCampanha recusam filtros e variáveis desconhecidos', () => {
+    assert.deepStrictEqual(
+        campanhas.validarSegmento({ nome: ' Sem combo ', filtros: { nuncaPediuCategoria: ' Combos ', pedidoNosUltimosDias: 30 } }),
+        { segmento: { nome: 'Sem combo', filtros: { nuncaPediuCategoria: 'Combos', pedidoNosUltimosDias: 30 } } }
+    );
+    assert.match(campanhas.validarSegmento({ nome: 'X', filtros: { gastouMais: 100 } }).erro, /Filtro desconhecido: gastouMais/);
+    assert.match(campanhas.validarSegmento({ nome: 'X', filtros: { semPedidoHaDias: '30' } }).erro, /número inteiro/);
+    assert.match(campanhas.validarSegmento({ filtros: {} }).erro, /nome do segmento/);
+
+    assert.match(campanhas.validarCampanha({ nome: 'Promo', segmentoId: 1, modelo: 'Oi {apelido}' }).erro, /Variável desconhecida na mensagem: \{apelido\}/);
+    assert.match(campanhas.validarCampanha({ nome: 'Promo', modelo: 'Oi' }).erro, /segmento/);
+    assert.ok(campanhas.validarCampanha({ nome: 'Promo', segmentoId: 1, modelo: 'Oi {nome}' }).campanha);
+});
+
+test('preencherModelo usa o nome do cliente e acrescenta o aviso de descadastro', () => {
+    const mensagem = campanhas.preencherModelo('Oi, {nome}! ({nome_completo})', { nome: ' Maria  Souza ' });
+    assert.strictEqual(mensagem, `Oi, Maria! (Maria  Souza)\n\n${campanhas.RODAPE_SAIR}`);
+    assert.strictEqual(
+        campanhas.descreverSegmento({ pedidoNosUltimosDias: 30, nuncaPediuCategoria: 'Combos' }),
+        'Pediu nos últimos 30 dia(s) e nunca pediu Combos'
+    );
+});
+
+test('filtrarClientesSegmento ignora cancelados, pedidos antigos e quem não aceitou', () => {
+    const agora = Date.now();
+    const pedido = (telefone, dias, carrinho, status = 'entregue') => ({
+        cliente_telefone: telefone, status, criado_em: new Date(agora - dias * DIA_MS), dados_pedido: { carrinho }
+    });
+    const dados = {
+        clientes: [
+            { telefone: '1', nome: 'Recente', aceita_promocoes: true },
+            { telefone: '2', nome: 'Sumido', aceita_promocoes: true },
+            { telefone: '3', nome: 'Cancelou', aceita_promocoes: true },
+            { telefone: '4', nome: 'Sem aceite', aceita_promocoes: false }
+        ],
+        pedidos: [
+            pedido('1', 2, [{ id: 'p1' }]),
+            pedido('2', 45, [{ id: 'c1' }]),
+            pedido('3', 1, [{ id: 'c1' }], 'cancelado'),
+            pedido('4', 1, [{ id: 'p1' }])
+        ],
+        produtos: [{ id: 'p1', categoria: 'Burgers 180g' }, { id: 'c1', categoria: 'Combos' }]
+    };
+    const nomes = (filtros) => campanhas.filtrarClientesSegmento(dados, filtros, agora).map(cliente => cliente.nome);
+
+    assert.deepStrictEqual(nomes({ pedidoNosUltimosDias: 30 }), ['Recente']);
+    assert.deepStrictEqual(nomes({ semPedidoHaDias: 30 }), ['Sumido', 'Cancelou']);
+    assert.deepStrictEqual(nomes({ nuncaPediuCategoria: 'Combos' }), ['Recente', 'Cancelou']);
+    assert.deepStrictEqual(nomes({ pediuCategoria: 'Combos', minimoPedidos: 1 }), ['Sumido']);
+});
+
+test('POST /api/admin/segmentos conta só os clientes que aceitaram promoções no checkout', async () => {
+    assert.strictEqual((await api.repositorio.buscarCliente(ANA)).aceita_promocoes, true);
+    assert.strictEqual((await api.repositorio.buscarCliente(CARLA)).aceita_promocoes, false);
+
+    const segmento = await criarSegmento({ nome: 'Nunca pediu combo', filtros: { pedidoNosUltimosDias: 30, nuncaPediuCategoria: 'Combos' } });
+    assert.strictEqual(segmento.clientes, 1);
+    assert.strictEqual(segmento.descricao, 'Pediu nos últimos 30 dia(s) e nunca pediu Combos');
+
+    const invalido = await api.post('/api/admin/segmentos', { nome: 'X', filtros: { gastouMais: 1 } }, { token: tokenAdmin });
+    assert.strictEqual(invalido.status, 400);
+    const idInvalido = await api.delete('/api/admin/segmentos/abc', { token: tokenAdmin });
+    assert.strictEqual(idInvalido.status, 400);
+    const cozinha = await api.get('/api/admin/segmentos', { token: await api.login('chapeiro') });
+    assert.strictEqual(cozinha.status, 403);
+});
+
+test('a campanha envia a mensagem personalizada ao segmento e registra o relatório', async () => {
+    const segmento = await criarSegmento({ nome: 'Todos', filtros: {} });
+    const { status, json } = await criarCampanha(segmento.id);
+    assert.strictEqual(status, 201);
+    assert.deepStrictEqual(json.campanha.envios, { total: 2, pendentes: 2, enviados: 0, falhas: 0, cancelados: 0 });
+
+    // O número da Ana deixou de existir no WhatsApp
+    const enviarOriginal = api.client.sendMessage.bind(api.client);
+    api.client.sendMessage = async (para, conteudo) => {
+        if (para === `${ANA}@c.us`) throw new Error('Número inválido');
+        return enviarOriginal(para, conteudo);
+    };
+    try {
+        assert.deepStrictEqual((await enviarTudo()).map(envio => envio.status), ['falhou', 'enviado']);
+    } finally {
+        api.client.sendMessage = enviarOriginal;
+    }
+
+    const [mensagem] = api.client.mensagensPara(BRUNO).filter(m => /combo sai com 20%/.test(m.conteudo));
+    assert.strictEqual(mensagem.conteudo, `Oi, Bruno! Hoje o combo sai com 20% de desconto. 🍔\n\n${campanhas.RODAPE_SAIR}`);
+    assert.strictEqual(api.client.mensagensPara(CARLA).filter(m => /combo sai com 20%/.test(m.conteudo)).length, 0);
+
+    const relatorio = await api.get(`/api/admin/campanhas/${json.campanha.id}`, { token: tokenAdmin });
+    assert.strictEqual(relatorio.json.campanha.status, 'concluida');
+    assert.deepStrictEqual(relatorio.json.campanha.envios, { total: 2, pendentes: 0, enviados: 1, falhas: 1, cancelados: 0 });
+    assert.deepStrictEqual(relatorio.json.envios.map(envio => [envio.nome, envio.status, envio.erro]), [
+        ['Ana Lima', 'falhou', 'Error: Número inválido'],
+        ['Bruno Alves', 'enviado', null]
+    ]);
+
+    const csv = await api.get(`/api/admin/campanhas/${json.campanha.id}?formato=csv`, { token: tokenAdmin });
+    assert.match(csv.texto, /Telefone;Nome;Situação;Erro;Processado em/);
+    assert.match(csv.texto, new RegExp(`${BRUNO};Bruno Alves;enviado;;\\d{2}/\\d{2}/\\d{4} \\d{2}:\\d{2}`));
+});
+
+test('respeita o limite de mensagens por hora', async () => {
+    const segmento = await criarSegmento({ nome: 'Todos de novo', filtros: {} });
+    const { json } = await criarCampanha(segmento.id);
+
+    const jaEnviados = await api.repositorio.contarEnviosCampanhaDesde(new Date(Date.now() - 60 * 60 * 1000));
+    const limitado = new EnvioCampanhas({
+        repositorio: api.repositorio,
+        client: api.client,
+        logger: { info: () => {}, error: () => {} },
+        estaConectado: () => true,
+        configuracao: { intervaloSegundos: 1, limitePorHora: jaEnviados + 1 }
+    });
+    assert.strictEqual((await limitado.processar()).status, 'enviado');
+    assert.strictEqual(await limitado.processar(), null);
+
+    const { json: depois } = await api.get(`/api/admin/campanhas/${json.campanha.id}`, { token: tokenAdmin });
+    assert.strictEqual(depois.campanha.envios.pendentes, 1);
+
+    const cancelada = await api.post(`/api/admin/campanhas/${json.campanha.id}/cancelar`, {}, { token: tokenAdmin });
+    assert.strictEqual(cancelada.status, 200);
+    assert.deepStrictEqual(cancelada.json.campanha.envios, { total: 2, pendentes: 0, enviados: 1, falhas: 0, cancelados: 1 });
+    assert.strictEqual(cancelada.json.campanha.status, 'cancelada');
+
+    for (const caminho of ['/api/admin/campanhas/abc', '/api/admin/campanhas/0']) {
+        assert.strictEqual((await api.get(caminho, { token: tokenAdmin })).status, 400);
+        assert.strictEqual((await api.post(`${caminho}/cancelar`, {}, { token: tokenAdmin })).status, 400);
+    }
+});
+
+test('quem responde SAIR sai da lista e não recebe o que ainda estava para sair', async () => {
+    const segmento = await criarSegmento({ nome: 'Para o teste do SAIR', filtros: {} });
+    const { json } = await criarCampanha(segmento.id, 'Oi, {nome}! Promoção relâmpago só hoje.');
+
+    // Com a conversa nas mãos da equipe o descadastro também vale
+    await api.put(`/api/admin/atendimentos/${BRUNO}@c.us`, { humano: true }, { token: tokenAdmin });
+    api.client.receber(`${BRUNO}@c.us`, 'SAIR');
+    const resposta = await api.esperarMensagem(/não vai mais receber promoções/);
+    assert.strictEqual(resposta.para, `${BRUNO}@c.us`);
+    assert.strictEqual((await api.repositorio.buscarCliente(BRUNO)).aceita_promocoes, false);
+
+    await enviarTudo();
+    const { json: relatorio } = await api.get(`/api/admin/campanhas/${json.campanha.id}`, { token: tokenAdmin });
+    assert.deepStrictEqual(relatorio.envios.map(envio => [envio.telefone, envio.status]), [[ANA, 'enviado'], [BRUNO, 'cancelado']]);
+    assert.strictEqual(api.client.mensagensPara(BRUNO).filter(m => /relâmpago/.test(m.conteudo)).length, 0);
+
+    // Segmento sem ninguém que aceite promoções
+    const soBruno = await criarSegmento({ nome: 'Só combo', filtros: { pediuCategoria: 'Combos' } });
+    const vazia = await criarCampanha(soBruno.id);
+    assert.strictEqual(vazia.status, 409);
+});
+
+test('SAIR de uma conversa sem telefone identificado não confirma um descadastro que não aconteceu', async () => {
+    api.client.emit('message', {
+        from: '99887766@lid', body: 'SAIR', fromMe: false, isStatus: false,
+        getContact: async () => ({ number: null })
+    });
+    const resposta = await api.esperarMensagem(/Não consegui identificar o seu número/);
+    assert.strictEqual(resposta.para, '99887766@lid');
+    assert.ok(!api.client.enviadas.some(m => m.para === '99887766@lid' && /não vai mais receber promoções/.test(m.conteudo)));
+    assert.strictEqual((await api.repositorio.buscarCliente(ANA)).aceita_promocoes, true);
+});
@@ -0,0 +1,193 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { montarApp, dadosPedido } = require('./apoio');
+
+const TELEFONE = '551187654321';
+
+let api;
+before(async () => { api = await montarApp(); });
+after(() => api.fechar());
+
+test('verificação por WhatsApp: envia o código e troca por uma sessão', async () => {
+    const envio = await api.post('/api/verificacao/enviar', { telefone: '(11) 98765-4321' });
+    assert.strictEqual(envio.status, 200);
+    assert.strictEqual(envio.json.expiraEmSegundos, 300);
+
+    const mensagem = await api.esperarMensagem(/código de verificação/);
+    assert.strictEqual(mensagem.para, `${TELEFONE}@c.us`);
+    const codigo = /\*(\d{6})\*/.exec(mensagem.conteudo)[1];
+
+    const errado = await api.post('/api/verificacao/confirmar', {
+        telefone: '11987654321', codigo: codigo === '000000' ? '111111' : '000000'
+    });
+    assert.strictEqual(errado.status, 400);
+    assert.match(errado.json.message, /Código incorreto\. Você ainda tem 4 tentativa\(s\)\./);
+
+    const confirmacao = await api.post('/api/verificacao/confirmar', { telefone: '11987654321', codigo });
+    assert.strictEqual(confirmacao.status, 200);
+    assert.ok(confirmacao.json.token);
+
+    const enderecos = await api.get('/api/enderecos', { token: confirmacao.json.token });
+    assert.strictEqual(enderecos.status, 200);
+
+    // O código só vale uma vez
+    const reuso = await api.post('/api/verificacao/confirmar', { telefone: '11987654321', codigo });
+    assert.strictEqual(reuso.status, 400);
+});
+
+test('verificação por WhatsApp: palpites em paralelo não passam do limite de tentativas', async () => {
+    await api.post('/api/verificacao/enviar', { telefone: '(11) 97777-1234' });
+    // O primeiro teste também recebeu um código: espera o deste número
+    let mensagem;
+    for (let espera = 0; !mensagem && espera < 200; espera++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        [mensagem] = api.client.mensagensPara('551177771234');
+    }
+    const codigo = /\*(\d{6})\*/.exec(mensagem.conteudo)[1];
+    const errado = codigo === '000000' ? '111111' : '000000';
+
+    const respostas = await Promise.all(Array.from({ length: 10 }, () =>
+        api.post('/api/verificacao/confirmar', { telefone: '11977771234', codigo: errado })
+    ));
+    assert.strictEqual(respostas.filter(resposta => resposta.status === 400).length, 5);
+    assert.strictEqual(respostas.filter(resposta => resposta.status === 429).length, 5);
+
+    const certo = await api.post('/api/verificacao/confirmar', { telefone: '11977771234', codigo });
+    assert.strictEqual(certo.status, 429);
+});
+
+test('verificação por WhatsApp: recusa telefone inválido e código malformado', async () => {
+    const envio = await api.post('/api/verificacao/enviar', { telefone: '1234' });
+    assert.strictEqual(envio.status, 400);
+
+    const confirmacao = await api.post('/api/verificacao/confirmar', { telefone: '11987654321', codigo: '12' });
+    assert.strictEqual(confirmacao.status, 400);
+    assert.strictEqual(confirmacao.json.message, 'Informe o telefone e o código de 6 dígitos.');
+});
+
+test('verificação por WhatsApp: limita os códigos por janela', async () => {
+    const telefone = '21987654321';
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await api.post('/api/verificacao/enviar', { telefone })).status, 200);
+    }
+    const excedente = await api.post('/api/verificacao/enviar', { telefone });
+    assert.strictEqual(excedente.status, 429);
+});
+
+test('verificação por WhatsApp: sem conexão não envia o código', async () => {
+    api.client.emit('disconnected', 'teste');
+    try {
+        const { status } = await api.post('/api/verificacao/enviar', { telefone: '31987654321' });
+        assert.strictEqual(status, 503);
+    } finally {
+        api.client.emit('ready');
+    }
+});
+
+test('POST /api/identificar-cliente só devolve os dados para o número verificado', async () => {
+    const token = await api.sessaoCliente(TELEFONE);
+    await api.post('/api/criar-pedido', dadosPedido(), { token });
+
+    const anonimo = await api.post('/api/identificar-cliente', { telefone: '11987654321' });
+    assert.strictEqual(anonimo.status, 200);
+    assert.deepStrictEqual(anonimo.json, { success: true, verificado: false, cliente: { telefone: TELEFONE } });
+
+    const verificado = await api.post('/api/identificar-cliente', { telefone: '11987654321' }, { token });
+    assert.strictEqual(verificado.json.verificado, true);
+    assert.strictEqual(verificado.json.isNew, false);
+    assert.strictEqual(verificado.json.cliente.nome, 'Maria Souza');
+    assert.strictEqual(verificado.json.cliente.fidelidade.saldo, 0);
+
+    const novoToken = await api.sessaoCliente('551133334444');
+    const novo = await api.post('/api/identificar-cliente', { telefone: '1133334444' }, { token: novoToken });
+    assert.strictEqual(novo.json.isNew, true);
+});
+
+test('POST /api/identificar-cliente recusa números inválidos ou sem WhatsApp', async () => {
+    const invalido = await api.post('/api/identificar-cliente', { telefone: '123' });
+    assert.strictEqual(invalido.status, 400);
+
+    api.client.semWhatsApp.add('551144445555@c.us');
+    const semWhatsApp = await api.post('/api/identificar-cliente', { telefone: '1144445555' });
+    assert.strictEqual(semWhatsApp.status, 400);
+    assert.strictEqual(semWhatsApp.json.message, 'Este número não possui uma conta de WhatsApp ativa.');
+});
+
+test('endereços salvos: cria, atualiza, lista e remove', async () => {
+    const token = await api.sessaoCliente(TELEFONE);
+
+    const criado = await api.post('/api/enderecos', { apelido: 'Trabalho', rua: 'Av. Paulista', numero: '1000', bairro: 'Bela Vista', padrao: true }, { token });
+    assert.strictEqual(criado.status, 201);
+    assert.strictEqual(criado.json.endereco.descricao, 'Av. Paulista, 1000');
+    assert.strictEqual(criado.json.endereco.padrao, true);
+    const id = criado.json.endereco.id;
+
+    const atualizado = await api.put(`/api/enderecos/${id}`, { apelido: 'Trabalho', rua: 'Av. Paulista', numero: '1000', complemento: 'Sala 5', bairro: 'Bela Vista' }, { token });
+    assert.strictEqual(atualizado.status, 200);
+    assert.strictEqual(atualizado.json.endereco.descricao, 'Av. Paulista, 1000 - Sala 5');
+
+    const lista = await api.get('/api/enderecos', { token });
+    assert.ok(lista.json.enderecos.some(endereco => endereco.id === id));
+
+    const removido = await api.delete(`/api/enderecos/${id}`, { token });
+    assert.strictEqual(removido.status, 200);
+    assert.ok(!removido.json.enderecos.some(endereco => endereco.id === id));
+});
+
+test('endereços salvos: exigem sessão, dados completos e endereço existente', async () => {
+    const semSessao = await api.get('/api/enderecos');
+    assert.strictEqual(semSessao.status, 401);
+
+    const token = await api.sessaoCliente(TELEFONE);
+    const incompleto = await api.post('/api/enderecos', { rua: 'Rua A' }, { token });
+    assert.strictEqual(incompleto.status, 400);
+
+    const cepInvalido = await api.post('/api/enderecos', { rua: 'Rua A', numero: '1', bairro: 'Centro', cep: '123' }, { token });
+    assert.strictEqual(cepInvalido.status, 400);
+
+    const inexistente = await api.put('/api/enderecos/9999', { rua: 'Rua A', numero: '1', bairro: 'Centro' }, { token });
+    assert.strictEqual(inexistente.status, 404);
+    assert.strictEqual((await api.delete('/api/enderecos/9999', { token })).status, 404);
+    assert.strictEqual((await api.delete('/api/enderecos/abc', { token })).status, 400);
+
+    // Só quem já fez um pedido tem cadastro para guardar endereços
+    const semCadastro = await api.post('/api/enderecos', { rua: 'Rua A', numero: '1', bairro: 'Centro' }, { token: await api.sessaoCliente('551155556666') });
+    assert.strictEqual(semCadastro.status, 404);
+});
+
+test('GET /api/historico/:telefone lista os pedidos do próprio número', async () => {
+    const token = await api.sessaoCliente(TELEFONE);
+    const { status, json } = await api.get('/api/historico/11987654321', { token });
+    assert.strictEqual(status, 200);
+    assert.ok(json.length >= 1);
+    assert.strictEqual(json[0].status, 'Recebido');
+    assert.deepStrictEqual(json[0].itens[0], { nomeProduto: 'Doka Cheddar Bacon 180g', quantidade: 2, modificadores: [], observacao: '' });
+});
+
+test('GET /api/historico/:telefone exige a sessão do mesmo número', async () => {
+    assert.strictEqual((await api.get('/api/historico/11987654321')).status, 401);
+    assert.strictEqual((await api.get('/api/historico/123')).status, 400);
+
+    const outroToken = await api.sessaoCliente('551133334444');
+    assert.strictEqual((await api.get('/api/historico/11987654321', { token: outroToken })).status, 403);
+});
+
+test('POST /api/pedidos/:id/pedir-novamente devolve o carrinho com os preços atuais', async () => {
+    const token = await api.sessaoCliente(TELEFONE);
+    const [pedido] = await api.repositorio.listarPedidosDoCliente(TELEFONE);
+
+    const { status, json } = await api.post(`/api/pedidos/${pedido.id}/pedir-novamente`, undefined, { token });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.carrinho[0].id, 'p1');
+    assert.strictEqual(json.carrinho[0].quantidade, 2);
+    assert.deepStrictEqual(json.avisos, []);
+});
+
+test('POST /api/pedidos/:id/pedir-novamente só repete pedidos do próprio cliente', async () => {
+    const [pedido] = await api.repositorio.listarPedidosDoCliente(TELEFONE);
+    assert.strictEqual((await api.post(`/api/pedidos/${pedido.id}/pedir-novamente`)).status, 401);
+
+    const outroToken = await api.sessaoCliente('551133334444');
+    assert.strictEqual((await api.post(`/api/pedidos/${pedido.id}/pedir-novamente`, undefined, { token: outroToken })).status, 404);
+    assert.strictEqual((await api.post('/api/pedidos/abc/pedir-novamente', undefined, { token: outroToken })).status, 400);
+});
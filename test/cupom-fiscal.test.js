@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { gerarCupomFiscal } = require('../cupom-fiscal');
+
+function pedido(ajustes = {}) {
+    return {
+        cliente: {
+            nome: 'Maria Souza',
+            telefoneFormatado: '(11) 98765-4321',
+            endereco: 'Rua das Flores, 120 - Apto 31',
+            bairro: 'Centro',
+            cep: '01001000',
+            referencia: 'Portão azul'
+        },
+        carrinho: [
+            {
+                nome: 'Doka Cheddar Bacon 180g',
+                preco: 43.99,
+                quantidade: 2,
+                modificadores: [{ nome: 'Bacon extra', preco: 4 }, { nome: 'Sem cebola', preco: 0 }],
+                observacao: 'Bem passado'
+            },
+            { nome: 'Coca-Cola 350ml', preco: 6, quantidade: 1 }
+        ],
+        pagamento: 'Cartão',
+        troco: null,
+        valorTroco: null,
+        subtotal: 93.98,
+        taxaEntrega: 5,
+        descontos: [],
+        total: 98.98,
+        ...ajustes
+    };
+}
+
+test('gerarCupomFiscal lista cliente, itens, valores e endereço', () => {
+    const cupom = gerarCupomFiscal(pedido());
+
+    assert.match(cupom, /Doka Burger - Pedido em \d{2}\/\d{2}\/\d{4} às \d{2}:\d{2}/);
+    assert.match(cupom, /Nome: Maria Souza\nTelefone: \(11\) 98765-4321/);
+    assert.match(cupom, /• 2x Doka Cheddar Bacon 180g\s+R\$ 87,98\n/);
+    assert.match(cupom, / {4}\+ Bacon extra \(R\$ 4,00\)\n/);
+    assert.match(cupom, / {4}› Sem cebola\n/);
+    assert.match(cupom, / {2}Obs: Bem passado\n/);
+    assert.match(cupom, /• 1x Coca-Cola 350ml\s+R\$ 6,00\n/);
+    assert.match(cupom, /Subtotal:\s+R\$ 93,98\n/);
+    assert.match(cupom, /Taxa de Entrega:\s+R\$ 5,00\n/);
+    assert.match(cupom, /\*TOTAL:\* \*R\$ 98,98\*\n/);
+    assert.match(cupom, /\*ENDEREÇO:\*\nRua das Flores, 120 - Apto 31\nBairro: Centro - CEP 01001000\nRef: Portão azul\n/);
+    assert.match(cupom, /\*FORMA DE PAGAMENTO:\*\nCartão\n/);
+    assert.doesNotMatch(cupom, /Troco/);
+    assert.ok(cupom.endsWith('OBRIGADO PELA PREFERENCIA!'));
+});
+
+test('gerarCupomFiscal mostra o troco de pagamentos em dinheiro', () => {
+    const cupom = gerarCupomFiscal(pedido({ pagamento: 'Dinheiro', troco: 100, valorTroco: 1.02 }));
+    assert.match(cupom, /\*FORMA DE PAGAMENTO:\*\nDinheiro\nTroco para: R\$ 100,00 \(Levar R\$ 1,02\)\n/);
+});
+
+test('gerarCupomFiscal não mostra troco em dinheiro sem troco informado', () => {
+    const cupom = gerarCupomFiscal(pedido({ pagamento: 'Dinheiro' }));
+    assert.doesNotMatch(cupom, /Troco/);
+});
+
+test('gerarCupomFiscal ignora o troco de outras formas de pagamento', () => {
+    const cupom = gerarCupomFiscal(pedido({ pagamento: 'Cartão', troco: 100, valorTroco: 1.02 }));
+    assert.doesNotMatch(cupom, /Troco/);
+});
+
+test('gerarCupomFiscal lista os descontos antes do total', () => {
+    const cupom = gerarCupomFiscal(pedido({
+        descontos: [
+            { descricao: 'Cupom BEMVINDO (10% de desconto)', valor: 9.4 },
+            { descricao: 'Resgate de pontos (R$ 10,00 de desconto)', valor: 10 }
+        ],
+        total: 79.58
+    }));
+    assert.match(cupom, /Cupom BEMVINDO \(10% de desconto\): -R\$ 9,40\nResgate de pontos \(R\$ 10,00 de desconto\): -R\$ 10,00\n\*TOTAL:\* \*R\$ 79,58\*/);
+});
+
+test('gerarCupomFiscal omite bairro e referência ausentes', () => {
+    const cupom = gerarCupomFiscal(pedido({
+        cliente: { nome: 'João', telefoneFormatado: '11987654321', endereco: 'Rua A, 1' }
+    }));
+    assert.doesNotMatch(cupom, /Bairro:|Ref:/);
+});
+
+test('gerarCupomFiscal avisa o prazo do PIX online', () => {
+    const cupom = gerarCupomFiscal(pedido({ pagamento: 'PIX', pix: { expiraEm: new Date('2026-03-10T15:30:00Z') } }));
+    // 15:30 UTC são 12:30 em São Paulo
+    assert.match(cupom, /Aguardando pagamento: use o código PIX da próxima mensagem até às 12:30\./);
+});
+
+test('gerarCupomFiscal mostra o saldo e os pontos previstos da fidelidade', () => {
+    const cupom = gerarCupomFiscal(pedido({ fidelidade: { saldo: 40, pontosPrevistos: 98 } }));
+    assert.match(cupom, /⭐ \*FIDELIDADE:\* saldo de 40 ponto\(s\)\nEste pedido vale \+98 ponto\(s\) após a entrega\.\n/);
+});
+
+test('gerarCupomFiscal mostra o horário de entrega de pedidos agendados', () => {
+    const cupom = gerarCupomFiscal(pedido({ agendadoPara: '2026-10-24T23:30:00.000Z' }));
+    // 23:30 UTC são 20:30 em São Paulo
+    assert.match(cupom, /🗓️ \*ENTREGA AGENDADA:\* 24\/10\/2026 às 20:30\n\*ENDEREÇO:\*/);
+    assert.doesNotMatch(gerarCupomFiscal(pedido()), /AGENDADA/);
+});
+
+test('gerarCupomFiscal traz o link de acompanhamento e o código de entrega', () => {
+    const cupom = gerarCupomFiscal(pedido(), { linkAcompanhamento: 'https://dokaburger.com.br/pedido/abc123', codigoEntrega: '0427' });
+    assert.match(cupom, /📍 \*ACOMPANHE SEU PEDIDO:\*\nhttps:\/\/dokaburger\.com\.br\/pedido\/abc123\n🔑 Código de entrega: \*0427\* \(informe ao entregador\)\n/);
+    assert.doesNotMatch(gerarCupomFiscal(pedido()), /ACOMPANHE|Código de entrega/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listarMigracoes, rotulo } = require('../migracoes');
+
+function pastaCom(arquivos) {
+    const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'doka-migracoes-'));
+    for (const [nome, conteudo] of Object.entries(arquivos)) {
+        fs.writeFileSync(path.join(pasta, nome), conteudo);
+    }
+    return pasta;
+}
+
+test('as migrações do projeto estão numeradas em sequência e todas podem ser desfeitas', () => {
+    const migracoes = listarMigracoes();
+    assert.deepStrictEqual(migracoes.map(m => m.versao), migracoes.map((m, indice) => indice + 1));
+    assert.strictEqual(rotulo(migracoes[0]), '001_clientes_pedidos');
+    for (const migracao of migracoes) {
+        assert.ok(migracao.down, `${rotulo(migracao)} sem .down.sql`);
+    }
+});
+
+test('listarMigracoes ordena pela versão numérica e junta up e down', () => {
+    const pasta = pastaCom({
+        '10_dez.up.sql': 'SELECT 10;',
+        '2_dois.up.sql': 'SELECT 2;',
+        '2_dois.down.sql': 'SELECT -2;',
+        'LEIA-ME.txt': 'ignorado'
+    });
+    try {
+        assert.deepStrictEqual(listarMigracoes(pasta), [
+            { versao: 2, nome: 'dois', up: 'SELECT 2;', down: 'SELECT -2;' },
+            { versao: 10, nome: 'dez', up: 'SELECT 10;', down: null }
+        ]);
+    } finally {
+        fs.rmSync(pasta, { recursive: true, force: true });
+    }
+});
+
+test('listarMigracoes recusa nomes inválidos, versões repetidas e down sem up', () => {
+    const casos = [
+        [{ 'criar_tabela.sql': '' }, /Nome de migração inválido/],
+        [{ '1_a.up.sql': '', '1_b.up.sql': '' }, /Versão 1 usada por duas migrações/],
+        [{ '3_tres.down.sql': '' }, /003_tres não tem o arquivo \.up\.sql/]
+    ];
+    for (const [arquivos, erro] of casos) {
+        const pasta = pastaCom(arquivos);
+        try {
+            assert.throws(() => listarMigracoes(pasta), erro);
+        } finally {
+            fs.rmSync(pasta, { recursive: true, force: true });
+        }
+    }
+});
@@ -0,0 +1,215 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const horario = require('../horario-funcionamento');
+const { montarApp, dadosPedido } = require('./apoio');
+
+const TELEFONE = '551187654321';
+
+let api;
+let tokenCozinha;
+before(async () => {
+    api = await montarApp();
+    tokenCozinha = await api.login('chapeiro');
+});
+after(() => api.fechar());
+
+async function criarPedido(ajustes, opcoes) {
+    const resposta = await api.post('/api/criar-pedido', dadosPedido(ajustes), opcoes);
+    assert.strictEqual(resposta.status, 200, resposta.texto);
+    return resposta.json.pedidoId;
+}
+
+// Leva o pedido até a entrega, com o código que o cliente informaria ao entregador
+async function entregar(pedidoId) {
+    const { codigo_entrega: codigoEntrega } = await api.repositorio.buscarPedido(pedidoId);
+    for (const status of ['em_preparo', 'saiu_para_entrega', 'entregue']) {
+        const resposta = await api.patch(`/api/pedidos/${pedidoId}/status`, { status, codigoEntrega }, { token: tokenCozinha });
+        assert.strictEqual(resposta.status, 200, resposta.texto);
+    }
+}
+
+test('POST /api/criar-pedido grava o pedido e envia o cupom ao cliente', async () => {
+    const { status, json } = await api.post('/api/criar-pedido', dadosPedido({
+        carrinho: [{ id: 'p1', quantidade: 2, modificadores: [], observacao: 'Sem pressa' }],
+        pagamento: 'Dinheiro',
+        troco: 100
+    }));
+    assert.strictEqual(status, 200);
+    assert.strictEqual(json.success, true);
+    // 2 x 39,99 + taxa padrão de 5,00
+    assert.strictEqual(json.total, 84.98);
+    assert.strictEqual(json.pix, null);
+
+    const pedido = await api.repositorio.buscarPedido(json.pedidoId);
+    assert.strictEqual(pedido.status, 'recebido');
+    assert.strictEqual(pedido.cliente_telefone, TELEFONE);
+    assert.strictEqual(pedido.dados_pedido.valorTroco, 15.02);
+
+    const mensagem = await api.esperarMensagem(/Obs: Sem pressa/);
+    assert.strictEqual(mensagem.para, `${TELEFONE}@c.us`);
+    assert.match(mensagem.conteudo, /\*TOTAL:\* \*R\$ 84,98\*/);
+    assert.match(mensagem.conteudo, /Troco para: R\$ 100,00 \(Levar R\$ 15,02\)/);
+});
+
+test('POST /api/criar-pedido entende o troco escrito no formato brasileiro', async () => {
+    for (const [troco, valorTroco] of [['1.000,00', 915.02], ['100,50', 15.52], ['100.50', 15.52]]) {
+        const { status, json, texto } = await api.post('/api/criar-pedido', dadosPedido({ pagamento: 'Dinheiro', troco }));
+        assert.strictEqual(status, 200, texto);
+        assert.strictEqual((await api.repositorio.buscarPedido(json.pedidoId)).dados_pedido.valorTroco, valorTroco);
+    }
+});
+
+test('POST /api/criar-pedido usa os preços do catálogo, não os do navegador', async () => {
+    const { json } = await api.post('/api/criar-pedido', dadosPedido({
+        carrinho: [{ id: 'p1', quantidade: 1, preco: 0.01, nome: 'Grátis' }]
+    }));
+    assert.strictEqual(json.total, 44.99);
+});
+
+test('POST /api/criar-pedido aplica cupom de desconto', async () => {
+    await api.repositorio.criarCupom({
+        codigo: 'CINCO', descricao: null, tipo: 'valor_fixo', valor: 5, pedidoMinimo: 0, descontoMaximo: null,
+        apenasPrimeiroPedido: false, limiteTotal: 1, limitePorCliente: null, validoDe: null, validoAte: null, ativo: true
+    });
+
+    const { json } = await api.post('/api/criar-pedido', dadosPedido({ cupom: 'cinco' }));
+    assert.strictEqual(json.total, 79.98);
+
+    // Limite total de 1 uso já atingido
+    const esgotado = await api.post('/api/criar-pedido', dadosPedido({ cupom: 'CINCO' }));
+    assert.strictEqual(esgotado.status, 400);
+});
+
+test('POST /api/criar-pedido recusa dados inválidos', async () => {
+    const casos = [
+        [{ carrinho: [] }, 'Dados do pedido inválidos.'],
+        [{ cliente: { nome: ' ' } }, 'Informe seu nome.'],
+        [{ cliente: { telefone: '1234' } }, 'Dados do pedido inválidos.'],
+        [{ pagamento: 'Cheque' }, 'Forma de pagamento inválida.'],
+        [{ cliente: { bairro: '' } }, 'Informe a rua, o número e o bairro do endereço.'],
+        [{ carrinho: [{ id: 'nao-existe', quantidade: 1 }] }, null],
+        [{ carrinho: [{ id: 'p1', quantidade: 0 }] }, null],
+        [{ pagamento: 'Dinheiro', troco: 10 }, 'O valor para troco deve ser maior que o total do pedido (R$ 84,98).'],
+        [{ recompensa: 'nao-existe' }, 'Recompensa de fidelidade inválida.']
+    ];
+    for (const [ajustes, mensagem] of casos) {
+        const { status, json } = await api.post('/api/criar-pedido', dadosPedido(ajustes));
+        assert.strictEqual(status, 400, JSON.stringify(ajustes));
+        assert.strictEqual(json.success, false);
+        if (mensagem) assert.strictEqual(json.message, mensagem);
+    }
+});
+
+test('POST /api/criar-pedido confere as opções obrigatórias dos combos', async () => {
+    const { json: cardapio } = await api.get('/api/cardapio');
+    const combo = cardapio.produtos.find(produto => produto.categoria === 'Combos');
+
+    const { status, json } = await api.post('/api/criar-pedido', dadosPedido({ carrinho: [{ id: combo.id, quantidade: 1 }] }));
+    assert.strictEqual(status, 400);
+    assert.match(json.message, /^Escolha 1 opção em "Tamanho"/);
+});
+
+test('POST /api/criar-pedido exige sessão para usar endereço salvo ou pontos', async () => {
+    const enderecoSalvo = await api.post('/api/criar-pedido', dadosPedido({ cliente: { enderecoId: 1 } }));
+    assert.strictEqual(enderecoSalvo.status, 401);
+
+    const pontos = await api.post('/api/criar-pedido', dadosPedido({ recompensa: 'desconto-10' }));
+    assert.strictEqual(pontos.status, 401);
+
+    const token = await api.sessaoCliente(TELEFONE);
+    const semSaldo = await api.post('/api/criar-pedido', dadosPedido({ recompensa: 'desconto-10' }), { token });
+    assert.strictEqual(semSaldo.status, 400);
+    assert.match(semSaldo.json.message, /precisa de 100/);
+
+    const inexistente = await api.post('/api/criar-pedido', dadosPedido({ cliente: { enderecoId: 9999 } }), { token });
+    assert.strictEqual(inexistente.status, 404);
+});
+
+test('POST /api/criar-pedido salva o endereço novo de quem confirmou o número', async () => {
+    const token = await api.sessaoCliente(TELEFONE);
+    await criarPedido({ cliente: { apelido: 'Casa da mãe', salvarEndereco: true } }, { token });
+
+    const { json } = await api.get('/api/enderecos', { token });
+    const endereco = json.enderecos.find(e => e.apelido === 'Casa da mãe');
+    assert.ok(endereco);
+
+    const { json: pedido } = await api.post('/api/criar-pedido', dadosPedido({ cliente: { enderecoId: endereco.id, rua: '', numero: '' } }), { token });
+    const gravado = await api.repositorio.buscarPedido(pedido.pedidoId);
+    assert.strictEqual(gravado.dados_pedido.cliente.endereco, 'Rua das Flores, 120');
+});
+
+test('POST /api/criar-pedido recusa pedidos com a loja fechada', async () => {
+    const hoje = horario.partesDataHora().data;
+    await api.repositorio.salvarExcecao({ data: hoje, fechado: true, abre: null, fecha: null, motivo: 'Feriado' });
+    try {
+        const { status, json } = await api.post('/api/criar-pedido', dadosPedido());
+        assert.strictEqual(status, 409);
+        assert.strictEqual(json.statusLoja.aberta, false);
+    } finally {
+        await api.repositorio.removerExcecao(hoje);
+    }
+});
+
+test('PATCH /api/pedidos/:id/status avança o pedido e avisa o cliente', async () => {
+    const pedidoId = await criarPedido();
+
+    const { status, json } = await api.patch(`/api/pedidos/${pedidoId}/status`, { status: 'em_preparo' }, { token: tokenCozinha });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(json.pedido, { id: pedidoId, status: 'em_preparo', statusDescricao: 'Em preparo' });
+
+    const mensagem = await api.esperarMensagem(new RegExp(`Seu pedido #${pedidoId} foi confirmado`));
+    assert.strictEqual(mensagem.para, `${TELEFONE}@c.us`);
+
+    const historico = await api.repositorio.listarHistoricoStatus(pedidoId);
+    assert.deepStrictEqual(historico.map(h => h.status_novo), ['recebido', 'em_preparo']);
+    assert.strictEqual(historico[1].alterado_por, 'chapeiro');
+});
+
+test('PATCH /api/pedidos/:id/status recusa transições inválidas', async () => {
+    const pedidoId = await criarPedido();
+
+    const pulo = await api.patch(`/api/pedidos/${pedidoId}/status`, { status: 'entregue' }, { token: tokenCozinha });
+    assert.strictEqual(pulo.status, 409);
+    assert.strictEqual(pulo.json.message, `Não é possível mudar o pedido #${pedidoId} de "Recebido" para "Entregue".`);
+
+    const invalido = await api.patch(`/api/pedidos/${pedidoId}/status`, { status: 'voando' }, { token: tokenCozinha });
+    assert.strictEqual(invalido.status, 400);
+
+    const inexistente = await api.patch('/api/pedidos/9999/status', { status: 'em_preparo' }, { token: tokenCozinha });
+    assert.strictEqual(inexistente.status, 404);
+
+    const semLogin = await api.patch(`/api/pedidos/${pedidoId}/status`, { status: 'em_preparo' });
+    assert.strictEqual(semLogin.status, 401);
+});
+
+test('pedido entregue credita pontos de fidelidade e o cancelamento estorna', async () => {
+    const telefone = '552199998888';
+    const entregue = await criarPedido({ cliente: { telefone: '(21) 99999-8888' } });
+    await entregar(entregue);
+    // R$ 84,98 a 1 ponto por real
+    assert.strictEqual(await api.repositorio.consultarSaldoPontos(telefone), 84);
+    await api.esperarMensagem(new RegExp(`Você ganhou \\*84 ponto\\(s\\)\\* com o pedido #${entregue}!`));
+
+    const token = await api.sessaoCliente(telefone);
+    const comPontos = await api.post('/api/criar-pedido', dadosPedido({
+        cliente: { telefone: '(21) 99999-8888' },
+        carrinho: [{ id: 'p1', quantidade: 3 }],
+        recompensa: 'desconto-10'
+    }), { token });
+    assert.strictEqual(comPontos.status, 400, 'saldo de 84 pontos não alcança a recompensa de 100');
+
+    const segundo = await criarPedido({ cliente: { telefone: '(21) 99999-8888' }, carrinho: [{ id: 'p1', quantidade: 1 }] });
+    await entregar(segundo);
+    assert.strictEqual(await api.repositorio.consultarSaldoPontos(telefone), 84 + 44);
+
+    const resgate = await api.post('/api/criar-pedido', dadosPedido({
+        cliente: { telefone: '(21) 99999-8888' },
+        recompensa: 'desconto-10'
+    }), { token });
+    assert.strictEqual(resgate.status, 200);
+    assert.strictEqual(resgate.json.total, 74.98);
+    assert.strictEqual(await api.repositorio.consultarSaldoPontos(telefone), 28);
+
+    await api.patch(`/api/pedidos/${resgate.json.pedidoId}/status`, { status: 'cancelado' }, { token: tokenCozinha });
+    assert.strictEqual(await api.repositorio.consultarSaldoPontos(telefone), 128);
+});
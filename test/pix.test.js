@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const pix = require('../pix');
+const { montarApp, dadosPedido } = require('./apoio');
+
+const SEGREDO = 'segredo-do-webhook';
+
+let api;
+before(async () => {
+    api = await montarApp({
+        env: { PIX_CHAVE: 'pix@dokaburger.com.br', PIX_WEBHOOK_SEGREDO: SEGREDO, FIDELIDADE_PONTOS_POR_REAL: '0' }
+    });
+});
+after(() => api.fechar());
+
+function webhook(corpo, segredo = SEGREDO) {
+    return api.post('/api/pagamentos/webhook', corpo, { cabecalhos: { 'X-Webhook-Segredo': segredo } });
+}
+
+test('pedido com PIX online devolve o copia e cola e fica aguardando pagamento', async () => {
+    const { status, json } = await api.post('/api/criar-pedido', dadosPedido({ pagamento: 'PIX' }));
+    assert.strictEqual(status, 200);
+    assert.match(json.pix.copiaECola, /^000201/);
+    assert.match(json.pix.qrCode, /^data:image\/png;base64,/);
+
+    const pedido = await api.repositorio.buscarPedido(json.pedidoId);
+    assert.strictEqual(pedido.pagamento_status, 'pendente');
+    await api.esperarMensagem(/Aguardando pagamento: use o código PIX/);
+    await api.esperarMensagem(new RegExp(`PIX do pedido #${json.pedidoId}`));
+});
+
+test('falha no QR Code não derruba um pedido que já foi gravado', async () => {
+    const gerarOriginal = pix.gerarQrCode;
+    pix.gerarQrCode = async () => { throw new Error('falha no QR Code'); };
+    try {
+        const { status, json } = await api.post('/api/criar-pedido', dadosPedido({ pagamento: 'PIX' }));
+        assert.strictEqual(status, 200);
+        assert.strictEqual(json.pix.qrCode, null);
+        assert.match(json.pix.copiaECola, /^000201/);
+        assert.strictEqual((await api.repositorio.buscarPedido(json.pedidoId)).pagamento_status, 'pendente');
+    } finally {
+        pix.gerarQrCode = gerarOriginal;
+    }
+});
+
+test('POST /api/pagamentos/webhook confirma o PIX uma única vez', async () => {
+    const { json: criado } = await api.post('/api/criar-pedido', dadosPedido({ pagamento: 'PIX' }));
+    const notificacao = { txid: String(criado.pedidoId), valor: '84.98', endToEndId: 'E123' };
+
+    const { status, json } = await webhook(notificacao);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(json.pagamentos, [{ pedidoId: criado.pedidoId, confirmado: true }]);
+    assert.strictEqual((await api.repositorio.buscarPedido(criado.pedidoId)).pagamento_status, 'pago');
+    await api.esperarMensagem(new RegExp(`Recebemos o PIX do pedido #${criado.pedidoId}`));
+
+    // O provedor pode repetir o aviso
+    const repetido = await webhook({ pix: [notificacao] });
+    assert.strictEqual(repetido.json.pagamentos[0].confirmado, true);
+    const avisos = api.client.enviadas.filter(m => m.conteudo.includes(`Recebemos o PIX do pedido #${criado.pedidoId}`));
+    assert.strictEqual(avisos.length, 1);
+});
+
+test('POST /api/pagamentos/webhook recusa valor menor que o total e pedido desconhecido', async () => {
+    const { json: criado } = await api.post('/api/criar-pedido', dadosPedido({ pagamento: 'PIX' }));
+
+    const menor = await webhook({ txid: String(criado.pedidoId), valor: '10.00' });
+    assert.strictEqual(menor.status, 200);
+    assert.strictEqual(menor.json.pagamentos[0].confirmado, false);
+    assert.match(menor.json.pagamentos[0].message, /menor que o total/);
+
+    const desconhecido = await webhook({ txid: '9999', valor: '10.00' });
+    assert.strictEqual(desconhecido.json.pagamentos[0].confirmado, false);
+});
+
+test('POST /api/pagamentos/webhook exige o segredo e uma notificação reconhecível', async () => {
+    const semSegredo = await webhook({ txid: '1', valor: '1' }, 'errado');
+    assert.strictEqual(semSegredo.status, 401);
+
+    const porQuery = await api.post(`/api/pagamentos/webhook?segredo=${SEGREDO}`, { txid: 'abc', valor: '1' });
+    assert.strictEqual(porQuery.status, 400);
+});
+
+test('POST /api/pagamentos/webhook fica indisponível sem PIX configurado', async () => {
+    const semPix = await montarApp();
+    try {
+        const { status } = await semPix.post('/api/pagamentos/webhook', { txid: '1', valor: '1' });
+        assert.strictEqual(status, 503);
+
+        // Sem PIX_CHAVE o PIX é pago na entrega
+        const { json } = await semPix.post('/api/criar-pedido', dadosPedido({ pagamento: 'PIX' }));
+        assert.strictEqual(json.pix, null);
+    } finally {
+        await semPix.fechar();
+    }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RepositorioMemoria } = require('../repositorio');
+const { loggerSilencioso } = require('./apoio');
+
+const CLIENTE = { telefone: '551187654321', nome: 'Maria', endereco: 'Rua A, 1', referencia: null, bairro: 'Centro', cep: null };
+
+test('RepositorioMemoria desfaz a transação inteira quando ela falha', async () => {
+    const repositorio = new RepositorioMemoria({ pastaDados: null, logger: loggerSilencioso });
+    await repositorio.preparar();
+
+    await assert.rejects(repositorio.transacao(async (tx) => {
+        await tx.salvarCliente(CLIENTE);
+        await tx.criarPedido({ telefone: CLIENTE.telefone, dados: { total: 10 } });
+        throw new Error('falha no meio');
+    }), /falha no meio/);
+
+    assert.strictEqual(await repositorio.buscarCliente(CLIENTE.telefone), null);
+    assert.deepStrictEqual(await repositorio.listarPedidosDoCliente(CLIENTE.telefone), []);
+});
+
+test('RepositorioMemoria não perde no rollback o que foi gravado fora da transação', async () => {
+    const repositorio = new RepositorioMemoria({ pastaDados: null, logger: loggerSilencioso });
+    await repositorio.preparar();
+    const outroCliente = { ...CLIENTE, telefone: '551133334444', nome: 'João' };
+    await repositorio.salvarCliente(outroCliente);
+    const mensagemId = await repositorio.enfileirarMensagem({ destinatario: `${CLIENTE.telefone}@c.us`, tipo: 'teste', conteudo: 'Oi' });
+
+    // Fila de mensagens, robô do WhatsApp e site gravam enquanto a transação de outra requisição
+    // está aberta e depois falha
+    const transacao = repositorio.transacao(async (tx) => {
+        await tx.salvarCliente(CLIENTE);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        throw new Error('falha no meio');
+    });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const gravacoes = Promise.all([
+        repositorio.marcarMensagemEnviada(mensagemId),
+        repositorio.enfileirarMensagem({ destinatario: `${outroCliente.telefone}@c.us`, tipo: 'teste', conteudo: 'Olá' }),
+        repositorio.definirAceitePromocoes(outroCliente.telefone, true),
+        repositorio.definirAtendimentoHumano(`${outroCliente.telefone}@c.us`, { telefone: outroCliente.telefone, ativo: true }),
+        repositorio.criarSessaoCliente({ tokenHash: 'hash-da-sessao', telefone: outroCliente.telefone, duracaoMs: 60000 })
+    ]);
+    await assert.rejects(transacao, /falha no meio/);
+    await gravacoes;
+
+    assert.strictEqual(await repositorio.buscarCliente(CLIENTE.telefone), null);
+    assert.deepStrictEqual(repositorio.dados.mensagens_fila.map(mensagem => mensagem.status), ['enviada', 'pendente']);
+    assert.strictEqual((await repositorio.buscarCliente(outroCliente.telefone)).aceita_promocoes, true);
+    assert.strictEqual(await repositorio.telefoneEmAtendimentoHumano(outroCliente.telefone), true);
+    assert.strictEqual(await repositorio.buscarTelefoneDaSessao('hash-da-sessao'), outroCliente.telefone);
+});
+
+test('RepositorioMemoria recusa pedidos de clientes não cadastrados', async () => {
+    const repositorio = new RepositorioMemoria({ pastaDados: null, logger: loggerSilencioso });
+    await repositorio.preparar();
+    await assert.rejects(repositorio.criarPedido({ telefone: CLIENTE.telefone, dados: {} }), /não cadastrado/);
+});
+
+test('RepositorioMemoria grava o banco.json e o recarrega ao reiniciar', async () => {
+    const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'doka-dados-'));
+    try {
+        const repositorio = new RepositorioMemoria({ pastaDados: pasta, logger: loggerSilencioso });
+        await repositorio.preparar();
+        const pedido = await repositorio.transacao(async (tx) => {
+            await tx.salvarCliente(CLIENTE);
+            return tx.criarPedido({ telefone: CLIENTE.telefone, dados: { total: 10 } });
+        });
+        await repositorio.fechar();
+
+        const reaberto = new RepositorioMemoria({ pastaDados: pasta, logger: loggerSilencioso });
+        await reaberto.preparar();
+        const relido = await reaberto.buscarPedido(pedido.id);
+        assert.strictEqual(relido.cliente_telefone, CLIENTE.telefone);
+        assert.ok(relido.criado_em instanceof Date);
+    } finally {
+        fs.rmSync(pasta, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizarTelefone } = require('../telefone');
+
+test('normalizarTelefone remove o nono dígito do celular', () => {
+    assert.strictEqual(normalizarTelefone('11987654321'), '551187654321');
+    assert.strictEqual(normalizarTelefone('(11) 98765-4321'), '551187654321');
+});
+
+test('normalizarTelefone mantém números de 8 dígitos', () => {
+    assert.strictEqual(normalizarTelefone('1133334444'), '551133334444');
+    assert.strictEqual(normalizarTelefone('(21) 3333-4444'), '552133334444');
+});
+
+test('normalizarTelefone só remove o nono dígito quando ele é 9', () => {
+    // 11 dígitos sem o 9 na frente do número não são celular: nada é removido
+    assert.strictEqual(normalizarTelefone('11887654321'), '5511887654321');
+});
+
+test('normalizarTelefone aceita os prefixos 55, +55 e 0', () => {
+    assert.strictEqual(normalizarTelefone('5511987654321'), '551187654321');
+    assert.strictEqual(normalizarTelefone('+55 (11) 98765-4321'), '551187654321');
+    assert.strictEqual(normalizarTelefone('011987654321'), '551187654321');
+    assert.strictEqual(normalizarTelefone('0011987654321'), '551187654321');
+    assert.strictEqual(normalizarTelefone('551187654321'), '551187654321');
+});
+
+test('normalizarTelefone remove o prefixo 55 repetido', () => {
+    assert.strictEqual(normalizarTelefone('555511987654321'), '551187654321');
+});
+
+test('normalizarTelefone recusa tamanhos inválidos', () => {
+    assert.strictEqual(normalizarTelefone('87654321'), null);
+    assert.strictEqual(normalizarTelefone('119876543210'), null);
+    assert.strictEqual(normalizarTelefone(''), null);
+    assert.strictEqual(normalizarTelefone('abc'), null);
+});
+
+test('normalizarTelefone recusa valores que não são texto', () => {
+    assert.strictEqual(normalizarTelefone(11987654321), null);
+    assert.strictEqual(normalizarTelefone(null), null);
+    assert.strictEqual(normalizarTelefone(undefined), null);
+});